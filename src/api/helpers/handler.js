@@ -0,0 +1,27 @@
+/**
+ * Route handler wrapper
+ *
+ * Lets route bodies be plain async functions that return data: the result
+ * is sent as JSON (204 when nothing is returned) and any thrown error is
+ * forwarded to the error middleware.
+ */
+
+function handler(fn, { status = 200 } = {}) {
+  return (req, res, next) => {
+    Promise.resolve()
+      .then(() => fn(req, res))
+      .then(result => {
+        if (res.headersSent) return;
+
+        if (result === undefined) {
+          res.status(204).end();
+          return;
+        }
+
+        res.status(status).json(result);
+      })
+      .catch(next);
+  };
+}
+
+module.exports = handler;
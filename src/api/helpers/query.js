@@ -0,0 +1,70 @@
+/**
+ * Query string and path parameter parsing
+ *
+ * Query values arrive as strings (or arrays when repeated); these helpers
+ * convert them and raise ValidationError so bad input becomes a 400.
+ */
+
+const { ObjectId } = require('mongodb');
+const { PAGINATION } = require('../../config/constants');
+const { ValidationError } = require('../../utils/errorHandler');
+
+function parseNumber(value, name) {
+  if (value === undefined || value === '') return null;
+
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed)) {
+    throw new ValidationError(`'${name}' must be a number`);
+  }
+  return parsed;
+}
+
+function parseInteger(value, name, { min = null } = {}) {
+  const parsed = parseNumber(value, name);
+  if (parsed === null) return null;
+
+  if (!Number.isInteger(parsed)) {
+    throw new ValidationError(`'${name}' must be an integer`);
+  }
+  if (min !== null && parsed < min) {
+    throw new ValidationError(`'${name}' must be at least ${min}`);
+  }
+  return parsed;
+}
+
+/**
+ * Accepts ?tag=a&tag=b as well as ?tag=a,b
+ */
+function parseList(value) {
+  if (value === undefined) return [];
+
+  return [].concat(value)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Same rules as the CLI: defaults from PAGINATION, limit capped at MAX_LIMIT
+ */
+function parsePagination(query) {
+  const page = parseInteger(query.page, 'page', { min: 1 }) ?? PAGINATION.DEFAULT_PAGE;
+  const limit = parseInteger(query.limit, 'limit', { min: 1 }) ?? PAGINATION.DEFAULT_LIMIT;
+
+  return { page, limit: Math.min(limit, PAGINATION.MAX_LIMIT) };
+}
+
+function requireObjectId(id, name = 'id') {
+  if (!ObjectId.isValid(id) || String(id).length !== 24) {
+    throw new ValidationError(`'${name}' must be a valid ID`);
+  }
+  return id;
+}
+
+module.exports = {
+  parseNumber,
+  parseInteger,
+  parseList,
+  parsePagination,
+  requireObjectId
+};
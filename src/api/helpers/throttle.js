@@ -0,0 +1,58 @@
+/**
+ * Failure throttle
+ *
+ * Counts failures per key in a fixed window held in memory, so it covers
+ * one API process. Keys past the limit are refused until their window
+ * ends; a success clears the key.
+ */
+
+const { TooManyRequestsError } = require('../../utils/errorHandler');
+
+function createThrottle({ maxFailures, windowMs, now = Date.now }) {
+  const failures = new Map();
+  let prunedAt = now();
+
+  // Expired windows are swept out once per window, so keys from one-off
+  // callers do not pile up
+  function prune(time) {
+    if (time - prunedAt < windowMs) return;
+    prunedAt = time;
+    for (const [key, entry] of failures) {
+      if (entry.resetAt <= time) failures.delete(key);
+    }
+  }
+
+  return {
+    /**
+     * Throw TooManyRequestsError if any of the keys is over the limit
+     */
+    check(...keys) {
+      const time = now();
+      for (const key of keys) {
+        const entry = failures.get(key);
+        if (entry && entry.resetAt > time && entry.count >= maxFailures) {
+          throw new TooManyRequestsError(undefined, Math.ceil((entry.resetAt - time) / 1000));
+        }
+      }
+    },
+
+    fail(...keys) {
+      const time = now();
+      prune(time);
+      for (const key of keys) {
+        const entry = failures.get(key);
+        if (entry && entry.resetAt > time) {
+          entry.count++;
+        } else {
+          failures.set(key, { count: 1, resetAt: time + windowMs });
+        }
+      }
+    },
+
+    reset(...keys) {
+      keys.forEach(key => failures.delete(key));
+    }
+  };
+}
+
+module.exports = { createThrottle };
@@ -0,0 +1,86 @@
+/**
+ * REST API
+ *
+ * Routes map onto the same services as the CLI menus. Clients authenticate
+ * with HTTP Basic credentials; AppError.statusCode becomes the HTTP status
+ * and list endpoints share the PAGINATION rules.
+ */
+
+const express = require('express');
+const dbManager = require('../config/database');
+const logger = require('../utils/logger');
+const { authenticate } = require('./middleware/authenticate');
+const { notFound, errorHandler } = require('./middleware/errorHandler');
+const productRoutes = require('./routes/products');
+const categoryRoutes = require('./routes/categories');
+const orderRoutes = require('./routes/orders');
+const userRoutes = require('./routes/users');
+const analyticsRoutes = require('./routes/analytics');
+const locationRoutes = require('./routes/locations');
+const supplierRoutes = require('./routes/suppliers');
+const purchaseOrderRoutes = require('./routes/purchaseOrders');
+const stockTakeRoutes = require('./routes/stockTakes');
+const returnRoutes = require('./routes/returns');
+const taxRateRoutes = require('./routes/taxRates');
+
+const DEFAULT_PORT = 3000;
+
+function createApp() {
+  const app = express();
+
+  app.disable('x-powered-by');
+  app.use(express.json({ limit: '1mb' }));
+
+  app.use((req, res, next) => {
+    logger.debug(`${req.method} ${req.originalUrl}`);
+    next();
+  });
+
+  app.get('/health', async (req, res) => {
+    const health = await dbManager.healthCheck();
+    res.status(health.healthy ? 200 : 503).json(health);
+  });
+
+  app.use(authenticate);
+
+  app.use('/products', productRoutes);
+  app.use('/categories', categoryRoutes);
+  app.use('/orders', orderRoutes);
+  app.use('/users', userRoutes);
+  app.use('/analytics', analyticsRoutes);
+  app.use('/locations', locationRoutes);
+  app.use('/suppliers', supplierRoutes);
+  app.use('/purchase-orders', purchaseOrderRoutes);
+  app.use('/stock-takes', stockTakeRoutes);
+  app.use('/returns', returnRoutes);
+  app.use('/tax-rates', taxRateRoutes);
+
+  app.use(notFound);
+  app.use(errorHandler);
+
+  return app;
+}
+
+async function start({ port = parseInt(process.env.PORT) || DEFAULT_PORT } = {}) {
+  await dbManager.connect();
+
+  const app = createApp();
+  const server = app.listen(port, () => {
+    logger.success(`ShopVault API listening on port ${port}`);
+  });
+
+  const shutdown = async () => {
+    logger.info('Shutting down API server...');
+    server.close(async () => {
+      await dbManager.disconnect();
+      process.exit(0);
+    });
+  };
+
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  return server;
+}
+
+module.exports = { createApp, start };
@@ -0,0 +1,103 @@
+/**
+ * Authentication middleware
+ *
+ * Clients send HTTP Basic credentials; a valid user becomes req.actor.
+ * Requests without credentials stay anonymous, so public catalog routes
+ * keep working and everything else is guarded with requireActor.
+ * Repeated failures from one address or for one email are refused for a
+ * while before the password is hashed (LOGIN_THROTTLE).
+ */
+
+const userService = require('../../services/UserService');
+const { createActor } = require('../../utils/actor');
+const { authorize } = require('../../utils/authorization');
+const { createThrottle } = require('../helpers/throttle');
+const { AuthenticationError } = require('../../utils/errorHandler');
+const { ACTOR_SOURCES, LOGIN_THROTTLE } = require('../../config/constants');
+
+const loginThrottle = createThrottle({
+  maxFailures: LOGIN_THROTTLE.MAX_FAILURES,
+  windowMs: LOGIN_THROTTLE.WINDOW_MINUTES * 60 * 1000
+});
+
+function parseBasicCredentials(header) {
+  const [scheme, encoded] = header.split(' ');
+  if (!/^basic$/i.test(scheme) || !encoded) {
+    throw new AuthenticationError('Use HTTP Basic authentication');
+  }
+
+  const decoded = Buffer.from(encoded, 'base64').toString('utf8');
+  const separator = decoded.indexOf(':');
+  if (separator === -1) {
+    throw new AuthenticationError('Malformed credentials');
+  }
+
+  return {
+    email: decoded.slice(0, separator),
+    password: decoded.slice(separator + 1)
+  };
+}
+
+async function authenticate(req, res, next) {
+  try {
+    const header = req.get('Authorization');
+    req.actor = null;
+
+    if (header) {
+      const { email, password } = parseBasicCredentials(header);
+      const ipKey = `ip:${req.ip}`;
+      const emailKey = `email:${email.trim().toLowerCase()}`;
+      loginThrottle.check(ipKey, emailKey);
+
+      let user;
+      try {
+        user = await userService.authenticate(email, password);
+      } catch (error) {
+        if (error instanceof AuthenticationError) {
+          loginThrottle.fail(ipKey, emailKey);
+        }
+        throw error;
+      }
+
+      // Only the account is cleared: one good login must not reset the
+      // count for an address guessing at other accounts
+      loginThrottle.reset(emailKey);
+      req.actor = createActor(user, ACTOR_SOURCES.API);
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+function requireActor(req, res, next) {
+  if (!req.actor) {
+    next(new AuthenticationError('Authentication required'));
+    return;
+  }
+  next();
+}
+
+/**
+ * For read-only routes whose services do not check permissions themselves
+ */
+function requirePermission(permission) {
+  return (req, res, next) => {
+    try {
+      if (!req.actor) {
+        throw new AuthenticationError('Authentication required');
+      }
+      authorize(req.actor, permission);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  authenticate,
+  requireActor,
+  requirePermission
+};
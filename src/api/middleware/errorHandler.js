@@ -0,0 +1,53 @@
+/**
+ * Error middleware
+ *
+ * AppError.statusCode becomes the HTTP status. Anything else is an
+ * unexpected failure: it is logged and reported as a generic 500.
+ */
+
+const logger = require('../../utils/logger');
+const {
+  AppError,
+  NotFoundError,
+  ValidationError
+} = require('../../utils/errorHandler');
+
+function notFound(req, res, next) {
+  next(new NotFoundError('Route', `${req.method} ${req.path}`));
+}
+
+function toAppError(error) {
+  if (error instanceof AppError) return error;
+
+  // Raised by express.json() for unparseable bodies
+  if (error.type === 'entity.parse.failed') {
+    return new ValidationError('Request body is not valid JSON');
+  }
+
+  logger.error('Unhandled API error:', error);
+  return new AppError('Internal server error', 500, false);
+}
+
+function errorHandler(error, req, res, next) {
+  const appError = toAppError(error);
+
+  if (appError.statusCode === 401) {
+    res.set('WWW-Authenticate', 'Basic realm="ShopVault"');
+  }
+  if (appError.retryAfter) {
+    res.set('Retry-After', String(appError.retryAfter));
+  }
+
+  res.status(appError.statusCode).json({
+    error: {
+      name: appError.name,
+      message: appError.message,
+      statusCode: appError.statusCode
+    }
+  });
+}
+
+module.exports = {
+  notFound,
+  errorHandler
+};
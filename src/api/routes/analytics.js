@@ -0,0 +1,66 @@
+/**
+ * /analytics routes - every report requires the analytics permission
+ */
+
+const express = require('express');
+const analyticsService = require('../../services/AnalyticsService');
+const handler = require('../helpers/handler');
+const { requirePermission } = require('../middleware/authenticate');
+const { parseInteger } = require('../helpers/query');
+const { ValidationError } = require('../../utils/errorHandler');
+const { PERMISSIONS } = require('../../config/permissions');
+const { INVENTORY } = require('../../config/constants');
+
+const SALES_PERIODS = ['today', 'week', 'month', 'year'];
+
+const router = express.Router();
+
+router.use(requirePermission(PERMISSIONS.ANALYTICS_VIEW));
+
+router.get('/dashboard', handler(async () => analyticsService.getDashboardSummary()));
+
+router.get('/sales', handler(async (req) => {
+  const { period = 'month', from = null, to = null } = req.query;
+
+  if (!SALES_PERIODS.includes(period)) {
+    throw new ValidationError(`'period' must be one of ${SALES_PERIODS.join(', ')}`);
+  }
+
+  return analyticsService.getSalesByPeriod(period, from, to);
+}));
+
+router.get('/categories', handler(async () => analyticsService.getCategoryPerformance()));
+
+router.get('/customers', handler(async () => analyticsService.getCustomerAnalytics()));
+
+router.get('/inventory-value', handler(async () => analyticsService.getInventoryValue()));
+
+/**
+ * Query: from, to, period (day, week, month), type, location, groupBy
+ */
+router.get('/stock-movements', handler(async (req) => {
+  const { from = null, to = null, period = 'month', type = null, location = null, groupBy = null } = req.query;
+  return analyticsService.getStockMovements({ startDate: from, endDate: to, period, type, location, groupBy });
+}));
+
+/**
+ * Query: from, to (default: this year), period (month, quarter, year),
+ * jurisdiction (e.g. USA-CA)
+ */
+router.get('/tax-liability', handler(async (req) => {
+  const { from = null, to = null, period = 'month', jurisdiction = null } = req.query;
+  return analyticsService.getTaxLiability({ startDate: from, endDate: to, period, jurisdiction });
+}));
+
+router.get('/low-stock', handler(async (req) => {
+  const threshold = parseInteger(req.query.threshold, 'threshold', { min: 0 }) ?? INVENTORY.LOW_STOCK_THRESHOLD;
+  return analyticsService.getLowStockByLocation(threshold);
+}));
+
+router.get('/revenue-trends', handler(async () => analyticsService.getRevenueTrends()));
+
+router.get('/turnover', handler(async () => analyticsService.getInventoryTurnover()));
+
+router.get('/order-status', handler(async () => analyticsService.getOrderStatusDistribution()));
+
+module.exports = router;
@@ -0,0 +1,51 @@
+/**
+ * /categories routes
+ */
+
+const express = require('express');
+const categoryService = require('../../services/CategoryService');
+const handler = require('../helpers/handler');
+const { requireObjectId } = require('../helpers/query');
+const { requireActor } = require('../middleware/authenticate');
+const { ValidationError } = require('../../utils/errorHandler');
+
+const router = express.Router();
+
+router.get('/', handler(async () => categoryService.getAllCategories()));
+
+router.get('/tree', handler(async () => categoryService.getCategoryTree()));
+
+router.get('/roots', handler(async () => categoryService.getRootCategories()));
+
+router.get('/search', handler(async (req) => {
+  if (!req.query.q || !req.query.q.trim()) {
+    throw new ValidationError("'q' is required");
+  }
+  return categoryService.searchCategories(req.query.q.trim());
+}));
+
+router.get('/:id', handler(async (req) => {
+  return categoryService.getCategoryWithChildren(requireObjectId(req.params.id));
+}));
+
+router.post('/', requireActor, handler(async (req) => {
+  return categoryService.createCategory(req.body, req.actor);
+}, { status: 201 }));
+
+router.patch('/:id', requireActor, handler(async (req) => {
+  return categoryService.updateCategory(requireObjectId(req.params.id), req.body, req.actor);
+}));
+
+/**
+ * Body: { parentId } - null or omitted moves the category to the top level
+ */
+router.post('/:id/move', requireActor, handler(async (req) => {
+  const parentId = req.body.parentId ? requireObjectId(req.body.parentId, 'parentId') : null;
+  return categoryService.moveCategory(requireObjectId(req.params.id), parentId, req.actor);
+}));
+
+router.delete('/:id', requireActor, handler(async (req) => {
+  await categoryService.deleteCategory(requireObjectId(req.params.id), req.actor);
+}));
+
+module.exports = router;
@@ -0,0 +1,29 @@
+/**
+ * /locations routes - stock locations (warehouses), addressed by code
+ */
+
+const express = require('express');
+const locationService = require('../../services/LocationService');
+const handler = require('../helpers/handler');
+const { requireActor, requirePermission } = require('../middleware/authenticate');
+const { PERMISSIONS } = require('../../config/permissions');
+
+const router = express.Router();
+
+router.get('/', requirePermission(PERMISSIONS.INVENTORY_VIEW), handler(async (req) => {
+  return locationService.listLocations({ includeInactive: req.query.all === 'true' });
+}));
+
+router.get('/:code', requirePermission(PERMISSIONS.INVENTORY_VIEW), handler(async (req) => {
+  return locationService.getLocation(req.params.code);
+}));
+
+router.post('/', requireActor, handler(async (req) => {
+  return locationService.createLocation(req.body, req.actor);
+}, { status: 201 }));
+
+router.patch('/:code', requireActor, handler(async (req) => {
+  return locationService.updateLocation(req.params.code, req.body, req.actor);
+}));
+
+module.exports = router;
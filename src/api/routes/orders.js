@@ -0,0 +1,140 @@
+/**
+ * /orders routes
+ *
+ * All routes need an authenticated user; customers only ever see, amend
+ * and cancel their own orders (enforced by OrderService).
+ */
+
+const express = require('express');
+const orderService = require('../../services/OrderService');
+const paymentService = require('../../services/PaymentService');
+const shipmentService = require('../../services/ShipmentService');
+const handler = require('../helpers/handler');
+const { parseNumber, parsePagination, requireObjectId } = require('../helpers/query');
+const { requireActor } = require('../middleware/authenticate');
+const { ValidationError } = require('../../utils/errorHandler');
+const { ORDER_STATUS } = require('../../config/constants');
+
+const router = express.Router();
+
+router.use(requireActor);
+
+async function resolveOrder(orderRef, actor) {
+  return orderService.getOrderByReference(orderRef, actor);
+}
+
+function parseStatus(status, name = 'status') {
+  if (!Object.values(ORDER_STATUS).includes(status)) {
+    throw new ValidationError(`'${name}' must be one of ${Object.values(ORDER_STATUS).join(', ')}`);
+  }
+  return status;
+}
+
+router.get('/', handler(async (req) => {
+  const { query } = req;
+
+  return orderService.searchOrders({
+    userId: query.userId ? requireObjectId(query.userId, 'userId') : null,
+    status: query.status ? parseStatus(query.status) : null,
+    startDate: query.from || null,
+    endDate: query.to || null,
+    minTotal: parseNumber(query.minTotal, 'minTotal'),
+    maxTotal: parseNumber(query.maxTotal, 'maxTotal'),
+    ...parsePagination(query)
+  }, req.actor);
+}));
+
+router.get('/stats', handler(async (req) => orderService.getOrderStats(req.actor)));
+
+/**
+ * Cancel PENDING orders whose reservation has expired.
+ * Body: { ttlMinutes, limit, dryRun }
+ */
+router.post('/expire-reservations', handler(async (req) => {
+  return orderService.expireReservations(req.body, req.actor);
+}));
+
+router.get('/:orderNumber', handler(async (req) => resolveOrder(req.params.orderNumber, req.actor)));
+
+router.post('/', handler(async (req) => {
+  return orderService.createOrder(req.body, req.actor);
+}, { status: 201 }));
+
+/**
+ * Body: { status, note }
+ */
+router.patch('/:orderNumber/status', handler(async (req) => {
+  const status = parseStatus(req.body.status);
+  const existing = await resolveOrder(req.params.orderNumber, req.actor);
+  return orderService.updateOrderStatus(existing._id.toString(), status, req.body.note || '', req.actor);
+}));
+
+/**
+ * Body: { reason }
+ */
+router.post('/:orderNumber/cancel', handler(async (req) => {
+  const existing = await resolveOrder(req.params.orderNumber, req.actor);
+  await orderService.cancelOrder(existing._id.toString(), req.body.reason || '', req.actor);
+  return orderService.getOrderById(existing._id.toString(), req.actor);
+}));
+
+/**
+ * Change a PENDING or CONFIRMED order.
+ * Body: { items: [{ sku, quantity, price, discount }], shippingAddress,
+ * billingAddress, pricing, note }; price, discount and pricing need
+ * order:amend:any.
+ */
+router.patch('/:orderNumber', handler(async (req) => {
+  const existing = await resolveOrder(req.params.orderNumber, req.actor);
+  return orderService.amendOrder(existing._id.toString(), req.body, req.actor);
+}));
+
+/**
+ * Ship some or all of the order's unshipped items.
+ * Body: { items: [{ sku, quantity }], carrier, trackingNumber, method, notes }
+ */
+router.post('/:orderNumber/shipments', handler(async (req) => {
+  const existing = await resolveOrder(req.params.orderNumber, req.actor);
+  return shipmentService.createShipment(existing._id.toString(), req.body, req.actor);
+}, { status: 201 }));
+
+router.post('/shipments/:shipmentNumber/deliver', handler(async (req) => {
+  return shipmentService.markDelivered(req.params.shipmentNumber, req.actor);
+}));
+
+router.get('/:orderNumber/payment', handler(async (req) => {
+  const existing = await resolveOrder(req.params.orderNumber, req.actor);
+  return paymentService.getPayment(existing._id.toString(), req.actor);
+}));
+
+router.post('/:orderNumber/payment/authorize', handler(async (req) => {
+  const existing = await resolveOrder(req.params.orderNumber, req.actor);
+  await paymentService.authorizePayment(existing._id.toString(), req.actor);
+  return paymentService.getPayment(existing._id.toString(), req.actor);
+}));
+
+/**
+ * Body: { amount } (default: the payment amount)
+ */
+router.post('/:orderNumber/payment/capture', handler(async (req) => {
+  const existing = await resolveOrder(req.params.orderNumber, req.actor);
+  await paymentService.capturePayment(existing._id.toString(), req.body, req.actor);
+  return paymentService.getPayment(existing._id.toString(), req.actor);
+}));
+
+/**
+ * Body: { amount, reason } (amount defaults to everything still refundable)
+ */
+router.post('/:orderNumber/payment/refund', handler(async (req) => {
+  const existing = await resolveOrder(req.params.orderNumber, req.actor);
+  await paymentService.refundPayment(existing._id.toString(), req.body, req.actor);
+  return paymentService.getPayment(existing._id.toString(), req.actor);
+}));
+
+router.post('/:orderNumber/payment/void', handler(async (req) => {
+  const existing = await resolveOrder(req.params.orderNumber, req.actor);
+  await paymentService.voidPayment(existing._id.toString(), req.actor);
+  return paymentService.getPayment(existing._id.toString(), req.actor);
+}));
+
+module.exports = router;
@@ -0,0 +1,226 @@
+/**
+ * /products routes
+ */
+
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const productService = require('../../services/ProductService');
+const reconciliationService = require('../../services/ReconciliationService');
+const handler = require('../helpers/handler');
+const { parseNumber, parseInteger, parseList, parsePagination, requireObjectId } = require('../helpers/query');
+const { requireActor, requirePermission } = require('../middleware/authenticate');
+const { ValidationError } = require('../../utils/errorHandler');
+const { PRODUCT_STATUS, INVENTORY } = require('../../config/constants');
+const { PERMISSIONS } = require('../../config/permissions');
+
+const router = express.Router();
+
+async function resolveProduct(idOrSku) {
+  if (ObjectId.isValid(idOrSku) && String(idOrSku).length === 24) {
+    return productService.getProductById(idOrSku);
+  }
+  return productService.getProductBySku(idOrSku);
+}
+
+function parseQuantity(body) {
+  const quantity = parseInteger(body.quantity, 'quantity', { min: 1 });
+  if (quantity === null) {
+    throw new ValidationError("'quantity' is required");
+  }
+  return quantity;
+}
+
+/**
+ * Stock routes address a variant by variantSku in the body or by using the
+ * variant SKU in the URL. body.location picks the stock location (default
+ * location when omitted).
+ */
+async function resolveStockTarget(req) {
+  const existing = await resolveProduct(req.params.idOrSku);
+  return {
+    productId: existing._id.toString(),
+    variantSku: req.body.variantSku || productService.variantSkuOf(existing, req.params.idOrSku),
+    location: req.body.location || null
+  };
+}
+
+router.get('/', handler(async (req) => {
+  const { query } = req;
+
+  if (query.status && !Object.values(PRODUCT_STATUS).includes(query.status)) {
+    throw new ValidationError(`'status' must be one of ${Object.values(PRODUCT_STATUS).join(', ')}`);
+  }
+
+  if (query.order && !['asc', 'desc'].includes(query.order)) {
+    throw new ValidationError("'order' must be asc or desc");
+  }
+
+  return productService.searchProducts({
+    query: query.q || '',
+    categoryId: query.categoryId ? requireObjectId(query.categoryId, 'categoryId') : null,
+    minPrice: parseNumber(query.minPrice, 'minPrice'),
+    maxPrice: parseNumber(query.maxPrice, 'maxPrice'),
+    maxAvailable: parseInteger(query.maxAvailable, 'maxAvailable', { min: 0 }),
+    status: query.status || null,
+    brand: query.brand || null,
+    tags: parseList(query.tag),
+    sort: query.sort || 'createdAt',
+    order: query.order || 'desc',
+    ...parsePagination(query)
+  });
+}));
+
+router.get('/low-stock', requirePermission(PERMISSIONS.INVENTORY_VIEW), handler(async (req) => {
+  const threshold = parseInteger(req.query.threshold, 'threshold', { min: 0 }) ?? INVENTORY.LOW_STOCK_THRESHOLD;
+  return productService.getLowStockProducts(threshold);
+}));
+
+router.get('/out-of-stock', requirePermission(PERMISSIONS.INVENTORY_VIEW), handler(async () => {
+  return productService.getOutOfStockProducts();
+}));
+
+router.get('/top-sellers', requirePermission(PERMISSIONS.ANALYTICS_VIEW), handler(async (req) => {
+  const limit = parseInteger(req.query.limit, 'limit', { min: 1 }) ?? 10;
+  return productService.getTopSellers(limit);
+}));
+
+router.get('/stats', requirePermission(PERMISSIONS.ANALYTICS_VIEW), handler(async () => {
+  return productService.getProductStats();
+}));
+
+/**
+ * Ledger reconciliation report. Query: product (ID or SKU)
+ */
+router.get('/reconcile', requireActor, handler(async (req) => {
+  const product = req.query.product ? await resolveProduct(req.query.product) : null;
+  return reconciliationService.reconcileInventory({
+    productId: product ? product._id.toString() : null
+  }, req.actor);
+}));
+
+/**
+ * Reconcile and log ADJUSTMENTs for quantity drift. Body: { product }
+ */
+router.post('/reconcile', requireActor, handler(async (req) => {
+  const product = req.body.product ? await resolveProduct(req.body.product) : null;
+  return reconciliationService.reconcileInventory({
+    productId: product ? product._id.toString() : null,
+    fix: true
+  }, req.actor);
+}));
+
+router.get('/:idOrSku', handler(async (req) => resolveProduct(req.params.idOrSku)));
+
+/**
+ * Stock movements with running balances. Query: type (list), from, to,
+ * orderId, userId, variantSku, location, page, limit
+ */
+router.get('/:idOrSku/history', requirePermission(PERMISSIONS.INVENTORY_VIEW), handler(async (req) => {
+  const { query } = req;
+  const existing = await resolveProduct(req.params.idOrSku);
+  const types = parseList(query.type).map(type => type.toUpperCase());
+
+  return productService.getStockHistory(existing._id.toString(), {
+    variantSku: query.variantSku || productService.variantSkuOf(existing, req.params.idOrSku),
+    location: query.location || null,
+    types: types.length > 0 ? types : null,
+    startDate: query.from || null,
+    endDate: query.to || null,
+    orderId: query.orderId ? requireObjectId(query.orderId, 'orderId') : null,
+    performedBy: query.userId ? requireObjectId(query.userId, 'userId') : null,
+    ...parsePagination(query)
+  });
+}));
+
+router.post('/', requireActor, handler(async (req) => {
+  return productService.createProduct(req.body, req.actor);
+}, { status: 201 }));
+
+router.patch('/:idOrSku', requireActor, handler(async (req) => {
+  const existing = await resolveProduct(req.params.idOrSku);
+  return productService.updateProduct(existing._id.toString(), req.body, req.actor);
+}));
+
+router.delete('/:idOrSku', requireActor, handler(async (req) => {
+  const existing = await resolveProduct(req.params.idOrSku);
+  await productService.deleteProduct(existing._id.toString(), req.actor);
+}));
+
+router.post('/:idOrSku/stock/add', requireActor, handler(async (req) => {
+  const quantity = parseQuantity(req.body);
+  const { productId, ...target } = await resolveStockTarget(req);
+  return productService.addStock(productId, quantity, { ...target, reason: req.body.reason }, req.actor);
+}));
+
+/**
+ * Units sold outside the order flow.
+ * Body: { quantity, reason, notes?, variantSku?, location? }
+ */
+router.post('/:idOrSku/stock/remove', requireActor, handler(async (req) => {
+  const quantity = parseQuantity(req.body);
+  const { productId, ...target } = await resolveStockTarget(req);
+  return productService.removeStock(productId, quantity, {
+    ...target,
+    reason: req.body.reason,
+    notes: req.body.notes
+  }, req.actor);
+}));
+
+/**
+ * Body: { quantity (signed), reason, notes?, variantSku?, location? }
+ */
+router.post('/:idOrSku/stock/adjust', requireActor, handler(async (req) => {
+  const quantity = parseInteger(req.body.quantity, 'quantity');
+  if (!quantity) {
+    throw new ValidationError("'quantity' is required and must not be zero");
+  }
+
+  const { productId, ...target } = await resolveStockTarget(req);
+  return productService.adjustStock(productId, quantity, {
+    ...target,
+    reason: req.body.reason,
+    notes: req.body.notes
+  }, req.actor);
+}));
+
+/**
+ * Body: { quantity, reason?, notes?, variantSku?, location? }
+ */
+router.post('/:idOrSku/stock/write-off', requireActor, handler(async (req) => {
+  const quantity = parseQuantity(req.body);
+  const { productId, ...target } = await resolveStockTarget(req);
+  return productService.writeOffDamaged(productId, quantity, {
+    ...target,
+    reason: req.body.reason,
+    notes: req.body.notes
+  }, req.actor);
+}));
+
+/**
+ * Body: { counted, notes?, variantSku?, location? }
+ */
+router.post('/:idOrSku/stock/count', requireActor, handler(async (req) => {
+  const counted = parseInteger(req.body.counted, 'counted', { min: 0 });
+  if (counted === null) {
+    throw new ValidationError("'counted' is required");
+  }
+
+  const { productId, ...target } = await resolveStockTarget(req);
+  return productService.countStock(productId, counted, { ...target, notes: req.body.notes }, req.actor);
+}));
+
+/**
+ * Body: { quantity, from, to, variantSku?, notes? }
+ */
+router.post('/:idOrSku/stock/transfer', requireActor, handler(async (req) => {
+  const quantity = parseQuantity(req.body);
+  const { productId, variantSku } = await resolveStockTarget(req);
+  return productService.transferStock(productId, quantity, {
+    from: req.body.from,
+    to: req.body.to,
+    variantSku,
+    notes: req.body.notes
+  }, req.actor);
+}));
+
+module.exports = router;
@@ -0,0 +1,106 @@
+/**
+ * /purchase-orders routes - purchase orders, addressed by PO number
+ */
+
+const express = require('express');
+const purchaseOrderService = require('../../services/PurchaseOrderService');
+const replenishmentService = require('../../services/ReplenishmentService');
+const handler = require('../helpers/handler');
+const { parseInteger, parseList, parsePagination, requireObjectId } = require('../helpers/query');
+const { requireActor, requirePermission } = require('../middleware/authenticate');
+const { ValidationError } = require('../../utils/errorHandler');
+const { PERMISSIONS } = require('../../config/permissions');
+const { PURCHASE_ORDER_STATUS } = require('../../config/constants');
+
+const router = express.Router();
+
+function parseStatus(status) {
+  if (!Object.values(PURCHASE_ORDER_STATUS).includes(status)) {
+    throw new ValidationError(`'status' must be one of ${Object.values(PURCHASE_ORDER_STATUS).join(', ')}`);
+  }
+  return status;
+}
+
+router.get('/', requirePermission(PERMISSIONS.INVENTORY_VIEW), handler(async (req) => {
+  const { query } = req;
+
+  return purchaseOrderService.searchPurchaseOrders({
+    supplier: query.supplier || null,
+    status: query.status ? parseStatus(query.status) : null,
+    open: query.open === 'true',
+    productId: query.productId ? requireObjectId(query.productId, 'productId') : null,
+    ...parsePagination(query)
+  });
+}));
+
+function parseSuggestionOptions(source) {
+  return {
+    days: parseInteger(source.days, 'days', { min: 1 }) ?? undefined,
+    coverDays: parseInteger(source.coverDays, 'coverDays', { min: 0 }) ?? undefined,
+    leadTimeDays: parseInteger(source.leadTimeDays, 'leadTimeDays', { min: 0 }) ?? undefined,
+    supplier: source.supplier || null
+  };
+}
+
+/**
+ * Query: days, coverDays, leadTimeDays, supplier
+ */
+router.get('/suggestions', requirePermission(PERMISSIONS.INVENTORY_VIEW), handler(async (req) => {
+  return replenishmentService.getReorderSuggestions(parseSuggestionOptions(req.query));
+}));
+
+/**
+ * Body: { supplier, location, skus, notes, days, coverDays, leadTimeDays }
+ */
+router.post('/from-suggestions', requireActor, handler(async (req) => {
+  const { location = null, skus, notes = '' } = req.body;
+
+  return replenishmentService.createPurchaseOrderFromSuggestions({
+    ...parseSuggestionOptions(req.body),
+    location,
+    skus: skus === undefined ? null : parseList(skus),
+    notes
+  }, req.actor);
+}, { status: 201 }));
+
+router.get('/:poNumber', requirePermission(PERMISSIONS.INVENTORY_VIEW), handler(async (req) => {
+  return purchaseOrderService.getPurchaseOrder(req.params.poNumber);
+}));
+
+router.post('/', requireActor, handler(async (req) => {
+  return purchaseOrderService.createPurchaseOrder(req.body, req.actor);
+}, { status: 201 }));
+
+router.patch('/:poNumber', requireActor, handler(async (req) => {
+  return purchaseOrderService.updatePurchaseOrder(req.params.poNumber, req.body, req.actor);
+}));
+
+/**
+ * Body: { note }
+ */
+router.post('/:poNumber/send', requireActor, handler(async (req) => {
+  return purchaseOrderService.sendPurchaseOrder(req.params.poNumber, req.body.note, req.actor);
+}));
+
+/**
+ * Body: { items: [{ sku, quantity, unitCost }], location, notes }; without
+ * items everything outstanding is received
+ */
+router.post('/:poNumber/receive', requireActor, handler(async (req) => {
+  const { items = null, location = null, notes = '' } = req.body;
+
+  if (items !== null && !Array.isArray(items)) {
+    throw new ValidationError("'items' must be an array");
+  }
+
+  return purchaseOrderService.receivePurchaseOrder(req.params.poNumber, items, { location, notes }, req.actor);
+}));
+
+/**
+ * Body: { reason }
+ */
+router.post('/:poNumber/cancel', requireActor, handler(async (req) => {
+  return purchaseOrderService.cancelPurchaseOrder(req.params.poNumber, req.body.reason, req.actor);
+}));
+
+module.exports = router;
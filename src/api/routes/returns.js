@@ -0,0 +1,94 @@
+/**
+ * /returns routes - returns (RMAs), addressed by RMA number
+ *
+ * Customers request and view returns on their own orders; approving,
+ * receiving and refunding need return:manage (enforced by ReturnService).
+ */
+
+const express = require('express');
+const returnService = require('../../services/ReturnService');
+const orderService = require('../../services/OrderService');
+const handler = require('../helpers/handler');
+const { parsePagination } = require('../helpers/query');
+const { requireActor } = require('../middleware/authenticate');
+const { ValidationError } = require('../../utils/errorHandler');
+const { RETURN_STATUS } = require('../../config/constants');
+
+const router = express.Router();
+
+router.use(requireActor);
+
+function parseStatus(status) {
+  if (!Object.values(RETURN_STATUS).includes(status)) {
+    throw new ValidationError(`'status' must be one of ${Object.values(RETURN_STATUS).join(', ')}`);
+  }
+  return status;
+}
+
+async function resolveOrder(orderRef, actor) {
+  if (!orderRef) {
+    throw new ValidationError("'order' is required");
+  }
+  return orderService.getOrderByReference(String(orderRef), actor);
+}
+
+/**
+ * Query: status, order (number or ID), open, page, limit
+ */
+router.get('/', handler(async (req) => {
+  const { query } = req;
+  const order = query.order ? await resolveOrder(query.order, req.actor) : null;
+
+  return returnService.searchReturns({
+    status: query.status ? parseStatus(query.status) : null,
+    orderId: order ? order._id.toString() : null,
+    open: query.open === 'true',
+    ...parsePagination(query)
+  }, req.actor);
+}));
+
+router.get('/:rmaNumber', handler(async (req) => returnService.getReturn(req.params.rmaNumber, req.actor)));
+
+/**
+ * Body: { order, items: [{ sku, quantity, reason }], reason, notes }
+ */
+router.post('/', handler(async (req) => {
+  const { order: orderRef, ...returnData } = req.body;
+  const order = await resolveOrder(orderRef, req.actor);
+  return returnService.requestReturn(order._id.toString(), returnData, req.actor);
+}, { status: 201 }));
+
+/**
+ * Body: { note }
+ */
+router.post('/:rmaNumber/approve', handler(async (req) => {
+  return returnService.approveReturn(req.params.rmaNumber, req.body.note || '', req.actor);
+}));
+
+/**
+ * Body: { reason }
+ */
+router.post('/:rmaNumber/reject', handler(async (req) => {
+  return returnService.rejectReturn(req.params.rmaNumber, req.body.reason || '', req.actor);
+}));
+
+/**
+ * Body: { lines: [{ sku, disposition, writeOffReason }], location, notes };
+ * lines not listed are restocked
+ */
+router.post('/:rmaNumber/receive', handler(async (req) => {
+  const { lines = [], location, notes } = req.body;
+  if (!Array.isArray(lines)) {
+    throw new ValidationError("'lines' must be an array");
+  }
+  return returnService.receiveReturn(req.params.rmaNumber, lines, { location, notes }, req.actor);
+}));
+
+/**
+ * Body: { external } - true records a refund made outside the payment provider
+ */
+router.post('/:rmaNumber/refund', handler(async (req) => {
+  return returnService.refundReturn(req.params.rmaNumber, { external: req.body.external === true }, req.actor);
+}));
+
+module.exports = router;
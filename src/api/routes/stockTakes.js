@@ -0,0 +1,72 @@
+/**
+ * /stock-takes routes - stock-takes, addressed by take number
+ */
+
+const express = require('express');
+const stockTakeService = require('../../services/StockTakeService');
+const handler = require('../helpers/handler');
+const { parsePagination } = require('../helpers/query');
+const { requireActor, requirePermission } = require('../middleware/authenticate');
+const { ValidationError } = require('../../utils/errorHandler');
+const { PERMISSIONS } = require('../../config/permissions');
+const { STOCK_TAKE_STATUS } = require('../../config/constants');
+
+const router = express.Router();
+
+function parseStatus(status) {
+  if (!Object.values(STOCK_TAKE_STATUS).includes(status)) {
+    throw new ValidationError(`'status' must be one of ${Object.values(STOCK_TAKE_STATUS).join(', ')}`);
+  }
+  return status;
+}
+
+router.get('/', requirePermission(PERMISSIONS.INVENTORY_VIEW), handler(async (req) => {
+  const { query } = req;
+
+  return stockTakeService.searchStockTakes({
+    status: query.status ? parseStatus(query.status) : null,
+    location: query.location || null,
+    ...parsePagination(query)
+  });
+}));
+
+router.get('/:takeNumber', requirePermission(PERMISSIONS.INVENTORY_VIEW), handler(async (req) => {
+  return stockTakeService.getStockTake(req.params.takeNumber);
+}));
+
+router.get('/:takeNumber/variance', requirePermission(PERMISSIONS.INVENTORY_VIEW), handler(async (req) => {
+  return stockTakeService.getVarianceReport(req.params.takeNumber);
+}));
+
+/**
+ * Body: { location, categoryId, notes }
+ */
+router.post('/', requireActor, handler(async (req) => {
+  return stockTakeService.openStockTake(req.body, req.actor);
+}, { status: 201 }));
+
+/**
+ * Body: { counts: [{ sku, counted }] }
+ */
+router.post('/:takeNumber/counts', requireActor, handler(async (req) => {
+  const { counts } = req.body;
+
+  if (!Array.isArray(counts)) {
+    throw new ValidationError("'counts' must be an array");
+  }
+
+  return stockTakeService.recordCounts(req.params.takeNumber, counts, req.actor);
+}));
+
+/**
+ * Body: { force }
+ */
+router.post('/:takeNumber/post', requireActor, handler(async (req) => {
+  return stockTakeService.postStockTake(req.params.takeNumber, { force: req.body.force === true }, req.actor);
+}));
+
+router.post('/:takeNumber/cancel', requireActor, handler(async (req) => {
+  return stockTakeService.cancelStockTake(req.params.takeNumber, req.actor);
+}));
+
+module.exports = router;
@@ -0,0 +1,29 @@
+/**
+ * /suppliers routes - suppliers, addressed by code
+ */
+
+const express = require('express');
+const supplierService = require('../../services/SupplierService');
+const handler = require('../helpers/handler');
+const { requireActor, requirePermission } = require('../middleware/authenticate');
+const { PERMISSIONS } = require('../../config/permissions');
+
+const router = express.Router();
+
+router.get('/', requirePermission(PERMISSIONS.INVENTORY_VIEW), handler(async (req) => {
+  return supplierService.listSuppliers({ includeInactive: req.query.all === 'true' });
+}));
+
+router.get('/:code', requirePermission(PERMISSIONS.INVENTORY_VIEW), handler(async (req) => {
+  return supplierService.getSupplier(req.params.code);
+}));
+
+router.post('/', requireActor, handler(async (req) => {
+  return supplierService.createSupplier(req.body, req.actor);
+}, { status: 201 }));
+
+router.patch('/:code', requireActor, handler(async (req) => {
+  return supplierService.updateSupplier(req.params.code, req.body, req.actor);
+}));
+
+module.exports = router;
@@ -0,0 +1,24 @@
+/**
+ * /tax-rates routes - sales tax rates by jurisdiction and tax class
+ */
+
+const express = require('express');
+const taxService = require('../../services/TaxService');
+const handler = require('../helpers/handler');
+const { requireActor } = require('../middleware/authenticate');
+
+const router = express.Router();
+
+/**
+ * Query: country, all (include inactive rates)
+ */
+router.get('/', requireActor, handler(async (req) => {
+  return taxService.listRates({ country: req.query.country || null, includeInactive: req.query.all === 'true' }, req.actor);
+}));
+
+// Creates or replaces the rate for the body's country, state and taxClass
+router.put('/', requireActor, handler(async (req) => {
+  return taxService.setRate(req.body, req.actor);
+}));
+
+module.exports = router;
@@ -0,0 +1,97 @@
+/**
+ * /users routes
+ */
+
+const express = require('express');
+const userService = require('../../services/UserService');
+const orderService = require('../../services/OrderService');
+const handler = require('../helpers/handler');
+const { parsePagination, requireObjectId } = require('../helpers/query');
+const { requireActor, requirePermission } = require('../middleware/authenticate');
+const { ValidationError } = require('../../utils/errorHandler');
+const { USER_ROLES } = require('../../config/constants');
+const { PERMISSIONS } = require('../../config/permissions');
+const { isOwner } = require('../../utils/authorization');
+
+const router = express.Router();
+
+router.use(requireActor);
+
+/**
+ * Customers may read their own profile; everyone else needs USER_VIEW
+ */
+function requireSelfOrPermission(permission) {
+  const guard = requirePermission(permission);
+  return (req, res, next) => {
+    if (isOwner(req.actor, req.params.id)) {
+      next();
+      return;
+    }
+    guard(req, res, next);
+  };
+}
+
+router.get('/', requirePermission(PERMISSIONS.USER_VIEW), handler(async (req) => {
+  const { query } = req;
+
+  if (query.role && !Object.values(USER_ROLES).includes(query.role)) {
+    throw new ValidationError(`'role' must be one of ${Object.values(USER_ROLES).join(', ')}`);
+  }
+
+  return userService.searchUsers({
+    email: query.email || '',
+    role: query.role || null,
+    ...parsePagination(query)
+  });
+}));
+
+router.get('/me', handler(async (req) => userService.getUserById(req.actor.userId.toString())));
+
+router.get('/stats', requirePermission(PERMISSIONS.USER_VIEW), handler(async () => userService.getUserStats()));
+
+router.get('/:id', requireSelfOrPermission(PERMISSIONS.USER_VIEW), handler(async (req) => {
+  return userService.getUserById(requireObjectId(req.params.id));
+}));
+
+router.post('/', handler(async (req) => {
+  return userService.createUser(req.body, req.actor);
+}, { status: 201 }));
+
+router.patch('/:id', handler(async (req) => {
+  return userService.updateUser(requireObjectId(req.params.id), req.body, req.actor);
+}));
+
+router.delete('/:id', handler(async (req) => {
+  await userService.deleteUser(requireObjectId(req.params.id), req.actor);
+}));
+
+router.get('/:id/orders', handler(async (req) => {
+  const { page, limit } = parsePagination(req.query);
+  return orderService.getUserOrders(
+    requireObjectId(req.params.id),
+    { limit, skip: (page - 1) * limit },
+    req.actor
+  );
+}));
+
+router.get('/:id/wishlist', requireSelfOrPermission(PERMISSIONS.WISHLIST_MANAGE_ANY), handler(async (req) => {
+  return userService.getWishlistWithProducts(requireObjectId(req.params.id));
+}));
+
+/**
+ * Body: { productId, notes }
+ */
+router.post('/:id/wishlist', handler(async (req) => {
+  const productId = requireObjectId(req.body.productId, 'productId');
+  return userService.addToWishlist(requireObjectId(req.params.id), productId, req.body.notes || '', req.actor);
+}, { status: 201 }));
+
+router.delete('/:id/wishlist/:productId', handler(async (req) => {
+  return userService.removeFromWishlist(
+    requireObjectId(req.params.id),
+    requireObjectId(req.params.productId, 'productId'),
+    req.actor
+  );
+}));
+
+module.exports = router;
@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+/**
+ * ShopVault non-interactive CLI entry point
+ *
+ * Usage: shopvault <command> [options]   (see `shopvault --help`)
+ * The interactive menu is still started with `npm start`.
+ */
+
+require('dotenv').config();
+const { run } = require('./cli/program');
+
+run();
@@ -8,6 +8,7 @@ const analyticsService = require('../../services/AnalyticsService');
 const display = require('../helpers/display');
 const Table = require('cli-table3');
 const dayjs = require('dayjs');
+const { TRANSACTION_TYPES } = require('../../config/constants');
 
 class AnalyticsCommands {
   /**
@@ -284,6 +285,30 @@ class AnalyticsCommands {
         console.log(chalk.gray('\n  Profit Margin: ') + chalk.green(`${margin.toFixed(2)}%`));
       }
 
+      if (inventory.byLocation?.length > 0) {
+        const locationTable = new Table({
+          head: [
+            chalk.cyan('Location'),
+            chalk.cyan('Items'),
+            chalk.cyan('Cost Value'),
+            chalk.cyan('Retail Value')
+          ],
+          colWidths: [18, 12, 18, 18]
+        });
+
+        inventory.byLocation.forEach(row => {
+          locationTable.push([
+            chalk.white(row.location),
+            chalk.white(row.totalItems),
+            chalk.yellow(`$${(row.totalValue || 0).toFixed(2)}`),
+            chalk.green(`$${(row.totalRetailValue || 0).toFixed(2)}`)
+          ]);
+        });
+
+        console.log(chalk.gray('\n  By Location:'));
+        console.log(locationTable.toString());
+      }
+
       console.log('');
 
     } catch (error) {
@@ -403,6 +428,172 @@ class AnalyticsCommands {
   /**
    * View order status distribution
    */
+  /**
+   * Stock movements per period and type, optionally split by category or
+   * location
+   */
+  async viewStockMovements() {
+    try {
+      const answers = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'range',
+          message: 'Range:',
+          choices: [
+            { name: 'This month', value: 'month' },
+            { name: 'Last 3 months', value: 'quarter' },
+            { name: 'This year', value: 'year' }
+          ]
+        },
+        {
+          type: 'list',
+          name: 'type',
+          message: 'Transaction type:',
+          choices: [{ name: 'All', value: null }, ...Object.values(TRANSACTION_TYPES)]
+        },
+        {
+          type: 'list',
+          name: 'groupBy',
+          message: 'Split by:',
+          choices: [
+            { name: 'Type only', value: null },
+            { name: 'Category', value: 'category' },
+            { name: 'Location', value: 'location' }
+          ]
+        }
+      ]);
+
+      const startDate = {
+        month: dayjs().startOf('month'),
+        quarter: dayjs().subtract(2, 'month').startOf('month'),
+        year: dayjs().startOf('year')
+      }[answers.range].toDate();
+
+      const spinner = display.showLoading('Summarizing stock movements...');
+      const report = await analyticsService.getStockMovements({
+        startDate,
+        period: answers.range === 'month' ? 'week' : 'month',
+        type: answers.type,
+        groupBy: answers.groupBy
+      });
+      spinner.stop();
+
+      console.log(chalk.cyan('\n╔══════════════════════════════════════════════════════════════════════╗'));
+      console.log(chalk.cyan('║') + chalk.bold.white('  STOCK MOVEMENTS'.padEnd(68)) + chalk.cyan('║'));
+      console.log(chalk.cyan('╚══════════════════════════════════════════════════════════════════════╝\n'));
+
+      if (report.rows.length === 0) {
+        display.displayInfo('No stock movements in this range');
+        return;
+      }
+
+      const table = new Table({
+        head: [
+          chalk.cyan('Period'),
+          chalk.cyan('Type'),
+          ...(report.groupBy ? [chalk.cyan(report.groupBy === 'category' ? 'Category' : 'Location')] : []),
+          chalk.cyan('Units'),
+          chalk.cyan('Net'),
+          chalk.cyan('Value')
+        ]
+      });
+
+      report.rows.forEach(row => {
+        table.push([
+          chalk.white(row.period),
+          chalk.yellow(row.type),
+          ...(report.groupBy ? [chalk.white(row[report.groupBy] ?? '-')] : []),
+          chalk.white(row.units),
+          row.net < 0 ? chalk.red(row.net) : chalk.green(row.net),
+          chalk.white(`$${row.value.toFixed(2)}`)
+        ]);
+      });
+
+      console.log(table.toString());
+      console.log('');
+      console.log(chalk.gray('  💡 Value prices units at current product cost'));
+      console.log('');
+
+    } catch (error) {
+      display.displayError(error.message);
+    }
+  }
+
+  /**
+   * View tax charged and refunded by period and jurisdiction
+   */
+  async viewTaxLiability() {
+    try {
+      const { range } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'range',
+          message: 'Range:',
+          choices: [
+            { name: 'This year by month', value: 'month' },
+            { name: 'This year by quarter', value: 'quarter' },
+            { name: 'Last year by quarter', value: 'last_year' }
+          ]
+        }
+      ]);
+
+      const lastYear = dayjs().subtract(1, 'year');
+      const options = range === 'last_year'
+        ? { startDate: lastYear.startOf('year').toDate(), endDate: lastYear.endOf('year').toDate(), period: 'quarter' }
+        : { period: range };
+
+      const spinner = display.showLoading('Summarizing tax liability...');
+      const report = await analyticsService.getTaxLiability(options);
+      spinner.stop();
+
+      console.log(chalk.cyan('\n╔══════════════════════════════════════════════════════════════════════╗'));
+      console.log(chalk.cyan('║') + chalk.bold.white('  TAX LIABILITY'.padEnd(68)) + chalk.cyan('║'));
+      console.log(chalk.cyan('╚══════════════════════════════════════════════════════════════════════╝\n'));
+
+      if (report.rows.length === 0) {
+        display.displayInfo('No taxed orders in this range');
+        return;
+      }
+
+      const table = new Table({
+        head: [
+          chalk.cyan('Period'),
+          chalk.cyan('Jurisdiction'),
+          chalk.cyan('Orders'),
+          chalk.cyan('Taxable'),
+          chalk.cyan('Tax'),
+          chalk.cyan('Refunded'),
+          chalk.cyan('Cancelled'),
+          chalk.cyan('Net Tax')
+        ]
+      });
+
+      report.rows.forEach(row => {
+        table.push([
+          chalk.white(row.period),
+          chalk.yellow(row.jurisdiction),
+          chalk.white(row.orders),
+          chalk.white(`$${row.taxable.toFixed(2)}`),
+          chalk.white(`$${row.tax.toFixed(2)}`),
+          chalk.red(`$${row.refundedTax.toFixed(2)}`),
+          chalk.red(`$${row.cancelledTax.toFixed(2)}`),
+          chalk.green(`$${row.netTax.toFixed(2)}`)
+        ]);
+      });
+
+      console.log(table.toString());
+      console.log('');
+      console.log(chalk.white('  Tax charged:   ') + chalk.white(`$${report.totals.tax.toFixed(2)}`));
+      console.log(chalk.white('  Tax refunded:  ') + chalk.red(`$${report.totals.refundedTax.toFixed(2)}`));
+      console.log(chalk.white('  Tax cancelled: ') + chalk.red(`$${report.totals.cancelledTax.toFixed(2)}`));
+      console.log(chalk.white('  Net liability: ') + chalk.bold.green(`$${report.totals.netTax.toFixed(2)}`));
+      console.log('');
+
+    } catch (error) {
+      display.displayError(error.message);
+    }
+  }
+
   async viewOrderStatusDistribution() {
     try {
       const spinner = display.showLoading('Loading order status data...');
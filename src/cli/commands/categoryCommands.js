@@ -0,0 +1,312 @@
+/**
+ * Category Commands
+ */
+
+const inquirer = require('inquirer');
+const chalk = require('chalk');
+const categoryService = require('../../services/CategoryService');
+const display = require('../helpers/display');
+const session = require('../helpers/session');
+
+class CategoryCommands {
+  /**
+   * Browse category tree with product counts
+   */
+  async browseTree() {
+    try {
+      display.clearScreen();
+      console.log(chalk.cyan('\n╔══════════════════════════════════════════════════════════════════════╗'));
+      console.log(chalk.cyan('║') + chalk.bold.white('  CATEGORY TREE'.padEnd(68)) + chalk.cyan('║'));
+      console.log(chalk.cyan('╚══════════════════════════════════════════════════════════════════════╝\n'));
+
+      const spinner = display.showLoading('Loading categories...');
+      const tree = await categoryService.getCategoryTree();
+      spinner.stop();
+
+      if (tree.length === 0) {
+        display.displayWarning('No categories found. Run "npm run seed" or create one.');
+        return;
+      }
+
+      display.displayCategoryTree(tree);
+      console.log('');
+
+    } catch (error) {
+      display.displayError(error.message);
+    }
+  }
+
+  /**
+   * List all categories as a table
+   */
+  async listCategories() {
+    try {
+      const spinner = display.showLoading('Loading categories...');
+      const categories = await categoryService.getAllCategories();
+      spinner.stop();
+
+      display.displayCategories(categories);
+
+    } catch (error) {
+      display.displayError(error.message);
+    }
+  }
+
+  /**
+   * Create a new category
+   */
+  async createCategory() {
+    try {
+      display.clearScreen();
+      console.log(chalk.cyan('\n╔══════════════════════════════════════════════════════════════════════╗'));
+      console.log(chalk.cyan('║') + chalk.bold.white('  CREATE NEW CATEGORY'.padEnd(68)) + chalk.cyan('║'));
+      console.log(chalk.cyan('╚══════════════════════════════════════════════════════════════════════╝\n'));
+
+      const { name } = await inquirer.prompt([{
+        type: 'input',
+        name: 'name',
+        message: 'Category Name:',
+        validate: input => input.trim().length >= 2 || 'Name must be at least 2 characters',
+        filter: input => input.trim()
+      }]);
+
+      const answers = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'slug',
+          message: 'Slug:',
+          default: this.generateSlug(name),
+          validate: input => /^[a-z0-9-]+$/.test(input) || 'Slug must contain only lowercase letters, numbers, and hyphens'
+        },
+        {
+          type: 'input',
+          name: 'description',
+          message: 'Description (optional):',
+          default: ''
+        },
+        {
+          type: 'number',
+          name: 'order',
+          message: 'Display order:',
+          default: 0
+        }
+      ]);
+
+      const parentId = await this.selectCategory('Parent category:', { allowRoot: true });
+
+      const categoryData = { name, ...answers, parentId };
+      if (!categoryData.description) {
+        delete categoryData.description;
+      }
+
+      const spinner = display.showLoading('Creating category...');
+      const category = await categoryService.createCategory(categoryData, session.getActor());
+      spinner.succeed('Category created successfully!');
+
+      this.displayCategoryDetails(category);
+
+    } catch (error) {
+      display.displayError(error.message);
+    }
+  }
+
+  /**
+   * Rename a category (name and optionally slug)
+   */
+  async renameCategory() {
+    try {
+      const categoryId = await this.selectCategory('Category to rename:');
+      if (!categoryId) return;
+
+      const category = await categoryService.getCategoryById(categoryId);
+
+      const { name } = await inquirer.prompt([{
+        type: 'input',
+        name: 'name',
+        message: 'New name:',
+        default: category.name,
+        validate: input => input.trim().length >= 2 || 'Name must be at least 2 characters',
+        filter: input => input.trim()
+      }]);
+
+      const { slug } = await inquirer.prompt([{
+        type: 'input',
+        name: 'slug',
+        message: 'Slug:',
+        default: name === category.name ? category.slug : this.generateSlug(name),
+        validate: input => /^[a-z0-9-]+$/.test(input) || 'Slug must contain only lowercase letters, numbers, and hyphens'
+      }]);
+
+      const updates = {};
+      if (name !== category.name) updates.name = name;
+      if (slug !== category.slug) updates.slug = slug;
+
+      if (Object.keys(updates).length === 0) {
+        display.displayInfo('Nothing to change');
+        return;
+      }
+
+      const spinner = display.showLoading('Updating category...');
+      const updatedCategory = await categoryService.updateCategory(categoryId, updates, session.getActor());
+      spinner.succeed('Category updated successfully!');
+
+      this.displayCategoryDetails(updatedCategory);
+
+    } catch (error) {
+      display.displayError(error.message);
+    }
+  }
+
+  /**
+   * Move a category under a new parent
+   */
+  async moveCategory() {
+    try {
+      const categoryId = await this.selectCategory('Category to move:');
+      if (!categoryId) return;
+
+      const category = await categoryService.getCategoryById(categoryId);
+      console.log(chalk.gray(`\n  Current path: ${category.path}\n`));
+
+      const newParentId = await this.selectCategory('New parent category:', {
+        allowRoot: true,
+        exclude: categoryId
+      });
+
+      const { confirm } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'confirm',
+        message: `Move '${category.name}'?`,
+        default: true
+      }]);
+
+      if (!confirm) {
+        display.displayInfo('Move cancelled');
+        return;
+      }
+
+      const spinner = display.showLoading('Moving category...');
+      const movedCategory = await categoryService.moveCategory(categoryId, newParentId, session.getActor());
+      spinner.succeed('Category moved successfully!');
+
+      this.displayCategoryDetails(movedCategory);
+
+    } catch (error) {
+      display.displayError(error.message);
+    }
+  }
+
+  /**
+   * Delete a category
+   */
+  async deleteCategory() {
+    try {
+      const categoryId = await this.selectCategory('Category to delete:');
+      if (!categoryId) return;
+
+      const category = await categoryService.getCategoryById(categoryId);
+      this.displayCategoryDetails(category);
+
+      const { confirm } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'confirm',
+        message: chalk.red('Are you sure you want to delete this category?'),
+        default: false
+      }]);
+
+      if (!confirm) {
+        display.displayInfo('Deletion cancelled');
+        return;
+      }
+
+      const spinner = display.showLoading('Deleting category...');
+      await categoryService.deleteCategory(categoryId, session.getActor());
+      spinner.succeed('Category deleted successfully!');
+
+    } catch (error) {
+      display.displayError(error.message);
+    }
+  }
+
+  /**
+   * Search categories by name
+   */
+  async searchCategories() {
+    try {
+      const { searchTerm } = await inquirer.prompt([{
+        type: 'input',
+        name: 'searchTerm',
+        message: 'Search categories by name:',
+        validate: input => input.trim().length > 0 || 'Search term is required'
+      }]);
+
+      const spinner = display.showLoading('Searching...');
+      const categories = await categoryService.searchCategories(searchTerm.trim());
+      spinner.stop();
+
+      display.displayCategories(categories);
+
+    } catch (error) {
+      display.displayError(error.message);
+    }
+  }
+
+  /**
+   * Prompt the user to pick a category from the full list.
+   * Returns the category ID as a string, or null for "root"/"back".
+   */
+  async selectCategory(message, { allowRoot = false, exclude = null } = {}) {
+    const categories = await categoryService.getAllCategories();
+
+    const choices = categories
+      .filter(cat => cat._id.toString() !== exclude)
+      .map(cat => ({
+        name: `${'  '.repeat(cat.level)}${cat.name} ${chalk.gray(`(${cat.path})`)}`,
+        value: cat._id.toString()
+      }));
+
+    if (allowRoot) {
+      choices.unshift({ name: chalk.yellow('(none - top level)'), value: null });
+    } else {
+      choices.push({ name: '🔙 Back', value: null });
+    }
+
+    const { categoryId } = await inquirer.prompt([{
+      type: 'list',
+      name: 'categoryId',
+      message,
+      choices,
+      pageSize: 15,
+      loop: false
+    }]);
+
+    return categoryId;
+  }
+
+  displayCategoryDetails(category) {
+    console.log(chalk.cyan('\n╔══════════════════════════════════════════════════════════════════════╗'));
+    console.log(chalk.cyan('║') + chalk.bold.white(`  ${category.name}`.padEnd(68)) + chalk.cyan('║'));
+    console.log(chalk.cyan('╚══════════════════════════════════════════════════════════════════════╝\n'));
+
+    console.log(chalk.gray('  ID:          ') + chalk.white(category._id));
+    console.log(chalk.gray('  Slug:        ') + chalk.white(category.slug));
+    console.log(chalk.gray('  Path:        ') + chalk.white(category.path));
+    console.log(chalk.gray('  Level:       ') + chalk.white(category.level));
+    console.log(chalk.gray('  Products:    ') + chalk.green(category.productCount || 0));
+
+    if (category.description) {
+      console.log(chalk.gray('  Description: ') + chalk.white(category.description));
+    }
+
+    console.log('');
+  }
+
+  generateSlug(text) {
+    return text
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '');
+  }
+}
+
+module.exports = new CategoryCommands();
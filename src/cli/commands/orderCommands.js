@@ -10,28 +10,45 @@
 const inquirer = require('inquirer');
 const chalk = require('chalk');
 const orderService = require('../../services/OrderService');
+const paymentService = require('../../services/PaymentService');
+const shipmentService = require('../../services/ShipmentService');
 const userService = require('../../services/UserService');
 const productService = require('../../services/ProductService');
 const display = require('../helpers/display');
-const { ORDER_STATUS } = require('../../config/constants');
+const session = require('../helpers/session');
+const {
+  ORDER_STATUS,
+  ORDER_RESERVATION,
+  PAYMENT_METHODS,
+  PAYMENT_STATUS,
+  SHIPMENT_STATUS
+} = require('../../config/constants');
+const { PERMISSIONS } = require('../../config/permissions');
 const Table = require('cli-table3');
 
 class OrderCommands {
   /**
-   * Get valid next statuses based on current status
+   * Get valid next statuses based on current status. Once an order has
+   * shipments, its shipping statuses follow them instead.
    */
-  getValidNextStatuses(currentStatus) {
+  getValidNextStatuses(currentStatus, hasShipments = false) {
     const validTransitions = {
       [ORDER_STATUS.PENDING]: [ORDER_STATUS.CONFIRMED, ORDER_STATUS.CANCELLED],
       [ORDER_STATUS.CONFIRMED]: [ORDER_STATUS.PROCESSING, ORDER_STATUS.CANCELLED],
       [ORDER_STATUS.PROCESSING]: [ORDER_STATUS.SHIPPED, ORDER_STATUS.CANCELLED],
-      [ORDER_STATUS.SHIPPED]: [ORDER_STATUS.DELIVERED, ORDER_STATUS.CANCELLED],
+      [ORDER_STATUS.PARTIALLY_SHIPPED]: [],
+      [ORDER_STATUS.SHIPPED]: [ORDER_STATUS.DELIVERED],
+      [ORDER_STATUS.PARTIALLY_DELIVERED]: [],
       [ORDER_STATUS.DELIVERED]: [ORDER_STATUS.REFUNDED],
+      [ORDER_STATUS.PARTIALLY_RETURNED]: [ORDER_STATUS.REFUNDED],
       [ORDER_STATUS.CANCELLED]: [],
       [ORDER_STATUS.REFUNDED]: []
     };
 
-    return validTransitions[currentStatus] || [];
+    const statuses = validTransitions[currentStatus] || [];
+    return hasShipments
+      ? statuses.filter(status => ![ORDER_STATUS.SHIPPED, ORDER_STATUS.DELIVERED].includes(status))
+      : statuses;
   }
 
   /**
@@ -44,15 +61,20 @@ class OrderCommands {
       console.log(chalk.cyan('║') + chalk.bold.white('  CREATE NEW ORDER'.padEnd(68)) + chalk.cyan('║'));
       console.log(chalk.cyan('╚══════════════════════════════════════════════════════════════════════╝\n'));
 
-      // Step 1: Get user
-      const { userEmail } = await inquirer.prompt([{
-        type: 'input',
-        name: 'userEmail',
-        message: 'Customer Email:',
-        validate: input => input.includes('@') || 'Invalid email'
-      }]);
+      // Step 1: Get user (customers always order for themselves)
+      let user;
+      if (session.can(PERMISSIONS.ORDER_CREATE_ANY)) {
+        const { userEmail } = await inquirer.prompt([{
+          type: 'input',
+          name: 'userEmail',
+          message: 'Customer Email:',
+          validate: input => input.includes('@') || 'Invalid email'
+        }]);
 
-      const user = await userService.getUserByEmail(userEmail);
+        user = await userService.getUserByEmail(userEmail);
+      } else {
+        user = await userService.getUserById(session.getUser()._id);
+      }
       
       console.log(chalk.green(`\n✓ Customer: ${user.firstName} ${user.lastName}`));
 
@@ -83,14 +105,35 @@ class OrderCommands {
 
         // Verify product
         const product = await productService.getProductById(productId);
-        
-        items.push({
-          productId,
-          quantity,
-          price: product.price
-        });
 
-        console.log(chalk.green(`✓ Added: ${product.name} x${quantity}`));
+        if (product.variants?.length > 0) {
+          // Variant items are priced by the order service from the variant
+          const { variantSku } = await inquirer.prompt([{
+            type: 'list',
+            name: 'variantSku',
+            message: 'Variant:',
+            choices: product.variants.map(v => ({
+              name: `${v.name} - $${v.price.toFixed(2)} (available: ${v.available ?? v.quantity})`,
+              value: v.sku
+            }))
+          }]);
+
+          items.push({
+            productId,
+            quantity,
+            variant: { sku: variantSku }
+          });
+
+          const variant = product.variants.find(v => v.sku === variantSku);
+          console.log(chalk.green(`✓ Added: ${product.name} (${variant.name}) x${quantity}`));
+        } else {
+          items.push({
+            productId,
+            quantity
+          });
+
+          console.log(chalk.green(`✓ Added: ${product.name} x${quantity}`));
+        }
 
         const { more } = await inquirer.prompt([{
           type: 'confirm',
@@ -141,7 +184,7 @@ class OrderCommands {
         type: 'list',
         name: 'paymentMethod',
         message: 'Payment Method:',
-        choices: ['CARD', 'COD', 'UPI', 'NET_BANKING']
+        choices: Object.values(PAYMENT_METHODS)
       }]);
 
       // Step 5: Create order
@@ -165,7 +208,7 @@ class OrderCommands {
       };
 
       const spinner = display.showLoading('Creating order...');
-      const order = await orderService.createOrder(orderData);
+      const order = await orderService.createOrder(orderData, session.getActor());
       spinner.succeed('Order created successfully!');
 
       this.displayOrderDetails(order);
@@ -191,11 +234,7 @@ class OrderCommands {
       
       let order;
       try {
-        if (orderInput.startsWith('ORD-')) {
-          order = await orderService.getOrderByNumber(orderInput);
-        } else {
-          order = await orderService.getOrderById(orderInput);
-        }
+        order = await orderService.getOrderByReference(orderInput, session.getActor());
         spinner.succeed('Order loaded');
       } catch (error) {
         spinner.fail('Failed to load order');
@@ -227,16 +266,17 @@ class OrderCommands {
 
     console.log(chalk.gray('\n  Items:'));
     const itemTable = new Table({
-      head: [chalk.cyan('Product'), chalk.cyan('Qty'), chalk.cyan('Price'), chalk.cyan('Subtotal')],
-      colWidths: [35, 8, 12, 12]
+      head: [chalk.cyan('Product'), chalk.cyan('Qty'), chalk.cyan('Price'), chalk.cyan('Subtotal'), chalk.cyan('Tax')],
+      colWidths: [35, 16, 12, 12, 12]
     });
 
     order.items.forEach(item => {
       itemTable.push([
-        chalk.white(item.name),
-        chalk.white(item.quantity),
+        chalk.white(item.variant ? `${item.name} (${item.variant.name})` : item.name),
+        chalk.white(item.quantityReturned ? `${item.quantity} (${item.quantityReturned} returned)` : item.quantity),
         chalk.green(`$${item.price.toFixed(2)}`),
-        chalk.green(`$${item.subtotal.toFixed(2)}`)
+        chalk.green(`$${item.subtotal.toFixed(2)}`),
+        chalk.white(item.tax ? `$${item.tax.amount.toFixed(2)}` : '-')
       ]);
     });
 
@@ -244,10 +284,41 @@ class OrderCommands {
 
     console.log(chalk.gray('\n  Pricing:'));
     console.log(chalk.gray('    Subtotal:   ') + chalk.white(`$${order.pricing.subtotal.toFixed(2)}`));
-    console.log(chalk.gray('    Tax:        ') + chalk.white(`$${order.pricing.tax.toFixed(2)}`));
+    console.log(
+      chalk.gray('    Tax:        ') + chalk.white(`$${order.pricing.tax.toFixed(2)}`) +
+      chalk.gray(`${order.pricing.taxIncluded ? ' (included in prices)' : ''}${order.taxJurisdiction ? ` - ${order.taxJurisdiction}` : ''}`)
+    );
     console.log(chalk.gray('    Shipping:   ') + chalk.white(`$${order.pricing.shipping.toFixed(2)}`));
     console.log(chalk.gray('    Total:      ') + chalk.green.bold(`$${order.pricing.total.toFixed(2)}`));
 
+    if (order.payment) {
+      console.log(chalk.gray('\n  Payment:'));
+      console.log(chalk.gray('    Method:     ') + chalk.white(order.payment.method));
+      console.log(chalk.gray('    Status:     ') + chalk.white(order.payment.status));
+      if (order.payment.capturedAmount) {
+        console.log(chalk.gray('    Captured:   ') + chalk.white(`$${order.payment.capturedAmount.toFixed(2)}`));
+      }
+      if (order.payment.invoiceNumber) {
+        console.log(chalk.gray('    Invoice:    ') + chalk.white(order.payment.invoiceNumber));
+      }
+      if (order.payment.refundedAmount) {
+        console.log(chalk.gray('    Refunded:   ') + chalk.white(`$${order.payment.refundedAmount.toFixed(2)}`));
+      }
+    }
+
+    if ((order.shipments || []).length > 0) {
+      console.log(chalk.gray('\n  Shipments:'));
+      order.shipments.forEach(shipment => {
+        const items = shipment.items.map(i => `${i.variantSku || i.sku} x${i.quantity}`).join(', ');
+        const tracking = [shipment.carrier, shipment.trackingNumber].filter(Boolean).join(' ');
+        console.log(
+          chalk.white(`    ${shipment.shipmentNumber}  `) +
+          (shipment.status === SHIPMENT_STATUS.DELIVERED ? chalk.green(shipment.status) : chalk.magenta(shipment.status)) +
+          chalk.gray(`  ${items}${tracking ? `  (${tracking})` : ''}`)
+        );
+      });
+    }
+
     console.log(chalk.gray('\n  Shipping Address:'));
     console.log(chalk.white(`    ${order.shippingAddress.street}`));
     console.log(chalk.white(`    ${order.shippingAddress.city}, ${order.shippingAddress.state} ${order.shippingAddress.postalCode}`));
@@ -255,6 +326,131 @@ class OrderCommands {
     console.log('');
   }
 
+  /**
+   * Show an order's payment and authorize, capture, refund or void it
+   */
+  async managePayment() {
+    try {
+      const { orderInput } = await inquirer.prompt([{
+        type: 'input',
+        name: 'orderInput',
+        message: 'Enter Order Number or ID:',
+        validate: input => input.length > 0 || 'Required'
+      }]);
+
+      const order = await orderService.getOrderByReference(orderInput, session.getActor());
+      const orderId = order._id.toString();
+
+      const payment = await paymentService.getPayment(orderId, session.getActor());
+      this.displayPayment(payment);
+
+      const actions = {
+        [PAYMENT_STATUS.PENDING]: ['authorize'],
+        [PAYMENT_STATUS.FAILED]: ['authorize'],
+        [PAYMENT_STATUS.AUTHORIZED]: ['capture', 'void'],
+        [PAYMENT_STATUS.CAPTURED]: ['refund'],
+        [PAYMENT_STATUS.PARTIALLY_REFUNDED]: ['refund']
+      }[payment.status] || [];
+
+      if (actions.length === 0) {
+        display.displayInfo(`Nothing more can be done with a ${payment.status} payment`);
+        return;
+      }
+
+      const { choice } = await inquirer.prompt([{
+        type: 'list',
+        name: 'choice',
+        message: 'Action:',
+        choices: [
+          ...actions.map(a => ({ name: a.charAt(0).toUpperCase() + a.slice(1), value: a })),
+          { name: 'Back', value: null }
+        ]
+      }]);
+
+      if (!choice) return;
+
+      let options = {};
+      if (choice === 'capture' || choice === 'refund') {
+        const limit = choice === 'capture' ? payment.capturable : payment.refundable;
+        options = await inquirer.prompt([
+          {
+            type: 'number',
+            name: 'amount',
+            message: `Amount to ${choice}:`,
+            default: limit,
+            validate: input => (input > 0 && input <= limit) || `Enter an amount up to $${limit.toFixed(2)}`
+          },
+          {
+            type: 'input',
+            name: 'reason',
+            message: 'Refund reason:',
+            default: '',
+            when: () => choice === 'refund'
+          }
+        ]);
+      }
+
+      const spinner = display.showLoading('Contacting payment provider...');
+      try {
+        switch (choice) {
+          case 'authorize':
+            await paymentService.authorizePayment(orderId, session.getActor());
+            break;
+          case 'capture':
+            await paymentService.capturePayment(orderId, options, session.getActor());
+            break;
+          case 'refund':
+            await paymentService.refundPayment(orderId, options, session.getActor());
+            break;
+          case 'void':
+            await paymentService.voidPayment(orderId, session.getActor());
+            break;
+        }
+        spinner.stop();
+      } catch (error) {
+        spinner.fail('Payment operation failed');
+        throw error;
+      }
+
+      this.displayPayment(await paymentService.getPayment(orderId, session.getActor()));
+
+    } catch (error) {
+      display.displayError(error.message);
+    }
+  }
+
+  displayPayment(payment) {
+    console.log(chalk.cyan(`\n  ${payment.orderNumber}`) + chalk.gray(` - order ${payment.orderStatus}`));
+    console.log(chalk.gray('  Method:     ') + chalk.white(`${payment.method} via ${payment.provider}`));
+    console.log(chalk.gray('  Status:     ') + chalk.white(payment.status));
+    console.log(chalk.gray('  Authorized: ') + chalk.white(`$${payment.authorizedAmount.toFixed(2)}`));
+    console.log(chalk.gray('  Captured:   ') + chalk.white(`$${payment.capturedAmount.toFixed(2)}`));
+    console.log(chalk.gray('  Refunded:   ') + chalk.white(`$${payment.refundedAmount.toFixed(2)}`));
+    if (payment.invoiceNumber) {
+      console.log(chalk.gray('  Invoice:    ') + chalk.white(payment.invoiceNumber));
+    }
+
+    if (payment.events.length === 0) return;
+
+    const table = new Table({
+      head: [chalk.cyan('Date'), chalk.cyan('Operation'), chalk.cyan('Amount'), chalk.cyan('Result'), chalk.cyan('Document'), chalk.cyan('Message')],
+      colWidths: [22, 12, 12, 10, 18, 30]
+    });
+
+    payment.events.forEach(event => {
+      table.push([
+        chalk.white(new Date(event.at).toLocaleString()),
+        chalk.white(event.operation),
+        chalk.white(`$${event.amount.toFixed(2)}`),
+        event.success ? chalk.green('approved') : chalk.red('declined'),
+        chalk.white(event.invoiceNumber || event.creditNoteNumber || ''),
+        chalk.gray((event.note || event.message || '').substring(0, 28))
+      ]);
+    });
+
+    console.log('\n' + table.toString() + '\n');
+  }
+
   /**
    * Update order status - FIXED: Show only valid transitions
    */
@@ -270,21 +466,19 @@ class OrderCommands {
       }]);
 
       // Load order
-      let order;
-      if (orderInput.startsWith('ORD-')) {
-        order = await orderService.getOrderByNumber(orderInput);
-      } else {
-        order = await orderService.getOrderById(orderInput);
-      }
+      const order = await orderService.getOrderByReference(orderInput, session.getActor());
       spinner.succeed('Order loaded');
 
       console.log(chalk.white(`\nCurrent Status: `) + this.getStatusBadge(order.status));
 
       // Get valid next statuses
-      const validStatuses = this.getValidNextStatuses(order.status);
+      const hasShipments = (order.shipments || []).length > 0;
+      const validStatuses = this.getValidNextStatuses(order.status, hasShipments);
 
       if (validStatuses.length === 0) {
-        display.displayWarning(`Order status ${order.status} cannot be changed anymore.`);
+        display.displayWarning(hasShipments
+          ? `Order status ${order.status} follows its shipments; use Ship Order to send or deliver them.`
+          : `Order status ${order.status} cannot be changed anymore.`);
         return;
       }
 
@@ -326,7 +520,7 @@ class OrderCommands {
         order._id.toString(),
         newStatus,
         note,
-        'ADMIN'
+        session.getActor()
       );
       updateSpinner.succeed('Status updated successfully!');
 
@@ -355,13 +549,8 @@ class OrderCommands {
 
       const spinner = display.showLoading('Loading orders...');
       
-      let orders;
-      if (status) {
-        orders = await orderService.getOrdersByStatus(status, { limit: 20 });
-      } else {
-        const result = await orderService.searchOrders({ limit: 20 });
-        orders = result.orders;
-      }
+      // searchOrders scopes customers to their own orders
+      const { orders } = await orderService.searchOrders({ status, limit: 20 }, session.getActor());
       
       spinner.stop();
 
@@ -434,15 +623,10 @@ class OrderCommands {
 
       const spinner = display.showLoading('Cancelling order...');
       
-      let orderId;
-      if (orderInput.startsWith('ORD-')) {
-        const order = await orderService.getOrderByNumber(orderInput);
-        orderId = order._id.toString();
-      } else {
-        orderId = orderInput;
-      }
+      const order = await orderService.getOrderByReference(orderInput, session.getActor());
+      const orderId = order._id.toString();
 
-      await orderService.cancelOrder(orderId, reason, 'ADMIN');
+      await orderService.cancelOrder(orderId, reason, session.getActor());
       spinner.succeed('Order cancelled successfully!');
 
     } catch (error) {
@@ -450,13 +634,301 @@ class OrderCommands {
     }
   }
 
+  /**
+   * Send some or all of an order's unshipped items, or mark one of its
+   * shipments delivered
+   */
+  async shipOrder() {
+    try {
+      const { orderInput } = await inquirer.prompt([{
+        type: 'input',
+        name: 'orderInput',
+        message: 'Enter Order Number or ID:',
+        validate: input => input.length > 0 || 'Required'
+      }]);
+
+      const order = await orderService.getOrderByReference(orderInput, session.getActor());
+
+      this.displayOrderDetails(order);
+
+      const unshipped = order.items.filter(item => item.quantity > (item.quantityShipped || 0));
+      const inTransit = (order.shipments || []).filter(s => s.status === SHIPMENT_STATUS.SHIPPED);
+
+      const choices = [
+        ...(unshipped.length > 0 ? [{ name: 'Ship items', value: 'ship' }] : []),
+        ...inTransit.map(s => ({ name: `Mark ${s.shipmentNumber} delivered`, value: s.shipmentNumber })),
+        { name: 'Back', value: null }
+      ];
+
+      if (choices.length === 1) {
+        display.displayInfo('Every item has shipped and every shipment has been delivered');
+        return;
+      }
+
+      const { choice } = await inquirer.prompt([{
+        type: 'list',
+        name: 'choice',
+        message: 'Action:',
+        choices
+      }]);
+
+      if (!choice) return;
+
+      if (choice !== 'ship') {
+        const spinner = display.showLoading('Marking delivered...');
+        const updated = await shipmentService.markDelivered(choice, session.getActor());
+        spinner.succeed(`${choice} delivered; order is ${updated.status}`);
+        return;
+      }
+
+      const { selected } = await inquirer.prompt([{
+        type: 'checkbox',
+        name: 'selected',
+        message: 'Items in this shipment:',
+        choices: unshipped.map(item => ({
+          name: `${item.variant ? `${item.name} (${item.variant.name})` : item.name} - ${item.quantity - (item.quantityShipped || 0)} to ship`,
+          value: item,
+          checked: true
+        })),
+        validate: input => input.length > 0 || 'Choose at least one item'
+      }]);
+
+      const items = [];
+      for (const item of selected) {
+        const max = item.quantity - (item.quantityShipped || 0);
+        const { quantity } = await inquirer.prompt([{
+          type: 'number',
+          name: 'quantity',
+          message: `Quantity of ${item.variant?.sku || item.sku}:`,
+          default: max,
+          validate: input => (Number.isInteger(input) && input > 0 && input <= max) || `Enter 1 to ${max}`
+        }]);
+        items.push({ sku: item.variant?.sku || item.sku, quantity });
+      }
+
+      const { carrier, trackingNumber } = await inquirer.prompt([
+        { type: 'input', name: 'carrier', message: 'Carrier (optional):', default: '' },
+        { type: 'input', name: 'trackingNumber', message: 'Tracking number (optional):', default: '' }
+      ]);
+
+      const spinner = display.showLoading('Recording shipment...');
+      const updated = await shipmentService.createShipment(
+        order._id.toString(),
+        { items, carrier, trackingNumber },
+        session.getActor()
+      );
+      const shipment = updated.shipments[updated.shipments.length - 1];
+      spinner.succeed(`${shipment.shipmentNumber} sent; order is ${updated.status}`);
+
+    } catch (error) {
+      display.displayError(error.message);
+    }
+  }
+
+  /**
+   * Collect line and address changes to a PENDING or CONFIRMED order, then
+   * apply them in one amendment
+   */
+  async amendOrder() {
+    try {
+      const { orderInput } = await inquirer.prompt([{
+        type: 'input',
+        name: 'orderInput',
+        message: 'Enter Order Number or ID:',
+        validate: input => input.length > 0 || 'Required'
+      }]);
+
+      const order = await orderService.getOrderByReference(orderInput, session.getActor());
+
+      if (![ORDER_STATUS.PENDING, ORDER_STATUS.CONFIRMED].includes(order.status)) {
+        display.displayWarning(`Order is ${order.status}; only PENDING or CONFIRMED orders can be amended`);
+        return;
+      }
+
+      this.displayOrderDetails(order);
+
+      const lines = new Map();
+      let shippingAddress = null;
+      let editing = true;
+
+      while (editing) {
+        const { choice } = await inquirer.prompt([{
+          type: 'list',
+          name: 'choice',
+          message: `Amend ${order.orderNumber}${lines.size > 0 || shippingAddress ? chalk.gray(' (changes pending)') : ''}:`,
+          choices: [
+            { name: 'Change or remove an item', value: 'change' },
+            { name: 'Add an item', value: 'add' },
+            { name: 'Change the shipping address', value: 'address' },
+            { name: 'Save changes', value: 'save' },
+            { name: 'Discard changes', value: null }
+          ]
+        }]);
+
+        switch (choice) {
+          case 'change': {
+            const { sku, quantity } = await inquirer.prompt([
+              {
+                type: 'list',
+                name: 'sku',
+                message: 'Item:',
+                choices: order.items.map(item => {
+                  const sku = item.variant?.sku || item.sku;
+                  return { name: `${sku} - ${item.name} x${lines.get(sku) ?? item.quantity}`, value: sku };
+                })
+              },
+              {
+                type: 'number',
+                name: 'quantity',
+                message: 'New quantity (0 removes the item):',
+                validate: input => (Number.isInteger(input) && input >= 0) || 'Enter a whole number of zero or more'
+              }
+            ]);
+            lines.set(sku, quantity);
+            break;
+          }
+
+          case 'add': {
+            const { sku, quantity } = await inquirer.prompt([
+              {
+                type: 'input',
+                name: 'sku',
+                message: 'Product or variant SKU:',
+                filter: input => input.trim().toUpperCase(),
+                validate: input => input.length > 0 || 'Required'
+              },
+              {
+                type: 'number',
+                name: 'quantity',
+                message: 'Quantity:',
+                default: 1,
+                validate: input => (Number.isInteger(input) && input > 0) || 'Enter a positive whole number'
+              }
+            ]);
+            lines.set(sku, quantity);
+            break;
+          }
+
+          case 'address': {
+            const current = shippingAddress || order.shippingAddress || {};
+            shippingAddress = await inquirer.prompt(['street', 'city', 'state', 'postalCode', 'country'].map(field => ({
+              type: 'input',
+              name: field,
+              message: `${field === 'postalCode' ? 'Postal Code' : field.charAt(0).toUpperCase() + field.slice(1)}:`,
+              default: current[field],
+              validate: input => input.length > 0 || 'Required'
+            })));
+            break;
+          }
+
+          case 'save':
+            editing = false;
+            break;
+
+          default:
+            display.displayInfo('Amendment discarded');
+            return;
+        }
+      }
+
+      if (lines.size === 0 && !shippingAddress) {
+        display.displayInfo('Nothing to change');
+        return;
+      }
+
+      const { note } = await inquirer.prompt([{
+        type: 'input',
+        name: 'note',
+        message: 'Note (optional):',
+        default: ''
+      }]);
+
+      const spinner = display.showLoading('Amending order...');
+      const amended = await orderService.amendOrder(order._id.toString(), {
+        ...(lines.size > 0 ? { items: [...lines].map(([sku, quantity]) => ({ sku, quantity })) } : {}),
+        ...(shippingAddress ? { shippingAddress } : {}),
+        note
+      }, session.getActor());
+      spinner.succeed(
+        `Order amended: total $${order.pricing.total.toFixed(2)} -> $${amended.pricing.total.toFixed(2)}`
+      );
+
+      this.displayOrderDetails(amended);
+
+    } catch (error) {
+      display.displayError(error.message);
+    }
+  }
+
+  /**
+   * Preview PENDING orders past the reservation TTL, then cancel them to
+   * release their stock
+   */
+  async expireReservations() {
+    try {
+      const { ttlMinutes } = await inquirer.prompt([{
+        type: 'number',
+        name: 'ttlMinutes',
+        message: 'Cancel PENDING orders older than (minutes):',
+        default: ORDER_RESERVATION.TTL_MINUTES,
+        validate: input => (Number.isInteger(input) && input > 0) || 'Enter a whole number of minutes'
+      }]);
+
+      const spinner = display.showLoading('Finding expired reservations...');
+      const preview = await orderService.expireReservations({ ttlMinutes, dryRun: true }, session.getActor());
+      spinner.stop();
+
+      if (preview.expired.length === 0) {
+        display.displayInfo('No PENDING orders have outlived their reservation');
+        return;
+      }
+
+      const table = new Table({
+        head: [chalk.cyan('Order #'), chalk.cyan('Created'), chalk.cyan('Items'), chalk.cyan('Units')],
+        colWidths: [22, 22, 8, 8]
+      });
+
+      preview.expired.forEach(order => {
+        table.push([
+          chalk.white(order.orderNumber),
+          chalk.white(new Date(order.createdAt).toLocaleString()),
+          chalk.white(order.released.length),
+          chalk.white(order.released.reduce((sum, r) => sum + r.quantity, 0))
+        ]);
+      });
+
+      console.log('\n' + table.toString() + '\n');
+
+      const { confirm } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'confirm',
+        message: chalk.red(`Cancel ${preview.totals.orders} order(s) and release ${preview.totals.units} unit(s)?`),
+        default: false
+      }]);
+
+      if (!confirm) {
+        display.displayInfo('Nothing cancelled');
+        return;
+      }
+
+      const releasing = display.showLoading('Cancelling expired orders...');
+      const result = await orderService.expireReservations({ ttlMinutes }, session.getActor());
+      releasing.succeed(`Cancelled ${result.totals.orders} order(s), released ${result.totals.units} unit(s)`);
+
+      result.failed.forEach(f => display.displayWarning(`${f.orderNumber}: ${f.error}`));
+
+    } catch (error) {
+      display.displayError(error.message);
+    }
+  }
+
   /**
    * View order statistics
    */
   async viewOrderStats() {
     try {
       const spinner = display.showLoading('Calculating statistics...');
-      const stats = await orderService.getOrderStats();
+      const stats = await orderService.getOrderStats(session.getActor());
       spinner.stop();
 
       console.log(chalk.cyan('\n╔══════════════════════════════════════════════════════════════════════╗'));
@@ -491,8 +963,11 @@ class OrderCommands {
       [ORDER_STATUS.PENDING]: chalk.yellow('● PENDING'),
       [ORDER_STATUS.CONFIRMED]: chalk.blue('● CONFIRMED'),
       [ORDER_STATUS.PROCESSING]: chalk.cyan('● PROCESSING'),
+      [ORDER_STATUS.PARTIALLY_SHIPPED]: chalk.magenta('● PARTIALLY SHIPPED'),
       [ORDER_STATUS.SHIPPED]: chalk.magenta('● SHIPPED'),
+      [ORDER_STATUS.PARTIALLY_DELIVERED]: chalk.green('● PARTIALLY DELIVERED'),
       [ORDER_STATUS.DELIVERED]: chalk.green('● DELIVERED'),
+      [ORDER_STATUS.PARTIALLY_RETURNED]: chalk.yellow('● PARTIALLY RETURNED'),
       [ORDER_STATUS.CANCELLED]: chalk.red('● CANCELLED'),
       [ORDER_STATUS.REFUNDED]: chalk.gray('● REFUNDED')
     };
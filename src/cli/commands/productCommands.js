@@ -5,9 +5,17 @@
 const inquirer = require('inquirer');
 const productService = require('../../services/ProductService');
 const categoryService = require('../../services/CategoryService');
+const importService = require('../../services/ImportService');
+const exportService = require('../../services/ExportService');
+const locationService = require('../../services/LocationService');
+const reconciliationService = require('../../services/ReconciliationService');
 const display = require('../helpers/display');
+const session = require('../helpers/session');
+const fs = require('fs');
 const chalk = require('chalk');
-const { PRODUCT_STATUS } = require('../../config/constants');
+const Table = require('cli-table3');
+const { PRODUCT_STATUS, ADJUSTMENT_REASONS, WRITE_OFF_REASONS, SALE_REASONS, TRANSACTION_TYPES } = require('../../config/constants');
+const { PERMISSIONS } = require('../../config/permissions');
 
 class ProductCommands {
   async listAllProducts() {
@@ -176,7 +184,7 @@ class ProductCommands {
       delete productData.quantity;
 
       const spinner = display.showLoading('Creating product...');
-      const product = await productService.createProduct(productData);
+      const product = await productService.createProduct(productData, session.getActor());
       spinner.succeed('Product created successfully!');
 
       display.displayProductDetails(product);
@@ -408,7 +416,7 @@ class ProductCommands {
       }
 
       const updateSpinner = display.showLoading('Updating product...');
-      const updatedProduct = await productService.updateProduct(productId, updates);
+      const updatedProduct = await productService.updateProduct(productId, updates, session.getActor());
       updateSpinner.succeed('Product updated successfully!');
 
       display.displayProductDetails(updatedProduct);
@@ -445,7 +453,7 @@ class ProductCommands {
       }
 
       const deleteSpinner = display.showLoading('Deleting product...');
-      await productService.deleteProduct(productId);
+      await productService.deleteProduct(productId, session.getActor());
       deleteSpinner.succeed('Product deleted successfully!');
 
     } catch (error) {
@@ -473,26 +481,140 @@ class ProductCommands {
         message: 'Select action:',
         choices: [
           { name: '➕ Add Stock', value: 'add' },
-          { name: '➖ Remove Stock', value: 'remove' },
+          { name: '➖ Record Sale (outside orders)', value: 'remove' },
+          { name: '🛠️  Adjust Stock (found, lost, ...)', value: 'adjust' },
+          { name: '🗑️  Write Off Damaged', value: 'write_off' },
+          { name: '🔢 Record Physical Count', value: 'count' },
+          { name: '🔀 Transfer Between Locations', value: 'transfer' },
           { name: '🔙 Back', value: 'back' }
         ]
       }]);
 
       if (action === 'back') return;
 
-      const { quantity } = await inquirer.prompt([{
-        type: 'number',
-        name: 'quantity',
-        message: `Quantity to ${action}:`,
-        validate: input => input > 0 || 'Quantity must be positive'
-      }]);
+      // Products with variants keep stock per variant
+      let variantSku = null;
+      if (product.variants?.length > 0) {
+        ({ variantSku } = await inquirer.prompt([{
+          type: 'list',
+          name: 'variantSku',
+          message: 'Variant:',
+          choices: product.variants.map(v => ({
+            name: `${v.sku} - ${v.name} (available: ${v.available ?? v.quantity})`,
+            value: v.sku
+          }))
+        }]));
+      }
+
+      const stock = product.variants?.find(v => v.sku === variantSku) || product.inventory;
+      // Sets up the default location on first use
+      await locationService.getDefaultLocation();
+      const locations = await locationService.listLocations();
+
+      if (action === 'transfer' && locations.length < 2) {
+        display.displayInfo('Transfers need at least two active locations');
+        return;
+      }
+
+      const locationChoices = locations.map(location => ({
+        name: `${location.code} - ${location.name} (available: ${productService.availableAt(stock, location.code)})`,
+        value: location.code
+      }));
+
+      const { location, destination } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'location',
+          message: action === 'transfer' ? 'From location:' : 'Location:',
+          choices: locationChoices
+        },
+        {
+          type: 'list',
+          name: 'destination',
+          message: 'To location:',
+          choices: answers => locationChoices.filter(choice => choice.value !== answers.location),
+          when: () => action === 'transfer'
+        }
+      ]);
+
+      const answers = await inquirer.prompt([
+        {
+          type: 'number',
+          name: 'quantity',
+          message: {
+            adjust: 'Change (negative to remove):',
+            write_off: 'Quantity to write off:',
+            count: `Units counted at ${location}:`
+          }[action] || `Quantity to ${action}:`,
+          validate: input => {
+            if (!Number.isInteger(input)) return 'Enter a whole number';
+            if (action === 'adjust') return input !== 0 || 'Change must not be zero';
+            if (action === 'count') return input >= 0 || 'Count cannot be negative';
+            return input > 0 || 'Quantity must be positive';
+          }
+        },
+        {
+          type: 'list',
+          name: 'reason',
+          message: 'Reason:',
+          choices: Object.values({ write_off: WRITE_OFF_REASONS, remove: SALE_REASONS }[action] || ADJUSTMENT_REASONS)
+            .filter(reason => ![ADJUSTMENT_REASONS.COUNT_CORRECTION, ADJUSTMENT_REASONS.RECONCILIATION].includes(reason)),
+          when: () => ['adjust', 'write_off', 'remove'].includes(action)
+        },
+        {
+          type: 'input',
+          name: 'notes',
+          message: 'Notes (optional):',
+          default: '',
+          when: () => ['adjust', 'write_off', 'remove', 'count'].includes(action)
+        }
+      ]);
+      const { quantity, reason, notes } = answers;
+
+      const spinnerText = {
+        add: 'Adding',
+        remove: 'Removing',
+        adjust: 'Adjusting',
+        write_off: 'Writing off',
+        count: 'Recording count of',
+        transfer: 'Transferring'
+      }[action];
+      const inventorySpinner = display.showLoading(`${spinnerText} stock...`);
+
+      const actor = session.getActor();
+      const stockOptions = { variantSku, location };
+      let updatedProduct;
+
+      switch (action) {
+        case 'transfer':
+          ({ product: updatedProduct } = await productService.transferStock(productId, quantity, {
+            from: location,
+            to: destination,
+            variantSku
+          }, actor));
+          break;
+        case 'add':
+          updatedProduct = await productService.addStock(productId, quantity, stockOptions, actor);
+          break;
+        case 'remove':
+          updatedProduct = await productService.removeStock(productId, quantity, { ...stockOptions, reason, notes }, actor);
+          break;
+        case 'adjust':
+          updatedProduct = await productService.adjustStock(productId, quantity, { ...stockOptions, reason, notes }, actor);
+          break;
+        case 'write_off':
+          updatedProduct = await productService.writeOffDamaged(productId, quantity, { ...stockOptions, reason, notes }, actor);
+          break;
+        case 'count': {
+          const result = await productService.countStock(productId, quantity, { ...stockOptions, notes }, actor);
+          updatedProduct = result.product;
+          display.displayInfo(result.difference === 0
+            ? 'Count matches the record'
+            : `Record corrected from ${result.previous} to ${result.counted} (${result.difference > 0 ? '+' : ''}${result.difference})`);
+          break;
+        }
+      }
 
-      const inventorySpinner = display.showLoading(`${action === 'add' ? 'Adding' : 'Removing'} stock...`);
-      
-      const updatedProduct = action === 'add'
-        ? await productService.addStock(productId, quantity)
-        : await productService.removeStock(productId, quantity);
-        
       inventorySpinner.succeed('Inventory updated successfully!');
 
       display.displayProductDetails(updatedProduct);
@@ -502,6 +624,122 @@ class ProductCommands {
     }
   }
 
+  /**
+   * Bulk import products from a CSV or JSON file
+   */
+  async importProducts() {
+    try {
+      display.clearScreen();
+      console.log(chalk.cyan('\n╔══════════════════════════════════════════════════════════════════════╗'));
+      console.log(chalk.cyan('║') + chalk.bold.white('  IMPORT PRODUCTS'.padEnd(68)) + chalk.cyan('║'));
+      console.log(chalk.cyan('╚══════════════════════════════════════════════════════════════════════╝\n'));
+      console.log(chalk.gray('  CSV or JSON; rows are matched to existing products by SKU.\n'));
+
+      const { filePath, dryRun } = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'filePath',
+          message: 'Path to .csv or .json file:',
+          validate: input => input.trim().length > 0 || 'File path is required',
+          filter: input => input.trim()
+        },
+        {
+          type: 'confirm',
+          name: 'dryRun',
+          message: 'Dry run (validate only, write nothing)?',
+          default: true
+        }
+      ]);
+
+      const rows = importService.readFile(filePath);
+
+      const spinner = display.showLoading(`${dryRun ? 'Validating' : 'Importing'} ${rows.length} rows...`);
+      const report = await importService.importProducts(rows, { dryRun }, session.getActor());
+      spinner.stop();
+
+      console.log(chalk.gray('\n  Rows:     ') + chalk.white(report.total));
+      console.log(chalk.gray('  Valid:    ') + chalk.white(report.valid));
+      console.log(chalk.gray(dryRun ? '  Would create: ' : '  Created:  ') + chalk.green(report.created));
+      console.log(chalk.gray(dryRun ? '  Would update: ' : '  Updated:  ') + chalk.green(report.updated));
+      console.log(chalk.gray('  Failed:   ') + (report.failed > 0 ? chalk.red(report.failed) : chalk.white(0)));
+
+      if (report.errors.length > 0) {
+        const table = new Table({
+          head: [chalk.cyan('Row'), chalk.cyan('SKU'), chalk.cyan('Errors')],
+          colWidths: [8, 20, 60],
+          wordWrap: true
+        });
+
+        report.errors.slice(0, 50).forEach(error => {
+          table.push([error.row, error.sku || '', chalk.red(error.messages.join('\n'))]);
+        });
+
+        console.log('\n' + table.toString());
+
+        if (report.errors.length > 50) {
+          display.displayWarning(`${report.errors.length - 50} more rows failed. Use "shopvault product import --report" for the full list.`);
+        }
+      }
+
+      if (dryRun) {
+        display.displayInfo('Dry run - no changes were written');
+      } else {
+        display.displaySuccess('Import finished');
+      }
+
+    } catch (error) {
+      display.displayError(error.message);
+    }
+  }
+
+  async exportProducts() {
+    try {
+      display.clearScreen();
+      console.log(chalk.cyan('\n╔══════════════════════════════════════════════════════════════════════╗'));
+      console.log(chalk.cyan('║') + chalk.bold.white('  EXPORT PRODUCTS'.padEnd(68)) + chalk.cyan('║'));
+      console.log(chalk.cyan('╚══════════════════════════════════════════════════════════════════════╝\n'));
+      console.log(chalk.gray('  Format follows the extension: .csv, .json or .ndjson\n'));
+
+      const { filePath, status } = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'filePath',
+          message: 'Output file:',
+          default: 'products.csv',
+          filter: input => input.trim()
+        },
+        {
+          type: 'list',
+          name: 'status',
+          message: 'Status:',
+          choices: [{ name: 'All', value: null }, ...Object.values(PRODUCT_STATUS)]
+        }
+      ]);
+
+      const format = exportService.resolveFormat(filePath);
+      const stream = fs.createWriteStream(filePath);
+
+      const spinner = display.showLoading('Exporting products...');
+      try {
+        const result = await exportService.exportProducts(
+          { status },
+          { format, output: stream },
+          session.getActor()
+        );
+        spinner.stop();
+        display.displaySuccess(`Exported ${result.count} products to ${filePath}`);
+      } catch (error) {
+        spinner.stop();
+        stream.destroy();
+        fs.rmSync(filePath, { force: true });
+        throw error;
+      }
+
+    } catch (error) {
+      display.displayError(error.message);
+    }
+  }
+
   async viewLowStock() {
     try {
       const { threshold } = await inquirer.prompt([{
@@ -522,6 +760,188 @@ class ProductCommands {
     }
   }
 
+  async viewLocations() {
+    try {
+      const spinner = display.showLoading('Loading stock locations...');
+      const locations = await locationService.listLocations({ includeInactive: true });
+      spinner.stop();
+
+      if (locations.length === 0) {
+        display.displayInfo('No stock locations yet; the first stock change creates the default one');
+        return;
+      }
+
+      const table = new Table({
+        head: [
+          chalk.cyan('Code'),
+          chalk.cyan('Name'),
+          chalk.cyan('City'),
+          chalk.cyan('Country'),
+          chalk.cyan('Default'),
+          chalk.cyan('Active')
+        ],
+        colWidths: [12, 24, 18, 12, 10, 10]
+      });
+
+      locations.forEach(location => {
+        table.push([
+          chalk.white(location.code),
+          chalk.white(location.name),
+          chalk.gray(location.address?.city || ''),
+          chalk.gray(location.address?.country || ''),
+          location.isDefault ? chalk.green('yes') : '',
+          location.isActive ? chalk.green('yes') : chalk.red('no')
+        ]);
+      });
+
+      console.log('\n' + table.toString() + '\n');
+
+    } catch (error) {
+      display.displayError(error.message);
+    }
+  }
+
+  /**
+   * Stock movements of one product with running balances
+   */
+  async viewStockHistory() {
+    try {
+      const { sku, types } = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'sku',
+          message: 'Product or variant SKU:',
+          filter: input => input.trim().toUpperCase(),
+          validate: input => input.length > 0 || 'SKU is required'
+        },
+        {
+          type: 'checkbox',
+          name: 'types',
+          message: 'Transaction types (none for all):',
+          choices: Object.values(TRANSACTION_TYPES)
+        }
+      ]);
+
+      const spinner = display.showLoading('Loading stock history...');
+      const product = await productService.getProductBySku(sku);
+      const history = await productService.getStockHistory(product._id.toString(), {
+        variantSku: productService.variantSkuOf(product, sku),
+        types: types.length > 0 ? types : null,
+        limit: 50
+      });
+      spinner.stop();
+
+      console.log(chalk.cyan(`\n  ${history.product.name}`) + chalk.gray(` (${history.variantSku || history.product.sku})`));
+      console.log(chalk.gray('  Ledger balance: ') + chalk.white(history.balance.quantity) +
+        chalk.gray(`, ${history.balance.reserved} reserved`));
+
+      if (history.transactions.length === 0) {
+        display.displayInfo('No stock movements found');
+        return;
+      }
+
+      const signed = value => (value > 0 ? chalk.green(`+${value}`) : value < 0 ? chalk.red(value) : chalk.gray('-'));
+
+      const table = new Table({
+        head: [
+          chalk.cyan('Date'),
+          chalk.cyan('Type'),
+          chalk.cyan('Location'),
+          chalk.cyan('Qty'),
+          chalk.cyan('Reserved'),
+          chalk.cyan('Balance'),
+          chalk.cyan('Notes')
+        ],
+        colWidths: [18, 22, 10, 8, 10, 9, 28]
+      });
+
+      history.transactions.forEach(t => {
+        table.push([
+          chalk.gray(new Date(t.createdAt).toLocaleString().substring(0, 16)),
+          chalk.yellow(t.reason ? `${t.type} (${t.reason})` : t.type),
+          chalk.white(t.location || ''),
+          signed(t.quantityChange),
+          signed(t.reservedChange),
+          chalk.white(t.balance.quantity),
+          chalk.gray((t.notes || '').substring(0, 26))
+        ]);
+      });
+
+      console.log('\n' + table.toString());
+      console.log(chalk.gray(`  Showing ${history.transactions.length} of ${history.pagination.total}\n`));
+
+    } catch (error) {
+      display.displayError(error.message);
+    }
+  }
+
+  /**
+   * Compare stock with the inventory ledger and optionally log adjustments
+   * for quantity drift
+   */
+  async reconcileInventory() {
+    try {
+      const spinner = display.showLoading('Replaying inventory ledger...');
+      const report = await reconciliationService.reconcileInventory({}, session.getActor());
+      spinner.stop();
+
+      if (report.mismatches.length === 0) {
+        display.displaySuccess(`Ledger matches stock for all ${report.products} products`);
+        return;
+      }
+
+      const table = new Table({
+        head: [
+          chalk.cyan('SKU'),
+          chalk.cyan('Location'),
+          chalk.cyan('Qty'),
+          chalk.cyan('Ledger'),
+          chalk.cyan('Reserved'),
+          chalk.cyan('Ledger'),
+          chalk.cyan('Available'),
+          chalk.cyan('Ledger')
+        ],
+        colWidths: [18, 10, 8, 9, 10, 9, 11, 9]
+      });
+
+      const cell = (recorded, ledger) => (recorded === ledger ? chalk.white(recorded) : chalk.red(recorded));
+
+      report.mismatches.forEach(m => {
+        table.push([
+          chalk.white(m.sku),
+          chalk.white(m.location),
+          cell(m.recorded.quantity, m.ledger.quantity),
+          chalk.gray(m.ledger.quantity),
+          cell(m.recorded.reserved, m.ledger.reserved),
+          chalk.gray(m.ledger.reserved),
+          cell(m.recorded.available, m.ledger.available),
+          chalk.gray(m.ledger.available)
+        ]);
+      });
+
+      console.log('\n' + table.toString() + '\n');
+      display.displayWarning(`${report.totals.mismatches} stock line(s) differ from the ledger`);
+
+      const quantityDrift = report.mismatches.filter(m => m.drift.quantity !== 0).length;
+      if (quantityDrift === 0 || !session.can(PERMISSIONS.INVENTORY_ADJUST)) return;
+
+      const { fix } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'fix',
+        message: `Log ${quantityDrift} reconciliation adjustment(s) so the ledger matches the quantities on record?`,
+        default: false
+      }]);
+      if (!fix) return;
+
+      const fixSpinner = display.showLoading('Writing adjustments...');
+      const fixed = await reconciliationService.reconcileInventory({ fix: true }, session.getActor());
+      fixSpinner.succeed(`Logged ${fixed.totals.corrected} adjustment(s); ${fixed.totals.unresolved} line(s) still need review`);
+
+    } catch (error) {
+      display.displayError(error.message);
+    }
+  }
+
   async viewTopSellers() {
     try {
       const { limit } = await inquirer.prompt([{
@@ -0,0 +1,525 @@
+/**
+ * Purchasing Commands - suppliers and purchase orders
+ */
+
+const inquirer = require('inquirer');
+const chalk = require('chalk');
+const Table = require('cli-table3');
+const supplierService = require('../../services/SupplierService');
+const purchaseOrderService = require('../../services/PurchaseOrderService');
+const locationService = require('../../services/LocationService');
+const replenishmentService = require('../../services/ReplenishmentService');
+const display = require('../helpers/display');
+const session = require('../helpers/session');
+const { PURCHASE_ORDER_STATUS, REPLENISHMENT } = require('../../config/constants');
+const { PERMISSIONS } = require('../../config/permissions');
+
+class PurchasingCommands {
+  /**
+   * List suppliers
+   */
+  async listSuppliers() {
+    try {
+      const spinner = display.showLoading('Loading suppliers...');
+      const suppliers = await supplierService.listSuppliers({ includeInactive: true });
+      spinner.stop();
+
+      if (suppliers.length === 0) {
+        display.displayInfo('No suppliers yet');
+        return;
+      }
+
+      const table = new Table({
+        head: [
+          chalk.cyan('Code'),
+          chalk.cyan('Name'),
+          chalk.cyan('Contact'),
+          chalk.cyan('Lead Time'),
+          chalk.cyan('Active')
+        ],
+        colWidths: [12, 28, 28, 12, 10]
+      });
+
+      suppliers.forEach(supplier => {
+        table.push([
+          chalk.white(supplier.code),
+          chalk.white(supplier.name.substring(0, 26)),
+          chalk.gray((supplier.contact?.email || supplier.contact?.name || '').substring(0, 26)),
+          chalk.white(`${supplier.leadTimeDays} days`),
+          supplier.isActive ? chalk.green('yes') : chalk.gray('no')
+        ]);
+      });
+
+      console.log('\n' + table.toString() + '\n');
+
+    } catch (error) {
+      display.displayError(error.message);
+    }
+  }
+
+  /**
+   * Create a supplier
+   */
+  async createSupplier() {
+    try {
+      display.clearScreen();
+      console.log(chalk.cyan('\n╔══════════════════════════════════════════════════════════════════════╗'));
+      console.log(chalk.cyan('║') + chalk.bold.white('  CREATE SUPPLIER'.padEnd(68)) + chalk.cyan('║'));
+      console.log(chalk.cyan('╚══════════════════════════════════════════════════════════════════════╝\n'));
+
+      const answers = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'code',
+          message: 'Supplier code:',
+          filter: input => input.trim().toUpperCase(),
+          validate: input => /^[A-Z0-9_-]+$/.test(input) || 'Use letters, numbers, hyphens and underscores'
+        },
+        {
+          type: 'input',
+          name: 'name',
+          message: 'Name:',
+          filter: input => input.trim(),
+          validate: input => input.length >= 2 || 'Name must be at least 2 characters'
+        },
+        { type: 'input', name: 'contactName', message: 'Contact name (optional):' },
+        { type: 'input', name: 'email', message: 'Contact email (optional):' },
+        { type: 'input', name: 'phone', message: 'Contact phone (optional):' },
+        {
+          type: 'number',
+          name: 'leadTimeDays',
+          message: 'Lead time (days):',
+          default: 7,
+          validate: input => (Number.isInteger(input) && input >= 0) || 'Lead time must be a whole number of days'
+        }
+      ]);
+
+      const spinner = display.showLoading('Creating supplier...');
+      const supplier = await supplierService.createSupplier({
+        code: answers.code,
+        name: answers.name,
+        contact: { name: answers.contactName, email: answers.email, phone: answers.phone },
+        leadTimeDays: answers.leadTimeDays
+      }, session.getActor());
+      spinner.succeed(`Supplier ${supplier.code} created`);
+
+    } catch (error) {
+      display.displayError(error.message);
+    }
+  }
+
+  /**
+   * List purchase orders, optionally by status
+   */
+  async listPurchaseOrders() {
+    try {
+      const { status } = await inquirer.prompt([{
+        type: 'list',
+        name: 'status',
+        message: 'Show:',
+        choices: [
+          { name: 'Open (sent or partially received)', value: 'OPEN' },
+          { name: 'All', value: null },
+          ...Object.values(PURCHASE_ORDER_STATUS).map(s => ({ name: s, value: s }))
+        ]
+      }]);
+
+      const spinner = display.showLoading('Loading purchase orders...');
+      const { purchaseOrders, pagination } = await purchaseOrderService.searchPurchaseOrders({
+        status: status === 'OPEN' ? null : status,
+        open: status === 'OPEN',
+        limit: 50
+      });
+      spinner.stop();
+
+      if (purchaseOrders.length === 0) {
+        display.displayInfo('No purchase orders found');
+        return;
+      }
+
+      this.displayPurchaseOrders(purchaseOrders);
+      console.log(chalk.gray(`  Showing ${purchaseOrders.length} of ${pagination.total}\n`));
+
+    } catch (error) {
+      display.displayError(error.message);
+    }
+  }
+
+  /**
+   * Create a draft purchase order, then optionally send it
+   */
+  async createPurchaseOrder() {
+    try {
+      display.clearScreen();
+      console.log(chalk.cyan('\n╔══════════════════════════════════════════════════════════════════════╗'));
+      console.log(chalk.cyan('║') + chalk.bold.white('  CREATE PURCHASE ORDER'.padEnd(68)) + chalk.cyan('║'));
+      console.log(chalk.cyan('╚══════════════════════════════════════════════════════════════════════╝\n'));
+
+      const suppliers = await supplierService.listSuppliers();
+      if (suppliers.length === 0) {
+        display.displayWarning('Create a supplier first');
+        return;
+      }
+
+      const locations = await locationService.listLocations();
+
+      const { supplier, location } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'supplier',
+          message: 'Supplier:',
+          choices: suppliers.map(s => ({ name: `${s.name} (${s.code})`, value: s.code }))
+        },
+        {
+          type: 'list',
+          name: 'location',
+          message: 'Deliver to:',
+          choices: locations.map(l => ({ name: `${l.name} (${l.code})`, value: l.code })),
+          when: () => locations.length > 1
+        }
+      ]);
+
+      const items = [];
+      let addMore = true;
+
+      while (addMore) {
+        const line = await inquirer.prompt([
+          {
+            type: 'input',
+            name: 'sku',
+            message: 'Product or variant SKU:',
+            filter: input => input.trim().toUpperCase(),
+            validate: input => input.length > 0 || 'SKU is required'
+          },
+          {
+            type: 'number',
+            name: 'quantity',
+            message: 'Quantity:',
+            validate: input => (Number.isInteger(input) && input > 0) || 'Quantity must be a positive whole number'
+          },
+          {
+            type: 'input',
+            name: 'unitCost',
+            message: 'Unit cost (blank for the product\'s current cost):',
+            validate: input => input.trim() === '' || !isNaN(parseFloat(input)) || 'Enter a number or leave blank'
+          },
+          {
+            type: 'confirm',
+            name: 'more',
+            message: 'Add another line?',
+            default: false
+          }
+        ]);
+
+        const item = { sku: line.sku, quantity: line.quantity };
+        if (line.unitCost.trim() !== '') {
+          item.unitCost = parseFloat(line.unitCost);
+        }
+        items.push(item);
+        addMore = line.more;
+      }
+
+      const { notes, send } = await inquirer.prompt([
+        { type: 'input', name: 'notes', message: 'Notes (optional):', default: '' },
+        { type: 'confirm', name: 'send', message: 'Send to the supplier now?', default: false }
+      ]);
+
+      const spinner = display.showLoading('Creating purchase order...');
+      let purchaseOrder = await purchaseOrderService.createPurchaseOrder(
+        { supplier, location, items, notes },
+        session.getActor()
+      );
+
+      if (send) {
+        purchaseOrder = await purchaseOrderService.sendPurchaseOrder(purchaseOrder.poNumber, '', session.getActor());
+      }
+      spinner.succeed(`Purchase order ${purchaseOrder.poNumber} ${send ? 'sent' : 'saved as draft'}`);
+
+      this.displayPurchaseOrderDetails(purchaseOrder);
+
+    } catch (error) {
+      display.displayError(error.message);
+    }
+  }
+
+  /**
+   * View a purchase order and send, receive or cancel it
+   */
+  async managePurchaseOrder() {
+    try {
+      const { poNumber } = await inquirer.prompt([{
+        type: 'input',
+        name: 'poNumber',
+        message: 'PO number:',
+        filter: input => input.trim().toUpperCase(),
+        validate: input => input.length > 0 || 'PO number is required'
+      }]);
+
+      const purchaseOrder = await purchaseOrderService.getPurchaseOrder(poNumber);
+      this.displayPurchaseOrderDetails(purchaseOrder);
+
+      const actions = {
+        [PURCHASE_ORDER_STATUS.DRAFT]: ['send', 'cancel'],
+        [PURCHASE_ORDER_STATUS.SENT]: ['receive', 'cancel'],
+        [PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED]: ['receive']
+      }[purchaseOrder.status] || [];
+
+      if (actions.length === 0) return;
+
+      const labels = { send: 'Send to supplier', receive: 'Receive stock', cancel: 'Cancel purchase order' };
+      const { choice } = await inquirer.prompt([{
+        type: 'list',
+        name: 'choice',
+        message: 'Action:',
+        choices: [...actions.map(a => ({ name: labels[a], value: a })), { name: 'Back', value: null }]
+      }]);
+
+      if (choice === 'send') {
+        const updated = await purchaseOrderService.sendPurchaseOrder(purchaseOrder.poNumber, '', session.getActor());
+        display.displaySuccess(`${updated.poNumber} sent; expected ${new Date(updated.expectedAt).toLocaleDateString()}`);
+      } else if (choice === 'receive') {
+        await this.receivePurchaseOrder(purchaseOrder);
+      } else if (choice === 'cancel') {
+        const { reason } = await inquirer.prompt([{ type: 'input', name: 'reason', message: 'Reason:' }]);
+        await purchaseOrderService.cancelPurchaseOrder(purchaseOrder.poNumber, reason, session.getActor());
+        display.displaySuccess(`${purchaseOrder.poNumber} cancelled`);
+      }
+
+    } catch (error) {
+      display.displayError(error.message);
+    }
+  }
+
+  /**
+   * Receive everything outstanding, or line by line
+   */
+  async receivePurchaseOrder(purchaseOrder) {
+    const outstanding = purchaseOrder.items.filter(item => item.quantityReceived < item.quantityOrdered);
+
+    const { all, notes } = await inquirer.prompt([
+      { type: 'confirm', name: 'all', message: 'Receive everything outstanding?', default: true },
+      { type: 'input', name: 'notes', message: 'Receipt notes (optional):', default: '' }
+    ]);
+
+    let lines = null;
+    if (!all) {
+      lines = [];
+      for (const item of outstanding) {
+        const remaining = item.quantityOrdered - item.quantityReceived;
+        const { quantity } = await inquirer.prompt([{
+          type: 'number',
+          name: 'quantity',
+          message: `${item.variantSku || item.sku} received (${remaining} outstanding):`,
+          default: 0,
+          validate: input => (Number.isInteger(input) && input >= 0 && input <= remaining) ||
+            `Enter a whole number from 0 to ${remaining}`
+        }]);
+
+        if (quantity > 0) {
+          lines.push({ sku: item.variantSku || item.sku, quantity });
+        }
+      }
+
+      if (lines.length === 0) {
+        display.displayInfo('Nothing received');
+        return;
+      }
+    }
+
+    const spinner = display.showLoading('Receiving stock...');
+    const updated = await purchaseOrderService.receivePurchaseOrder(
+      purchaseOrder.poNumber,
+      lines,
+      { notes },
+      session.getActor()
+    );
+    spinner.succeed(`${updated.poNumber} is now ${updated.status}`);
+
+    this.displayPurchaseOrderDetails(updated);
+  }
+
+  /**
+   * Show reorder suggestions and optionally turn them into a draft purchase
+   * order
+   */
+  async viewReorderSuggestions() {
+    try {
+      const suppliers = await supplierService.listSuppliers();
+
+      const answers = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'supplier',
+          message: 'Lead time from:',
+          choices: [
+            { name: `Default (${REPLENISHMENT.LEAD_TIME_DAYS} days)`, value: null },
+            ...suppliers.map(s => ({ name: `${s.name} (${s.leadTimeDays} days)`, value: s.code }))
+          ]
+        },
+        {
+          type: 'number',
+          name: 'days',
+          message: 'Days of sales history:',
+          default: REPLENISHMENT.SALES_WINDOW_DAYS,
+          validate: input => (Number.isInteger(input) && input > 0) || 'Enter a positive whole number'
+        },
+        {
+          type: 'number',
+          name: 'coverDays',
+          message: 'Days of stock to order beyond the lead time:',
+          default: REPLENISHMENT.COVER_DAYS,
+          validate: input => (Number.isInteger(input) && input >= 0) || 'Enter a whole number'
+        }
+      ]);
+
+      const spinner = display.showLoading('Calculating reorder suggestions...');
+      const report = await replenishmentService.getReorderSuggestions(answers);
+      spinner.stop();
+
+      if (report.suggestions.length === 0) {
+        display.displaySuccess('Nothing needs reordering');
+        return;
+      }
+
+      const table = new Table({
+        head: [
+          chalk.cyan('SKU'),
+          chalk.cyan('Name'),
+          chalk.cyan('Avail'),
+          chalk.cyan('On Order'),
+          chalk.cyan('Per Day'),
+          chalk.cyan('Cover'),
+          chalk.cyan('Suggest'),
+          chalk.cyan('Reason')
+        ],
+        colWidths: [16, 26, 8, 10, 9, 8, 9, 28]
+      });
+
+      report.suggestions.forEach(line => {
+        table.push([
+          chalk.white(line.sku),
+          chalk.white(line.name.substring(0, 24)),
+          display.getStockColor(line.available),
+          chalk.blue(line.onOrder),
+          chalk.white(line.dailyVelocity),
+          line.daysOfCover === null ? chalk.gray('-') : chalk.white(`${line.daysOfCover}d`),
+          chalk.green(line.suggestedQuantity),
+          chalk.gray(line.reason)
+        ]);
+      });
+
+      console.log('\n' + table.toString());
+      console.log(chalk.gray(`  ${report.totals.lines} lines, ${report.totals.quantity} units, ` +
+        `est. $${report.totals.estimatedCost.toFixed(2)} (lead time ${report.leadTimeDays} days)\n`));
+
+      if (suppliers.length === 0 || !session.can(PERMISSIONS.PURCHASE_ORDER_MANAGE)) return;
+
+      const { create } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'create',
+        message: 'Create a draft purchase order from these suggestions?',
+        default: false
+      }]);
+
+      if (!create) return;
+
+      const { supplier, skus } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'supplier',
+          message: 'Supplier:',
+          choices: suppliers.map(s => ({ name: `${s.name} (${s.code})`, value: s.code })),
+          default: answers.supplier
+        },
+        {
+          type: 'checkbox',
+          name: 'skus',
+          message: 'Lines to order:',
+          choices: report.suggestions.map(line => ({
+            name: `${line.sku} x ${line.suggestedQuantity}`,
+            value: line.sku,
+            checked: true
+          })),
+          validate: input => input.length > 0 || 'Choose at least one line'
+        }
+      ]);
+
+      const creating = display.showLoading('Creating purchase order...');
+      const purchaseOrder = await replenishmentService.createPurchaseOrderFromSuggestions({
+        ...answers,
+        supplier,
+        skus
+      }, session.getActor());
+      creating.succeed(`Draft purchase order ${purchaseOrder.poNumber} created`);
+
+      this.displayPurchaseOrderDetails(purchaseOrder);
+
+    } catch (error) {
+      display.displayError(error.message);
+    }
+  }
+
+  displayPurchaseOrders(purchaseOrders) {
+    const table = new Table({
+      head: [
+        chalk.cyan('PO #'),
+        chalk.cyan('Supplier'),
+        chalk.cyan('Location'),
+        chalk.cyan('Units'),
+        chalk.cyan('Cost'),
+        chalk.cyan('Status'),
+        chalk.cyan('Expected')
+      ],
+      colWidths: [18, 22, 10, 8, 12, 20, 12]
+    });
+
+    purchaseOrders.forEach(po => {
+      table.push([
+        chalk.white(po.poNumber),
+        chalk.white(po.supplier.name.substring(0, 20)),
+        chalk.white(po.location),
+        chalk.white(po.totals.quantity),
+        chalk.green(`$${po.totals.cost.toFixed(2)}`),
+        chalk.yellow(po.status),
+        chalk.gray(po.expectedAt ? new Date(po.expectedAt).toLocaleDateString() : '-')
+      ]);
+    });
+
+    console.log('\n' + table.toString() + '\n');
+  }
+
+  displayPurchaseOrderDetails(purchaseOrder) {
+    console.log(chalk.cyan(`\n  ${purchaseOrder.poNumber}`) + chalk.gray(` - ${purchaseOrder.status}`));
+    console.log(chalk.gray('  Supplier:  ') + chalk.white(`${purchaseOrder.supplier.name} (${purchaseOrder.supplier.code})`));
+    console.log(chalk.gray('  Location:  ') + chalk.white(purchaseOrder.location));
+    console.log(chalk.gray('  Total:     ') + chalk.green(`$${purchaseOrder.totals.cost.toFixed(2)}`));
+    if (purchaseOrder.expectedAt) {
+      console.log(chalk.gray('  Expected:  ') + chalk.white(new Date(purchaseOrder.expectedAt).toLocaleDateString()));
+    }
+
+    const table = new Table({
+      head: [
+        chalk.cyan('SKU'),
+        chalk.cyan('Product'),
+        chalk.cyan('Ordered'),
+        chalk.cyan('Received'),
+        chalk.cyan('Unit Cost')
+      ],
+      colWidths: [18, 30, 10, 10, 12]
+    });
+
+    purchaseOrder.items.forEach(item => {
+      table.push([
+        chalk.white(item.variantSku || item.sku),
+        chalk.white(item.name.substring(0, 28)),
+        chalk.white(item.quantityOrdered),
+        item.quantityReceived >= item.quantityOrdered ? chalk.green(item.quantityReceived) : chalk.yellow(item.quantityReceived),
+        chalk.green(`$${item.unitCost.toFixed(2)}`)
+      ]);
+    });
+
+    console.log('\n' + table.toString() + '\n');
+  }
+}
+
+module.exports = new PurchasingCommands();
@@ -0,0 +1,222 @@
+/**
+ * Return Commands - request, approve, receive and refund returns (RMAs)
+ */
+
+const inquirer = require('inquirer');
+const chalk = require('chalk');
+const Table = require('cli-table3');
+const returnService = require('../../services/ReturnService');
+const orderService = require('../../services/OrderService');
+const display = require('../helpers/display');
+const session = require('../helpers/session');
+const { RETURN_STATUS, RETURN_DISPOSITIONS, WRITE_OFF_REASONS } = require('../../config/constants');
+
+class ReturnCommands {
+  /**
+   * Pick delivered lines of an order and the quantities coming back
+   */
+  async requestReturn() {
+    try {
+      const { orderInput } = await inquirer.prompt([{
+        type: 'input',
+        name: 'orderInput',
+        message: 'Enter Order Number or ID:',
+        validate: input => input.length > 0 || 'Required'
+      }]);
+
+      const order = await orderService.getOrderByReference(orderInput, session.getActor());
+
+      const returnable = order.items.filter(item => item.quantity > (item.quantityReturned || 0));
+      if (returnable.length === 0) {
+        display.displayInfo('Every item on this order has already been returned');
+        return;
+      }
+
+      const { selected } = await inquirer.prompt([{
+        type: 'checkbox',
+        name: 'selected',
+        message: 'Items to return:',
+        choices: returnable.map(item => ({
+          name: `${item.variant ? `${item.name} (${item.variant.name})` : item.name} - ${item.quantity - (item.quantityReturned || 0)} returnable`,
+          value: item
+        })),
+        validate: input => input.length > 0 || 'Choose at least one item'
+      }]);
+
+      const items = [];
+      for (const item of selected) {
+        const sku = item.variant?.sku || item.sku;
+        const max = item.quantity - (item.quantityReturned || 0);
+
+        const { quantity, reason } = await inquirer.prompt([
+          {
+            type: 'number',
+            name: 'quantity',
+            message: `Quantity of ${sku} to return:`,
+            default: max,
+            validate: input => (Number.isInteger(input) && input > 0 && input <= max) || `Enter 1 to ${max}`
+          },
+          { type: 'input', name: 'reason', message: 'Reason (optional):', default: '' }
+        ]);
+
+        items.push({ sku, quantity, reason });
+      }
+
+      const spinner = display.showLoading('Requesting return...');
+      const rma = await returnService.requestReturn(order._id.toString(), { items }, session.getActor());
+      spinner.succeed(`Return ${rma.rmaNumber} requested (refund $${rma.refundAmount.toFixed(2)} once received)`);
+
+    } catch (error) {
+      display.displayError(error.message);
+    }
+  }
+
+  /**
+   * Pick an unfinished return and move it on: approve or reject it, receive
+   * the goods, then refund
+   */
+  async manageReturns() {
+    try {
+      const { returns } = await returnService.searchReturns({ limit: 50 }, session.getActor());
+      const unfinished = returns.filter(r => [
+        RETURN_STATUS.REQUESTED,
+        RETURN_STATUS.APPROVED,
+        RETURN_STATUS.RECEIVED
+      ].includes(r.status));
+
+      if (unfinished.length === 0) {
+        display.displayInfo('No returns waiting to be handled');
+        return;
+      }
+
+      const { rmaNumber } = await inquirer.prompt([{
+        type: 'list',
+        name: 'rmaNumber',
+        message: 'Return:',
+        choices: unfinished.map(r => ({
+          name: `${r.rmaNumber} - ${r.orderNumber} - ${r.status} - $${r.refundAmount.toFixed(2)}`,
+          value: r.rmaNumber
+        }))
+      }]);
+
+      const rma = await returnService.getReturn(rmaNumber, session.getActor());
+      this.displayReturn(rma);
+
+      const actions = {
+        [RETURN_STATUS.REQUESTED]: [
+          { name: 'Approve', value: 'approve' },
+          { name: 'Reject', value: 'reject' }
+        ],
+        [RETURN_STATUS.APPROVED]: [
+          { name: 'Receive goods', value: 'receive' },
+          { name: 'Reject', value: 'reject' }
+        ],
+        [RETURN_STATUS.RECEIVED]: [
+          { name: 'Refund through the payment provider', value: 'refund' },
+          { name: 'Record a refund made outside the provider', value: 'refund_external' }
+        ]
+      }[rma.status];
+
+      const { choice } = await inquirer.prompt([{
+        type: 'list',
+        name: 'choice',
+        message: 'Action:',
+        choices: [...actions, { name: 'Back', value: null }]
+      }]);
+
+      switch (choice) {
+        case 'approve': {
+          await returnService.approveReturn(rmaNumber, '', session.getActor());
+          display.displaySuccess(`${rmaNumber} approved`);
+          break;
+        }
+        case 'reject': {
+          const { reason } = await inquirer.prompt([{ type: 'input', name: 'reason', message: 'Reason:', default: '' }]);
+          await returnService.rejectReturn(rmaNumber, reason, session.getActor());
+          display.displaySuccess(`${rmaNumber} rejected`);
+          break;
+        }
+        case 'receive':
+          await this.receiveReturn(rma);
+          break;
+        case 'refund':
+        case 'refund_external': {
+          const spinner = display.showLoading('Refunding...');
+          const refunded = await returnService.refundReturn(
+            rmaNumber,
+            { external: choice === 'refund_external' },
+            session.getActor()
+          );
+          spinner.succeed(`Refunded $${refunded.refund.amount.toFixed(2)} on ${rmaNumber}`);
+          break;
+        }
+      }
+
+    } catch (error) {
+      display.displayError(error.message);
+    }
+  }
+
+  /**
+   * Choose restock or write-off for each line, then book the receipt
+   */
+  async receiveReturn(rma) {
+    const lines = [];
+
+    for (const item of rma.items) {
+      const sku = item.variantSku || item.sku;
+      const { disposition, writeOffReason } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'disposition',
+          message: `${sku} x${item.quantity}${item.reason ? ` (${item.reason})` : ''}:`,
+          choices: [
+            { name: 'Restock', value: RETURN_DISPOSITIONS.RESTOCK },
+            { name: 'Write off', value: RETURN_DISPOSITIONS.WRITE_OFF }
+          ]
+        },
+        {
+          type: 'list',
+          name: 'writeOffReason',
+          message: 'Write-off reason:',
+          choices: Object.values(WRITE_OFF_REASONS),
+          when: answers => answers.disposition === RETURN_DISPOSITIONS.WRITE_OFF
+        }
+      ]);
+
+      lines.push({ sku, disposition, ...(writeOffReason ? { writeOffReason } : {}) });
+    }
+
+    const spinner = display.showLoading('Receiving goods...');
+    const received = await returnService.receiveReturn(rma.rmaNumber, lines, {}, session.getActor());
+    spinner.succeed(`${received.rmaNumber} received`);
+    this.displayReturn(received);
+  }
+
+  displayReturn(rma) {
+    console.log(chalk.cyan(`\n  ${rma.rmaNumber}`) + chalk.gray(` - ${rma.orderNumber} - ${rma.status}`));
+    if (rma.reason) {
+      console.log(chalk.gray('  Reason: ') + chalk.white(rma.reason));
+    }
+    console.log(chalk.gray('  Refund: ') + chalk.white(`$${rma.refundAmount.toFixed(2)}`));
+
+    const table = new Table({
+      head: [chalk.cyan('SKU'), chalk.cyan('Product'), chalk.cyan('Qty'), chalk.cyan('Refund'), chalk.cyan('Disposition')],
+      colWidths: [18, 30, 6, 12, 14]
+    });
+
+    rma.items.forEach(item => {
+      table.push([
+        chalk.white(item.variantSku || item.sku),
+        chalk.white(item.name.substring(0, 28)),
+        chalk.white(item.quantity),
+        chalk.white(`$${item.refundAmount.toFixed(2)}`),
+        chalk.gray(item.disposition || '')
+      ]);
+    });
+
+    console.log('\n' + table.toString() + '\n');
+  }
+}
+
+module.exports = new ReturnCommands();
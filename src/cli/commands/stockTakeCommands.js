@@ -0,0 +1,306 @@
+/**
+ * Stock-take Commands - physical counts and posting the differences
+ */
+
+const inquirer = require('inquirer');
+const chalk = require('chalk');
+const Table = require('cli-table3');
+const stockTakeService = require('../../services/StockTakeService');
+const categoryService = require('../../services/CategoryService');
+const locationService = require('../../services/LocationService');
+const importService = require('../../services/ImportService');
+const display = require('../helpers/display');
+const session = require('../helpers/session');
+const { STOCK_TAKE_STATUS } = require('../../config/constants');
+
+class StockTakeCommands {
+  /**
+   * Open a stock-take for a location, optionally limited to a category
+   */
+  async openStockTake() {
+    try {
+      display.clearScreen();
+      console.log(chalk.cyan('\n╔══════════════════════════════════════════════════════════════════════╗'));
+      console.log(chalk.cyan('║') + chalk.bold.white('  OPEN STOCK-TAKE'.padEnd(68)) + chalk.cyan('║'));
+      console.log(chalk.cyan('╚══════════════════════════════════════════════════════════════════════╝\n'));
+
+      const [locations, categories] = await Promise.all([
+        locationService.listLocations(),
+        categoryService.getAllCategories()
+      ]);
+
+      const { location, categoryId, notes } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'location',
+          message: 'Location to count:',
+          choices: locations.map(l => ({ name: `${l.name} (${l.code})`, value: l.code })),
+          when: () => locations.length > 1
+        },
+        {
+          type: 'list',
+          name: 'categoryId',
+          message: 'Count:',
+          choices: [
+            { name: 'Every product at the location', value: null },
+            ...categories.map(c => ({ name: c.path || c.name, value: c._id.toString() }))
+          ]
+        },
+        { type: 'input', name: 'notes', message: 'Notes (optional):', default: '' }
+      ]);
+
+      const spinner = display.showLoading('Opening stock-take...');
+      const stockTake = await stockTakeService.openStockTake(
+        { location, categoryId: categoryId || undefined, notes },
+        session.getActor()
+      );
+      spinner.succeed(`Stock-take ${stockTake.takeNumber} opened with ${stockTake.lines.length} lines`);
+
+      display.displayInfo('The products are flagged as being counted until the stock-take is posted or cancelled');
+
+    } catch (error) {
+      display.displayError(error.message);
+    }
+  }
+
+  /**
+   * Pick an open stock-take, then enter counts, review the variance, post or
+   * cancel it
+   */
+  async manageStockTake() {
+    try {
+      const { stockTakes } = await stockTakeService.searchStockTakes({ status: STOCK_TAKE_STATUS.OPEN, limit: 50 });
+
+      if (stockTakes.length === 0) {
+        display.displayInfo('No open stock-takes');
+        return;
+      }
+
+      const { takeNumber } = await inquirer.prompt([{
+        type: 'list',
+        name: 'takeNumber',
+        message: 'Stock-take:',
+        choices: stockTakes.map(t => ({
+          name: `${t.takeNumber} - ${t.location}${t.category ? ` / ${t.category.name}` : ''}`,
+          value: t.takeNumber
+        }))
+      }]);
+
+      let keepGoing = true;
+      while (keepGoing) {
+        const { choice } = await inquirer.prompt([{
+          type: 'list',
+          name: 'choice',
+          message: `${takeNumber}:`,
+          choices: [
+            { name: 'Enter counts', value: 'count' },
+            { name: 'Import counts from a file', value: 'import' },
+            { name: 'Variance report', value: 'variance' },
+            { name: 'Post adjustments', value: 'post' },
+            { name: 'Cancel stock-take', value: 'cancel' },
+            { name: 'Back', value: null }
+          ]
+        }]);
+
+        switch (choice) {
+          case 'count':
+            await this.enterCounts(takeNumber);
+            break;
+          case 'import':
+            await this.importCounts(takeNumber);
+            break;
+          case 'variance':
+            this.displayVariance(await stockTakeService.getVarianceReport(takeNumber));
+            break;
+          case 'post':
+            keepGoing = !(await this.postStockTake(takeNumber));
+            break;
+          case 'cancel':
+            keepGoing = !(await this.cancelStockTake(takeNumber));
+            break;
+          default:
+            keepGoing = false;
+        }
+      }
+
+    } catch (error) {
+      display.displayError(error.message);
+    }
+  }
+
+  /**
+   * Type in counts one SKU at a time; a blank SKU finishes
+   */
+  async enterCounts(takeNumber) {
+    const counts = [];
+    let more = true;
+
+    while (more) {
+      const { sku } = await inquirer.prompt([{
+        type: 'input',
+        name: 'sku',
+        message: 'SKU (blank to finish):',
+        filter: input => input.trim().toUpperCase()
+      }]);
+
+      if (!sku) {
+        more = false;
+        continue;
+      }
+
+      const { counted } = await inquirer.prompt([{
+        type: 'number',
+        name: 'counted',
+        message: `Counted ${sku}:`,
+        validate: input => (Number.isInteger(input) && input >= 0) || 'Enter a whole number of zero or more'
+      }]);
+
+      counts.push({ sku, counted });
+    }
+
+    if (counts.length === 0) return;
+
+    try {
+      const spinner = display.showLoading('Saving counts...');
+      await stockTakeService.recordCounts(takeNumber, counts, session.getActor());
+      spinner.succeed(`Saved ${counts.length} count(s)`);
+    } catch (error) {
+      display.displayError(error.message);
+    }
+  }
+
+  async importCounts(takeNumber) {
+    try {
+      const { filePath } = await inquirer.prompt([{
+        type: 'input',
+        name: 'filePath',
+        message: 'CSV or JSON file with sku and counted columns:',
+        validate: input => input.trim().length > 0 || 'File path is required'
+      }]);
+
+      const rows = importService.readFile(filePath.trim());
+
+      const spinner = display.showLoading('Importing counts...');
+      await stockTakeService.recordCounts(takeNumber, rows, session.getActor());
+      spinner.succeed(`Imported ${rows.length} count(s)`);
+    } catch (error) {
+      display.displayError(error.message);
+    }
+  }
+
+  /**
+   * Returns true once the stock-take is posted
+   */
+  async postStockTake(takeNumber) {
+    try {
+      const report = await stockTakeService.getVarianceReport(takeNumber);
+      this.displayVariance(report);
+
+      if (report.uncounted.length > 0) {
+        display.displayWarning(`${report.uncounted.length} line(s) not counted; they will be left unchanged`);
+      }
+
+      let force = false;
+      if (report.flagged.length > 0) {
+        display.displayWarning(`Stock moved while these were being counted: ${report.flagged.join(', ')}`);
+        ({ force } = await inquirer.prompt([{
+          type: 'confirm',
+          name: 'force',
+          message: 'Post anyway?',
+          default: false
+        }]));
+        if (!force) return false;
+      }
+
+      const { confirm } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'confirm',
+        message: `Post ${report.totals.withVariance} adjustment(s)?`,
+        default: false
+      }]);
+      if (!confirm) return false;
+
+      const spinner = display.showLoading('Posting stock-take...');
+      const posted = await stockTakeService.postStockTake(takeNumber, { force }, session.getActor());
+      spinner.succeed(
+        `${posted.takeNumber} posted: +${posted.summary.unitsAdded} / -${posted.summary.unitsRemoved} units`
+      );
+      return true;
+
+    } catch (error) {
+      display.displayError(error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Returns true once the stock-take is cancelled
+   */
+  async cancelStockTake(takeNumber) {
+    try {
+      const { confirm } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'confirm',
+        message: `Cancel ${takeNumber}? Entered counts are discarded.`,
+        default: false
+      }]);
+      if (!confirm) return false;
+
+      await stockTakeService.cancelStockTake(takeNumber, session.getActor());
+      display.displaySuccess(`${takeNumber} cancelled`);
+      return true;
+
+    } catch (error) {
+      display.displayError(error.message);
+      return false;
+    }
+  }
+
+  displayVariance(report) {
+    const { totals } = report;
+
+    console.log(chalk.cyan(`\n  ${report.takeNumber}`) + chalk.gray(` - ${report.location}`));
+    console.log(chalk.gray('  Counted:   ') + chalk.white(`${totals.counted} of ${totals.lines} lines`));
+    console.log(chalk.gray('  Over:      ') + chalk.green(totals.unitsOver));
+    console.log(chalk.gray('  Short:     ') + chalk.red(totals.unitsShort));
+    console.log(chalk.gray('  Value:     ') + chalk.white(`$${totals.value.toFixed(2)}`));
+
+    const counted = report.lines.filter(l => l.counted !== null);
+    if (counted.length === 0) {
+      display.displayInfo('No counts entered yet');
+      return;
+    }
+
+    const table = new Table({
+      head: [
+        chalk.cyan('SKU'),
+        chalk.cyan('Product'),
+        chalk.cyan('Record'),
+        chalk.cyan('Counted'),
+        chalk.cyan('Variance'),
+        chalk.cyan('Value'),
+        chalk.cyan('Flag')
+      ],
+      colWidths: [18, 26, 9, 9, 10, 12, 22]
+    });
+
+    counted.forEach(line => {
+      const variance = line.variance > 0 ? chalk.green(`+${line.variance}`)
+        : line.variance < 0 ? chalk.red(line.variance) : chalk.gray(0);
+
+      table.push([
+        chalk.white(line.sku),
+        chalk.white(line.name.substring(0, 24)),
+        chalk.white(line.atCount),
+        chalk.white(line.counted),
+        variance,
+        chalk.white(line.varianceValue === null ? '-' : `$${line.varianceValue.toFixed(2)}`),
+        line.flagged ? chalk.yellow(`moved ${line.movedDuring}, res ${line.reservedDuring ?? '-'}`) : ''
+      ]);
+    });
+
+    console.log('\n' + table.toString() + '\n');
+  }
+}
+
+module.exports = new StockTakeCommands();
@@ -0,0 +1,129 @@
+/**
+ * Tax Commands - sales tax rates by jurisdiction and tax class
+ */
+
+const inquirer = require('inquirer');
+const chalk = require('chalk');
+const Table = require('cli-table3');
+const taxService = require('../../services/TaxService');
+const display = require('../helpers/display');
+const session = require('../helpers/session');
+const { TAX_CLASSES } = require('../../config/constants');
+
+const percent = rate => `${(rate * 100).toFixed(3)}%`;
+
+class TaxCommands {
+  /**
+   * List tax rates, inactive ones included
+   */
+  async listTaxRates() {
+    try {
+      const spinner = display.showLoading('Loading tax rates...');
+      const rates = await taxService.listRates({ includeInactive: true }, session.getActor());
+      spinner.stop();
+
+      if (rates.length === 0) {
+        display.displayInfo('No tax rates yet; orders are not taxed until one is set');
+        return;
+      }
+
+      const table = new Table({
+        head: [
+          chalk.cyan('Country'),
+          chalk.cyan('State'),
+          chalk.cyan('Class'),
+          chalk.cyan('Rate'),
+          chalk.cyan('Components'),
+          chalk.cyan('Inclusive'),
+          chalk.cyan('Active')
+        ],
+        colWidths: [10, 8, 12, 11, 34, 11, 8]
+      });
+
+      rates.forEach(rate => {
+        const combined = rate.components.reduce((sum, component) => sum + component.rate, 0);
+        table.push([
+          chalk.white(rate.country),
+          chalk.white(rate.state || '(all)'),
+          chalk.yellow(rate.taxClass),
+          chalk.green(percent(combined)),
+          chalk.gray(rate.components.map(c => `${c.name} ${percent(c.rate)}`).join(', ')),
+          rate.inclusive ? chalk.green('yes') : '',
+          rate.isActive ? chalk.green('yes') : chalk.red('no')
+        ]);
+      });
+
+      console.log('\n' + table.toString() + '\n');
+
+    } catch (error) {
+      display.displayError(error.message);
+    }
+  }
+
+  /**
+   * Create or replace the rate for a jurisdiction and tax class
+   */
+  async setTaxRate() {
+    try {
+      display.clearScreen();
+      console.log(chalk.cyan('\n╔══════════════════════════════════════════════════════════════════════╗'));
+      console.log(chalk.cyan('║') + chalk.bold.white('  SET TAX RATE'.padEnd(68)) + chalk.cyan('║'));
+      console.log(chalk.cyan('╚══════════════════════════════════════════════════════════════════════╝\n'));
+
+      const answers = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'country',
+          message: 'Country (as in shipping addresses):',
+          filter: input => input.trim().toUpperCase(),
+          validate: input => input.length > 0 || 'Country is required'
+        },
+        {
+          type: 'input',
+          name: 'state',
+          message: 'State (press Enter for the whole country):',
+          filter: input => input.trim().toUpperCase()
+        },
+        {
+          type: 'list',
+          name: 'taxClass',
+          message: 'Tax class:',
+          choices: Object.values(TAX_CLASSES).filter(taxClass => taxClass !== TAX_CLASSES.EXEMPT)
+        },
+        { type: 'input', name: 'name', message: 'Name (optional):' },
+        {
+          type: 'input',
+          name: 'components',
+          message: 'Components as NAME:PERCENT, comma separated (e.g. State:6, County:1.25):',
+          filter: input => input.split(',').map(part => part.trim()).filter(Boolean),
+          validate: input => (input.length > 0 && input.every(part => /^[^:]+:\d+(\.\d+)?$/.test(part))) ||
+            'Enter at least one NAME:PERCENT'
+        },
+        { type: 'confirm', name: 'inclusive', message: 'Are prices here tax-inclusive?', default: false },
+        { type: 'confirm', name: 'isActive', message: 'Active?', default: true }
+      ]);
+
+      const components = answers.components.map(part => {
+        const [name, rate] = part.split(':');
+        return { name: name.trim(), rate: Math.round(parseFloat(rate) * 1e4) / 1e6 };
+      });
+
+      const spinner = display.showLoading('Saving tax rate...');
+      const rate = await taxService.setRate({
+        country: answers.country,
+        state: answers.state || null,
+        taxClass: answers.taxClass,
+        name: answers.name.trim(),
+        components,
+        inclusive: answers.inclusive,
+        isActive: answers.isActive
+      }, session.getActor());
+      spinner.succeed(`Tax rate saved for ${rate.state ? `${rate.country}-${rate.state}` : rate.country} ${rate.taxClass}`);
+
+    } catch (error) {
+      display.displayError(error.message);
+    }
+  }
+}
+
+module.exports = new TaxCommands();
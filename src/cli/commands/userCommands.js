@@ -2,10 +2,64 @@ const inquirer = require('inquirer');
 const chalk = require('chalk');
 const userService = require('../../services/UserService');
 const display = require('../helpers/display');
+const session = require('../helpers/session');
 const { USER_ROLES } = require('../../config/constants');
+const { PERMISSIONS } = require('../../config/permissions');
 const Table = require('cli-table3');
 
+const MAX_LOGIN_ATTEMPTS = 3;
+
 class UserCommands {
+  /**
+   * Prompt for credentials and start the CLI session.
+   * Returns false after too many failed attempts.
+   */
+  async login() {
+    console.log(chalk.cyan('\n╔══════════════════════════════════════════════════════════════════════╗'));
+    console.log(chalk.cyan('║') + chalk.bold.white('  LOGIN'.padEnd(68)) + chalk.cyan('║'));
+    console.log(chalk.cyan('╚══════════════════════════════════════════════════════════════════════╝\n'));
+
+    for (let attempt = 1; attempt <= MAX_LOGIN_ATTEMPTS; attempt++) {
+      const { email, password } = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'email',
+          message: 'Email:',
+          validate: input => input.includes('@') || 'Invalid email'
+        },
+        {
+          type: 'password',
+          name: 'password',
+          message: 'Password:',
+          mask: '*',
+          validate: input => input.length > 0 || 'Password is required'
+        }
+      ]);
+
+      try {
+        const spinner = display.showLoading('Signing in...');
+        let user;
+        try {
+          user = await userService.authenticate(email, password);
+        } finally {
+          spinner.stop();
+        }
+
+        session.setUser(user);
+        display.displaySuccess(`Welcome, ${user.firstName}! Logged in as ${user.role}`);
+        return true;
+
+      } catch (error) {
+        const remaining = MAX_LOGIN_ATTEMPTS - attempt;
+        display.displayError(
+          remaining > 0 ? `${error.message} (${remaining} attempt(s) left)` : error.message
+        );
+      }
+    }
+
+    return false;
+  }
+
   async createUser() {
     try {
       display.clearScreen();
@@ -58,7 +112,7 @@ class UserCommands {
       ]);
 
       const spinner = display.showLoading('Creating user...');
-      const user = await userService.createUser(answers);
+      const user = await userService.createUser(answers, session.getActor());
       spinner.succeed('User created successfully!');
 
       console.log(chalk.cyan('\n╔══════════════════════════════════════════════════════════════════════╗'));
@@ -174,12 +228,17 @@ class UserCommands {
 
   async manageWishlist() {
     try {
-      const { userId } = await inquirer.prompt([{
-        type: 'input',
-        name: 'userId',
-        message: 'Enter User ID:',
-        validate: input => input.length > 0 || 'User ID is required'
-      }]);
+      // Customers manage only their own wishlist
+      let userId = session.getUser()._id.toString();
+      if (session.can(PERMISSIONS.WISHLIST_MANAGE_ANY)) {
+        ({ userId } = await inquirer.prompt([{
+          type: 'input',
+          name: 'userId',
+          message: 'Enter User ID:',
+          default: userId,
+          validate: input => input.length > 0 || 'User ID is required'
+        }]));
+      }
 
       const { action } = await inquirer.prompt([{
         type: 'list',
@@ -263,7 +322,7 @@ class UserCommands {
       }]);
 
       const spinner = display.showLoading('Adding to wishlist...');
-      await userService.addToWishlist(userId, productId);
+      await userService.addToWishlist(userId, productId, '', session.getActor());
       spinner.succeed('Added to wishlist!');
 
     } catch (error) {
@@ -281,7 +340,7 @@ class UserCommands {
       }]);
 
       const spinner = display.showLoading('Removing from wishlist...');
-      await userService.removeFromWishlist(userId, productId);
+      await userService.removeFromWishlist(userId, productId, session.getActor());
       spinner.succeed('Removed from wishlist!');
 
     } catch (error) {
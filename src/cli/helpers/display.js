@@ -66,6 +66,67 @@ class DisplayHelper {
     console.log(chalk.gray('    Total:     ') + chalk.white(product.inventory.quantity));
     console.log(chalk.gray('    Available: ') + this.getStockColor(product.inventory.available));
     console.log(chalk.gray('    Reserved:  ') + chalk.yellow(product.inventory.reserved));
+
+    if (product.onOrder > 0) {
+      console.log(chalk.gray('    On Order:  ') + chalk.blue(product.onOrder));
+    }
+
+    (product.stockTakes || []).forEach(take => {
+      console.log(chalk.gray('    Counting:  ') + chalk.magenta(`${take.takeNumber} (${take.location})`));
+    });
+
+    if (product.variants && product.variants.length > 0) {
+      const table = new Table({
+        head: [
+          chalk.cyan('Variant SKU'),
+          chalk.cyan('Name'),
+          chalk.cyan('Price'),
+          chalk.cyan('Available'),
+          chalk.cyan('Reserved'),
+          chalk.cyan('On Order')
+        ],
+        colWidths: [18, 24, 12, 12, 12, 12]
+      });
+
+      product.variants.forEach(variant => {
+        table.push([
+          chalk.white(variant.sku),
+          chalk.white(variant.name.substring(0, 22)),
+          chalk.green(`$${variant.price.toFixed(2)}`),
+          this.getStockColor(variant.available ?? variant.quantity),
+          chalk.yellow(variant.reserved || 0),
+          chalk.blue(variant.onOrder || 0)
+        ]);
+      });
+
+      console.log(chalk.gray('\n  Variants:'));
+      console.log(table.toString());
+    }
+
+    const locations = Object.entries(product.inventory.locations || {});
+    if (locations.length > 0) {
+      const table = new Table({
+        head: [
+          chalk.cyan('Location'),
+          chalk.cyan('Total'),
+          chalk.cyan('Available'),
+          chalk.cyan('Reserved')
+        ],
+        colWidths: [18, 12, 12, 12]
+      });
+
+      locations.forEach(([code, stock]) => {
+        table.push([
+          chalk.white(code),
+          chalk.white(stock.quantity),
+          this.getStockColor(stock.available),
+          chalk.yellow(stock.reserved || 0)
+        ]);
+      });
+
+      console.log(chalk.gray('\n  Locations:'));
+      console.log(table.toString());
+    }
     
     if (product.salesStats && product.salesStats.totalSold > 0) {
       console.log(chalk.gray('\n  Sales Stats:'));
@@ -229,9 +290,10 @@ class DisplayHelper {
         chalk.cyan('Name'),
         chalk.cyan('Available'),
         chalk.cyan('Reorder Point'),
+        chalk.cyan('On Order'),
         chalk.cyan('Action')
       ],
-      colWidths: [18, 32, 12, 15, 15]
+      colWidths: [18, 32, 12, 15, 10, 15]
     });
 
     products.forEach(product => {
@@ -244,6 +306,7 @@ class DisplayHelper {
         chalk.white(product.name.substring(0, 30)),
         chalk.red(product.inventory.available),
         chalk.gray(product.inventory.reorderPoint),
+        chalk.blue(product.onOrder || 0),
         urgency
       ]);
     });
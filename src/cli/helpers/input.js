@@ -0,0 +1,82 @@
+/**
+ * Input Helper for non-interactive commands
+ */
+
+const fs = require('fs');
+const { InvalidArgumentError } = require('commander');
+const { ValidationError } = require('../../utils/errorHandler');
+
+function parseInteger(value) {
+  const parsed = parseInt(value, 10);
+  if (isNaN(parsed) || String(parsed) !== String(value).trim()) {
+    throw new InvalidArgumentError('Must be an integer.');
+  }
+  return parsed;
+}
+
+function parsePositiveInteger(value) {
+  const parsed = parseInteger(value);
+  if (parsed <= 0) {
+    throw new InvalidArgumentError('Must be a positive integer.');
+  }
+  return parsed;
+}
+
+function parseNumber(value) {
+  const parsed = parseFloat(value);
+  if (isNaN(parsed)) {
+    throw new InvalidArgumentError('Must be a number.');
+  }
+  return parsed;
+}
+
+function collect(value, previous = []) {
+  return previous.concat(value.split(',').map(v => v.trim()).filter(v => v));
+}
+
+/**
+ * Order lines given as SKU:QTY arguments
+ */
+function parseItems(specs = []) {
+  return specs.map(spec => {
+    const match = /^([^:\s]+):(\d+)$/.exec(spec.trim());
+    if (!match) {
+      throw new ValidationError(`Invalid item '${spec}'; use SKU:QTY`);
+    }
+    return { sku: match[1], quantity: parseInt(match[2], 10) };
+  });
+}
+
+/**
+ * Read a JSON payload from --data '<json>' or --file <path>
+ */
+function readJsonPayload(options) {
+  let raw;
+
+  if (options.data) {
+    raw = options.data;
+  } else if (options.file) {
+    try {
+      raw = fs.readFileSync(options.file, 'utf8');
+    } catch (error) {
+      throw new ValidationError(`Cannot read file '${options.file}': ${error.message}`);
+    }
+  } else {
+    throw new ValidationError('Provide the payload with --data <json> or --file <path>');
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new ValidationError(`Invalid JSON payload: ${error.message}`);
+  }
+}
+
+module.exports = {
+  parseInteger,
+  parsePositiveInteger,
+  parseNumber,
+  collect,
+  parseItems,
+  readJsonPayload
+};
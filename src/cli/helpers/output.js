@@ -0,0 +1,123 @@
+/**
+ * Output Helper for non-interactive commands
+ *
+ * Human-readable tables go to stdout, JSON goes to stdout untouched so it
+ * can be piped into other tools, and errors always go to stderr.
+ */
+
+const Table = require('cli-table3');
+const chalk = require('chalk');
+const { EXIT_CODES } = require('../../config/constants');
+const { CommanderError } = require('commander');
+
+class OutputHelper {
+  json(data) {
+    process.stdout.write(`${JSON.stringify(data, null, 2)}\n`);
+  }
+
+  table(rows, columns) {
+    if (!rows || rows.length === 0) {
+      console.log(chalk.yellow('No records found'));
+      return;
+    }
+
+    const table = new Table({
+      head: columns.map(col => chalk.cyan(col.header))
+    });
+
+    rows.forEach(row => {
+      table.push(columns.map(col => {
+        const value = col.value(row);
+        return value === null || value === undefined ? '' : String(value);
+      }));
+    });
+
+    console.log(table.toString());
+  }
+
+  details(record, fields = null) {
+    const table = new Table();
+    const keys = fields || Object.keys(record);
+
+    keys.forEach(key => {
+      const label = typeof key === 'string' ? key : key.label;
+      const value = typeof key === 'string' ? record[key] : key.value(record);
+      table.push({ [chalk.gray(label)]: this.formatValue(value) });
+    });
+
+    console.log(table.toString());
+  }
+
+  pagination(pagination) {
+    if (!pagination) return;
+    const { page, pages, total } = pagination;
+    console.log(chalk.gray(`Page ${page} of ${pages} | Total: ${total}`));
+  }
+
+  formatValue(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object' && typeof value.toHexString === 'function') {
+      return value.toHexString();
+    }
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  }
+
+  money(value) {
+    return `$${(value || 0).toFixed(2)}`;
+  }
+
+  success(message, asJson = false) {
+    if (asJson) return;
+    console.log(chalk.green(message));
+  }
+
+  error(error, asJson = false) {
+    if (asJson) {
+      process.stderr.write(`${JSON.stringify({
+        error: {
+          name: error.name,
+          message: error.message,
+          statusCode: error.statusCode || null
+        }
+      })}\n`);
+      return;
+    }
+
+    process.stderr.write(`${chalk.red(`Error: ${error.message}`)}\n`);
+  }
+
+  /**
+   * Map an error onto a process exit code.
+   * AppError subclasses carry an HTTP-style statusCode we can key off.
+   */
+  getExitCode(error) {
+    if (error instanceof CommanderError) {
+      return error.exitCode === 0 ? EXIT_CODES.SUCCESS : EXIT_CODES.USAGE;
+    }
+
+    switch (error.statusCode) {
+      case 400:
+        return EXIT_CODES.VALIDATION;
+      case 401:
+        return EXIT_CODES.AUTHENTICATION;
+      case 403:
+        return EXIT_CODES.FORBIDDEN;
+      case 402:
+        return EXIT_CODES.PAYMENT;
+      case 404:
+        return EXIT_CODES.NOT_FOUND;
+      case 409:
+        return EXIT_CODES.CONFLICT;
+      case 422:
+        return EXIT_CODES.BUSINESS_RULE;
+      case 500:
+        return error.name === 'DatabaseError' ? EXIT_CODES.DATABASE : EXIT_CODES.FAILURE;
+      default:
+        return EXIT_CODES.FAILURE;
+    }
+  }
+}
+
+module.exports = new OutputHelper();
@@ -0,0 +1,52 @@
+/**
+ * CLI Session
+ *
+ * Holds the user who logged in at startup so commands know which
+ * ADMIN, MANAGER or CUSTOMER is acting.
+ */
+
+const { hasPermission } = require('../../utils/authorization');
+const { createActor } = require('../../utils/actor');
+const { ACTOR_SOURCES } = require('../../config/constants');
+
+class CliSession {
+  constructor() {
+    this.user = null;
+  }
+
+  setUser(user) {
+    this.user = {
+      _id: user._id,
+      email: user.email,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      role: user.role
+    };
+  }
+
+  getUser() {
+    return this.user;
+  }
+
+  /**
+   * The acting user passed to services for permission checks
+   */
+  getActor() {
+    if (!this.user) return null;
+    return createActor(this.user, ACTOR_SOURCES.CLI);
+  }
+
+  can(permission) {
+    return hasPermission(this.getActor(), permission);
+  }
+
+  isAuthenticated() {
+    return this.user !== null;
+  }
+
+  clear() {
+    this.user = null;
+  }
+}
+
+module.exports = new CliSession();
@@ -3,9 +3,17 @@ const chalk = require('chalk');
 const figlet = require('figlet');
 const productCommands = require('../commands/productCommands');
 const orderCommands = require('../commands/orderCommands');
+const categoryCommands = require('../commands/categoryCommands');
 const userCommands = require('../commands/userCommands');
 const analyticsCommands = require('../commands/analyticsCommands');
+const purchasingCommands = require('../commands/purchasingCommands');
+const stockTakeCommands = require('../commands/stockTakeCommands');
+const returnCommands = require('../commands/returnCommands');
+const taxCommands = require('../commands/taxCommands');
 const display = require('../helpers/display');
+const session = require('../helpers/session');
+const { PERMISSIONS } = require('../../config/permissions');
+const { authorize } = require('../../utils/authorization');
 
 class MainMenu {
   /**
@@ -36,49 +44,117 @@ class MainMenu {
       this.displayBanner();
     }
 
+    const currentUser = session.getUser();
+    if (currentUser) {
+      console.log(chalk.gray(`  Logged in as ${currentUser.email} (${currentUser.role})\n`));
+    }
+
     const choices = [
       chalk.cyan('━━━ PRODUCT MANAGEMENT ━━━'),
-      { name: '  📦 Create New Product', value: 'create_product' },
+      { name: '  📦 Create New Product', value: 'create_product', permission: PERMISSIONS.PRODUCT_CREATE },
       { name: '  📋 List All Products', value: 'list_products' },
       { name: '  🔍 Search Products', value: 'search_products' },
       { name: '  👁️  View Product Details', value: 'view_product' },
-      { name: '  ✏️  Update Product', value: 'update_product' },
-      { name: '  🗑️  Delete Product', value: 'delete_product' },
+      { name: '  ✏️  Update Product', value: 'update_product', permission: PERMISSIONS.PRODUCT_UPDATE },
+      { name: '  🗑️  Delete Product', value: 'delete_product', permission: PERMISSIONS.PRODUCT_DELETE },
+      { name: '  📥 Import Products (CSV/JSON)', value: 'import_products', permission: PERMISSIONS.PRODUCT_CREATE },
+      { name: '  📤 Export Products (CSV/JSON/NDJSON)', value: 'export_products', permission: PERMISSIONS.INVENTORY_VIEW },
+      
+      chalk.cyan('━━━ CATEGORY MANAGEMENT ━━━'),
+      { name: '  🌳 Browse Category Tree', value: 'category_tree' },
+      { name: '  📋 List Categories', value: 'list_categories' },
+      { name: '  📁 Create Category', value: 'create_category', permission: PERMISSIONS.CATEGORY_MANAGE },
+      { name: '  ✏️  Rename Category', value: 'rename_category', permission: PERMISSIONS.CATEGORY_MANAGE },
+      { name: '  🔀 Move Category', value: 'move_category', permission: PERMISSIONS.CATEGORY_MANAGE },
+      { name: '  🔍 Search Categories', value: 'search_categories' },
+      { name: '  🗑️  Delete Category', value: 'delete_category', permission: PERMISSIONS.CATEGORY_MANAGE },
       
       chalk.cyan('━━━ USER & WISHLIST ━━━'),
-      { name: '  👤 Create User', value: 'create_user' },
-      { name: '  👥 List Users', value: 'list_users' },
-      { name: '  👁️  View User', value: 'view_user' },
-      { name: '  ❤️  Manage Wishlist', value: 'manage_wishlist' },
-      { name: '  📊 User Statistics', value: 'user_stats' },
+      { name: '  👤 Create User', value: 'create_user', permission: PERMISSIONS.USER_MANAGE },
+      { name: '  👥 List Users', value: 'list_users', permission: PERMISSIONS.USER_VIEW },
+      { name: '  👁️  View User', value: 'view_user', permission: PERMISSIONS.USER_VIEW },
+      {
+        name: '  ❤️  Manage Wishlist',
+        value: 'manage_wishlist',
+        permission: [PERMISSIONS.WISHLIST_MANAGE_OWN, PERMISSIONS.WISHLIST_MANAGE_ANY]
+      },
+      { name: '  📊 User Statistics', value: 'user_stats', permission: PERMISSIONS.USER_VIEW },
       
       chalk.cyan('━━━ ORDER MANAGEMENT ━━━'),
-      { name: '  🛒 Create Order', value: 'create_order' },
-      { name: '  📦 List Orders', value: 'list_orders' },
-      { name: '  🔍 View Order', value: 'view_order' },
-      { name: '  ✏️  Update Order Status', value: 'update_order_status' },
-      { name: '  ❌ Cancel Order', value: 'cancel_order' },
-      { name: '  📊 Order Statistics', value: 'order_stats' },
+      {
+        name: '  🛒 Create Order',
+        value: 'create_order',
+        permission: [PERMISSIONS.ORDER_CREATE_OWN, PERMISSIONS.ORDER_CREATE_ANY]
+      },
+      {
+        name: '  📦 List Orders',
+        value: 'list_orders',
+        permission: [PERMISSIONS.ORDER_VIEW_OWN, PERMISSIONS.ORDER_VIEW_ANY]
+      },
+      {
+        name: '  🔍 View Order',
+        value: 'view_order',
+        permission: [PERMISSIONS.ORDER_VIEW_OWN, PERMISSIONS.ORDER_VIEW_ANY]
+      },
+      { name: '  ✏️  Update Order Status', value: 'update_order_status', permission: PERMISSIONS.ORDER_UPDATE_STATUS },
+      { name: '  🚚 Ship Order', value: 'ship_order', permission: PERMISSIONS.ORDER_UPDATE_STATUS },
+      {
+        name: '  📝 Amend Order',
+        value: 'amend_order',
+        permission: [PERMISSIONS.ORDER_AMEND_OWN, PERMISSIONS.ORDER_AMEND_ANY]
+      },
+      {
+        name: '  ❌ Cancel Order',
+        value: 'cancel_order',
+        permission: [PERMISSIONS.ORDER_CANCEL_OWN, PERMISSIONS.ORDER_CANCEL_ANY]
+      },
+      {
+        name: '  ↩️  Request Return',
+        value: 'request_return',
+        permission: [PERMISSIONS.RETURN_REQUEST_OWN, PERMISSIONS.RETURN_REQUEST_ANY]
+      },
+      { name: '  📦 Handle Returns', value: 'manage_returns', permission: PERMISSIONS.RETURN_MANAGE },
+      { name: '  💳 Manage Payment', value: 'manage_payment', permission: PERMISSIONS.PAYMENT_MANAGE },
+      { name: '  ⏳ Release Expired Reservations', value: 'expire_reservations', permission: PERMISSIONS.ORDER_CANCEL_ANY },
+      { name: '  📊 Order Statistics', value: 'order_stats', permission: PERMISSIONS.ANALYTICS_VIEW },
       
       chalk.cyan('━━━ INVENTORY MANAGEMENT ━━━'),
-      { name: '  📊 Manage Inventory', value: 'manage_inventory' },
-      { name: '  ⚠️  Low Stock Alert', value: 'low_stock' },
-      { name: '  📉 Out of Stock Products', value: 'out_of_stock' },
+      { name: '  📊 Manage Inventory', value: 'manage_inventory', permission: PERMISSIONS.INVENTORY_ADJUST },
+      { name: '  ⚠️  Low Stock Alert', value: 'low_stock', permission: PERMISSIONS.INVENTORY_VIEW },
+      { name: '  📉 Out of Stock Products', value: 'out_of_stock', permission: PERMISSIONS.INVENTORY_VIEW },
+      { name: '  🏬 Stock Locations', value: 'stock_locations', permission: PERMISSIONS.INVENTORY_VIEW },
+      { name: '  🧮 Open Stock-take', value: 'open_stock_take', permission: PERMISSIONS.INVENTORY_ADJUST },
+      { name: '  📝 Stock-take Counts & Posting', value: 'manage_stock_take', permission: PERMISSIONS.INVENTORY_ADJUST },
+      { name: '  📜 Stock Movement History', value: 'stock_history', permission: PERMISSIONS.INVENTORY_VIEW },
+      { name: '  🧾 Reconcile Inventory Ledger', value: 'reconcile_inventory', permission: PERMISSIONS.INVENTORY_VIEW },
+      
+      chalk.cyan('━━━ PURCHASING ━━━'),
+      { name: '  🏭 List Suppliers', value: 'list_suppliers', permission: PERMISSIONS.INVENTORY_VIEW },
+      { name: '  ➕ Create Supplier', value: 'create_supplier', permission: PERMISSIONS.SUPPLIER_MANAGE },
+      { name: '  📋 List Purchase Orders', value: 'list_purchase_orders', permission: PERMISSIONS.INVENTORY_VIEW },
+      { name: '  📝 Create Purchase Order', value: 'create_purchase_order', permission: PERMISSIONS.PURCHASE_ORDER_MANAGE },
+      { name: '  📥 Send / Receive Purchase Order', value: 'manage_purchase_order', permission: PERMISSIONS.PURCHASE_ORDER_MANAGE },
+      { name: '  🔁 Reorder Suggestions', value: 'reorder_suggestions', permission: PERMISSIONS.INVENTORY_VIEW },
       
       chalk.cyan('━━━ ANALYTICS & REPORTS ━━━'),
-      { name: '  📊 Dashboard Summary', value: 'dashboard' },
-      { name: '  📈 Sales Report', value: 'sales_report' },
-      { name: '  📁 Category Performance', value: 'category_performance' },
-      { name: '  👥 Customer Analytics', value: 'customer_analytics' },
-      { name: '  💰 Inventory Value', value: 'inventory_value' },
-      { name: '  📈 Revenue Trends', value: 'revenue_trends' },
-      { name: '  🔄 Inventory Turnover', value: 'inventory_turnover' },
-      { name: '  📊 Order Distribution', value: 'order_distribution' },
-      { name: '  🏆 Top Selling Products', value: 'top_sellers' },
-      { name: '  📈 Product Statistics', value: 'statistics' },
+      { name: '  📊 Dashboard Summary', value: 'dashboard', permission: PERMISSIONS.ANALYTICS_VIEW },
+      { name: '  📈 Sales Report', value: 'sales_report', permission: PERMISSIONS.ANALYTICS_VIEW },
+      { name: '  📁 Category Performance', value: 'category_performance', permission: PERMISSIONS.ANALYTICS_VIEW },
+      { name: '  👥 Customer Analytics', value: 'customer_analytics', permission: PERMISSIONS.ANALYTICS_VIEW },
+      { name: '  💰 Inventory Value', value: 'inventory_value', permission: PERMISSIONS.ANALYTICS_VIEW },
+      { name: '  📈 Revenue Trends', value: 'revenue_trends', permission: PERMISSIONS.ANALYTICS_VIEW },
+      { name: '  🔄 Inventory Turnover', value: 'inventory_turnover', permission: PERMISSIONS.ANALYTICS_VIEW },
+      { name: '  📦 Stock Movements by Period', value: 'stock_movements', permission: PERMISSIONS.ANALYTICS_VIEW },
+      { name: '  📊 Order Distribution', value: 'order_distribution', permission: PERMISSIONS.ANALYTICS_VIEW },
+      { name: '  🧾 Tax Liability', value: 'tax_liability', permission: PERMISSIONS.ANALYTICS_VIEW },
+      { name: '  🗺️  Tax Rates', value: 'tax_rates', permission: PERMISSIONS.ANALYTICS_VIEW },
+      { name: '  ✏️  Set Tax Rate', value: 'set_tax_rate', permission: PERMISSIONS.TAX_MANAGE },
+      { name: '  🏆 Top Selling Products', value: 'top_sellers', permission: PERMISSIONS.ANALYTICS_VIEW },
+      { name: '  📈 Product Statistics', value: 'statistics', permission: PERMISSIONS.ANALYTICS_VIEW },
       
       chalk.cyan('━━━ SYSTEM ━━━'),
-      { name: '  🌱 Seed Database', value: 'seed_database' },
+      { name: '  🔑 Switch User', value: 'switch_user' },
+      { name: '  🌱 Seed Database', value: 'seed_database', permission: PERMISSIONS.DATABASE_SEED },
       { name: '  ℹ️  About', value: 'about' },
       { name: '  🚪 Exit', value: 'exit' }
     ];
@@ -88,7 +164,7 @@ class MainMenu {
         type: 'list',
         name: 'action',
         message: chalk.bold('What would you like to do?'),
-        choices: choices,
+        choices: this.filterChoices(choices),
         pageSize: 20,
         loop: false
       }
@@ -97,6 +173,24 @@ class MainMenu {
     return answer.action;
   }
 
+  /**
+   * Drop entries the current role cannot use, then any section header left empty.
+   * An entry's permission may be a list, meaning any one of them is enough.
+   */
+  filterChoices(choices) {
+    const allowed = choices.filter(choice => {
+      if (typeof choice === 'string' || !choice.permission) return true;
+      const permissions = [].concat(choice.permission);
+      return permissions.some(permission => session.can(permission));
+    });
+
+    return allowed.filter((choice, index) => {
+      if (typeof choice !== 'string') return true;
+      const next = allowed[index + 1];
+      return next !== undefined && typeof next !== 'string';
+    });
+  }
+
   /**
    * Handle menu action
    */
@@ -122,6 +216,35 @@ class MainMenu {
         case 'delete_product':
           await productCommands.deleteProduct();
           break;
+        case 'import_products':
+          await productCommands.importProducts();
+          break;
+        case 'export_products':
+          await productCommands.exportProducts();
+          break;
+
+        // CATEGORY MANAGEMENT
+        case 'category_tree':
+          await categoryCommands.browseTree();
+          break;
+        case 'list_categories':
+          await categoryCommands.listCategories();
+          break;
+        case 'create_category':
+          await categoryCommands.createCategory();
+          break;
+        case 'rename_category':
+          await categoryCommands.renameCategory();
+          break;
+        case 'move_category':
+          await categoryCommands.moveCategory();
+          break;
+        case 'search_categories':
+          await categoryCommands.searchCategories();
+          break;
+        case 'delete_category':
+          await categoryCommands.deleteCategory();
+          break;
 
         // USER MANAGEMENT
         case 'create_user':
@@ -156,6 +279,24 @@ class MainMenu {
         case 'cancel_order':
           await orderCommands.cancelOrder();
           break;
+        case 'ship_order':
+          await orderCommands.shipOrder();
+          break;
+        case 'amend_order':
+          await orderCommands.amendOrder();
+          break;
+        case 'request_return':
+          await returnCommands.requestReturn();
+          break;
+        case 'manage_returns':
+          await returnCommands.manageReturns();
+          break;
+        case 'manage_payment':
+          await orderCommands.managePayment();
+          break;
+        case 'expire_reservations':
+          await orderCommands.expireReservations();
+          break;
         case 'order_stats':
           await orderCommands.viewOrderStats();
           break;
@@ -170,6 +311,41 @@ class MainMenu {
         case 'out_of_stock':
           await this.viewOutOfStock();
           break;
+        case 'stock_locations':
+          await productCommands.viewLocations();
+          break;
+        case 'open_stock_take':
+          await stockTakeCommands.openStockTake();
+          break;
+        case 'manage_stock_take':
+          await stockTakeCommands.manageStockTake();
+          break;
+        case 'stock_history':
+          await productCommands.viewStockHistory();
+          break;
+        case 'reconcile_inventory':
+          await productCommands.reconcileInventory();
+          break;
+
+        // PURCHASING
+        case 'list_suppliers':
+          await purchasingCommands.listSuppliers();
+          break;
+        case 'create_supplier':
+          await purchasingCommands.createSupplier();
+          break;
+        case 'list_purchase_orders':
+          await purchasingCommands.listPurchaseOrders();
+          break;
+        case 'create_purchase_order':
+          await purchasingCommands.createPurchaseOrder();
+          break;
+        case 'manage_purchase_order':
+          await purchasingCommands.managePurchaseOrder();
+          break;
+        case 'reorder_suggestions':
+          await purchasingCommands.viewReorderSuggestions();
+          break;
 
         // ANALYTICS & REPORTS
         case 'dashboard':
@@ -193,9 +369,21 @@ class MainMenu {
         case 'inventory_turnover':
           await analyticsCommands.viewInventoryTurnover();
           break;
+        case 'stock_movements':
+          await analyticsCommands.viewStockMovements();
+          break;
         case 'order_distribution':
           await analyticsCommands.viewOrderStatusDistribution();
           break;
+        case 'tax_liability':
+          await analyticsCommands.viewTaxLiability();
+          break;
+        case 'tax_rates':
+          await taxCommands.listTaxRates();
+          break;
+        case 'set_tax_rate':
+          await taxCommands.setTaxRate();
+          break;
         case 'top_sellers':
           await productCommands.viewTopSellers();
           break;
@@ -204,6 +392,12 @@ class MainMenu {
           break;
 
         // SYSTEM
+        case 'switch_user':
+          session.clear();
+          if (!(await userCommands.login())) {
+            return false;
+          }
+          break;
         case 'seed_database':
           await this.seedDatabase();
           break;
@@ -258,6 +452,8 @@ class MainMenu {
    * Seed database
    */
   async seedDatabase() {
+    authorize(session.getActor(), PERMISSIONS.DATABASE_SEED);
+
     display.clearScreen();
     console.log(chalk.yellow('\n⚠️  WARNING: This will delete all existing data!\n'));
     
@@ -291,10 +487,25 @@ class MainMenu {
     console.log('');
     console.log(chalk.gray('  Features:'));
     console.log(chalk.white('    ✓ Complete Product CRUD operations'));
+    console.log(chalk.white('    ✓ Bulk product import from CSV/JSON'));
+    console.log(chalk.white('    ✓ Streaming export to CSV/JSON/NDJSON'));
     console.log(chalk.white('    ✓ Advanced search with filters'));
+    console.log(chalk.white('    ✓ Hierarchical category management'));
     console.log(chalk.white('    ✓ Real-time inventory management'));
+    console.log(chalk.white('    ✓ Multi-warehouse stock with transfers'));
+    console.log(chalk.white('    ✓ Stock-takes with variance reports'));
+    console.log(chalk.white('    ✓ Inventory ledger reconciliation'));
+    console.log(chalk.white('    ✓ Stock movement history and summaries'));
+    console.log(chalk.white('    ✓ Suppliers and purchase order receiving'));
+    console.log(chalk.white('    ✓ Reorder suggestions from sales velocity'));
     console.log(chalk.white('    ✓ Sales analytics and reports'));
     console.log(chalk.white('    ✓ Order management with status tracking'));
+    console.log(chalk.white('    ✓ Order amendments before fulfilment'));
+    console.log(chalk.white('    ✓ Partial shipments with per-parcel tracking'));
+    console.log(chalk.white('    ✓ Payment authorization, capture and refunds'));
+    console.log(chalk.white('    ✓ Returns (RMAs) with restock or write-off'));
+    console.log(chalk.white('    ✓ Sales tax by jurisdiction and product tax class'));
+    console.log(chalk.white('    ✓ Expiry of stock reserved by abandoned orders'));
     console.log(chalk.white('    ✓ User and wishlist management'));
     console.log(chalk.white('    ✓ Low stock alerts'));
     console.log(chalk.white('    ✓ Interactive CLI interface'));
@@ -315,6 +526,13 @@ class MainMenu {
    * Run menu loop
    */
   async run() {
+    this.displayBanner();
+
+    if (!(await userCommands.login())) {
+      display.displayError('Too many failed login attempts. Exiting.');
+      return;
+    }
+
     let keepRunning = true;
     let firstTime = true;
 
@@ -0,0 +1,69 @@
+/**
+ * Action wrapper for non-interactive commands
+ *
+ * Connects to MongoDB, runs the handler, prints the result either as JSON
+ * (--json) or through the command's own renderer, and records the exit code.
+ * The connection is always closed so scripts and cron jobs terminate cleanly.
+ *
+ * Every command runs as the user named by SHOPVAULT_EMAIL/SHOPVAULT_PASSWORD;
+ * the handler receives that user as options.actor.
+ */
+
+const dbManager = require('../../config/database');
+const userService = require('../../services/UserService');
+const output = require('../helpers/output');
+const { authorize } = require('../../utils/authorization');
+const { createActor } = require('../../utils/actor');
+const { ACTOR_SOURCES } = require('../../config/constants');
+const { AuthenticationError } = require('../../utils/errorHandler');
+
+async function authenticateActor() {
+  const { SHOPVAULT_EMAIL, SHOPVAULT_PASSWORD } = process.env;
+
+  if (!SHOPVAULT_EMAIL || !SHOPVAULT_PASSWORD) {
+    throw new AuthenticationError('Set SHOPVAULT_EMAIL and SHOPVAULT_PASSWORD to run commands');
+  }
+
+  const user = await userService.authenticate(SHOPVAULT_EMAIL, SHOPVAULT_PASSWORD);
+  return createActor(user, ACTOR_SOURCES.CLI);
+}
+
+/**
+ * options.permission guards read-only commands whose services do not
+ * check permissions themselves
+ */
+function action(handler, render = null, { permission = null } = {}) {
+  return async (...args) => {
+    const command = args.pop();
+    args.pop(); // local options, superseded by optsWithGlobals()
+    const options = command.optsWithGlobals();
+
+    try {
+      await dbManager.connect();
+      const actor = await authenticateActor();
+
+      if (permission) {
+        authorize(actor, permission);
+      }
+
+      const result = await handler(...args, { ...options, actor });
+
+      if (options.json) {
+        output.json(result === undefined ? { success: true } : result);
+      } else if (render) {
+        render(result, options);
+      } else if (result !== undefined) {
+        output.details(result);
+      }
+
+    } catch (error) {
+      output.error(error, options.json);
+      process.exitCode = output.getExitCode(error);
+
+    } finally {
+      await dbManager.disconnect();
+    }
+  };
+}
+
+module.exports = action;
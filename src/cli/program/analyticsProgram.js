@@ -0,0 +1,213 @@
+/**
+ * `shopvault analytics ...` commands
+ */
+
+const { Option } = require('commander');
+const analyticsService = require('../../services/AnalyticsService');
+const output = require('../helpers/output');
+const action = require('./action');
+const { parseInteger } = require('../helpers/input');
+const { PERMISSIONS } = require('../../config/permissions');
+const { INVENTORY, TRANSACTION_TYPES } = require('../../config/constants');
+
+// Every report requires the analytics permission
+const analyticsAction = (handler, render) => action(handler, render, { permission: PERMISSIONS.ANALYTICS_VIEW });
+
+function formatSalesDate(row) {
+  const { year, month, day } = row._id;
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function register(program) {
+  const analytics = program
+    .command('analytics')
+    .description('Reports and analytics');
+
+  analytics
+    .command('dashboard')
+    .description('Show the dashboard summary')
+    .action(analyticsAction(async () => analyticsService.getDashboardSummary(), summary => {
+      output.details({
+        totalProducts: summary.products.totalProducts || 0,
+        inventoryValue: output.money(summary.products.totalValue),
+        lowStockCount: summary.products.lowStockCount || 0,
+        outOfStockCount: summary.products.outOfStockCount || 0,
+        totalOrders: summary.orders.totalOrders || 0,
+        totalRevenue: output.money(summary.orders.totalRevenue),
+        pendingOrders: summary.orders.pendingOrders || 0,
+        completedOrders: summary.orders.completedOrders || 0,
+        monthlyRevenue: output.money(summary.monthlyRevenue.revenue),
+        monthlyOrders: summary.monthlyRevenue.orderCount
+      });
+      output.table(summary.topProducts, [
+        { header: 'SKU', value: p => p.sku },
+        { header: 'Top Product', value: p => p.name },
+        { header: 'Units Sold', value: p => p.salesStats.totalSold },
+        { header: 'Revenue', value: p => output.money(p.salesStats.revenue) }
+      ]);
+    }));
+
+  analytics
+    .command('sales')
+    .description('Daily sales for a period or custom date range')
+    .addOption(
+      new Option('--period <period>', 'reporting period')
+        .choices(['today', 'week', 'month', 'year'])
+        .default('month')
+    )
+    .option('--from <date>', 'range start (YYYY-MM-DD), requires --to')
+    .option('--to <date>', 'range end (YYYY-MM-DD), requires --from')
+    .action(analyticsAction(async (options) => {
+      return analyticsService.getSalesByPeriod(options.period, options.from || null, options.to || null);
+    }, rows => output.table(rows, [
+      { header: 'Date', value: formatSalesDate },
+      { header: 'Orders', value: r => r.orderCount },
+      { header: 'Revenue', value: r => output.money(r.revenue) }
+    ])));
+
+  analytics
+    .command('categories')
+    .description('Category performance')
+    .action(analyticsAction(async () => analyticsService.getCategoryPerformance(), rows => output.table(rows, [
+      { header: 'Category', value: r => r.categoryName },
+      { header: 'Products', value: r => r.productCount },
+      { header: 'Units Sold', value: r => r.totalSold },
+      { header: 'Revenue', value: r => output.money(r.totalRevenue) },
+      { header: 'Avg Price', value: r => output.money(r.avgPrice) }
+    ])));
+
+  analytics
+    .command('customers')
+    .description('Top customers by spend')
+    .action(analyticsAction(async () => analyticsService.getCustomerAnalytics(), rows => output.table(rows, [
+      { header: 'Email', value: r => r.email },
+      { header: 'Name', value: r => `${r.firstName} ${r.lastName}` },
+      { header: 'Orders', value: r => r.orderStats?.totalOrders || 0 },
+      { header: 'Spent', value: r => output.money(r.orderStats?.totalSpent) },
+      { header: 'Wishlist', value: r => r.wishlistCount }
+    ])));
+
+  analytics
+    .command('inventory-value')
+    .description('Inventory value at cost and retail, in total and per location')
+    .action(analyticsAction(async () => analyticsService.getInventoryValue(), inventory => {
+      output.details({
+        totalValue: output.money(inventory.totalValue),
+        totalRetailValue: output.money(inventory.totalRetailValue),
+        totalItems: inventory.totalItems || 0
+      });
+      output.table(inventory.byLocation, [
+        { header: 'Location', value: r => r.location },
+        { header: 'Items', value: r => r.totalItems },
+        { header: 'Cost Value', value: r => output.money(r.totalValue) },
+        { header: 'Retail Value', value: r => output.money(r.totalRetailValue) }
+      ]);
+    }));
+
+  analytics
+    .command('low-stock')
+    .description('Products and variants running low, per location')
+    .option('--threshold <n>', 'available quantity treated as low stock', parseInteger, INVENTORY.LOW_STOCK_THRESHOLD)
+    .action(analyticsAction(async (options) => {
+      return analyticsService.getLowStockByLocation(options.threshold);
+    }, rows => output.table(rows, [
+      { header: 'Location', value: r => r.location },
+      { header: 'SKU', value: r => r.sku },
+      { header: 'Name', value: r => r.name },
+      { header: 'Qty', value: r => r.quantity },
+      { header: 'Reserved', value: r => r.reserved },
+      { header: 'Available', value: r => r.available }
+    ])));
+
+  analytics
+    .command('stock-movements')
+    .description('Stock movements per period and transaction type (default: this month)')
+    .addOption(new Option('--period <period>', 'period to total by').choices(['day', 'week', 'month']).default('month'))
+    .addOption(new Option('--type <type>', 'only this transaction type').choices(Object.values(TRANSACTION_TYPES)))
+    .addOption(new Option('--by <group>', 'also split by category or location').choices(['category', 'location']))
+    .option('--location <code>', 'only movements at this stock location')
+    .option('--from <date>', 'range start (YYYY-MM-DD, default: start of this month)')
+    .option('--to <date>', 'range end (YYYY-MM-DD, default: now)')
+    .action(analyticsAction(async (options) => {
+      return analyticsService.getStockMovements({
+        startDate: options.from || null,
+        endDate: options.to || null,
+        period: options.period,
+        type: options.type || null,
+        location: options.location || null,
+        groupBy: options.by || null
+      });
+    }, report => output.table(report.rows, [
+      { header: 'Period', value: r => r.period },
+      { header: 'Type', value: r => r.type },
+      ...(report.groupBy ? [{ header: report.groupBy === 'category' ? 'Category' : 'Location', value: r => r[report.groupBy] ?? '' }] : []),
+      { header: 'Entries', value: r => r.transactions },
+      { header: 'Units', value: r => r.units },
+      { header: 'Net Qty', value: r => r.net },
+      { header: 'Value (cost)', value: r => output.money(r.value) }
+    ])));
+
+  analytics
+    .command('tax-liability')
+    .description('Tax charged and refunded per period and jurisdiction (default: this year)')
+    .addOption(new Option('--period <period>', 'period to total by').choices(['month', 'quarter', 'year']).default('month'))
+    .option('--jurisdiction <code>', 'only this jurisdiction, e.g. USA-CA')
+    .option('--from <date>', 'range start (YYYY-MM-DD, default: start of this year)')
+    .option('--to <date>', 'range end (YYYY-MM-DD, default: now)')
+    .action(analyticsAction(async (options) => {
+      return analyticsService.getTaxLiability({
+        startDate: options.from || null,
+        endDate: options.to || null,
+        period: options.period,
+        jurisdiction: options.jurisdiction || null
+      });
+    }, report => {
+      output.table(report.rows, [
+        { header: 'Period', value: r => r.period },
+        { header: 'Jurisdiction', value: r => r.jurisdiction },
+        { header: 'Orders', value: r => r.orders },
+        { header: 'Taxable', value: r => output.money(r.taxable) },
+        { header: 'Tax', value: r => output.money(r.tax) },
+        { header: 'Refunded', value: r => output.money(r.refundedTax) },
+        { header: 'Cancelled', value: r => output.money(r.cancelledTax) },
+        { header: 'Net Tax', value: r => output.money(r.netTax) }
+      ]);
+      output.details({
+        tax: output.money(report.totals.tax),
+        refundedTax: output.money(report.totals.refundedTax),
+        cancelledTax: output.money(report.totals.cancelledTax),
+        netTax: output.money(report.totals.netTax)
+      });
+    }));
+
+  analytics
+    .command('revenue-trends')
+    .description('Revenue for the last 7 days')
+    .action(analyticsAction(async () => analyticsService.getRevenueTrends(), rows => output.table(rows, [
+      { header: 'Date', value: r => r.date },
+      { header: 'Orders', value: r => r.orders },
+      { header: 'Revenue', value: r => output.money(r.revenue) }
+    ])));
+
+  analytics
+    .command('turnover')
+    .description('Inventory turnover by product')
+    .action(analyticsAction(async () => analyticsService.getInventoryTurnover(), rows => output.table(rows, [
+      { header: 'SKU', value: r => r.sku },
+      { header: 'Name', value: r => r.name },
+      { header: 'Sold', value: r => r.totalSold },
+      { header: 'Stock', value: r => r.currentStock },
+      { header: 'Turnover', value: r => r.turnoverRate.toFixed(2) }
+    ])));
+
+  analytics
+    .command('order-status')
+    .description('Order count and value by status')
+    .action(analyticsAction(async () => analyticsService.getOrderStatusDistribution(), rows => output.table(rows, [
+      { header: 'Status', value: r => r._id },
+      { header: 'Orders', value: r => r.count },
+      { header: 'Value', value: r => output.money(r.totalValue) }
+    ])));
+}
+
+module.exports = { register };
@@ -0,0 +1,112 @@
+/**
+ * `shopvault export ...` commands
+ *
+ * Streams products, orders, inventory transactions or reorder suggestions to
+ * a file. The format follows the file extension (.csv, .json, .ndjson) unless
+ * --format is given.
+ */
+
+const fs = require('fs');
+const { Option } = require('commander');
+const exportService = require('../../services/ExportService');
+const output = require('../helpers/output');
+const action = require('./action');
+const { addProductFilterOptions, buildProductFilters, resolveProduct } = require('./productProgram');
+const { addOrderFilterOptions, buildOrderFilters } = require('./orderProgram');
+const { addSuggestionOptions, buildSuggestionOptions } = require('./purchaseOrderProgram');
+const { TRANSACTION_TYPES } = require('../../config/constants');
+
+const FORMATS = ['csv', 'json', 'ndjson'];
+
+function addOutputOptions(command) {
+  return command
+    .requiredOption('-o, --output <path>', 'file to write')
+    .addOption(new Option('--format <format>', 'output format (default: from extension)').choices(FORMATS));
+}
+
+/**
+ * Run an export into options.output; a failed export leaves no partial file
+ */
+async function exportToFile(options, runExport) {
+  const format = exportService.resolveFormat(options.output, options.format);
+  const stream = fs.createWriteStream(options.output);
+
+  try {
+    const result = await runExport({ format, output: stream });
+    return { ...result, output: options.output };
+  } catch (error) {
+    stream.destroy();
+    fs.rmSync(options.output, { force: true });
+    throw error;
+  }
+}
+
+function renderExport(label) {
+  return result => output.success(`Exported ${result.count} ${label} to ${result.output}`);
+}
+
+function register(program) {
+  const exportCommand = program
+    .command('export')
+    .description('Export products, orders, inventory transactions or reorder suggestions to CSV, JSON or NDJSON');
+
+  addOutputOptions(addProductFilterOptions(
+    exportCommand
+      .command('products')
+      .description('Export products matching the same filters as `product list`')
+  ))
+    .action(action(async (options) => {
+      return exportToFile(options, exportOptions => {
+        return exportService.exportProducts(buildProductFilters(options), exportOptions, options.actor);
+      });
+    }, renderExport('products')));
+
+  addOutputOptions(addOrderFilterOptions(
+    exportCommand
+      .command('orders')
+      .description('Export orders matching the same filters as `order list`')
+  ))
+    .action(action(async (options) => {
+      return exportToFile(options, exportOptions => {
+        return exportService.exportOrders(buildOrderFilters(options), exportOptions, options.actor);
+      });
+    }, renderExport('orders')));
+
+  addOutputOptions(
+    exportCommand
+      .command('transactions')
+      .description('Export inventory transactions, newest first')
+      .option('--product <idOrSku>', 'only transactions for this product')
+      .addOption(new Option('-t, --type <type>', 'filter by transaction type').choices(Object.values(TRANSACTION_TYPES)))
+      .option('--location <code>', 'only transactions at this stock location')
+      .option('--from <date>', 'created on or after (YYYY-MM-DD)')
+      .option('--to <date>', 'created on or before (YYYY-MM-DD)')
+  )
+    .action(action(async (options) => {
+      const product = options.product ? await resolveProduct(options.product) : null;
+
+      return exportToFile(options, exportOptions => {
+        return exportService.exportTransactions({
+          productId: product?._id || null,
+          type: options.type || null,
+          location: options.location || null,
+          startDate: options.from || null,
+          endDate: options.to || null
+        }, exportOptions, options.actor);
+      });
+    }, renderExport('inventory transactions')));
+
+  addOutputOptions(addSuggestionOptions(
+    exportCommand
+      .command('reorder-suggestions')
+      .description('Export the reorder suggestions of `purchase-order suggest`')
+      .option('--supplier <code>', 'use this supplier\'s lead time')
+  ))
+    .action(action(async (options) => {
+      return exportToFile(options, exportOptions => {
+        return exportService.exportReorderSuggestions(buildSuggestionOptions(options), exportOptions, options.actor);
+      });
+    }, renderExport('reorder suggestions')));
+}
+
+module.exports = { register };
@@ -0,0 +1,76 @@
+/**
+ * Non-interactive command-line interface
+ *
+ * Subcommands call the same services as the interactive menu. Every command
+ * accepts --json for machine-readable output and sets a meaningful exit code
+ * (see EXIT_CODES), so ShopVault can be scripted or run from cron.
+ * Credentials come from SHOPVAULT_EMAIL and SHOPVAULT_PASSWORD.
+ */
+
+const { Command } = require('commander');
+const logger = require('../../utils/logger');
+const output = require('../helpers/output');
+const productProgram = require('./productProgram');
+const orderProgram = require('./orderProgram');
+const userProgram = require('./userProgram');
+const analyticsProgram = require('./analyticsProgram');
+const exportProgram = require('./exportProgram');
+const locationProgram = require('./locationProgram');
+const supplierProgram = require('./supplierProgram');
+const purchaseOrderProgram = require('./purchaseOrderProgram');
+const stockTakeProgram = require('./stockTakeProgram');
+const returnProgram = require('./returnProgram');
+const taxProgram = require('./taxProgram');
+const { version } = require('../../../package.json');
+
+function buildProgram() {
+  const program = new Command();
+
+  program
+    .name('shopvault')
+    .description('ShopVault inventory management - non-interactive CLI')
+    .version(version)
+    .option('--json', 'print machine-readable JSON output')
+    .option('--verbose', 'show service log output')
+    .addHelpText('after', '\nCommands run as the user given by the SHOPVAULT_EMAIL and SHOPVAULT_PASSWORD\nenvironment variables; what they may do depends on that user\'s role.')
+    .showHelpAfterError()
+    .exitOverride()
+    .hook('preAction', (thisCommand, actionCommand) => {
+      const { verbose } = actionCommand.optsWithGlobals();
+      logger.setLevel(verbose ? 'debug' : 'silent');
+    });
+
+  productProgram.register(program);
+  orderProgram.register(program);
+  userProgram.register(program);
+  analyticsProgram.register(program);
+  exportProgram.register(program);
+  locationProgram.register(program);
+  supplierProgram.register(program);
+  purchaseOrderProgram.register(program);
+  stockTakeProgram.register(program);
+  returnProgram.register(program);
+  taxProgram.register(program);
+
+  // Subcommands inherit the parent's error handling
+  const applyExitOverride = command => {
+    command.exitOverride();
+    command.commands.forEach(applyExitOverride);
+  };
+  program.commands.forEach(applyExitOverride);
+
+  return program;
+}
+
+async function run(argv = process.argv) {
+  const program = buildProgram();
+
+  try {
+    await program.parseAsync(argv);
+  } catch (error) {
+    // Commander has already printed usage errors and help text
+    process.exitCode = output.getExitCode(error);
+  }
+}
+
+module.exports = { buildProgram, run };
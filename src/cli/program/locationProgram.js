@@ -0,0 +1,71 @@
+/**
+ * `shopvault location ...` commands
+ */
+
+const locationService = require('../../services/LocationService');
+const output = require('../helpers/output');
+const action = require('./action');
+const { readJsonPayload } = require('../helpers/input');
+const { PERMISSIONS } = require('../../config/permissions');
+
+const canViewLocations = { permission: PERMISSIONS.INVENTORY_VIEW };
+
+const locationColumns = [
+  { header: 'Code', value: l => l.code },
+  { header: 'Name', value: l => l.name },
+  { header: 'City', value: l => l.address?.city },
+  { header: 'Country', value: l => l.address?.country },
+  { header: 'Default', value: l => (l.isDefault ? 'yes' : '') },
+  { header: 'Active', value: l => (l.isActive ? 'yes' : 'no') }
+];
+
+function renderLocation(location) {
+  output.details(location, [
+    '_id', 'code', 'name', 'isDefault', 'isActive',
+    {
+      label: 'address',
+      value: l => [l.address?.street, l.address?.city, l.address?.state, l.address?.postalCode, l.address?.country]
+        .filter(Boolean)
+        .join(', ')
+    }
+  ]);
+}
+
+function register(program) {
+  const location = program
+    .command('location')
+    .description('Manage stock locations (warehouses)');
+
+  location
+    .command('list')
+    .description('List stock locations, default first')
+    .option('-a, --all', 'include inactive locations')
+    .action(action(async (options) => {
+      return locationService.listLocations({ includeInactive: Boolean(options.all) });
+    }, locations => output.table(locations, locationColumns), canViewLocations));
+
+  location
+    .command('get <code>')
+    .description('Show a stock location')
+    .action(action(async (code) => locationService.getLocation(code), renderLocation, canViewLocations));
+
+  location
+    .command('create')
+    .description('Create a stock location from a JSON payload')
+    .option('--data <json>', 'location JSON')
+    .option('--file <path>', 'path to a location JSON file')
+    .action(action(async (options) => {
+      return locationService.createLocation(readJsonPayload(options), options.actor);
+    }, renderLocation));
+
+  location
+    .command('update <code>')
+    .description('Update a stock location from a JSON payload ({"isDefault": true} makes it the default)')
+    .option('--data <json>', 'fields to update as JSON')
+    .option('--file <path>', 'path to a JSON file with fields to update')
+    .action(action(async (code, options) => {
+      return locationService.updateLocation(code, readJsonPayload(options), options.actor);
+    }, renderLocation));
+}
+
+module.exports = { register };
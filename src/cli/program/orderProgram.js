@@ -0,0 +1,329 @@
+/**
+ * `shopvault order ...` commands
+ */
+
+const { Argument, Option } = require('commander');
+const orderService = require('../../services/OrderService');
+const paymentService = require('../../services/PaymentService');
+const shipmentService = require('../../services/ShipmentService');
+const output = require('../helpers/output');
+const action = require('./action');
+const { parsePositiveInteger, parseNumber, parseItems, readJsonPayload } = require('../helpers/input');
+const { ORDER_STATUS, PAGINATION, ORDER_RESERVATION, EXIT_CODES } = require('../../config/constants');
+
+const orderColumns = [
+  { header: 'Order #', value: o => o.orderNumber },
+  { header: 'Customer', value: o => `${o.customer.firstName} ${o.customer.lastName}` },
+  { header: 'Items', value: o => o.items.length },
+  { header: 'Total', value: o => output.money(o.pricing.total) },
+  { header: 'Status', value: o => o.status },
+  { header: 'Created', value: o => new Date(o.createdAt).toISOString() }
+];
+
+function renderOrder(order) {
+  output.details(order, [
+    '_id', 'orderNumber', 'status',
+    { label: 'customer', value: o => `${o.customer.firstName} ${o.customer.lastName} <${o.customer.email}>` },
+    { label: 'subtotal', value: o => output.money(o.pricing.subtotal) },
+    { label: 'tax', value: o => `${output.money(o.pricing.tax)}${o.pricing.taxIncluded ? ` (${output.money(o.pricing.taxIncluded)} included)` : ''}` },
+    'taxJurisdiction',
+    { label: 'shipping', value: o => output.money(o.pricing.shipping) },
+    { label: 'total', value: o => output.money(o.pricing.total) },
+    { label: 'payment', value: o => (o.payment ? `${o.payment.method} - ${o.payment.status}` : '') },
+    'createdAt'
+  ]);
+  output.table(order.items, [
+    { header: 'SKU', value: i => i.variant?.sku || i.sku },
+    { header: 'Product', value: i => (i.variant ? `${i.name} (${i.variant.name})` : i.name) },
+    { header: 'Qty', value: i => i.quantity },
+    { header: 'Shipped', value: i => i.quantityShipped || '' },
+    { header: 'Returned', value: i => i.quantityReturned || '' },
+    { header: 'Price', value: i => output.money(i.price) },
+    { header: 'Subtotal', value: i => output.money(i.subtotal) },
+    { header: 'Tax', value: i => (i.tax ? `${output.money(i.tax.amount)} ${i.tax.taxClass}${i.tax.inclusive ? ' incl.' : ''}` : '') }
+  ]);
+  if ((order.shipments || []).length > 0) {
+    output.table(order.shipments, [
+      { header: 'Shipment #', value: s => s.shipmentNumber },
+      { header: 'Status', value: s => s.status },
+      { header: 'Items', value: s => s.items.map(i => `${i.variantSku || i.sku} x${i.quantity}`).join(', ') },
+      { header: 'Carrier', value: s => s.carrier || '' },
+      { header: 'Tracking', value: s => s.trackingNumber || '' },
+      { header: 'Shipped', value: s => new Date(s.shippedAt).toISOString().slice(0, 10) },
+      { header: 'Delivered', value: s => (s.deliveredAt ? new Date(s.deliveredAt).toISOString().slice(0, 10) : '') }
+    ]);
+  }
+}
+
+function renderPayment(payment) {
+  output.details(payment, [
+    'orderNumber', 'orderStatus', 'method', 'provider', 'status',
+    { label: 'amount', value: p => output.money(p.amount) },
+    { label: 'authorized', value: p => output.money(p.authorizedAmount) },
+    { label: 'captured', value: p => output.money(p.capturedAmount) },
+    { label: 'refunded', value: p => output.money(p.refundedAmount) },
+    { label: 'refundable', value: p => output.money(p.refundable) },
+    'transactionId',
+    'invoiceNumber'
+  ]);
+  if (payment.events.length > 0) {
+    output.table(payment.events, [
+      { header: 'Date', value: e => new Date(e.at).toISOString().replace('T', ' ').slice(0, 16) },
+      { header: 'Operation', value: e => e.operation },
+      { header: 'Amount', value: e => output.money(e.amount) },
+      { header: 'Result', value: e => (e.success ? 'approved' : 'declined') },
+      { header: 'Reference', value: e => e.reference || '' },
+      { header: 'Document', value: e => e.invoiceNumber || e.creditNoteNumber || '' },
+      { header: 'Message', value: e => e.message || '' },
+      { header: 'Note', value: e => e.note || '' }
+    ]);
+  }
+}
+
+async function resolveOrder(orderRef, actor) {
+  return orderService.getOrderByReference(orderRef, actor);
+}
+
+/**
+ * Search options shared by `order list` and `export orders`
+ */
+function addOrderFilterOptions(command) {
+  return command
+    .addOption(new Option('-s, --status <status>', 'filter by status').choices(Object.values(ORDER_STATUS)))
+    .option('-u, --user <userId>', 'filter by user ID')
+    .option('--from <date>', 'created on or after (YYYY-MM-DD)')
+    .option('--to <date>', 'created on or before (YYYY-MM-DD)')
+    .option('--min-total <amount>', 'minimum order total', parseNumber)
+    .option('--max-total <amount>', 'maximum order total', parseNumber);
+}
+
+function buildOrderFilters(options) {
+  return {
+    userId: options.user || null,
+    status: options.status || null,
+    startDate: options.from || null,
+    endDate: options.to || null,
+    minTotal: options.minTotal ?? null,
+    maxTotal: options.maxTotal ?? null
+  };
+}
+
+function register(program) {
+  const order = program
+    .command('order')
+    .description('Manage orders');
+
+  addOrderFilterOptions(
+    order
+      .command('list')
+      .description('List and filter orders')
+  )
+    .option('-p, --page <n>', 'page number', parsePositiveInteger, PAGINATION.DEFAULT_PAGE)
+    .option('-l, --limit <n>', 'results per page', parsePositiveInteger, PAGINATION.DEFAULT_LIMIT)
+    .action(action(async (options) => {
+      return orderService.searchOrders({
+        ...buildOrderFilters(options),
+        page: options.page,
+        limit: Math.min(options.limit, PAGINATION.MAX_LIMIT)
+      }, options.actor);
+    }, result => {
+      output.table(result.orders, orderColumns);
+      output.pagination(result.pagination);
+    }));
+
+  order
+    .command('get <orderNumber>')
+    .description('Show an order by order number or ID')
+    .action(action(async (orderNumber, options) => resolveOrder(orderNumber, options.actor), renderOrder));
+
+  order
+    .command('create')
+    .description('Create an order from a JSON payload')
+    .option('--data <json>', 'order JSON')
+    .option('--file <path>', 'path to an order JSON file')
+    .action(action(async (options) => {
+      return orderService.createOrder(readJsonPayload(options), options.actor);
+    }, renderOrder));
+
+  order
+    .command('update-status')
+    .argument('<orderNumber>', 'order number or ID')
+    .addArgument(new Argument('<status>', 'new status').choices(Object.values(ORDER_STATUS)))
+    .description('Move an order to a new status')
+    .option('-n, --note <note>', 'note stored in the status history', '')
+    .action(action(async (orderNumber, status, options) => {
+      const existing = await resolveOrder(orderNumber, options.actor);
+      return orderService.updateOrderStatus(
+        existing._id.toString(),
+        status,
+        options.note,
+        options.actor
+      );
+    }, renderOrder));
+
+  order
+    .command('cancel <orderNumber>')
+    .description('Cancel an order and release its reserved stock')
+    .option('-r, --reason <reason>', 'cancellation reason', '')
+    .action(action(async (orderNumber, options) => {
+      const existing = await resolveOrder(orderNumber, options.actor);
+      await orderService.cancelOrder(existing._id.toString(), options.reason, options.actor);
+      return { cancelled: true, orderNumber: existing.orderNumber };
+    }, result => output.success(`Cancelled order ${result.orderNumber}`)));
+
+  order
+    .command('amend <orderNumber> [items...]')
+    .description('Change a PENDING or CONFIRMED order; items are SKU:QTY, where QTY 0 removes the line')
+    .option('--data <json>', 'amendment JSON (items, shippingAddress, billingAddress, pricing)')
+    .option('--file <path>', 'path to an amendment JSON file')
+    .option('-n, --note <note>', 'note stored in the status history', '')
+    .action(action(async (orderNumber, items, options) => {
+      const existing = await resolveOrder(orderNumber, options.actor);
+      const amendment = options.data || options.file ? readJsonPayload(options) : {};
+
+      if (items.length > 0) {
+        amendment.items = [...(amendment.items || []), ...parseItems(items)];
+      }
+      if (options.note) {
+        amendment.note = options.note;
+      }
+
+      return orderService.amendOrder(existing._id.toString(), amendment, options.actor);
+    }, renderOrder));
+
+  order
+    .command('ship <orderNumber> [items...]')
+    .description('Ship some or all of an order\'s unshipped items, given as SKU:QTY (default: everything left)')
+    .option('-c, --carrier <carrier>', 'carrier', '')
+    .option('-t, --tracking <number>', 'tracking number', '')
+    .option('-m, --method <method>', 'shipping method (default: the order\'s)')
+    .option('-n, --note <note>', 'shipment notes', '')
+    .action(action(async (orderNumber, items, options) => {
+      const existing = await resolveOrder(orderNumber, options.actor);
+      return shipmentService.createShipment(existing._id.toString(), {
+        ...(items.length > 0 ? { items: parseItems(items) } : {}),
+        carrier: options.carrier,
+        trackingNumber: options.tracking,
+        method: options.method,
+        notes: options.note
+      }, options.actor);
+    }, renderOrder));
+
+  order
+    .command('deliver <shipmentNumber>')
+    .description('Mark a shipment delivered')
+    .action(action(async (shipmentNumber, options) => {
+      return shipmentService.markDelivered(shipmentNumber, options.actor);
+    }, renderOrder));
+
+  order
+    .command('expire-reservations')
+    .description('Cancel PENDING orders older than the reservation TTL and release their stock (run on a schedule)')
+    .option('--ttl <minutes>', 'reservation TTL in minutes', parsePositiveInteger, ORDER_RESERVATION.TTL_MINUTES)
+    .option('-l, --limit <n>', 'most orders to cancel in one run', parsePositiveInteger)
+    .option('--dry-run', 'list the expired orders without cancelling them')
+    .action(action(async (options) => {
+      const result = await orderService.expireReservations({
+        ttlMinutes: options.ttl,
+        limit: options.limit,
+        dryRun: Boolean(options.dryRun)
+      }, options.actor);
+
+      // Lets a scheduled run alert on orders it could not cancel
+      if (result.totals.failed > 0) {
+        process.exitCode = EXIT_CODES.CONFLICT;
+      }
+
+      return result;
+    }, result => {
+      const released = result.expired.flatMap(e => e.released.map(r => ({ ...r, orderNumber: e.orderNumber })));
+
+      output.details(result, [
+        { label: 'created before', value: r => r.cutoff.toISOString() },
+        { label: result.dryRun ? 'would cancel' : 'cancelled', value: r => r.totals.orders },
+        { label: result.dryRun ? 'units held' : 'units released', value: r => r.totals.units },
+        { label: 'failed', value: r => r.totals.failed }
+      ]);
+      if (released.length > 0) {
+        output.table(released, [
+          { header: 'Order #', value: r => r.orderNumber },
+          { header: 'SKU', value: r => r.sku },
+          { header: 'Location', value: r => r.location || '' },
+          { header: 'Qty', value: r => r.quantity }
+        ]);
+      }
+      if (result.failed.length > 0) {
+        output.table(result.failed, [
+          { header: 'Order #', value: f => f.orderNumber },
+          { header: 'Error', value: f => f.error }
+        ]);
+      }
+    }));
+
+  const payment = order
+    .command('payment')
+    .description('Authorize, capture, refund or void an order\'s payment');
+
+  payment
+    .command('get <orderNumber>')
+    .description('Show an order\'s payment and its provider events')
+    .action(action(async (orderNumber, options) => {
+      const existing = await resolveOrder(orderNumber, options.actor);
+      return paymentService.getPayment(existing._id.toString(), options.actor);
+    }, renderPayment));
+
+  payment
+    .command('authorize <orderNumber>')
+    .description('Authorize the order total with the payment provider')
+    .action(action(async (orderNumber, options) => {
+      const existing = await resolveOrder(orderNumber, options.actor);
+      await paymentService.authorizePayment(existing._id.toString(), options.actor);
+      return paymentService.getPayment(existing._id.toString(), options.actor);
+    }, renderPayment));
+
+  payment
+    .command('capture <orderNumber>')
+    .description('Capture an authorized payment')
+    .option('-a, --amount <amount>', 'amount to capture (default: the payment amount)', parseNumber)
+    .action(action(async (orderNumber, options) => {
+      const existing = await resolveOrder(orderNumber, options.actor);
+      await paymentService.capturePayment(existing._id.toString(), { amount: options.amount }, options.actor);
+      return paymentService.getPayment(existing._id.toString(), options.actor);
+    }, renderPayment));
+
+  payment
+    .command('refund <orderNumber>')
+    .description('Refund all or part of a captured payment')
+    .option('-a, --amount <amount>', 'amount to refund (default: everything still refundable)', parseNumber)
+    .option('-r, --reason <reason>', 'refund reason', '')
+    .action(action(async (orderNumber, options) => {
+      const existing = await resolveOrder(orderNumber, options.actor);
+      await paymentService.refundPayment(existing._id.toString(), {
+        amount: options.amount,
+        reason: options.reason
+      }, options.actor);
+      return paymentService.getPayment(existing._id.toString(), options.actor);
+    }, renderPayment));
+
+  payment
+    .command('void <orderNumber>')
+    .description('Release an authorization without capturing it')
+    .action(action(async (orderNumber, options) => {
+      const existing = await resolveOrder(orderNumber, options.actor);
+      await paymentService.voidPayment(existing._id.toString(), options.actor);
+      return paymentService.getPayment(existing._id.toString(), options.actor);
+    }, renderPayment));
+
+  order
+    .command('stats')
+    .description('Show order statistics')
+    .action(action(async (options) => orderService.getOrderStats(options.actor)));
+}
+
+module.exports = {
+  register,
+  resolveOrder,
+  orderColumns,
+  addOrderFilterOptions,
+  buildOrderFilters
+};
@@ -0,0 +1,481 @@
+/**
+ * `shopvault product ...` commands
+ */
+
+const { Option } = require('commander');
+const { ObjectId } = require('mongodb');
+const fs = require('fs');
+const productService = require('../../services/ProductService');
+const importService = require('../../services/ImportService');
+const reconciliationService = require('../../services/ReconciliationService');
+const orderService = require('../../services/OrderService');
+const userService = require('../../services/UserService');
+const output = require('../helpers/output');
+const action = require('./action');
+const {
+  parseInteger,
+  parsePositiveInteger,
+  parseNumber,
+  collect,
+  readJsonPayload
+} = require('../helpers/input');
+const {
+  PRODUCT_STATUS,
+  PAGINATION,
+  INVENTORY,
+  EXIT_CODES,
+  ADJUSTMENT_REASONS,
+  WRITE_OFF_REASONS,
+  SALE_REASONS,
+  TRANSACTION_TYPES,
+  TAX_CLASSES
+} = require('../../config/constants');
+const { PERMISSIONS } = require('../../config/permissions');
+
+const LOW_STOCK = 'LOW_STOCK';
+
+const productColumns = [
+  { header: 'ID', value: p => p._id },
+  { header: 'SKU', value: p => p.sku },
+  { header: 'Name', value: p => p.name },
+  { header: 'Price', value: p => output.money(p.price) },
+  { header: 'Available', value: p => p.inventory?.available },
+  { header: 'On Order', value: p => p.onOrder ?? '' },
+  { header: 'Status', value: p => p.status }
+];
+
+function renderProductList(result) {
+  output.table(result.products, productColumns);
+  output.pagination(result.pagination);
+}
+
+function renderImportReport(report) {
+  output.details(report, ['dryRun', 'total', 'valid', 'created', 'updated', 'failed']);
+  if (report.errors.length > 0) {
+    output.table(report.errors, [
+      { header: 'Row', value: e => e.row },
+      { header: 'SKU', value: e => e.sku },
+      { header: 'Errors', value: e => e.messages.join('; ') }
+    ]);
+  }
+}
+
+function renderProduct(product) {
+  output.details(product, [
+    '_id', 'sku', 'name', 'price', 'cost', 'brand', 'status',
+    { label: 'taxClass', value: p => p.taxClass || TAX_CLASSES.STANDARD },
+    { label: 'quantity', value: p => p.inventory?.quantity },
+    { label: 'reserved', value: p => p.inventory?.reserved },
+    { label: 'available', value: p => p.inventory?.available },
+    { label: 'onOrder', value: p => p.onOrder ?? 0 },
+    { label: 'beingCounted', value: p => (p.stockTakes || []).map(t => `${t.takeNumber} (${t.location})`).join(', ') },
+    { label: 'category', value: p => p.category?.name || p.categoryId },
+    'tags'
+  ]);
+
+  if (product.variants?.length > 0) {
+    output.table(product.variants, [
+      { header: 'Variant SKU', value: v => v.sku },
+      { header: 'Name', value: v => v.name },
+      { header: 'Price', value: v => output.money(v.price) },
+      { header: 'Quantity', value: v => v.quantity },
+      { header: 'Reserved', value: v => v.reserved ?? 0 },
+      { header: 'Available', value: v => v.available ?? v.quantity },
+      { header: 'On Order', value: v => v.onOrder ?? 0 }
+    ]);
+  }
+
+  const locations = Object.entries(product.inventory?.locations || {});
+  if (locations.length > 0) {
+    output.table(locations, [
+      { header: 'Location', value: ([code]) => code },
+      { header: 'Quantity', value: ([, stock]) => stock.quantity },
+      { header: 'Reserved', value: ([, stock]) => stock.reserved },
+      { header: 'Available', value: ([, stock]) => stock.available }
+    ]);
+  }
+}
+
+async function resolveProduct(idOrSku) {
+  if (ObjectId.isValid(idOrSku) && String(idOrSku).length === 24) {
+    return productService.getProductById(idOrSku);
+  }
+  return productService.getProductBySku(idOrSku);
+}
+
+/**
+ * Search options shared by `product list` and `export products`
+ */
+function addProductFilterOptions(command) {
+  return command
+    .option('-q, --query <text>', 'full-text search query')
+    .option('-c, --category <categoryId>', 'filter by category ID')
+    .addOption(
+      new Option('-s, --status <status>', 'filter by status')
+        .choices([...Object.values(PRODUCT_STATUS), LOW_STOCK])
+    )
+    .option('--threshold <n>', 'available quantity treated as low stock', parseInteger, INVENTORY.LOW_STOCK_THRESHOLD)
+    .option('--min-price <amount>', 'minimum price', parseNumber)
+    .option('--max-price <amount>', 'maximum price', parseNumber)
+    .option('--brand <brand>', 'filter by brand')
+    .option('--tag <tags>', 'filter by tag (repeatable or comma-separated)', collect, [])
+    .option('--sort <field>', 'sort field', 'createdAt')
+    .addOption(new Option('--order <direction>', 'sort direction').choices(['asc', 'desc']).default('desc'));
+}
+
+function buildProductFilters(options) {
+  const filters = {
+    query: options.query || '',
+    categoryId: options.category || null,
+    minPrice: options.minPrice ?? null,
+    maxPrice: options.maxPrice ?? null,
+    brand: options.brand || null,
+    tags: options.tag,
+    sort: options.sort,
+    order: options.order
+  };
+
+  if (options.status === LOW_STOCK) {
+    filters.status = PRODUCT_STATUS.AVAILABLE;
+    filters.maxAvailable = options.threshold;
+  } else if (options.status) {
+    filters.status = options.status;
+  }
+
+  return filters;
+}
+
+function signed(value) {
+  if (!value) return '';
+  return value > 0 ? `+${value}` : String(value);
+}
+
+function register(program) {
+  const product = program
+    .command('product')
+    .description('Manage products');
+
+  addProductFilterOptions(
+    product
+      .command('list')
+      .description('List and filter products')
+  )
+    .option('-p, --page <n>', 'page number', parsePositiveInteger, PAGINATION.DEFAULT_PAGE)
+    .option('-l, --limit <n>', 'results per page', parsePositiveInteger, PAGINATION.DEFAULT_LIMIT)
+    .action(action(async (options) => {
+      return productService.searchProducts({
+        ...buildProductFilters(options),
+        page: options.page,
+        limit: Math.min(options.limit, PAGINATION.MAX_LIMIT)
+      });
+    }, renderProductList));
+
+  product
+    .command('get <idOrSku>')
+    .description('Show a product by ID, SKU or variant SKU')
+    .action(action(async (idOrSku) => resolveProduct(idOrSku), renderProduct));
+
+  product
+    .command('create')
+    .description('Create a product from a JSON payload')
+    .option('--data <json>', 'product JSON')
+    .option('--file <path>', 'path to a product JSON file')
+    .action(action(async (options) => {
+      return productService.createProduct(readJsonPayload(options), options.actor);
+    }, renderProduct));
+
+  product
+    .command('update <idOrSku>')
+    .description('Update a product from a JSON payload')
+    .option('--data <json>', 'fields to update as JSON')
+    .option('--file <path>', 'path to a JSON file with fields to update')
+    .action(action(async (idOrSku, options) => {
+      const existing = await resolveProduct(idOrSku);
+      return productService.updateProduct(existing._id.toString(), readJsonPayload(options), options.actor);
+    }, renderProduct));
+
+  product
+    .command('delete <idOrSku>')
+    .description('Soft-delete a product')
+    .action(action(async (idOrSku, options) => {
+      const existing = await resolveProduct(idOrSku);
+      await productService.deleteProduct(existing._id.toString(), options.actor);
+      return { deleted: true, _id: existing._id, sku: existing.sku };
+    }, result => output.success(`Deleted product ${result.sku}`)));
+
+  product
+    .command('add-stock')
+    .argument('<idOrSku>', 'product ID, SKU or variant SKU')
+    .argument('<quantity>', 'units to add', parsePositiveInteger)
+    .description('Add units to a product\'s stock')
+    .option('-r, --reason <reason>', 'reason recorded on the inventory transaction', 'RESTOCK')
+    .option('--variant <sku>', 'variant SKU (implied when <idOrSku> is a variant SKU)')
+    .option('--location <code>', 'stock location (default: the default location)')
+    .action(action(async (idOrSku, quantity, options) => {
+      const existing = await resolveProduct(idOrSku);
+      return productService.addStock(existing._id.toString(), quantity, {
+        reason: options.reason,
+        variantSku: options.variant || productService.variantSkuOf(existing, idOrSku),
+        location: options.location
+      }, options.actor);
+    }, renderProduct));
+
+  product
+    .command('remove-stock')
+    .argument('<idOrSku>', 'product ID, SKU or variant SKU')
+    .argument('<quantity>', 'units to remove', parsePositiveInteger)
+    .description('Record units sold outside the order flow (use write-off or adjust for other removals)')
+    .addOption(new Option('-r, --reason <reason>', 'where the units were sold').choices(Object.values(SALE_REASONS)).makeOptionMandatory())
+    .option('--note <text>', 'note recorded on the inventory transaction', '')
+    .option('--variant <sku>', 'variant SKU (implied when <idOrSku> is a variant SKU)')
+    .option('--location <code>', 'stock location (default: the default location)')
+    .action(action(async (idOrSku, quantity, options) => {
+      const existing = await resolveProduct(idOrSku);
+      return productService.removeStock(existing._id.toString(), quantity, {
+        reason: options.reason,
+        notes: options.note,
+        variantSku: options.variant || productService.variantSkuOf(existing, idOrSku),
+        location: options.location
+      }, options.actor);
+    }, renderProduct));
+
+  product
+    .command('adjust')
+    .argument('<idOrSku>', 'product ID, SKU or variant SKU')
+    .description('Correct stock by a signed quantity (e.g. --by 3 for units found, --by -2 for units lost)')
+    .requiredOption('--by <quantity>', 'units to add (positive) or remove (negative)', parseInteger)
+    .addOption(new Option('-r, --reason <reason>', 'adjustment reason').choices(Object.values(ADJUSTMENT_REASONS).filter(reason => reason !== ADJUSTMENT_REASONS.RECONCILIATION)).makeOptionMandatory())
+    .option('--note <text>', 'note recorded on the inventory transaction', '')
+    .option('--variant <sku>', 'variant SKU (implied when <idOrSku> is a variant SKU)')
+    .option('--location <code>', 'stock location (default: the default location)')
+    .action(action(async (idOrSku, options) => {
+      const existing = await resolveProduct(idOrSku);
+      return productService.adjustStock(existing._id.toString(), options.by, {
+        reason: options.reason,
+        notes: options.note,
+        variantSku: options.variant || productService.variantSkuOf(existing, idOrSku),
+        location: options.location
+      }, options.actor);
+    }, renderProduct));
+
+  product
+    .command('write-off')
+    .argument('<idOrSku>', 'product ID, SKU or variant SKU')
+    .argument('<quantity>', 'units to write off', parsePositiveInteger)
+    .description('Remove damaged, defective or expired units')
+    .addOption(new Option('-r, --reason <reason>', 'write-off reason').choices(Object.values(WRITE_OFF_REASONS)).default(WRITE_OFF_REASONS.DAMAGED))
+    .option('--note <text>', 'note recorded on the inventory transaction', '')
+    .option('--variant <sku>', 'variant SKU (implied when <idOrSku> is a variant SKU)')
+    .option('--location <code>', 'stock location (default: the default location)')
+    .action(action(async (idOrSku, quantity, options) => {
+      const existing = await resolveProduct(idOrSku);
+      return productService.writeOffDamaged(existing._id.toString(), quantity, {
+        reason: options.reason,
+        notes: options.note,
+        variantSku: options.variant || productService.variantSkuOf(existing, idOrSku),
+        location: options.location
+      }, options.actor);
+    }, renderProduct));
+
+  product
+    .command('count')
+    .argument('<idOrSku>', 'product ID, SKU or variant SKU')
+    .argument('<counted>', 'units physically counted', parseInteger)
+    .description('Record a physical count at a location and correct the stock to match')
+    .option('--note <text>', 'note recorded on the inventory transaction', '')
+    .option('--variant <sku>', 'variant SKU (implied when <idOrSku> is a variant SKU)')
+    .option('--location <code>', 'stock location (default: the default location)')
+    .action(action(async (idOrSku, counted, options) => {
+      const existing = await resolveProduct(idOrSku);
+      return productService.countStock(existing._id.toString(), counted, {
+        notes: options.note,
+        variantSku: options.variant || productService.variantSkuOf(existing, idOrSku),
+        location: options.location
+      }, options.actor);
+    }, result => {
+      output.success(result.difference === 0
+        ? `Count matches the record at ${result.location} (${result.counted})`
+        : `${result.location}: ${result.previous} -> ${result.counted} (${result.difference > 0 ? '+' : ''}${result.difference})`);
+      renderProduct(result.product);
+    }));
+
+  product
+    .command('history')
+    .argument('<idOrSku>', 'product ID, SKU or variant SKU')
+    .description('Stock movements of a product, newest first, with running balances')
+    .option('--type <types>', `only these types (comma separated, repeatable): ${Object.values(TRANSACTION_TYPES).join(', ')}`, collect)
+    .option('--from <date>', 'movements on or after this date (YYYY-MM-DD)')
+    .option('--to <date>', 'movements on or before this date (YYYY-MM-DD)')
+    .option('--order <orderNumber>', 'only movements for this order')
+    .option('--user <email>', 'only movements performed by this user')
+    .option('--variant <sku>', 'variant SKU (implied when <idOrSku> is a variant SKU)')
+    .option('--location <code>', 'only this stock location')
+    .option('-p, --page <n>', 'page number', parsePositiveInteger, PAGINATION.DEFAULT_PAGE)
+    .option('-l, --limit <n>', 'results per page', parsePositiveInteger, PAGINATION.DEFAULT_LIMIT)
+    .action(action(async (idOrSku, options) => {
+      const existing = await resolveProduct(idOrSku);
+      const order = options.order ? await orderService.getOrderByNumber(options.order, options.actor) : null;
+      const user = options.user ? await userService.getUserByEmail(options.user) : null;
+
+      return productService.getStockHistory(existing._id.toString(), {
+        variantSku: options.variant || productService.variantSkuOf(existing, idOrSku),
+        location: options.location || null,
+        types: options.type ? options.type.map(type => type.toUpperCase()) : null,
+        startDate: options.from || null,
+        endDate: options.to || null,
+        orderId: order ? order._id : null,
+        performedBy: user ? user._id : null,
+        page: options.page,
+        limit: Math.min(options.limit, PAGINATION.MAX_LIMIT)
+      });
+    }, history => {
+      output.details(history, [
+        { label: 'product', value: h => `${h.product.name} (${h.variantSku || h.product.sku})` },
+        { label: 'location', value: h => h.location || 'all' },
+        { label: 'ledger quantity', value: h => h.balance.quantity },
+        { label: 'ledger reserved', value: h => h.balance.reserved }
+      ]);
+      output.table(history.transactions, [
+        { header: 'Date', value: t => new Date(t.createdAt).toISOString().replace('T', ' ').slice(0, 16) },
+        { header: 'Type', value: t => (t.reason ? `${t.type} (${t.reason})` : t.type) },
+        { header: 'Location', value: t => t.location || '' },
+        { header: 'Qty', value: t => signed(t.quantityChange) },
+        { header: 'Reserved', value: t => signed(t.reservedChange) },
+        { header: 'Balance', value: t => t.balance.quantity },
+        { header: 'Available', value: t => t.balance.available },
+        { header: 'By', value: t => t.performedBy?.role || '' },
+        { header: 'Notes', value: t => t.notes || '' }
+      ]);
+      output.pagination(history.pagination);
+    }, { permission: PERMISSIONS.INVENTORY_VIEW }));
+
+  product
+    .command('reconcile')
+    .argument('[idOrSku]', 'only this product (default: every product)')
+    .description('Replay the inventory ledger and report stock that differs from it')
+    .option('--fix', 'log ADJUSTMENT transactions so the ledger matches the quantities on record')
+    .action(action(async (idOrSku, options) => {
+      const existing = idOrSku ? await resolveProduct(idOrSku) : null;
+      const report = await reconciliationService.reconcileInventory({
+        productId: existing ? existing._id.toString() : null,
+        fix: Boolean(options.fix)
+      }, options.actor);
+
+      // Lets a scheduled run alert on drift it could not settle
+      if (report.totals.unresolved > 0) {
+        process.exitCode = EXIT_CODES.CONFLICT;
+      }
+
+      return report;
+    }, report => {
+      output.details(report, [
+        'checkedAt', 'products',
+        { label: 'stock lines', value: r => r.stockLines },
+        { label: 'mismatches', value: r => r.totals.mismatches },
+        { label: 'corrected', value: r => r.totals.corrected },
+        { label: 'unresolved', value: r => r.totals.unresolved }
+      ]);
+      if (report.mismatches.length > 0) {
+        output.table(report.mismatches, [
+          { header: 'SKU', value: m => m.sku },
+          { header: 'Location', value: m => m.location },
+          { header: 'Qty', value: m => m.recorded.quantity },
+          { header: 'Ledger Qty', value: m => m.ledger.quantity },
+          { header: 'Reserved', value: m => m.recorded.reserved },
+          { header: 'Ledger Res.', value: m => m.ledger.reserved },
+          { header: 'Available', value: m => m.recorded.available },
+          { header: 'Ledger Avail.', value: m => m.ledger.available },
+          { header: 'Entries', value: m => m.transactions }
+        ]);
+      }
+    }));
+
+  product
+    .command('transfer')
+    .argument('<idOrSku>', 'product ID, SKU or variant SKU')
+    .argument('<quantity>', 'units to move', parsePositiveInteger)
+    .description('Move available stock from one location to another')
+    .requiredOption('--from <code>', 'location to take the stock from')
+    .requiredOption('--to <code>', 'location to move the stock to')
+    .option('--variant <sku>', 'variant SKU (implied when <idOrSku> is a variant SKU)')
+    .option('--note <text>', 'note recorded on both inventory transactions')
+    .action(action(async (idOrSku, quantity, options) => {
+      const existing = await resolveProduct(idOrSku);
+      return productService.transferStock(existing._id.toString(), quantity, {
+        from: options.from,
+        to: options.to,
+        variantSku: options.variant || productService.variantSkuOf(existing, idOrSku),
+        notes: options.note
+      }, options.actor);
+    }, result => {
+      output.success(`Moved ${result.quantity} units from ${result.from} to ${result.to}`);
+      renderProduct(result.product);
+    }));
+
+  product
+    .command('import <file>')
+    .description('Bulk create/update products from a CSV or JSON file (upsert by SKU)')
+    .addOption(new Option('--format <format>', 'file format (default: from extension)').choices(['csv', 'json']))
+    .option('--dry-run', 'validate every row without writing anything')
+    .option('--batch-size <n>', 'rows written per bulk operation', parsePositiveInteger, 500)
+    .option('--report <path>', 'also write the full report as JSON to this file')
+    .action(action(async (file, options) => {
+      const rows = importService.readFile(file, options.format);
+      const report = await importService.importProducts(rows, {
+        dryRun: Boolean(options.dryRun),
+        batchSize: options.batchSize
+      }, options.actor);
+
+      if (options.report) {
+        fs.writeFileSync(options.report, `${JSON.stringify(report, null, 2)}\n`);
+      }
+
+      // Rows that failed validation or writing make the run unsuccessful
+      if (report.failed > 0) {
+        process.exitCode = EXIT_CODES.VALIDATION;
+      }
+
+      return report;
+    }, renderImportReport));
+
+  product
+    .command('low-stock')
+    .description('List products at or below the low stock threshold')
+    .option('--threshold <n>', 'available quantity treated as low stock', parseInteger, INVENTORY.LOW_STOCK_THRESHOLD)
+    .action(action(async (options) => {
+      return productService.getLowStockProducts(options.threshold);
+    }, products => output.table(products, productColumns), { permission: PERMISSIONS.INVENTORY_VIEW }));
+
+  product
+    .command('out-of-stock')
+    .description('List products with no available stock')
+    .action(action(async () => {
+      return productService.getOutOfStockProducts();
+    }, products => output.table(products, productColumns), { permission: PERMISSIONS.INVENTORY_VIEW }));
+
+  product
+    .command('top-sellers')
+    .description('List best-selling products')
+    .option('-l, --limit <n>', 'number of products', parsePositiveInteger, 10)
+    .action(action(async (options) => {
+      return productService.getTopSellers(options.limit);
+    }, products => output.table(products, [
+      { header: 'SKU', value: p => p.sku },
+      { header: 'Name', value: p => p.name },
+      { header: 'Units Sold', value: p => p.salesStats.totalSold },
+      { header: 'Revenue', value: p => output.money(p.salesStats.revenue) }
+    ]), { permission: PERMISSIONS.ANALYTICS_VIEW }));
+
+  product
+    .command('stats')
+    .description('Show catalog statistics')
+    .action(action(async () => productService.getProductStats(), null, { permission: PERMISSIONS.ANALYTICS_VIEW }));
+}
+
+module.exports = {
+  register,
+  resolveProduct,
+  productColumns,
+  addProductFilterOptions,
+  buildProductFilters
+};
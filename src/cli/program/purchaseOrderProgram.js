@@ -0,0 +1,218 @@
+/**
+ * `shopvault purchase-order ...` commands
+ */
+
+const { Option } = require('commander');
+const purchaseOrderService = require('../../services/PurchaseOrderService');
+const replenishmentService = require('../../services/ReplenishmentService');
+const output = require('../helpers/output');
+const action = require('./action');
+const { parseInteger, parsePositiveInteger, collect, readJsonPayload } = require('../helpers/input');
+const { PURCHASE_ORDER_STATUS, PAGINATION, REPLENISHMENT } = require('../../config/constants');
+const { PERMISSIONS } = require('../../config/permissions');
+const { ValidationError } = require('../../utils/errorHandler');
+
+const canViewPurchaseOrders = { permission: PERMISSIONS.INVENTORY_VIEW };
+
+const purchaseOrderColumns = [
+  { header: 'PO #', value: po => po.poNumber },
+  { header: 'Supplier', value: po => po.supplier.name },
+  { header: 'Location', value: po => po.location },
+  { header: 'Units', value: po => po.totals.quantity },
+  { header: 'Cost', value: po => output.money(po.totals.cost) },
+  { header: 'Status', value: po => po.status },
+  { header: 'Expected', value: po => (po.expectedAt ? new Date(po.expectedAt).toISOString().slice(0, 10) : '') }
+];
+
+function renderPurchaseOrder(purchaseOrder) {
+  output.details(purchaseOrder, [
+    '_id', 'poNumber', 'status', 'location',
+    { label: 'supplier', value: po => `${po.supplier.name} (${po.supplier.code})` },
+    { label: 'units', value: po => po.totals.quantity },
+    { label: 'cost', value: po => output.money(po.totals.cost) },
+    'expectedAt', 'sentAt', 'receivedAt', 'notes', 'createdAt'
+  ]);
+  output.table(purchaseOrder.items, [
+    { header: 'SKU', value: i => i.variantSku || i.sku },
+    { header: 'Product', value: i => i.name },
+    { header: 'Ordered', value: i => i.quantityOrdered },
+    { header: 'Received', value: i => i.quantityReceived },
+    { header: 'Unit Cost', value: i => output.money(i.unitCost) }
+  ]);
+}
+
+function renderSuggestions(report) {
+  output.details(report, [
+    { label: 'sales window', value: r => `${r.days} days` },
+    { label: 'lead time', value: r => `${r.leadTimeDays} days${r.supplier ? ` (${r.supplier})` : ''}` },
+    { label: 'cover', value: r => `${r.coverDays} days` },
+    { label: 'lines', value: r => r.totals.lines },
+    { label: 'units', value: r => r.totals.quantity },
+    { label: 'estimated cost', value: r => output.money(r.totals.estimatedCost) }
+  ]);
+  output.table(report.suggestions, [
+    { header: 'SKU', value: s => s.sku },
+    { header: 'Name', value: s => s.name },
+    { header: 'Available', value: s => s.available },
+    { header: 'On Order', value: s => s.onOrder },
+    { header: 'Reorder Pt', value: s => s.reorderPoint },
+    { header: 'Per Day', value: s => s.dailyVelocity },
+    { header: 'Days Cover', value: s => s.daysOfCover ?? '-' },
+    { header: 'Suggested', value: s => s.suggestedQuantity },
+    { header: 'Est. Cost', value: s => (s.estimatedCost === null ? '-' : output.money(s.estimatedCost)) },
+    { header: 'Reason', value: s => s.reason }
+  ]);
+}
+
+/**
+ * Options shared by `purchase-order suggest`, `purchase-order
+ * create-from-suggestions` and `export reorder-suggestions`
+ */
+function addSuggestionOptions(command) {
+  return command
+    .option('--days <n>', 'days of sales history for the velocity', parsePositiveInteger, REPLENISHMENT.SALES_WINDOW_DAYS)
+    .option('--cover-days <n>', 'days of stock to order beyond the lead time', parseInteger, REPLENISHMENT.COVER_DAYS)
+    .option('--lead-time <n>', 'lead time in days (default: the supplier\'s, else ' + REPLENISHMENT.LEAD_TIME_DAYS + ')', parseInteger);
+}
+
+function buildSuggestionOptions(options) {
+  return {
+    days: options.days,
+    coverDays: options.coverDays,
+    leadTimeDays: options.leadTime ?? null,
+    supplier: options.supplier || null
+  };
+}
+
+/**
+ * Receipt lines are given as SKU:QTY or SKU:QTY@COST
+ */
+function parseReceiptLines(specs = []) {
+  return specs.map(spec => {
+    const match = /^([^:@\s]+):(\d+)(?:@(\d+(?:\.\d+)?))?$/.exec(spec.trim());
+    if (!match) {
+      throw new ValidationError(`Invalid receipt line '${spec}'; use SKU:QTY or SKU:QTY@COST`);
+    }
+
+    const line = { sku: match[1], quantity: parseInt(match[2], 10) };
+    if (match[3] !== undefined) {
+      line.unitCost = parseFloat(match[3]);
+    }
+    return line;
+  });
+}
+
+function register(program) {
+  const purchaseOrder = program
+    .command('purchase-order')
+    .alias('po')
+    .description('Manage purchase orders');
+
+  purchaseOrder
+    .command('list')
+    .description('List purchase orders, newest first')
+    .option('--supplier <code>', 'filter by supplier code')
+    .addOption(new Option('-s, --status <status>', 'filter by status').choices(Object.values(PURCHASE_ORDER_STATUS)))
+    .option('--open', 'only sent and partially received orders')
+    .option('--product <productId>', 'only orders containing this product')
+    .option('-p, --page <n>', 'page number', parsePositiveInteger, PAGINATION.DEFAULT_PAGE)
+    .option('-l, --limit <n>', 'results per page', parsePositiveInteger, PAGINATION.DEFAULT_LIMIT)
+    .action(action(async (options) => {
+      return purchaseOrderService.searchPurchaseOrders({
+        supplier: options.supplier || null,
+        status: options.status || null,
+        open: Boolean(options.open),
+        productId: options.product || null,
+        page: options.page,
+        limit: Math.min(options.limit, PAGINATION.MAX_LIMIT)
+      });
+    }, result => {
+      output.table(result.purchaseOrders, purchaseOrderColumns);
+      output.pagination(result.pagination);
+    }, canViewPurchaseOrders));
+
+  addSuggestionOptions(
+    purchaseOrder
+      .command('suggest')
+      .description('Suggest what to reorder from reorder points and recent sales')
+      .option('--supplier <code>', 'use this supplier\'s lead time')
+  )
+    .action(action(async (options) => {
+      return replenishmentService.getReorderSuggestions(buildSuggestionOptions(options));
+    }, renderSuggestions, canViewPurchaseOrders));
+
+  addSuggestionOptions(
+    purchaseOrder
+      .command('create-from-suggestions')
+      .description('Create a draft purchase order from the reorder suggestions')
+      .requiredOption('--supplier <code>', 'supplier to order from')
+      .option('--location <code>', 'location receiving the stock (default: the default location)')
+      .option('--sku <skus>', 'only these SKUs (comma separated, repeatable)', collect)
+      .option('-n, --note <note>', 'purchase order notes', '')
+  )
+    .action(action(async (options) => {
+      return replenishmentService.createPurchaseOrderFromSuggestions({
+        ...buildSuggestionOptions(options),
+        location: options.location || null,
+        skus: options.sku || null,
+        notes: options.note
+      }, options.actor);
+    }, renderPurchaseOrder));
+
+  purchaseOrder
+    .command('get <poNumber>')
+    .description('Show a purchase order')
+    .action(action(async (poNumber) => {
+      return purchaseOrderService.getPurchaseOrder(poNumber);
+    }, renderPurchaseOrder, canViewPurchaseOrders));
+
+  purchaseOrder
+    .command('create')
+    .description('Create a draft purchase order from a JSON payload')
+    .option('--data <json>', 'purchase order JSON')
+    .option('--file <path>', 'path to a purchase order JSON file')
+    .action(action(async (options) => {
+      return purchaseOrderService.createPurchaseOrder(readJsonPayload(options), options.actor);
+    }, renderPurchaseOrder));
+
+  purchaseOrder
+    .command('update <poNumber>')
+    .description('Update a draft purchase order from a JSON payload')
+    .option('--data <json>', 'fields to update as JSON')
+    .option('--file <path>', 'path to a JSON file with fields to update')
+    .action(action(async (poNumber, options) => {
+      return purchaseOrderService.updatePurchaseOrder(poNumber, readJsonPayload(options), options.actor);
+    }, renderPurchaseOrder));
+
+  purchaseOrder
+    .command('send <poNumber>')
+    .description('Mark a draft purchase order as sent to the supplier')
+    .option('-n, --note <note>', 'note stored in the status history', '')
+    .action(action(async (poNumber, options) => {
+      return purchaseOrderService.sendPurchaseOrder(poNumber, options.note, options.actor);
+    }, renderPurchaseOrder));
+
+  purchaseOrder
+    .command('receive <poNumber> [lines...]')
+    .description('Receive stock against a purchase order; lines are SKU:QTY[@COST], none receives everything outstanding')
+    .option('--location <code>', 'location receiving the stock (default: the purchase order\'s)')
+    .option('-n, --note <note>', 'note stored with the receipt', '')
+    .action(action(async (poNumber, lines, options) => {
+      return purchaseOrderService.receivePurchaseOrder(
+        poNumber,
+        parseReceiptLines(lines),
+        { location: options.location, notes: options.note },
+        options.actor
+      );
+    }, renderPurchaseOrder));
+
+  purchaseOrder
+    .command('cancel <poNumber>')
+    .description('Cancel a draft or sent purchase order')
+    .option('-r, --reason <reason>', 'cancellation reason', '')
+    .action(action(async (poNumber, options) => {
+      return purchaseOrderService.cancelPurchaseOrder(poNumber, options.reason, options.actor);
+    }, renderPurchaseOrder));
+}
+
+module.exports = { register, addSuggestionOptions, buildSuggestionOptions };
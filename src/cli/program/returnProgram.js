@@ -0,0 +1,140 @@
+/**
+ * `shopvault return ...` commands
+ */
+
+const { Option } = require('commander');
+const returnService = require('../../services/ReturnService');
+const output = require('../helpers/output');
+const action = require('./action');
+const { resolveOrder } = require('./orderProgram');
+const { parsePositiveInteger, collect, parseItems } = require('../helpers/input');
+const { RETURN_STATUS, RETURN_DISPOSITIONS, PAGINATION } = require('../../config/constants');
+
+const returnColumns = [
+  { header: 'RMA #', value: r => r.rmaNumber },
+  { header: 'Order #', value: r => r.orderNumber },
+  { header: 'Status', value: r => r.status },
+  { header: 'Units', value: r => r.items.reduce((sum, i) => sum + i.quantity, 0) },
+  { header: 'Refund', value: r => output.money(r.refundAmount) },
+  { header: 'Requested', value: r => new Date(r.createdAt).toISOString().slice(0, 10) }
+];
+
+function renderReturn(rma) {
+  output.details(rma, [
+    '_id', 'rmaNumber', 'orderNumber', 'status', 'reason',
+    { label: 'refund', value: r => output.money(r.refundAmount) },
+    { label: 'refunded', value: r => (r.refund ? `${output.money(r.refund.amount)}${r.refund.external ? ' (external)' : ''}` : '') },
+    'createdAt', 'receivedAt', 'refundedAt'
+  ]);
+  output.table(rma.items, [
+    { header: 'SKU', value: i => i.variantSku || i.sku },
+    { header: 'Product', value: i => i.name },
+    { header: 'Qty', value: i => i.quantity },
+    { header: 'Refund', value: i => output.money(i.refundAmount) },
+    { header: 'Reason', value: i => i.reason || '' },
+    { header: 'Disposition', value: i => (i.writeOffReason ? `${i.disposition} (${i.writeOffReason})` : i.disposition || '') },
+    { header: 'Location', value: i => i.receivedLocation || '' }
+  ]);
+}
+
+/**
+ * Write-offs are given as SKU or SKU:REASON
+ */
+function parseWriteOffs(specs = []) {
+  return specs.map(spec => {
+    const [sku, writeOffReason] = spec.trim().split(':');
+    return {
+      sku,
+      disposition: RETURN_DISPOSITIONS.WRITE_OFF,
+      ...(writeOffReason ? { writeOffReason } : {})
+    };
+  });
+}
+
+function register(program) {
+  const rma = program
+    .command('return')
+    .description('Returns (RMAs) against delivered orders');
+
+  rma
+    .command('list')
+    .description('List returns, newest first')
+    .addOption(new Option('-s, --status <status>', 'filter by status').choices(Object.values(RETURN_STATUS)))
+    .option('--order <orderNumber>', 'only returns against this order')
+    .option('--open', 'only returns not yet received')
+    .option('-p, --page <n>', 'page number', parsePositiveInteger, PAGINATION.DEFAULT_PAGE)
+    .option('-l, --limit <n>', 'results per page', parsePositiveInteger, PAGINATION.DEFAULT_LIMIT)
+    .action(action(async (options) => {
+      const order = options.order ? await resolveOrder(options.order, options.actor) : null;
+      return returnService.searchReturns({
+        status: options.status || null,
+        orderId: order ? order._id.toString() : null,
+        open: Boolean(options.open),
+        page: options.page,
+        limit: Math.min(options.limit, PAGINATION.MAX_LIMIT)
+      }, options.actor);
+    }, result => {
+      output.table(result.returns, returnColumns);
+      output.pagination(result.pagination);
+    }));
+
+  rma
+    .command('get <rmaNumber>')
+    .description('Show a return and its lines')
+    .action(action(async (rmaNumber, options) => {
+      return returnService.getReturn(rmaNumber, options.actor);
+    }, renderReturn));
+
+  rma
+    .command('request <orderNumber> <items...>')
+    .description('Request a return of delivered items, given as SKU:QTY')
+    .option('-r, --reason <reason>', 'why the goods are coming back', '')
+    .option('-n, --note <note>', 'return notes', '')
+    .action(action(async (orderNumber, items, options) => {
+      const order = await resolveOrder(orderNumber, options.actor);
+      return returnService.requestReturn(order._id.toString(), {
+        items: parseItems(items),
+        reason: options.reason,
+        notes: options.note
+      }, options.actor);
+    }, renderReturn));
+
+  rma
+    .command('approve <rmaNumber>')
+    .description('Approve a requested return')
+    .option('-n, --note <note>', 'note stored in the status history', '')
+    .action(action(async (rmaNumber, options) => {
+      return returnService.approveReturn(rmaNumber, options.note, options.actor);
+    }, renderReturn));
+
+  rma
+    .command('reject <rmaNumber>')
+    .description('Reject a return that has not been received')
+    .option('-r, --reason <reason>', 'rejection reason', '')
+    .action(action(async (rmaNumber, options) => {
+      return returnService.rejectReturn(rmaNumber, options.reason, options.actor);
+    }, renderReturn));
+
+  rma
+    .command('receive <rmaNumber>')
+    .description('Receive the goods on an approved return; lines are restocked unless written off')
+    .option('--write-off <sku[:reason]>', 'write this line off instead of restocking it (repeatable)', collect, [])
+    .option('--location <code>', 'restock here instead of where each line shipped from')
+    .option('-n, --note <note>', 'receipt notes', '')
+    .action(action(async (rmaNumber, options) => {
+      return returnService.receiveReturn(rmaNumber, parseWriteOffs(options.writeOff), {
+        location: options.location,
+        notes: options.note
+      }, options.actor);
+    }, renderReturn));
+
+  rma
+    .command('refund <rmaNumber>')
+    .description('Refund a received return\'s line subtotals through the order\'s payment')
+    .option('--external', 'record a refund made outside the payment provider (cash, store credit)')
+    .action(action(async (rmaNumber, options) => {
+      return returnService.refundReturn(rmaNumber, { external: Boolean(options.external) }, options.actor);
+    }, renderReturn));
+}
+
+module.exports = { register };
@@ -0,0 +1,157 @@
+/**
+ * `shopvault stock-take ...` commands
+ */
+
+const { Option } = require('commander');
+const stockTakeService = require('../../services/StockTakeService');
+const importService = require('../../services/ImportService');
+const output = require('../helpers/output');
+const action = require('./action');
+const { parsePositiveInteger } = require('../helpers/input');
+const { STOCK_TAKE_STATUS, PAGINATION } = require('../../config/constants');
+const { PERMISSIONS } = require('../../config/permissions');
+const { ValidationError } = require('../../utils/errorHandler');
+
+const canViewStockTakes = { permission: PERMISSIONS.INVENTORY_VIEW };
+
+const stockTakeColumns = [
+  { header: 'Take #', value: t => t.takeNumber },
+  { header: 'Location', value: t => t.location },
+  { header: 'Category', value: t => t.category?.name || '' },
+  { header: 'Status', value: t => t.status },
+  { header: 'Opened', value: t => new Date(t.createdAt).toISOString().slice(0, 10) },
+  { header: 'Adjusted', value: t => (t.summary ? t.summary.linesAdjusted : '') }
+];
+
+function renderStockTake(stockTake) {
+  output.details(stockTake, [
+    '_id', 'takeNumber', 'status', 'location',
+    { label: 'category', value: t => t.category?.name || '' },
+    'notes', 'createdAt', 'postedAt', 'cancelledAt'
+  ]);
+  output.table(stockTake.lines, [
+    { header: 'SKU', value: l => l.variantSku || l.sku },
+    { header: 'Product', value: l => l.name },
+    { header: 'Expected', value: l => l.expectedQuantity },
+    { header: 'Counted', value: l => l.countedQuantity ?? '-' },
+    { header: 'Adjustment', value: l => l.adjustment ?? '' }
+  ]);
+}
+
+function renderVariance(report) {
+  output.details(report, [
+    'takeNumber', 'status', 'location',
+    { label: 'counted', value: r => `${r.totals.counted} of ${r.totals.lines} lines` },
+    { label: 'with variance', value: r => r.totals.withVariance },
+    { label: 'units over', value: r => r.totals.unitsOver },
+    { label: 'units short', value: r => r.totals.unitsShort },
+    { label: 'value', value: r => output.money(r.totals.value) },
+    { label: 'flagged', value: r => r.flagged.join(', ') }
+  ]);
+  output.table(report.lines.filter(l => l.counted !== null), [
+    { header: 'SKU', value: l => l.sku },
+    { header: 'Product', value: l => l.name },
+    { header: 'Expected', value: l => l.expected },
+    { header: 'At Count', value: l => l.atCount },
+    { header: 'Counted', value: l => l.counted },
+    { header: 'Variance', value: l => l.variance },
+    { header: 'Value', value: l => (l.varianceValue === null ? '-' : output.money(l.varianceValue)) },
+    { header: 'Current', value: l => l.current },
+    { header: 'Flag', value: l => (l.flagged ? `moved ${l.movedDuring}, res ${l.reservedDuring ?? '-'}` : '') }
+  ]);
+}
+
+/**
+ * Counts are given as SKU:QTY
+ */
+function parseCounts(specs = []) {
+  return specs.map(spec => {
+    const match = /^([^:\s]+):(\d+)$/.exec(spec.trim());
+    if (!match) {
+      throw new ValidationError(`Invalid count '${spec}'; use SKU:QTY`);
+    }
+    return { sku: match[1], counted: parseInt(match[2], 10) };
+  });
+}
+
+function register(program) {
+  const stockTake = program
+    .command('stock-take')
+    .description('Count stock on the shelves and post the differences');
+
+  stockTake
+    .command('list')
+    .description('List stock-takes, newest first')
+    .addOption(new Option('-s, --status <status>', 'filter by status').choices(Object.values(STOCK_TAKE_STATUS)))
+    .option('--location <code>', 'filter by location')
+    .option('-p, --page <n>', 'page number', parsePositiveInteger, PAGINATION.DEFAULT_PAGE)
+    .option('-l, --limit <n>', 'results per page', parsePositiveInteger, PAGINATION.DEFAULT_LIMIT)
+    .action(action(async (options) => {
+      return stockTakeService.searchStockTakes({
+        status: options.status || null,
+        location: options.location || null,
+        page: options.page,
+        limit: Math.min(options.limit, PAGINATION.MAX_LIMIT)
+      });
+    }, result => {
+      output.table(result.stockTakes, stockTakeColumns);
+      output.pagination(result.pagination);
+    }, canViewStockTakes));
+
+  stockTake
+    .command('get <takeNumber>')
+    .description('Show a stock-take and its lines')
+    .action(action(async (takeNumber) => {
+      return stockTakeService.getStockTake(takeNumber);
+    }, renderStockTake, canViewStockTakes));
+
+  stockTake
+    .command('open')
+    .description('Open a stock-take for a location, optionally limited to a category')
+    .option('--location <code>', 'location to count (default: the default location)')
+    .option('-c, --category <categoryId>', 'only this category and its subcategories')
+    .option('-n, --note <note>', 'stock-take notes', '')
+    .action(action(async (options) => {
+      return stockTakeService.openStockTake({
+        location: options.location,
+        categoryId: options.category,
+        notes: options.note
+      }, options.actor);
+    }, renderStockTake));
+
+  stockTake
+    .command('count <takeNumber> [counts...]')
+    .description('Enter counted quantities as SKU:QTY, or import them from a CSV/JSON file with sku and counted columns')
+    .option('--file <path>', 'file of counts')
+    .addOption(new Option('--format <format>', 'file format (default: from extension)').choices(['csv', 'json']))
+    .action(action(async (takeNumber, counts, options) => {
+      const entries = options.file
+        ? importService.readFile(options.file, options.format)
+        : parseCounts(counts);
+      return stockTakeService.recordCounts(takeNumber, entries, options.actor);
+    }, renderStockTake));
+
+  stockTake
+    .command('variance <takeNumber>')
+    .description('Compare counts with the quantities on record')
+    .action(action(async (takeNumber) => {
+      return stockTakeService.getVarianceReport(takeNumber);
+    }, renderVariance, canViewStockTakes));
+
+  stockTake
+    .command('post <takeNumber>')
+    .description('Write the variances as stock adjustments and close the stock-take')
+    .option('--force', 'post even if stock moved on flagged lines while they were counted')
+    .action(action(async (takeNumber, options) => {
+      return stockTakeService.postStockTake(takeNumber, { force: Boolean(options.force) }, options.actor);
+    }, renderStockTake));
+
+  stockTake
+    .command('cancel <takeNumber>')
+    .description('Cancel an open stock-take without changing stock')
+    .action(action(async (takeNumber, options) => {
+      return stockTakeService.cancelStockTake(takeNumber, options.actor);
+    }, renderStockTake));
+}
+
+module.exports = { register };
@@ -0,0 +1,72 @@
+/**
+ * `shopvault supplier ...` commands
+ */
+
+const supplierService = require('../../services/SupplierService');
+const output = require('../helpers/output');
+const action = require('./action');
+const { readJsonPayload } = require('../helpers/input');
+const { PERMISSIONS } = require('../../config/permissions');
+
+const canViewSuppliers = { permission: PERMISSIONS.INVENTORY_VIEW };
+
+const supplierColumns = [
+  { header: 'Code', value: s => s.code },
+  { header: 'Name', value: s => s.name },
+  { header: 'Contact', value: s => s.contact?.email || s.contact?.name },
+  { header: 'Lead Time', value: s => `${s.leadTimeDays}d` },
+  { header: 'Active', value: s => (s.isActive ? 'yes' : 'no') }
+];
+
+function renderSupplier(supplier) {
+  output.details(supplier, [
+    '_id', 'code', 'name', 'leadTimeDays', 'isActive',
+    { label: 'contact', value: s => [s.contact?.name, s.contact?.email, s.contact?.phone].filter(Boolean).join(', ') },
+    {
+      label: 'address',
+      value: s => [s.address?.street, s.address?.city, s.address?.state, s.address?.postalCode, s.address?.country]
+        .filter(Boolean)
+        .join(', ')
+    },
+    'notes'
+  ]);
+}
+
+function register(program) {
+  const supplier = program
+    .command('supplier')
+    .description('Manage suppliers');
+
+  supplier
+    .command('list')
+    .description('List suppliers by name')
+    .option('-a, --all', 'include inactive suppliers')
+    .action(action(async (options) => {
+      return supplierService.listSuppliers({ includeInactive: Boolean(options.all) });
+    }, suppliers => output.table(suppliers, supplierColumns), canViewSuppliers));
+
+  supplier
+    .command('get <code>')
+    .description('Show a supplier')
+    .action(action(async (code) => supplierService.getSupplier(code), renderSupplier, canViewSuppliers));
+
+  supplier
+    .command('create')
+    .description('Create a supplier from a JSON payload')
+    .option('--data <json>', 'supplier JSON')
+    .option('--file <path>', 'path to a supplier JSON file')
+    .action(action(async (options) => {
+      return supplierService.createSupplier(readJsonPayload(options), options.actor);
+    }, renderSupplier));
+
+  supplier
+    .command('update <code>')
+    .description('Update a supplier from a JSON payload')
+    .option('--data <json>', 'fields to update as JSON')
+    .option('--file <path>', 'path to a JSON file with fields to update')
+    .action(action(async (code, options) => {
+      return supplierService.updateSupplier(code, readJsonPayload(options), options.actor);
+    }, renderSupplier));
+}
+
+module.exports = { register };
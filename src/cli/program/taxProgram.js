@@ -0,0 +1,60 @@
+/**
+ * `shopvault tax ...` commands
+ */
+
+const taxService = require('../../services/TaxService');
+const output = require('../helpers/output');
+const action = require('./action');
+const { readJsonPayload } = require('../helpers/input');
+
+const percent = rate => `${(rate * 100).toFixed(3)}%`;
+const combined = r => r.components.reduce((sum, component) => sum + component.rate, 0);
+
+const rateColumns = [
+  { header: 'Country', value: r => r.country },
+  { header: 'State', value: r => r.state || '(all)' },
+  { header: 'Class', value: r => r.taxClass },
+  { header: 'Name', value: r => r.name },
+  { header: 'Rate', value: r => percent(combined(r)) },
+  { header: 'Components', value: r => r.components.map(c => `${c.name} ${percent(c.rate)}`).join(', ') },
+  { header: 'Inclusive', value: r => (r.inclusive ? 'yes' : '') },
+  { header: 'Active', value: r => (r.isActive ? 'yes' : 'no') }
+];
+
+function renderRate(rate) {
+  output.details(rate, [
+    '_id', 'country',
+    { label: 'state', value: r => r.state || '(all)' },
+    'taxClass', 'name',
+    { label: 'rate', value: r => percent(combined(r)) },
+    { label: 'components', value: r => r.components.map(c => `${c.name} ${percent(c.rate)}`).join(', ') },
+    'inclusive', 'isActive'
+  ]);
+}
+
+function register(program) {
+  const tax = program
+    .command('tax')
+    .description('Manage sales tax rates');
+
+  tax
+    .command('list')
+    .description('List tax rates by jurisdiction and tax class')
+    .option('--country <code>', 'only rates for this country')
+    .option('-a, --all', 'include inactive rates')
+    .action(action(async (options) => {
+      return taxService.listRates({ country: options.country || null, includeInactive: Boolean(options.all) }, options.actor);
+    }, rates => output.table(rates, rateColumns)));
+
+  tax
+    .command('set')
+    .description('Create or replace the rate for a country, state and tax class from a JSON payload, e.g. ' +
+      '{"country": "USA", "state": "CA", "components": [{"name": "State", "rate": 0.0725}]}')
+    .option('--data <json>', 'tax rate JSON')
+    .option('--file <path>', 'path to a tax rate JSON file')
+    .action(action(async (options) => {
+      return taxService.setRate(readJsonPayload(options), options.actor);
+    }, renderRate));
+}
+
+module.exports = { register };
@@ -0,0 +1,93 @@
+/**
+ * `shopvault user ...` commands
+ */
+
+const { Option } = require('commander');
+const userService = require('../../services/UserService');
+const output = require('../helpers/output');
+const action = require('./action');
+const { parsePositiveInteger, readJsonPayload } = require('../helpers/input');
+const { USER_ROLES, PAGINATION } = require('../../config/constants');
+const { PERMISSIONS } = require('../../config/permissions');
+
+const canViewUsers = { permission: PERMISSIONS.USER_VIEW };
+
+const userColumns = [
+  { header: 'ID', value: u => u._id },
+  { header: 'Name', value: u => `${u.firstName} ${u.lastName}` },
+  { header: 'Email', value: u => u.email },
+  { header: 'Role', value: u => u.role },
+  { header: 'Orders', value: u => u.orderStats?.totalOrders || 0 },
+  { header: 'Active', value: u => (u.isActive ? 'yes' : 'no') }
+];
+
+function renderUser(user) {
+  output.details(user, [
+    '_id', 'email', 'firstName', 'lastName', 'phone', 'role', 'isActive', 'isVerified',
+    { label: 'totalOrders', value: u => u.orderStats?.totalOrders || 0 },
+    { label: 'totalSpent', value: u => output.money(u.orderStats?.totalSpent) },
+    { label: 'wishlist', value: u => `${u.wishlist?.length || 0} items` }
+  ]);
+}
+
+async function resolveUser(idOrEmail) {
+  if (idOrEmail.includes('@')) {
+    return userService.getUserByEmail(idOrEmail);
+  }
+  return userService.getUserById(idOrEmail);
+}
+
+function register(program) {
+  const user = program
+    .command('user')
+    .description('Manage users');
+
+  user
+    .command('list')
+    .description('List and filter users')
+    .option('-e, --email <pattern>', 'filter by email (case-insensitive match)')
+    .addOption(new Option('-r, --role <role>', 'filter by role').choices(Object.values(USER_ROLES)))
+    .option('-p, --page <n>', 'page number', parsePositiveInteger, PAGINATION.DEFAULT_PAGE)
+    .option('-l, --limit <n>', 'results per page', parsePositiveInteger, PAGINATION.DEFAULT_LIMIT)
+    .action(action(async (options) => {
+      return userService.searchUsers({
+        email: options.email || '',
+        role: options.role || null,
+        page: options.page,
+        limit: Math.min(options.limit, PAGINATION.MAX_LIMIT)
+      });
+    }, result => {
+      output.table(result.users, userColumns);
+      output.pagination(result.pagination);
+    }, canViewUsers));
+
+  user
+    .command('get <idOrEmail>')
+    .description('Show a user by ID or email')
+    .action(action(async (idOrEmail) => resolveUser(idOrEmail), renderUser, canViewUsers));
+
+  user
+    .command('create')
+    .description('Create a user from a JSON payload')
+    .option('--data <json>', 'user JSON')
+    .option('--file <path>', 'path to a user JSON file')
+    .action(action(async (options) => {
+      return userService.createUser(readJsonPayload(options), options.actor);
+    }, renderUser));
+
+  user
+    .command('delete <idOrEmail>')
+    .description('Soft-delete a user')
+    .action(action(async (idOrEmail, options) => {
+      const existing = await resolveUser(idOrEmail);
+      await userService.deleteUser(existing._id.toString(), options.actor);
+      return { deleted: true, _id: existing._id, email: existing.email };
+    }, result => output.success(`Deleted user ${result.email}`)));
+
+  user
+    .command('stats')
+    .description('Show user statistics')
+    .action(action(async () => userService.getUserStats(), null, canViewUsers));
+}
+
+module.exports = { register, resolveUser };
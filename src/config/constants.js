@@ -15,6 +15,13 @@ module.exports = {
     ORDERS: 'orders',
     WISHLISTS: 'wishlists',
     INVENTORY_TRANSACTIONS: 'inventory_transactions',
+    LOCATIONS: 'locations',
+    SUPPLIERS: 'suppliers',
+    PURCHASE_ORDERS: 'purchase_orders',
+    STOCK_TAKES: 'stock_takes',
+    RETURNS: 'returns',
+    COUNTERS: 'counters',
+    TAX_RATES: 'tax_rates',
     ANALYTICS: 'analytics'
   },
 
@@ -23,12 +30,130 @@ module.exports = {
     PENDING: 'PENDING',
     CONFIRMED: 'CONFIRMED',
     PROCESSING: 'PROCESSING',
+    PARTIALLY_SHIPPED: 'PARTIALLY_SHIPPED',    // Some items are out on shipments, the rest still to ship
     SHIPPED: 'SHIPPED',
+    PARTIALLY_DELIVERED: 'PARTIALLY_DELIVERED',  // Some shipments delivered, others still on their way or to ship
     DELIVERED: 'DELIVERED',
+    PARTIALLY_RETURNED: 'PARTIALLY_RETURNED',  // Delivered, and some items came back on a return
     CANCELLED: 'CANCELLED',
     REFUNDED: 'REFUNDED'
   },
 
+  // Shipments of an order's items (order.shipments)
+  SHIPMENT_STATUS: {
+    SHIPPED: 'SHIPPED',
+    DELIVERED: 'DELIVERED'
+  },
+
+  // Returns (RMAs) against delivered orders
+  RETURN_STATUS: {
+    REQUESTED: 'REQUESTED',
+    APPROVED: 'APPROVED',                    // Goods may be sent back
+    REJECTED: 'REJECTED',
+    RECEIVED: 'RECEIVED',                    // Goods back, restocked or written off
+    REFUNDED: 'REFUNDED'                     // Line subtotals refunded to the customer
+  },
+
+  // What happens to returned goods once received
+  RETURN_DISPOSITIONS: {
+    RESTOCK: 'RESTOCK',                      // Back to sellable stock
+    WRITE_OFF: 'WRITE_OFF'                   // Received, then written off as DAMAGED
+  },
+
+  // Payment lifecycle (order.payment.status)
+  PAYMENT_STATUS: {
+    PENDING: 'PENDING',                        // Nothing asked of the provider yet
+    AUTHORIZED: 'AUTHORIZED',                  // Funds held, not yet taken
+    CAPTURED: 'CAPTURED',
+    PARTIALLY_REFUNDED: 'PARTIALLY_REFUNDED',
+    REFUNDED: 'REFUNDED',                      // Everything captured has been refunded
+    VOIDED: 'VOIDED',                          // Authorization released, or never made
+    FAILED: 'FAILED'                           // Authorization declined; may be retried
+  },
+
+  PAYMENT_METHODS: {
+    CARD: 'CARD',
+    COD: 'COD',                                // Cash on delivery: ships before capture
+    UPI: 'UPI',
+    NET_BANKING: 'NET_BANKING'
+  },
+
+  // Payment provider operations, as recorded in order.payment.events
+  PAYMENT_OPERATIONS: {
+    AUTHORIZE: 'AUTHORIZE',
+    CAPTURE: 'CAPTURE',
+    REFUND: 'REFUND',
+    VOID: 'VOID'
+  },
+
+  PAYMENTS: {
+    // Provider new orders are charged through (see services/payments)
+    DEFAULT_PROVIDER: process.env.PAYMENT_PROVIDER || 'fake'
+  },
+
+  // Product tax classes; each jurisdiction sets a rate per class (TaxService)
+  TAX_CLASSES: {
+    STANDARD: 'STANDARD',
+    REDUCED: 'REDUCED',                        // e.g. food, books
+    ZERO: 'ZERO',                              // Zero-rated: taxable at 0%, still reported
+    EXEMPT: 'EXEMPT'                           // Never taxed, needs no rate
+  },
+
+  // Where an order was placed; picks its number prefix
+  ORDER_CHANNELS: {
+    WEB: 'WEB',
+    POS: 'POS',                                // In store
+    PHONE: 'PHONE',
+    MARKETPLACE: 'MARKETPLACE'
+  },
+
+  // Document numbering (SequenceService). Format tokens: {prefix}, {YYYY},
+  // {YY}, {MM}, {DD} (UTC date) and {seq}, zero-padded to `padding`. Each
+  // distinct rendering of the rest of the format counts separately, so a
+  // format with {DD} restarts daily and one with only {YYYY} yearly.
+  NUMBER_SEQUENCES: {
+    ORDER: {
+      prefix: process.env.ORDER_NUMBER_PREFIX || 'ORD',
+      // Used instead of prefix for orders from these channels
+      channelPrefixes: {
+        POS: process.env.ORDER_NUMBER_PREFIX_POS || 'POS',
+        PHONE: process.env.ORDER_NUMBER_PREFIX_PHONE || 'TEL',
+        MARKETPLACE: process.env.ORDER_NUMBER_PREFIX_MARKETPLACE || 'MKT'
+      },
+      format: process.env.ORDER_NUMBER_FORMAT || '{prefix}-{YYYY}{MM}{DD}-{seq}',
+      padding: 4
+    },
+    INVOICE: {
+      prefix: process.env.INVOICE_NUMBER_PREFIX || 'INV',
+      format: process.env.INVOICE_NUMBER_FORMAT || '{prefix}-{YYYY}-{seq}',
+      padding: 6
+    },
+    CREDIT_NOTE: {
+      prefix: process.env.CREDIT_NOTE_NUMBER_PREFIX || 'CN',
+      format: process.env.CREDIT_NOTE_NUMBER_FORMAT || '{prefix}-{YYYY}-{seq}',
+      padding: 6
+    },
+    PURCHASE_ORDER: { prefix: 'PO', format: '{prefix}-{YYYY}{MM}{DD}-{seq}', padding: 4 },
+    STOCK_TAKE: { prefix: 'ST', format: '{prefix}-{YYYY}{MM}{DD}-{seq}', padding: 4 },
+    RMA: { prefix: 'RMA', format: '{prefix}-{YYYY}{MM}{DD}-{seq}', padding: 4 }
+  },
+
+  // Purchase Order Workflow
+  PURCHASE_ORDER_STATUS: {
+    DRAFT: 'DRAFT',                          // Being prepared, lines can change
+    SENT: 'SENT',                            // Placed with the supplier
+    PARTIALLY_RECEIVED: 'PARTIALLY_RECEIVED',
+    RECEIVED: 'RECEIVED',                    // Every line received in full
+    CANCELLED: 'CANCELLED'
+  },
+
+  // Stock-take (physical count) sessions
+  STOCK_TAKE_STATUS: {
+    OPEN: 'OPEN',            // Counts are being entered
+    POSTED: 'POSTED',        // Differences written as ADJUSTMENT transactions
+    CANCELLED: 'CANCELLED'
+  },
+
   // Product Availability
   PRODUCT_STATUS: {
     AVAILABLE: 'AVAILABLE',
@@ -44,7 +169,37 @@ module.exports = {
     RETURN: 'RETURN',            // Stock added via return
     ADJUSTMENT: 'ADJUSTMENT',    // Manual adjustment
     DAMAGED: 'DAMAGED',          // Stock removed due to damage
-    RESTOCK: 'RESTOCK'           // Stock added via restock
+    RESTOCK: 'RESTOCK',          // Stock added via restock
+    TRANSFER_OUT: 'TRANSFER_OUT', // Stock moved out to another location
+    TRANSFER_IN: 'TRANSFER_IN',  // Stock received from another location
+    SHIPMENT: 'SHIPMENT'         // Reserved stock leaving on an order shipment
+  },
+
+  // Reason codes for ADJUSTMENT transactions
+  ADJUSTMENT_REASONS: {
+    FOUND: 'FOUND',                       // Units turned up that were not on record
+    LOST: 'LOST',                         // Units missing without explanation
+    THEFT: 'THEFT',
+    DATA_ENTRY_ERROR: 'DATA_ENTRY_ERROR', // Correcting an earlier mistake
+    COUNT_CORRECTION: 'COUNT_CORRECTION', // Set by cycle counts
+    RECONCILIATION: 'RECONCILIATION',     // Ledger brought in line with the stock on record
+    OTHER: 'OTHER'
+  },
+
+  // Reason codes for SALE transactions logged by manual removals (units
+  // sold outside the order flow)
+  SALE_REASONS: {
+    IN_STORE: 'IN_STORE',
+    PHONE: 'PHONE',
+    WHOLESALE: 'WHOLESALE',
+    MARKETPLACE: 'MARKETPLACE'    // Sold through a third-party channel
+  },
+
+  // Reason codes for DAMAGED transactions (write-offs)
+  WRITE_OFF_REASONS: {
+    DAMAGED: 'DAMAGED',
+    DEFECTIVE: 'DEFECTIVE',
+    EXPIRED: 'EXPIRED'
   },
 
   // User Roles
@@ -54,6 +209,27 @@ module.exports = {
     CUSTOMER: 'CUSTOMER'
   },
 
+  // Where an action originated, recorded with the acting user
+  ACTOR_SOURCES: {
+    CLI: 'cli',
+    SCRIPT: 'script',
+    IMPORT: 'import',
+    API: 'api'
+  },
+
+  // Failed API logins, counted per client address and per email; past
+  // the limit credentials are refused without checking the password
+  LOGIN_THROTTLE: {
+    MAX_FAILURES: parseInt(process.env.LOGIN_MAX_FAILURES) || 10,
+    WINDOW_MINUTES: parseInt(process.env.LOGIN_WINDOW_MINUTES) || 15
+  },
+
+  // Stock Locations (warehouses)
+  STOCK_LOCATIONS: {
+    DEFAULT_CODE: 'MAIN',        // Created on first use when none exist
+    DEFAULT_NAME: 'Main Warehouse'
+  },
+
   // Pagination
   PAGINATION: {
     DEFAULT_PAGE: 1,
@@ -68,6 +244,27 @@ module.exports = {
     REORDER_QUANTITY: 50
   },
 
+  // Reorder Suggestions
+  REPLENISHMENT: {
+    SALES_WINDOW_DAYS: 30,   // Sales history used for the daily velocity
+    LEAD_TIME_DAYS: 7,       // When no supplier is given
+    COVER_DAYS: 30           // Stock a suggested order should last beyond the lead time
+  },
+
+  // Stock-takes
+  STOCK_TAKE: {
+    // Lines whose stock moved by at least this many units while being
+    // counted are flagged, and block posting unless forced
+    MOVEMENT_ALERT: 5
+  },
+
+  // Stock reserved by PENDING orders
+  ORDER_RESERVATION: {
+    // PENDING orders older than this are cancelled by the reservation
+    // sweeper (`order expire-reservations`), releasing their stock
+    TTL_MINUTES: parseInt(process.env.RESERVATION_TTL_MINUTES) || 24 * 60
+  },
+
   // Price Validation
   PRICE: {
     MIN_PRICE: 0.01,
@@ -97,6 +294,21 @@ module.exports = {
     OPERATION_FAILED: 'Operation failed'
   },
 
+  // CLI Exit Codes (non-interactive commands)
+  EXIT_CODES: {
+    SUCCESS: 0,
+    FAILURE: 1,
+    USAGE: 2,
+    VALIDATION: 3,
+    NOT_FOUND: 4,
+    CONFLICT: 5,
+    BUSINESS_RULE: 6,
+    DATABASE: 7,
+    AUTHENTICATION: 8,
+    FORBIDDEN: 9,
+    PAYMENT: 10
+  },
+
   // Success Messages
   SUCCESS: {
     PRODUCT_CREATED: 'Product created successfully',
@@ -76,6 +76,47 @@ class DatabaseManager {
     return this.getDb().collection(collectionName);
   }
 
+  /**
+   * Run callback(session) inside a multi-document transaction.
+   * The driver retries the callback on transient errors, so it must not
+   * have side effects outside the database. Requires a replica set or mongos.
+   */
+  async withTransaction(callback, options = {}) {
+    if (!this.isConnected || !this.client) {
+      throw new Error('Database not connected. Call connect() first.');
+    }
+
+    const session = this.client.startSession();
+
+    try {
+      let result;
+
+      await session.withTransaction(async () => {
+        result = await callback(session);
+      }, {
+        readPreference: 'primary',
+        readConcern: { level: 'snapshot' },
+        writeConcern: { w: 'majority' },
+        ...options
+      });
+
+      return result;
+
+    } catch (error) {
+      // 20 = IllegalOperation: transactions on a standalone server
+      if (error.code === 20) {
+        throw new Error(
+          'MongoDB transactions require a replica set or sharded cluster. ' +
+          'Start mongod with --replSet (a single-node replica set is enough).'
+        );
+      }
+      throw error;
+
+    } finally {
+      await session.endSession();
+    }
+  }
+
   async healthCheck() {
     try {
       if (!this.isConnected) {
@@ -0,0 +1,88 @@
+/**
+ * Role-Based Permission Matrix
+ *
+ * Services call authorize(actor, PERMISSIONS.X) before mutating anything;
+ * the CLI uses the same matrix to hide menu entries a role cannot use.
+ * *_OWN permissions only apply to records belonging to the acting user.
+ */
+
+const { USER_ROLES } = require('./constants');
+
+const PERMISSIONS = {
+  // Catalog
+  PRODUCT_CREATE: 'product:create',
+  PRODUCT_UPDATE: 'product:update',
+  PRODUCT_DELETE: 'product:delete',
+  PRODUCT_BULK_PRICE: 'product:bulk-price',
+  CATEGORY_MANAGE: 'category:manage',
+
+  // Inventory
+  INVENTORY_VIEW: 'inventory:view',
+  INVENTORY_ADJUST: 'inventory:adjust',
+  LOCATION_MANAGE: 'location:manage',
+
+  // Purchasing
+  SUPPLIER_MANAGE: 'supplier:manage',
+  PURCHASE_ORDER_MANAGE: 'purchase-order:manage',
+
+  // Orders
+  ORDER_CREATE_OWN: 'order:create:own',
+  ORDER_CREATE_ANY: 'order:create:any',
+  ORDER_VIEW_OWN: 'order:view:own',
+  ORDER_VIEW_ANY: 'order:view:any',
+  ORDER_CANCEL_OWN: 'order:cancel:own',
+  ORDER_CANCEL_ANY: 'order:cancel:any',
+  ORDER_AMEND_OWN: 'order:amend:own',
+  ORDER_AMEND_ANY: 'order:amend:any',
+  ORDER_UPDATE_STATUS: 'order:update-status',
+  PAYMENT_MANAGE: 'payment:manage',
+  RETURN_REQUEST_OWN: 'return:request:own',
+  RETURN_REQUEST_ANY: 'return:request:any',
+  RETURN_MANAGE: 'return:manage',
+
+  // Users
+  USER_VIEW: 'user:view',
+  USER_MANAGE: 'user:manage',
+  PROFILE_UPDATE_OWN: 'profile:update:own',
+  WISHLIST_MANAGE_OWN: 'wishlist:manage:own',
+  WISHLIST_MANAGE_ANY: 'wishlist:manage:any',
+
+  // Tax
+  TAX_MANAGE: 'tax:manage',
+
+  // Reporting & system
+  ANALYTICS_VIEW: 'analytics:view',
+  DATABASE_SEED: 'database:seed'
+};
+
+// Internal jobs (scripts, schedulers) act as SYSTEM; no user can hold this role
+const SYSTEM_ROLE = 'SYSTEM';
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+const ROLE_PERMISSIONS = {
+  [USER_ROLES.ADMIN]: ALL_PERMISSIONS,
+
+  [USER_ROLES.MANAGER]: ALL_PERMISSIONS.filter(permission => ![
+    PERMISSIONS.USER_MANAGE,
+    PERMISSIONS.DATABASE_SEED
+  ].includes(permission)),
+
+  [USER_ROLES.CUSTOMER]: [
+    PERMISSIONS.ORDER_CREATE_OWN,
+    PERMISSIONS.ORDER_VIEW_OWN,
+    PERMISSIONS.ORDER_CANCEL_OWN,
+    PERMISSIONS.ORDER_AMEND_OWN,
+    PERMISSIONS.RETURN_REQUEST_OWN,
+    PERMISSIONS.PROFILE_UPDATE_OWN,
+    PERMISSIONS.WISHLIST_MANAGE_OWN
+  ],
+
+  [SYSTEM_ROLE]: ALL_PERMISSIONS
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  SYSTEM_ROLE
+};
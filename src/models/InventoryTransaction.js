@@ -3,7 +3,13 @@
  */
 
 const Joi = require('joi');
-const { TRANSACTION_TYPES } = require('../config/constants');
+const {
+  TRANSACTION_TYPES,
+  ADJUSTMENT_REASONS,
+  WRITE_OFF_REASONS,
+  SALE_REASONS,
+  ACTOR_SOURCES
+} = require('../config/constants');
 
 const InventoryTransactionSchema = {
   productId: {
@@ -11,17 +17,46 @@ const InventoryTransactionSchema = {
     required: true
   },
 
+  // Set when the movement applies to one variant of the product
+  variantSku: {
+    type: String,
+    default: null
+  },
+
+  // Code of the stock location the movement applies to
+  location: {
+    type: String,
+    default: null
+  },
+
+  // Shared by the TRANSFER_OUT and TRANSFER_IN legs of one transfer
+  transferId: {
+    type: 'ObjectId',
+    default: null
+  },
+
   type: {
     type: String,
     enum: Object.values(TRANSACTION_TYPES),
     required: true
   },
 
+  // Positive for PURCHASE, SALE, RETURN, RESTOCK, DAMAGED, SHIPMENT and
+  // transfers, where the type gives the direction; signed for ADJUSTMENT.
+  // Order reservations log SALE with a negative quantity.
   quantity: {
     type: Number,
     required: true
   },
 
+  // Set on the SALE that reserves stock for an order and the RETURN that
+  // releases it again (cancellation, amendment): these move reserved
+  // stock, not stock on hand
+  reservation: {
+    type: Boolean,
+    default: false
+  },
+
   // Quantity before transaction
   quantityBefore: {
     type: Number,
@@ -40,16 +75,35 @@ const InventoryTransactionSchema = {
     default: null
   },
 
+  // Reference to the purchase order stock was received against
+  purchaseOrderId: {
+    type: 'ObjectId',
+    default: null
+  },
+
+  // Reference to the return (RMA) goods came back on
+  returnId: {
+    type: 'ObjectId',
+    default: null
+  },
+
+  // Structured reason code for ADJUSTMENT (ADJUSTMENT_REASONS), DAMAGED
+  // (WRITE_OFF_REASONS) and manual SALE (SALE_REASONS) transactions
+  reason: {
+    type: String,
+    default: null
+  },
+
   // Notes about the transaction
   notes: {
     type: String,
     default: ''
   },
 
-  // Who performed the transaction
+  // Who performed the transaction: { userId, role, source }
   performedBy: {
-    type: String,
-    default: 'SYSTEM'
+    type: Object,
+    default: null
   },
 
   createdAt: {
@@ -60,13 +114,26 @@ const InventoryTransactionSchema = {
 
 const InventoryTransactionValidationSchema = Joi.object({
   productId: Joi.string().required(),
+  variantSku: Joi.string().allow(null).optional(),
+  location: Joi.string().uppercase().allow(null).optional(),
+  transferId: Joi.string().allow(null).optional(),
   type: Joi.string().valid(...Object.values(TRANSACTION_TYPES)).required(),
   quantity: Joi.number().required(),
+  reservation: Joi.boolean().default(false),
   quantityBefore: Joi.number().default(0),
   quantityAfter: Joi.number().default(0),
   orderId: Joi.string().allow(null).optional(),
+  purchaseOrderId: Joi.string().allow(null).optional(),
+  reason: Joi.string()
+    .valid(...Object.values(ADJUSTMENT_REASONS), ...Object.values(WRITE_OFF_REASONS), ...Object.values(SALE_REASONS))
+    .allow(null)
+    .optional(),
   notes: Joi.string().allow('').default(''),
-  performedBy: Joi.string().default('SYSTEM')
+  performedBy: Joi.object({
+    userId: Joi.string().allow(null),
+    role: Joi.string().required(),
+    source: Joi.string().valid(...Object.values(ACTOR_SOURCES)).required()
+  }).allow(null).default(null)
 });
 
 const InventoryTransactionIndexes = [
@@ -78,9 +145,17 @@ const InventoryTransactionIndexes = [
     key: { type: 1, createdAt: -1 },
     name: 'type_date_index'
   },
+  {
+    key: { location: 1, createdAt: -1 },
+    name: 'location_date_index'
+  },
   {
     key: { orderId: 1 },
     name: 'order_index'
+  },
+  {
+    key: { 'performedBy.userId': 1, createdAt: -1 },
+    name: 'performed_by_date_index'
   }
 ];
 
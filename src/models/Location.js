@@ -0,0 +1,98 @@
+/**
+ * Stock Location Model
+ *
+ * A warehouse or store that holds stock. Products keep per-location stock
+ * under inventory.locations keyed by location code, so codes are immutable
+ * once created. Exactly one active location is the default; it receives
+ * stock when no location is named.
+ */
+
+const Joi = require('joi');
+
+const LocationSchema = {
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    match: /^[A-Z0-9_-]+$/  // Used as a field name in product documents
+  },
+
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // Used to pick the nearest location for an order's shipping address
+  address: {
+    street: String,
+    city: String,
+    state: String,
+    postalCode: String,
+    country: String
+  },
+
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+};
+
+const AddressValidationSchema = Joi.object({
+  street: Joi.string().allow('').default(''),
+  city: Joi.string().required(),
+  state: Joi.string().allow('').default(''),
+  postalCode: Joi.string().allow('').default(''),
+  country: Joi.string().required()
+});
+
+const LocationValidationSchema = Joi.object({
+  code: Joi.string().uppercase().pattern(/^[A-Z0-9_-]+$/).max(20).required(),
+  name: Joi.string().min(2).max(100).required(),
+  address: AddressValidationSchema.required(),
+  isDefault: Joi.boolean().default(false),
+  isActive: Joi.boolean().default(true)
+});
+
+// The code cannot change once stock has been recorded under it
+const LocationUpdateSchema = Joi.object({
+  name: Joi.string().min(2).max(100),
+  address: AddressValidationSchema,
+  isDefault: Joi.boolean().valid(true),
+  isActive: Joi.boolean()
+}).min(1);
+
+const LocationIndexes = [
+  {
+    key: { code: 1 },
+    unique: true,
+    name: 'code_unique'
+  },
+  {
+    key: { isActive: 1, isDefault: -1 },
+    name: 'active_default_index'
+  }
+];
+
+module.exports = {
+  LocationSchema,
+  LocationValidationSchema,
+  LocationUpdateSchema,
+  LocationIndexes
+};
@@ -9,7 +9,7 @@
  */
 
 const Joi = require('joi');
-const { ORDER_STATUS } = require('../config/constants');
+const { ORDER_STATUS, ORDER_CHANNELS, ORDER_RESERVATION, PAYMENT_METHODS } = require('../config/constants');
 
 const OrderSchema = {
   orderNumber: {
@@ -18,6 +18,13 @@ const OrderSchema = {
     unique: true
   },
 
+  // ORDER_CHANNELS; picks the order number prefix
+  channel: {
+    type: String,
+    enum: Object.values(ORDER_CHANNELS),
+    default: ORDER_CHANNELS.WEB
+  },
+
   userId: {
     type: 'ObjectId',
     required: true
@@ -41,7 +48,14 @@ const OrderSchema = {
       price: Number,
       discount: Number,
       subtotal: Number,
-      variant: Object
+      variant: Object,  // { sku, name, attributes } of the ordered variant
+      location: String, // Code of the stock location the item is reserved at
+      taxClass: String, // TAX_CLASSES, from the product
+      tax: Object,      // What the line was taxed (TaxService): { jurisdiction, taxClass,
+                        // inclusive, rate, taxable, amount, components: [{ name, rate, amount }] }
+      quantityShipped: Number,   // Sent on shipments
+      quantityDelivered: Number, // On shipments marked delivered
+      quantityReturned: Number   // Received back on returns (RMAs)
     }
   },
 
@@ -49,10 +63,14 @@ const OrderSchema = {
     subtotal: Number,
     discount: Number,
     tax: Number,
+    taxIncluded: Number,  // Part of tax already in the prices (inclusive rates), not added to total
     shipping: Number,
     total: Number
   },
 
+  // Where the order is taxed, from the shipping address: COUNTRY or COUNTRY-STATE
+  taxJurisdiction: String,
+
   shippingAddress: {
     street: String,
     city: String,
@@ -82,14 +100,33 @@ const OrderSchema = {
       status: String,
       timestamp: Date,
       note: String,
-      updatedBy: String
+      updatedBy: Object, // { userId, role, source }
+      amendment: Object  // On amendments: { items: [{ sku, from, to }], addresses, previousTotal, total }
     }
   },
 
+  // See PaymentService for the lifecycle
   payment: {
     method: String,
-    status: String,
-    transactionId: String
+    provider: String,           // Registered provider name (services/payments)
+    status: String,             // PAYMENT_STATUS
+    amount: Number,             // Order total, kept in step when the order is amended
+    transactionId: String,      // Provider's authorization reference
+    authorizedAmount: Number,
+    capturedAmount: Number,
+    refundedAmount: Number,
+    invoiceNumber: String,      // Issued on capture
+    events: Array               // { operation, amount, success, reference, message, note, at, by },
+                                // plus invoiceNumber on captures, creditNoteNumber, taxAmount and
+                                // external (made outside the provider) on refunds
+  },
+
+  // One entry per parcel sent: { shipmentNumber, status (SHIPMENT_STATUS),
+  // items: [{ productId, sku, variantSku, name, location, quantity }],
+  // carrier, trackingNumber, method, notes, shippedAt, shippedBy, deliveredAt }
+  shipments: {
+    type: Array,
+    default: []
   },
 
   shipping: {
@@ -117,8 +154,18 @@ const OrderSchema = {
   }
 };
 
+const AddressSchema = Joi.object({
+  street: Joi.string().required(),
+  city: Joi.string().required(),
+  state: Joi.string().required(),
+  postalCode: Joi.string().required(),
+  country: Joi.string().required()
+});
+
 const OrderValidationSchema = Joi.object({
   userId: Joi.string().required(),
+
+  channel: Joi.string().uppercase().valid(...Object.values(ORDER_CHANNELS)).default(ORDER_CHANNELS.WEB),
   
   customer: Joi.object({
     firstName: Joi.string().required(),
@@ -127,50 +174,105 @@ const OrderValidationSchema = Joi.object({
     phone: Joi.string().allow('').optional()
   }).required(),
 
+  // Lines are priced from the catalogue; price and discount here, like
+  // pricing below, need ORDER_CREATE_ANY.
   items: Joi.array().items(
     Joi.object({
       productId: Joi.string().required(),
       quantity: Joi.number().min(1).required(),
       price: Joi.number().min(0).optional(),
       discount: Joi.number().min(0).default(0),
-      variant: Joi.object().optional()
+      // Required for products with variants; stock and price come from it
+      variant: Joi.object({
+        sku: Joi.string().uppercase().required()
+      }).unknown(true).optional()
     })
   ).min(1).required(),
 
-  shippingAddress: Joi.object({
-    street: Joi.string().required(),
-    city: Joi.string().required(),
-    state: Joi.string().required(),
-    postalCode: Joi.string().required(),
-    country: Joi.string().required()
-  }).required(),
+  shippingAddress: AddressSchema.required(),
 
-  billingAddress: Joi.object({
-    street: Joi.string().required(),
-    city: Joi.string().required(),
-    state: Joi.string().required(),
-    postalCode: Joi.string().required(),
-    country: Joi.string().required()
-  }).required(),
+  billingAddress: AddressSchema.required(),
 
   payment: Joi.object({
-    method: Joi.string().required()
+    method: Joi.string().uppercase().valid(...Object.values(PAYMENT_METHODS)).required()
   }).required(),
 
   shipping: Joi.object({
     method: Joi.string().default('STANDARD')
   }).optional(),
 
+  // Tax is worked out from the shipping address and product tax classes
   pricing: Joi.object({
     discount: Joi.number().min(0).default(0),
-    tax: Joi.number().min(0).optional(),
     shipping: Joi.number().min(0).default(0)
   }).optional(),
 
+  // Reserve every item at this location instead of the nearest one
+  fulfillmentLocation: Joi.string().uppercase().optional(),
+
   customerNotes: Joi.string().allow('').default(''),
   internalNotes: Joi.string().allow('').default('')
 });
 
+// Changes to a PENDING or CONFIRMED order (OrderService.amendOrder)
+const OrderAmendmentSchema = Joi.object({
+  // Lines to add or change by product or variant SKU; quantity 0 removes
+  // the line. New and changed lines take the catalogue price; price and
+  // discount here, like pricing below, need ORDER_AMEND_ANY.
+  items: Joi.array().items(
+    Joi.object({
+      sku: Joi.string().uppercase().required(),
+      quantity: Joi.number().integer().min(0).required(),
+      price: Joi.number().min(0).optional(),
+      discount: Joi.number().min(0).optional()
+    })
+  ).unique('sku').min(1).optional(),
+
+  shippingAddress: AddressSchema.optional(),
+  billingAddress: AddressSchema.optional(),
+
+  // Tax is recalculated for the new lines and shipping address
+  pricing: Joi.object({
+    discount: Joi.number().min(0).optional(),
+    shipping: Joi.number().min(0).optional()
+  }).min(1).optional(),
+
+  note: Joi.string().allow('').default('')
+}).or('items', 'shippingAddress', 'billingAddress', 'pricing');
+
+// A shipment of some or all of an order's unshipped items (ShipmentService)
+const ShipmentSchema = Joi.object({
+  // By product or variant SKU; everything still unshipped when omitted
+  items: Joi.array().items(
+    Joi.object({
+      sku: Joi.string().uppercase().required(),
+      quantity: Joi.number().integer().min(1).required()
+    })
+  ).unique('sku').min(1).optional(),
+  carrier: Joi.string().allow('').default(''),
+  trackingNumber: Joi.string().allow('').default(''),
+  method: Joi.string().optional(),
+  notes: Joi.string().allow('').default('')
+});
+
+// Options for a reservation sweep (OrderService.expireReservations)
+const ReservationSweepSchema = Joi.object({
+  ttlMinutes: Joi.number().integer().min(1).default(ORDER_RESERVATION.TTL_MINUTES),
+  limit: Joi.number().integer().min(1).default(500),
+  dryRun: Joi.boolean().default(false)
+});
+
+const PaymentCaptureSchema = Joi.object({
+  amount: Joi.number().positive().precision(2).optional()  // The payment amount, up to what is authorized, when omitted
+});
+
+const PaymentRefundSchema = Joi.object({
+  amount: Joi.number().positive().precision(2).optional(), // Everything still refundable when omitted
+  tax: Joi.number().min(0).precision(2).optional(),        // Tax within the amount; pro rata when omitted
+  reason: Joi.string().allow('').default(''),
+  external: Joi.boolean().default(false)                   // Paid back outside the provider; only recorded
+});
+
 const OrderIndexes = [
   {
     key: { orderNumber: 1 },
@@ -188,11 +290,22 @@ const OrderIndexes = [
   {
     key: { 'customer.email': 1 },
     name: 'customer_email_index'
+  },
+  {
+    key: { 'shipments.shipmentNumber': 1 },
+    unique: true,
+    partialFilterExpression: { 'shipments.shipmentNumber': { $exists: true } },
+    name: 'shipment_number_unique'
   }
 ];
 
 module.exports = {
   OrderSchema,
   OrderValidationSchema,
+  OrderAmendmentSchema,
+  ShipmentSchema,
+  ReservationSweepSchema,
+  PaymentCaptureSchema,
+  PaymentRefundSchema,
   OrderIndexes
 };
\ No newline at end of file
@@ -21,7 +21,7 @@
  */
 
 const Joi = require('joi');
-const { PRODUCT_STATUS } = require('../config/constants');
+const { PRODUCT_STATUS, TAX_CLASSES } = require('../config/constants');
 
 /**
  * Product Schema Definition
@@ -74,6 +74,13 @@ const ProductSchema = {
     min: 0
   },
 
+  // Picks the tax rate in each jurisdiction (TaxService)
+  taxClass: {
+    type: String,
+    enum: Object.values(TAX_CLASSES),
+    default: TAX_CLASSES.STANDARD
+  },
+
   // Categories (Referenced - store ObjectIds)
   categoryId: {
     type: 'ObjectId',  // Reference to categories collection
@@ -117,6 +124,13 @@ const ProductSchema = {
     reorderQuantity: {
       type: Number,
       default: 50
+    },
+    // Per-location stock keyed by location code:
+    // { MAIN: { quantity, reserved, available }, ... }
+    // The fields above are the totals across all locations
+    locations: {
+      type: Object,
+      default: {}
     }
   },
 
@@ -139,14 +153,19 @@ const ProductSchema = {
   },
 
   // Variants (Embedded - e.g., sizes, colors)
+  // When a product has variants, stock is tracked per variant and
+  // product.inventory holds the totals across all of them
   variants: {
     type: Array,
     default: [],
     items: {
       name: String,        // e.g., "Size: Large, Color: Red"
-      sku: String,
+      sku: String,         // Unique across product and variant SKUs
       price: Number,
       quantity: Number,
+      reserved: Number,    // Quantity reserved in pending orders
+      available: Number,   // Computed: quantity - reserved
+      locations: Object,   // Per-location stock, as inventory.locations
       attributes: Object   // Flexible key-value pairs
     }
   },
@@ -224,6 +243,21 @@ const ProductSchema = {
   }
 };
 
+const SKU_PATTERN = /^[A-Z0-9-]+$/;
+
+/**
+ * Variant input; reserved and available are maintained by the service
+ */
+const VariantValidationSchema = Joi.object({
+  name: Joi.string().required(),
+  sku: Joi.string().uppercase().pattern(SKU_PATTERN).required(),
+  price: Joi.number().min(0).required(),
+  quantity: Joi.number().integer().min(0).required(),
+  attributes: Joi.object().default({})
+});
+
+const VariantsValidationSchema = Joi.array().items(VariantValidationSchema).unique('sku');
+
 /**
  * Joi Validation Schema for Product
  * Used to validate input before inserting to MongoDB
@@ -231,10 +265,11 @@ const ProductSchema = {
 const ProductValidationSchema = Joi.object({
   name: Joi.string().min(3).max(200).required(),
   description: Joi.string().min(10).max(2000).required(),
-  sku: Joi.string().uppercase().pattern(/^[A-Z0-9-]+$/).required(),
+  sku: Joi.string().uppercase().pattern(SKU_PATTERN).required(),
   price: Joi.number().min(0.01).max(999999.99).required(),
   compareAtPrice: Joi.number().min(0).allow(null).optional(),
   cost: Joi.number().min(0).default(0),
+  taxClass: Joi.string().uppercase().valid(...Object.values(TAX_CLASSES)).default(TAX_CLASSES.STANDARD),
   categoryId: Joi.string().required(),  // Will be converted to ObjectId
   tags: Joi.array().items(Joi.string()).default([]),
   brand: Joi.string().allow(null).optional(),
@@ -253,13 +288,7 @@ const ProductValidationSchema = Joi.object({
     isPrimary: Joi.boolean().default(false)
   })).default([]),
 
-  variants: Joi.array().items(Joi.object({
-    name: Joi.string().required(),
-    sku: Joi.string().required(),
-    price: Joi.number().min(0).required(),
-    quantity: Joi.number().min(0).required(),
-    attributes: Joi.object().default({})
-  })).default([]),
+  variants: VariantsValidationSchema.default([]),
 
   specifications: Joi.object().default({}),
 
@@ -313,11 +342,20 @@ const ProductIndexes = [
   {
     key: { 'salesStats.totalSold': -1 },
     name: 'top_sellers_index'
+  },
+
+  // Variant SKU lookups; products without variants are left out of the index
+  {
+    key: { 'variants.sku': 1 },
+    unique: true,
+    partialFilterExpression: { 'variants.sku': { $exists: true } },
+    name: 'variant_sku_unique'
   }
 ];
 
 module.exports = {
   ProductSchema,
   ProductValidationSchema,
+  VariantsValidationSchema,
   ProductIndexes
 };
\ No newline at end of file
@@ -0,0 +1,157 @@
+/**
+ * Purchase Order Model
+ *
+ * Stock ordered from a supplier. Lifecycle:
+ * DRAFT -> SENT -> PARTIALLY_RECEIVED -> RECEIVED, and DRAFT or SENT can be
+ * CANCELLED. Lines can only change while the order is a draft. Each receipt
+ * is recorded under receipts and adds to the lines' quantityReceived.
+ */
+
+const Joi = require('joi');
+const { PURCHASE_ORDER_STATUS } = require('../config/constants');
+
+const PurchaseOrderSchema = {
+  poNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  supplierId: {
+    type: 'ObjectId',
+    required: true
+  },
+
+  // Snapshot of the supplier when the order was created
+  supplier: {
+    code: String,
+    name: String
+  },
+
+  status: {
+    type: String,
+    enum: Object.values(PURCHASE_ORDER_STATUS),
+    default: PURCHASE_ORDER_STATUS.DRAFT
+  },
+
+  // Stock location that receives the goods unless a receipt names another
+  location: {
+    type: String,
+    required: true
+  },
+
+  items: {
+    type: Array,
+    required: true,
+    items: {
+      productId: 'ObjectId',
+      sku: String,            // Product SKU
+      variantSku: String,     // Set when the line is for one variant
+      name: String,
+      quantityOrdered: Number,
+      quantityReceived: Number,
+      unitCost: Number
+    }
+  },
+
+  totals: {
+    quantity: Number,
+    cost: Number              // Sum of quantityOrdered x unitCost
+  },
+
+  expectedAt: {
+    type: Date,
+    default: null
+  },
+
+  notes: {
+    type: String,
+    default: ''
+  },
+
+  // One entry per delivery: { receivedAt, location, items: [{ sku, variantSku, quantity, unitCost }], notes, receivedBy }
+  receipts: {
+    type: Array,
+    default: []
+  },
+
+  statusHistory: {
+    type: Array,
+    default: []
+  },
+
+  sentAt: Date,
+  receivedAt: Date,
+  cancelledAt: Date,
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+};
+
+// A line names the product by ID or by product/variant SKU
+const PurchaseOrderItemSchema = Joi.object({
+  productId: Joi.string().optional(),
+  sku: Joi.string().uppercase().optional(),
+  variantSku: Joi.string().uppercase().optional(),
+  quantity: Joi.number().integer().min(1).required(),
+  // Defaults to the product's current cost
+  unitCost: Joi.number().min(0).optional()
+}).or('productId', 'sku');
+
+const PurchaseOrderValidationSchema = Joi.object({
+  supplier: Joi.string().required(),  // Supplier code
+  location: Joi.string().uppercase().optional(),
+  items: Joi.array().items(PurchaseOrderItemSchema).min(1).required(),
+  expectedAt: Joi.date().allow(null).optional(),
+  notes: Joi.string().allow('').default('')
+});
+
+const PurchaseOrderUpdateSchema = Joi.object({
+  location: Joi.string().uppercase(),
+  items: Joi.array().items(PurchaseOrderItemSchema).min(1),
+  expectedAt: Joi.date().allow(null),
+  notes: Joi.string().allow('')
+}).min(1);
+
+// Receive a quantity of one line, identified by product or variant SKU
+const ReceiptLineSchema = Joi.object({
+  sku: Joi.string().uppercase().required(),
+  quantity: Joi.number().integer().min(1).required(),
+  // Defaults to the line's unit cost
+  unitCost: Joi.number().min(0).optional()
+});
+
+const PurchaseOrderIndexes = [
+  {
+    key: { poNumber: 1 },
+    unique: true,
+    name: 'po_number_unique'
+  },
+  {
+    key: { status: 1, createdAt: -1 },
+    name: 'status_date_index'
+  },
+  {
+    key: { supplierId: 1, createdAt: -1 },
+    name: 'supplier_date_index'
+  },
+  {
+    key: { 'items.productId': 1, status: 1 },
+    name: 'item_product_status_index'
+  }
+];
+
+module.exports = {
+  PurchaseOrderSchema,
+  PurchaseOrderValidationSchema,
+  PurchaseOrderUpdateSchema,
+  ReceiptLineSchema,
+  PurchaseOrderIndexes
+};
@@ -0,0 +1,138 @@
+/**
+ * Return (RMA) Model
+ *
+ * A customer's request to send back some of a delivered order's items.
+ * Lifecycle: REQUESTED -> APPROVED -> RECEIVED -> REFUNDED, or
+ * REQUESTED -> REJECTED. Receiving books each line back into stock or
+ * writes it off; the refund is the returned share of each line's subtotal.
+ */
+
+const Joi = require('joi');
+const { RETURN_STATUS, RETURN_DISPOSITIONS, WRITE_OFF_REASONS } = require('../config/constants');
+
+const ReturnSchema = {
+  rmaNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  orderId: {
+    type: 'ObjectId',
+    required: true
+  },
+
+  orderNumber: String,
+
+  // Customer the order belongs to
+  userId: {
+    type: 'ObjectId',
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: Object.values(RETURN_STATUS),
+    default: RETURN_STATUS.REQUESTED
+  },
+
+  reason: {
+    type: String,
+    default: ''
+  },
+
+  items: {
+    type: Array,
+    required: true,
+    items: {
+      productId: 'ObjectId',
+      sku: String,              // Product SKU
+      variantSku: String,       // Set when the line is for one variant
+      name: String,
+      quantity: Number,
+      unitRefund: Number,       // Order line charge, tax included, / quantity ordered
+      refundAmount: Number,     // unitRefund x quantity
+      taxRefund: Number,        // The tax within refundAmount
+      location: String,         // Where the order line shipped from
+      reason: String,
+      disposition: String,      // RETURN_DISPOSITIONS, set on receipt
+      writeOffReason: String,   // WRITE_OFF_REASONS, for WRITE_OFF lines
+      receivedLocation: String
+    }
+  },
+
+  refundAmount: Number,         // Sum of the lines' refundAmount
+  taxRefund: Number,            // Sum of the lines' taxRefund
+
+  // Set once refunded: { amount, refundedAt, refundedBy }
+  refund: {
+    type: Object,
+    default: null
+  },
+
+  statusHistory: {
+    type: Array,
+    default: []
+  },
+
+  notes: {
+    type: String,
+    default: ''
+  },
+
+  receivedAt: Date,
+  refundedAt: Date,
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+};
+
+// A returned line, identified by product or variant SKU
+const ReturnItemSchema = Joi.object({
+  sku: Joi.string().uppercase().required(),
+  quantity: Joi.number().integer().min(1).required(),
+  reason: Joi.string().allow('').default('')
+});
+
+const ReturnRequestSchema = Joi.object({
+  items: Joi.array().items(ReturnItemSchema).min(1).unique('sku').required(),
+  reason: Joi.string().allow('').default(''),
+  notes: Joi.string().allow('').default('')
+});
+
+// What to do with one line on receipt; lines not listed are restocked
+const ReturnReceiptLineSchema = Joi.object({
+  sku: Joi.string().uppercase().required(),
+  disposition: Joi.string().uppercase().valid(...Object.values(RETURN_DISPOSITIONS)).required(),
+  writeOffReason: Joi.string().uppercase().valid(...Object.values(WRITE_OFF_REASONS)).default(WRITE_OFF_REASONS.DAMAGED)
+});
+
+const ReturnIndexes = [
+  {
+    key: { rmaNumber: 1 },
+    unique: true,
+    name: 'rma_number_unique'
+  },
+  {
+    key: { orderId: 1, status: 1 },
+    name: 'order_status_index'
+  },
+  {
+    key: { status: 1, createdAt: -1 },
+    name: 'status_date_index'
+  }
+];
+
+module.exports = {
+  ReturnSchema,
+  ReturnRequestSchema,
+  ReturnReceiptLineSchema,
+  ReturnIndexes
+};
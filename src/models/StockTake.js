@@ -0,0 +1,114 @@
+/**
+ * Stock-take Model
+ *
+ * A physical count of one location, optionally limited to a category and
+ * its subcategories. Opening a stock-take snapshots the quantity on record
+ * for every product (or variant) in scope and flags those products; counts
+ * are entered per SKU, and posting writes the differences as ADJUSTMENT
+ * transactions. Lifecycle: OPEN -> POSTED, or OPEN -> CANCELLED.
+ */
+
+const Joi = require('joi');
+const { STOCK_TAKE_STATUS } = require('../config/constants');
+
+const StockTakeSchema = {
+  takeNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  status: {
+    type: String,
+    enum: Object.values(STOCK_TAKE_STATUS),
+    default: STOCK_TAKE_STATUS.OPEN
+  },
+
+  // Location code being counted
+  location: {
+    type: String,
+    required: true
+  },
+
+  // Set when the count is limited to a category (and its subcategories)
+  category: {
+    _id: 'ObjectId',
+    name: String
+  },
+
+  lines: {
+    type: Array,
+    required: true,
+    items: {
+      productId: 'ObjectId',
+      sku: String,              // Product SKU
+      variantSku: String,       // Set when the line is for one variant
+      name: String,
+      expectedQuantity: Number, // On record at the location when opened
+      expectedReserved: Number, // Reserved for orders when opened
+      countedQuantity: Number,  // null until counted
+      quantityAtCount: Number,  // On record when the count was entered
+      reservedAtCount: Number,  // Reserved when the count was entered
+      countedAt: Date,
+      countedBy: Object,
+      adjustment: Number        // Written on posting
+    }
+  },
+
+  notes: {
+    type: String,
+    default: ''
+  },
+
+  // { linesCounted, linesAdjusted, unitsAdded, unitsRemoved, valueChange }
+  summary: {
+    type: Object,
+    default: null
+  },
+
+  openedBy: Object,
+  postedBy: Object,
+  postedAt: Date,
+  cancelledAt: Date,
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+};
+
+const StockTakeValidationSchema = Joi.object({
+  location: Joi.string().uppercase().optional(),  // Default location when omitted
+  categoryId: Joi.string().optional(),
+  notes: Joi.string().allow('').default('')
+});
+
+// One counted quantity, by product or variant SKU
+const StockCountSchema = Joi.object({
+  sku: Joi.string().uppercase().required(),
+  counted: Joi.number().integer().min(0).required()
+});
+
+const StockTakeIndexes = [
+  {
+    key: { takeNumber: 1 },
+    unique: true,
+    name: 'take_number_unique'
+  },
+  {
+    key: { status: 1, location: 1, createdAt: -1 },
+    name: 'status_location_date_index'
+  }
+];
+
+module.exports = {
+  StockTakeSchema,
+  StockTakeValidationSchema,
+  StockCountSchema,
+  StockTakeIndexes
+};
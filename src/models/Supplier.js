@@ -0,0 +1,117 @@
+/**
+ * Supplier Model
+ *
+ * Vendors that purchase orders are placed with. Suppliers are referenced by
+ * code in the CLI and API; purchase orders keep a copy of the code and name
+ * so they still read correctly after a supplier is renamed.
+ */
+
+const Joi = require('joi');
+
+const SupplierSchema = {
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true
+  },
+
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  contact: {
+    name: String,
+    email: String,
+    phone: String
+  },
+
+  address: {
+    street: String,
+    city: String,
+    state: String,
+    postalCode: String,
+    country: String
+  },
+
+  // Typical days between sending a purchase order and receiving it
+  leadTimeDays: {
+    type: Number,
+    default: 7
+  },
+
+  notes: {
+    type: String,
+    default: ''
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+};
+
+const ContactValidationSchema = Joi.object({
+  name: Joi.string().allow('').default(''),
+  email: Joi.string().email().allow('').default(''),
+  phone: Joi.string().allow('').default('')
+});
+
+const AddressValidationSchema = Joi.object({
+  street: Joi.string().allow('').default(''),
+  city: Joi.string().allow('').default(''),
+  state: Joi.string().allow('').default(''),
+  postalCode: Joi.string().allow('').default(''),
+  country: Joi.string().allow('').default('')
+});
+
+const SupplierValidationSchema = Joi.object({
+  code: Joi.string().uppercase().pattern(/^[A-Z0-9_-]+$/).max(20).required(),
+  name: Joi.string().min(2).max(200).required(),
+  contact: ContactValidationSchema.default({}),
+  address: AddressValidationSchema.default({}),
+  leadTimeDays: Joi.number().integer().min(0).default(7),
+  notes: Joi.string().allow('').default(''),
+  isActive: Joi.boolean().default(true)
+});
+
+// The code identifies the supplier on existing purchase orders
+const SupplierUpdateSchema = Joi.object({
+  name: Joi.string().min(2).max(200),
+  contact: ContactValidationSchema,
+  address: AddressValidationSchema,
+  leadTimeDays: Joi.number().integer().min(0),
+  notes: Joi.string().allow(''),
+  isActive: Joi.boolean()
+}).min(1);
+
+const SupplierIndexes = [
+  {
+    key: { code: 1 },
+    unique: true,
+    name: 'code_unique'
+  },
+  {
+    key: { isActive: 1, name: 1 },
+    name: 'active_name_index'
+  }
+];
+
+module.exports = {
+  SupplierSchema,
+  SupplierValidationSchema,
+  SupplierUpdateSchema,
+  SupplierIndexes
+};
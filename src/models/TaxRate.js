@@ -0,0 +1,95 @@
+/**
+ * Tax Rate Model
+ *
+ * The tax on one product tax class in one jurisdiction: a country, or a
+ * state within it. A rate is made of one or more components (e.g. GST and
+ * PST) so each can be reported separately. See TaxService for how rates
+ * are chosen and applied to orders.
+ */
+
+const Joi = require('joi');
+const { TAX_CLASSES } = require('../config/constants');
+
+const TaxRateSchema = {
+  country: {
+    type: String,
+    required: true,
+    uppercase: true   // Matched against shippingAddress.country
+  },
+
+  state: {
+    type: String,
+    default: null,    // null applies to the whole country
+    uppercase: true
+  },
+
+  taxClass: {
+    type: String,
+    enum: Object.values(TAX_CLASSES),
+    default: TAX_CLASSES.STANDARD
+  },
+
+  name: String,
+
+  components: {
+    type: Array,
+    required: true,
+    items: {
+      name: String,
+      rate: Number    // Fraction of the taxable amount, e.g. 0.0725
+    }
+  },
+
+  // Prices in this jurisdiction already include the tax
+  inclusive: {
+    type: Boolean,
+    default: false
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+};
+
+const TaxComponentSchema = Joi.object({
+  name: Joi.string().max(50).required(),
+  rate: Joi.number().min(0).max(1).required()
+});
+
+// Created or replaced by jurisdiction and class (TaxService.setRate)
+const TaxRateValidationSchema = Joi.object({
+  country: Joi.string().trim().uppercase().max(60).required(),
+  state: Joi.string().trim().uppercase().max(60).empty('').allow(null).default(null),
+  taxClass: Joi.string().uppercase()
+    .valid(...Object.values(TAX_CLASSES).filter(taxClass => taxClass !== TAX_CLASSES.EXEMPT))
+    .default(TAX_CLASSES.STANDARD),
+  name: Joi.string().allow('').default(''),
+  components: Joi.array().items(TaxComponentSchema).unique('name').min(1).required(),
+  inclusive: Joi.boolean().default(false),
+  isActive: Joi.boolean().default(true)
+});
+
+const TaxRateIndexes = [
+  {
+    key: { country: 1, state: 1, taxClass: 1 },
+    unique: true,
+    name: 'jurisdiction_class_unique'
+  }
+];
+
+module.exports = {
+  TaxRateSchema,
+  TaxRateValidationSchema,
+  TaxRateIndexes
+};
@@ -124,6 +124,26 @@ const UserSchema = {
   }
 };
 
+const AddressesSchema = Joi.array().items(
+  Joi.object({
+    label: Joi.string().required(),
+    street: Joi.string().required(),
+    city: Joi.string().required(),
+    state: Joi.string().required(),
+    postalCode: Joi.string().required(),
+    country: Joi.string().required(),
+    isDefault: Joi.boolean().default(false)
+  })
+);
+
+const PreferencesSchema = Joi.object({
+  newsletter: Joi.boolean().default(true),
+  notifications: Joi.object({
+    email: Joi.boolean().default(true),
+    sms: Joi.boolean().default(false)
+  }).default()
+});
+
 const UserValidationSchema = Joi.object({
   email: Joi.string().email().required(),
   password: Joi.string().min(6).required(),
@@ -131,26 +151,29 @@ const UserValidationSchema = Joi.object({
   lastName: Joi.string().min(2).required(),
   phone: Joi.string().allow('').default(''),
   role: Joi.string().valid(...Object.values(USER_ROLES)).default(USER_ROLES.CUSTOMER),
-  
-  addresses: Joi.array().items(
-    Joi.object({
-      label: Joi.string().required(),
-      street: Joi.string().required(),
-      city: Joi.string().required(),
-      state: Joi.string().required(),
-      postalCode: Joi.string().required(),
-      country: Joi.string().required(),
-      isDefault: Joi.boolean().default(false)
-    })
-  ).default([]),
-
-  preferences: Joi.object({
-    newsletter: Joi.boolean().default(true),
-    notifications: Joi.object({
-      email: Joi.boolean().default(true),
-      sms: Joi.boolean().default(false)
-    }).default()
-  }).optional()
+  addresses: AddressesSchema.default([]),
+  preferences: PreferencesSchema.optional()
+});
+
+// What a user may change on their own profile. Anything else, order stats
+// and timestamps included, is rejected rather than written through.
+const UserProfileUpdateSchema = Joi.object({
+  firstName: Joi.string().min(2),
+  lastName: Joi.string().min(2),
+  phone: Joi.string().allow(''),
+  password: Joi.string().min(6),
+  addresses: AddressesSchema,
+  preferences: PreferencesSchema
+}).min(1);
+
+// Fields only a user manager may change, even on their own profile
+const USER_MANAGER_FIELDS = ['email', 'role', 'isActive', 'isVerified'];
+
+const UserUpdateSchema = UserProfileUpdateSchema.keys({
+  email: Joi.string().email().lowercase(),
+  role: Joi.string().valid(...Object.values(USER_ROLES)),
+  isActive: Joi.boolean(),
+  isVerified: Joi.boolean()
 });
 
 const UserIndexes = [
@@ -172,5 +195,8 @@ const UserIndexes = [
 module.exports = {
   UserSchema,
   UserValidationSchema,
+  UserProfileUpdateSchema,
+  UserUpdateSchema,
+  USER_MANAGER_FIELDS,
   UserIndexes
 };
\ No newline at end of file
@@ -28,7 +28,7 @@ class BaseRepository {
     }
   }
 
-  async create(data) {
+  async create(data, options = {}) {
     try {
       const collection = this.getCollection();
       
@@ -38,7 +38,7 @@ class BaseRepository {
         updatedAt: new Date()
       };
 
-      const result = await collection.insertOne(document);
+      const result = await collection.insertOne(document, { session: options.session });
       
       return {
         _id: result.insertedId,
@@ -50,7 +50,7 @@ class BaseRepository {
     }
   }
 
-  async createMany(documents) {
+  async createMany(documents, options = {}) {
     try {
       const collection = this.getCollection();
       
@@ -60,7 +60,7 @@ class BaseRepository {
         updatedAt: new Date()
       }));
 
-      const result = await collection.insertMany(docsWithTimestamps);
+      const result = await collection.insertMany(docsWithTimestamps, { session: options.session });
       
       return Object.values(result.insertedIds).map((id, index) => ({
         _id: id,
@@ -72,6 +72,21 @@ class BaseRepository {
     }
   }
 
+  /**
+   * Unordered bulk write. A MongoBulkWriteError is rethrown as-is so callers
+   * can map writeErrors back to their input by index.
+   */
+  async bulkWrite(operations, options = {}) {
+    try {
+      const collection = this.getCollection();
+      return await collection.bulkWrite(operations, { ordered: false, session: options.session });
+    } catch (error) {
+      if (error.writeErrors) throw error;
+      logger.error(`Error in bulk write on ${this.collectionName}:`, error);
+      throw parseMongoError(error);
+    }
+  }
+
   async findById(id, options = {}) {
     try {
       const collection = this.getCollection();
@@ -98,7 +113,7 @@ class BaseRepository {
     try {
       const collection = this.getCollection();
       
-      let query = collection.find(filter);
+      let query = collection.find(filter, { session: options.session });
       
       if (options.projection) {
         query = query.project(options.projection);
@@ -123,17 +138,41 @@ class BaseRepository {
     }
   }
 
-  async count(filter = {}) {
+  /**
+   * Unbuffered cursor for streaming large result sets; query errors surface
+   * while iterating, not here
+   */
+  findCursor(filter = {}, options = {}) {
+    const collection = this.getCollection();
+
+    let cursor = collection.find(filter, { session: options.session });
+
+    if (options.projection) {
+      cursor = cursor.project(options.projection);
+    }
+
+    if (options.sort) {
+      cursor = cursor.sort(options.sort);
+    }
+
+    if (options.batchSize) {
+      cursor = cursor.batchSize(options.batchSize);
+    }
+
+    return cursor;
+  }
+
+  async count(filter = {}, options = {}) {
     try {
       const collection = this.getCollection();
-      return await collection.countDocuments(filter);
+      return await collection.countDocuments(filter, { session: options.session });
     } catch (error) {
       logger.error(`Error counting in ${this.collectionName}:`, error);
       throw new DatabaseError(error.message, error);
     }
   }
 
-  async updateById(id, update) {
+  async updateById(id, update, options = {}) {
     try {
       const collection = this.getCollection();
       const objectId = this.toObjectId(id);
@@ -148,7 +187,7 @@ class BaseRepository {
       const result = await collection.findOneAndUpdate(
         { _id: objectId },
         updateDoc,
-        { returnDocument: 'after' }
+        { returnDocument: 'after', session: options.session }
       );
       
       return result || null;
@@ -158,7 +197,7 @@ class BaseRepository {
     }
   }
 
-  async updateOne(filter, update) {
+  async updateOne(filter, update, options = {}) {
     try {
       const collection = this.getCollection();
       
@@ -169,14 +208,14 @@ class BaseRepository {
         }
       };
       
-      return await collection.updateOne(filter, updateDoc);
+      return await collection.updateOne(filter, updateDoc, { session: options.session });
     } catch (error) {
       logger.error(`Error updating one in ${this.collectionName}:`, error);
       throw parseMongoError(error);
     }
   }
 
-  async updateMany(filter, update) {
+  async updateMany(filter, update, options = {}) {
     try {
       const collection = this.getCollection();
       
@@ -187,7 +226,7 @@ class BaseRepository {
         }
       };
       
-      return await collection.updateMany(filter, updateDoc);
+      return await collection.updateMany(filter, updateDoc, { session: options.session });
     } catch (error) {
       logger.error(`Error updating many in ${this.collectionName}:`, error);
       throw parseMongoError(error);
@@ -227,10 +266,10 @@ class BaseRepository {
     }
   }
 
-  async aggregate(pipeline) {
+  async aggregate(pipeline, options = {}) {
     try {
       const collection = this.getCollection();
-      return await collection.aggregate(pipeline).toArray();
+      return await collection.aggregate(pipeline, { session: options.session }).toArray();
     } catch (error) {
       logger.error(`Error in aggregation for ${this.collectionName}:`, error);
       throw new DatabaseError(error.message, error);
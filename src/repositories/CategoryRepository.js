@@ -1,8 +1,11 @@
 const BaseRepository = require('./BaseRepository');
 const { COLLECTIONS } = require('../config/constants');
 const { ObjectId } = require('mongodb');
+const { escapeRegExp } = require('lodash');
 const logger = require('../utils/logger');
 
+const PATH_SEPARATOR = ' > ';
+
 class CategoryRepository extends BaseRepository {
   constructor() {
     super(COLLECTIONS.CATEGORIES);
@@ -43,27 +46,89 @@ class CategoryRepository extends BaseRepository {
     }
   }
 
-  async getDescendants(categoryId) {
+  async getDescendants(categoryId, options = {}) {
     try {
+      const { includeInactive = false } = options;
+
       const category = await this.findById(categoryId);
       if (!category) return [];
 
-      const pathRegex = new RegExp(`^${category.path}`);
-      
-      return await this.findMany(
-        { 
-          path: pathRegex,
-          _id: { $ne: this.toObjectId(categoryId) },
-          isActive: true
-        },
-        { sort: { level: 1, order: 1 } }
-      );
+      // Anchor on the separator so "Books" does not match "Books & Media"
+      const pathRegex = new RegExp(`^${escapeRegExp(category.path + PATH_SEPARATOR)}`);
+
+      const filter = {
+        path: pathRegex,
+        _id: { $ne: this.toObjectId(categoryId) }
+      };
+
+      if (!includeInactive) {
+        filter.isActive = true;
+      }
+
+      return await this.findMany(filter, { sort: { level: 1, order: 1 } });
     } catch (error) {
       logger.error('Error getting descendants:', error);
       throw error;
     }
   }
 
+  async getAncestors(categoryId) {
+    try {
+      const ancestors = [];
+      const visited = new Set();
+      let current = await this.findById(categoryId);
+
+      while (current && current.parentId && !visited.has(current.parentId.toString())) {
+        visited.add(current.parentId.toString());
+        current = await this.findById(current.parentId);
+        if (current) ancestors.push(current);
+      }
+
+      return ancestors;
+    } catch (error) {
+      logger.error('Error getting ancestors:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rewrite path and level of every descendant after the category's own
+   * path/level changes (rename or move). Must be called BEFORE the category
+   * document itself is updated, since descendants are found by the old path.
+   */
+  async updateSubtreePaths(category, newPath, newLevel) {
+    try {
+      const descendants = await this.getDescendants(category._id, { includeInactive: true });
+      if (descendants.length === 0) return 0;
+
+      const levelDelta = newLevel - category.level;
+      const now = new Date();
+
+      const operations = descendants.map(descendant => ({
+        updateOne: {
+          filter: { _id: descendant._id },
+          update: {
+            $set: {
+              path: newPath + descendant.path.slice(category.path.length),
+              level: descendant.level + levelDelta,
+              updatedAt: now
+            }
+          }
+        }
+      }));
+
+      const result = await this.getCollection().bulkWrite(operations, { ordered: true });
+      return result.modifiedCount;
+    } catch (error) {
+      logger.error('Error updating subtree paths:', error);
+      throw error;
+    }
+  }
+
+  buildPath(parent, name) {
+    return parent ? `${parent.path}${PATH_SEPARATOR}${name}` : name;
+  }
+
   async getCategoryTree() {
     try {
       const allCategories = await this.findMany(
@@ -98,11 +163,21 @@ class CategoryRepository extends BaseRepository {
     }
   }
 
+  /**
+   * productCount is a rollup: products in the category and all of its
+   * descendants, so moving a subtree changes the counts of its ancestors.
+   */
   async updateProductCount(categoryId) {
     try {
+      const descendants = await this.getDescendants(categoryId, { includeInactive: true });
+      const categoryIds = [
+        this.toObjectId(categoryId),
+        ...descendants.map(descendant => descendant._id)
+      ];
+
       const db = this.getCollection().s.db;
       const count = await db.collection(COLLECTIONS.PRODUCTS).countDocuments({
-        categoryId: this.toObjectId(categoryId),
+        categoryId: { $in: categoryIds },
         isActive: true,
         deletedAt: null
       });
@@ -0,0 +1,83 @@
+const BaseRepository = require('./BaseRepository');
+const { COLLECTIONS } = require('../config/constants');
+const logger = require('../utils/logger');
+
+// 11000 = duplicate key: two upserts raced to create the same counter
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Named counters: { _id: key, seq, createdAt, updatedAt }. Every change is
+ * a single atomic update, so concurrent callers never see the same value.
+ */
+class CounterRepository extends BaseRepository {
+  constructor() {
+    super(COLLECTIONS.COUNTERS);
+  }
+
+  async findByKey(key) {
+    try {
+      return await this.findOne({ _id: key });
+    } catch (error) {
+      logger.error('Error finding counter:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add one to the counter, creating it at 1, and return the new value
+   */
+  async increment(key) {
+    try {
+      const counter = await upsert(() => this.getCollection().findOneAndUpdate(
+        { _id: key },
+        {
+          $inc: { seq: 1 },
+          $set: { updatedAt: new Date() },
+          $setOnInsert: { createdAt: new Date() }
+        },
+        { upsert: true, returnDocument: 'after' }
+      ));
+
+      return counter.seq;
+    } catch (error) {
+      logger.error('Error incrementing counter:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Raise the counter to at least value, creating it if missing; a counter
+   * already past value is left alone
+   */
+  async raiseTo(key, value) {
+    try {
+      await upsert(() => this.getCollection().updateOne(
+        { _id: key },
+        {
+          $max: { seq: value },
+          $set: { updatedAt: new Date() },
+          $setOnInsert: { createdAt: new Date() }
+        },
+        { upsert: true }
+      ));
+    } catch (error) {
+      logger.error('Error raising counter:', error);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Run an upsert, once more if a concurrent upsert created the document
+ * first; the retry then updates it
+ */
+async function upsert(operation) {
+  try {
+    return await operation();
+  } catch (error) {
+    if (error.code !== DUPLICATE_KEY) throw error;
+    return operation();
+  }
+}
+
+module.exports = new CounterRepository();
@@ -1,26 +1,390 @@
 const BaseRepository = require('./BaseRepository');
-const { COLLECTIONS } = require('../config/constants');
+const { COLLECTIONS, TRANSACTION_TYPES } = require('../config/constants');
 const logger = require('../utils/logger');
+const { toAuditEntry } = require('../utils/actor');
+
+const { SALE, RETURN, ADJUSTMENT, DAMAGED, TRANSFER_OUT, SHIPMENT } = TRANSACTION_TYPES;
+const OUTBOUND_TYPES = [SALE, DAMAGED, TRANSFER_OUT, SHIPMENT];
+
+/*
+ * How an entry moves stock. Entries flagged reservation (the SALE that
+ * reserves stock for an order and the RETURN that releases it) move
+ * reserved stock; a SHIPMENT takes reserved units off the shelf, moving
+ * both; every other entry moves the quantity in the direction its type
+ * gives, and ADJUSTMENT carries its own sign. Entries written before the
+ * flag have none and are read by their shape: a negative SALE reserved and
+ * a RETURN against an order released.
+ * ledgerEffect and the two aggregation expressions below must agree.
+ */
+function isReservation(transaction) {
+  return transaction.reservation ??
+    ((transaction.type === SALE && transaction.quantity < 0) ||
+      (transaction.type === RETURN && Boolean(transaction.orderId)));
+}
+
+function ledgerEffect(transaction) {
+  const magnitude = Math.abs(transaction.quantity);
+
+  if (isReservation(transaction)) {
+    return { quantity: 0, reserved: transaction.type === SALE ? magnitude : -magnitude };
+  }
+  if (transaction.type === ADJUSTMENT) {
+    return { quantity: transaction.quantity, reserved: 0 };
+  }
+  return {
+    quantity: OUTBOUND_TYPES.includes(transaction.type) ? -magnitude : magnitude,
+    reserved: transaction.type === SHIPMENT ? -magnitude : 0
+  };
+}
+
+const MAGNITUDE = { $abs: '$quantity' };
+
+const HAS_ORDER = { $ne: [{ $ifNull: ['$orderId', null] }, null] };
+
+const IS_RESERVATION = {
+  $ifNull: ['$reservation', {
+    $or: [
+      { $and: [{ $eq: ['$type', SALE] }, { $lt: ['$quantity', 0] }] },
+      { $and: [{ $eq: ['$type', RETURN] }, HAS_ORDER] }
+    ]
+  }]
+};
+
+const QUANTITY_EFFECT = {
+  $cond: [IS_RESERVATION, 0, {
+    $switch: {
+      branches: [
+        { case: { $eq: ['$type', ADJUSTMENT] }, then: '$quantity' },
+        { case: { $in: ['$type', OUTBOUND_TYPES] }, then: { $multiply: [MAGNITUDE, -1] } }
+      ],
+      default: MAGNITUDE
+    }
+  }]
+};
+
+const RESERVED_EFFECT = {
+  $cond: [IS_RESERVATION, {
+    $cond: [{ $eq: ['$type', SALE] }, MAGNITUDE, { $multiply: [MAGNITUDE, -1] }]
+  }, {
+    $cond: [{ $eq: ['$type', SHIPMENT] }, { $multiply: [MAGNITUDE, -1] }, 0]
+  }]
+};
+
+// $dateToString formats for movement summary periods
+const PERIOD_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
 
 class InventoryTransactionRepository extends BaseRepository {
   constructor() {
     super(COLLECTIONS.INVENTORY_TRANSACTIONS);
   }
 
-  async logTransaction(transactionData) {
+  /**
+   * options.actor is recorded as performedBy; options.session is passed through.
+   * Entries that reserve or release stock for an order must say so with
+   * reservation: true; everything else is stored with reservation: false.
+   */
+  async logTransaction(transactionData, options = {}) {
     try {
       const transaction = {
         ...transactionData,
+        reservation: transactionData.reservation === true,
+        performedBy: toAuditEntry(options.actor),
         createdAt: new Date()
       };
 
-      return await this.create(transaction);
+      return await this.create(transaction, { session: options.session });
     } catch (error) {
       logger.error('Error logging transaction:', error);
       throw error;
     }
   }
 
+  /**
+   * Bulk variant of logTransaction; every entry is attributed to options.actor
+   */
+  async logTransactions(transactions, options = {}) {
+    try {
+      if (transactions.length === 0) return [];
+
+      const performedBy = toAuditEntry(options.actor);
+      const createdAt = new Date();
+
+      return await this.createMany(
+        transactions.map(transaction => ({
+          ...transaction,
+          reservation: transaction.reservation === true,
+          performedBy,
+          createdAt
+        })),
+        { session: options.session }
+      );
+    } catch (error) {
+      logger.error('Error logging transactions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cursor over transactions, newest first. Filters: productId, variantSku,
+   * orderId, type (one or a list), location, performedBy (user ID),
+   * startDate, endDate
+   */
+  searchCursor(filters = {}) {
+    return this.findCursor(this.buildSearchQuery(filters), { sort: { createdAt: -1 } });
+  }
+
+  buildSearchQuery(filters = {}) {
+    const {
+      productId = null,
+      variantSku = null,
+      orderId = null,
+      type = null,
+      location = null,
+      performedBy = null,
+      startDate = null,
+      endDate = null
+    } = filters;
+
+    const query = {};
+
+    if (productId) query.productId = this.toObjectId(productId);
+    if (variantSku) query.variantSku = variantSku.toUpperCase();
+    if (orderId) query.orderId = this.toObjectId(orderId);
+    if (type) query.type = Array.isArray(type) ? { $in: type } : type;
+    if (location) query.location = location.toUpperCase();
+    if (performedBy) query['performedBy.userId'] = this.toObjectId(performedBy);
+
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    return query;
+  }
+
+  /**
+   * Units sold per product and variant since a date: SALE quantities less
+   * stock returned by cancelled orders. Order reservations log SALE with a
+   * negative quantity and manual removals a positive one, so both count by
+   * magnitude. Returns [{ productId, variantSku, unitsSold }].
+   */
+  async getUnitsSold(since) {
+    try {
+      return await this.aggregate([
+        {
+          $match: {
+            createdAt: { $gte: since },
+            $or: [
+              { type: TRANSACTION_TYPES.SALE },
+              { type: TRANSACTION_TYPES.RETURN, orderId: { $ne: null } }
+            ]
+          }
+        },
+        {
+          $group: {
+            _id: { productId: '$productId', variantSku: { $ifNull: ['$variantSku', null] } },
+            sold: {
+              $sum: { $cond: [{ $eq: ['$type', TRANSACTION_TYPES.SALE] }, { $abs: '$quantity' }, 0] }
+            },
+            returned: {
+              $sum: { $cond: [{ $eq: ['$type', TRANSACTION_TYPES.RETURN] }, { $abs: '$quantity' }, 0] }
+            }
+          }
+        },
+        {
+          $project: {
+            _id: 0,
+            productId: '$_id.productId',
+            variantSku: '$_id.variantSku',
+            unitsSold: { $max: [{ $subtract: ['$sold', '$returned'] }, 0] }
+          }
+        }
+      ]);
+    } catch (error) {
+      logger.error('Error getting units sold:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replay the ledger: net quantity and reserved per product, variant and
+   * location (see ledgerEffect), optionally for some products only. Returns
+   * [{ productId, variantSku, location, quantity, reserved, transactions, lastAt }].
+   */
+  async getLedgerBalances(productIds = null) {
+    try {
+      const match = productIds
+        ? { productId: { $in: productIds.map(id => this.toObjectId(id)) } }
+        : {};
+
+      return await this.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: {
+              productId: '$productId',
+              variantSku: { $ifNull: ['$variantSku', null] },
+              location: { $ifNull: ['$location', null] }
+            },
+            quantity: { $sum: QUANTITY_EFFECT },
+            reserved: { $sum: RESERVED_EFFECT },
+            transactions: { $sum: 1 },
+            lastAt: { $max: '$createdAt' }
+          }
+        },
+        {
+          $project: {
+            _id: 0,
+            productId: '$_id.productId',
+            variantSku: '$_id.variantSku',
+            location: '$_id.location',
+            quantity: 1,
+            reserved: 1,
+            transactions: 1,
+            lastAt: 1
+          }
+        }
+      ]);
+    } catch (error) {
+      logger.error('Error replaying inventory ledger:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * { quantity, reserved } change one entry makes to the stock it names
+   */
+  ledgerEffect(transaction) {
+    return ledgerEffect(transaction);
+  }
+
+  /**
+   * Every entry for one product, oldest first, for replaying balances.
+   * Filters: variantSku, locations (codes; null matches entries written
+   * before locations existed)
+   */
+  async getProductLedger(productId, filters = {}) {
+    try {
+      const { variantSku = null, locations = null } = filters;
+
+      const query = { productId: this.toObjectId(productId) };
+      if (variantSku) query.variantSku = variantSku;
+      if (locations) query.location = { $in: locations };
+
+      return await this.findMany(query, { sort: { createdAt: 1, _id: 1 } });
+    } catch (error) {
+      logger.error('Error getting product ledger:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Movements per period and type between two dates, optionally split by
+   * category or location. Units are summed by magnitude; net is the change
+   * to quantity on hand (reservations move none) and value prices units at
+   * the product's current cost.
+   *
+   * Options: startDate, endDate, period (day, week, month), type, location,
+   * groupBy (null, 'category' or 'location')
+   * Returns [{ period, type, category?, location?, transactions, units, net, value }]
+   */
+  async getMovementSummary(options = {}) {
+    try {
+      const {
+        startDate,
+        endDate,
+        period = 'month',
+        type = null,
+        location = null,
+        groupBy = null
+      } = options;
+
+      const match = { createdAt: { $gte: startDate, $lte: endDate } };
+      if (type) match.type = type;
+      if (location) match.location = location.toUpperCase();
+
+      const key = {
+        period: { $dateToString: { format: PERIOD_FORMATS[period], date: '$createdAt' } },
+        type: '$type'
+      };
+      if (groupBy === 'location') key.location = { $ifNull: ['$location', null] };
+
+      const pipeline = [
+        { $match: match },
+        {
+          $group: {
+            _id: { ...key, productId: '$productId' },
+            transactions: { $sum: 1 },
+            units: { $sum: MAGNITUDE },
+            net: { $sum: QUANTITY_EFFECT }
+          }
+        },
+        {
+          $lookup: {
+            from: COLLECTIONS.PRODUCTS,
+            localField: '_id.productId',
+            foreignField: '_id',
+            as: 'product'
+          }
+        },
+        { $unwind: { path: '$product', preserveNullAndEmptyArrays: true } }
+      ];
+
+      if (groupBy === 'category') {
+        pipeline.push(
+          {
+            $lookup: {
+              from: COLLECTIONS.CATEGORIES,
+              localField: 'product.categoryId',
+              foreignField: '_id',
+              as: 'category'
+            }
+          },
+          { $unwind: { path: '$category', preserveNullAndEmptyArrays: true } }
+        );
+      }
+
+      const groupKey = { period: '$_id.period', type: '$_id.type' };
+      if (groupBy === 'location') groupKey.location = '$_id.location';
+      if (groupBy === 'category') groupKey.category = { $ifNull: ['$category.name', 'Uncategorized'] };
+
+      pipeline.push(
+        {
+          $group: {
+            _id: groupKey,
+            transactions: { $sum: '$transactions' },
+            units: { $sum: '$units' },
+            net: { $sum: '$net' },
+            value: { $sum: { $multiply: ['$units', { $ifNull: ['$product.cost', 0] }] } }
+          }
+        },
+        {
+          $project: {
+            _id: 0,
+            period: '$_id.period',
+            type: '$_id.type',
+            ...(groupBy ? { [groupBy]: `$_id.${groupBy}` } : {}),
+            transactions: 1,
+            units: 1,
+            net: 1,
+            value: { $round: ['$value', 2] }
+          }
+        },
+        { $sort: { period: 1, type: 1, ...(groupBy ? { [groupBy]: 1 } : {}) } }
+      );
+
+      return await this.aggregate(pipeline);
+    } catch (error) {
+      logger.error('Error summarizing stock movements:', error);
+      throw error;
+    }
+  }
+
   async getByProduct(productId, options = {}) {
     try {
       const filter = { productId: this.toObjectId(productId) };
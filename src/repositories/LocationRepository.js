@@ -0,0 +1,54 @@
+const BaseRepository = require('./BaseRepository');
+const { COLLECTIONS } = require('../config/constants');
+const logger = require('../utils/logger');
+
+class LocationRepository extends BaseRepository {
+  constructor() {
+    super(COLLECTIONS.LOCATIONS);
+  }
+
+  async findByCode(code) {
+    try {
+      return await this.findOne({ code: code.toUpperCase() });
+    } catch (error) {
+      logger.error('Error finding location by code:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Default location first, then by code
+   */
+  async getActiveLocations() {
+    try {
+      return await this.findMany({ isActive: true }, { sort: { isDefault: -1, code: 1 } });
+    } catch (error) {
+      logger.error('Error getting active locations:', error);
+      throw error;
+    }
+  }
+
+  async getDefault() {
+    try {
+      return await this.findOne({ isDefault: true, isActive: true });
+    } catch (error) {
+      logger.error('Error getting default location:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Make one location the default and clear the flag everywhere else
+   */
+  async setDefault(code, options = {}) {
+    try {
+      await this.updateMany({ code: { $ne: code }, isDefault: true }, { isDefault: false }, options);
+      return await this.updateOne({ code }, { isDefault: true }, options);
+    } catch (error) {
+      logger.error('Error setting default location:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new LocationRepository();
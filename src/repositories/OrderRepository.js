@@ -1,7 +1,8 @@
 const BaseRepository = require('./BaseRepository');
-const { COLLECTIONS, ORDER_STATUS } = require('../config/constants');
+const { COLLECTIONS, ORDER_STATUS, SHIPMENT_STATUS } = require('../config/constants');
 const { ObjectId } = require('mongodb');
 const logger = require('../utils/logger');
+const { toAuditEntry } = require('../utils/actor');
 
 class OrderRepository extends BaseRepository {
   constructor() {
@@ -41,36 +42,28 @@ class OrderRepository extends BaseRepository {
     }
   }
 
-  async searchOrders(filters = {}) {
+  /**
+   * PENDING orders created before the cutoff, oldest first
+   */
+  async findExpiredReservations(cutoff, options = {}) {
     try {
-      const {
-        userId = null,
-        status = null,
-        startDate = null,
-        endDate = null,
-        minTotal = null,
-        maxTotal = null,
-        page = 1,
-        limit = 10
-      } = filters;
-
-      const query = {};
-
-      if (userId) query.userId = this.toObjectId(userId);
-      if (status) query.status = status;
-
-      if (startDate || endDate) {
-        query.createdAt = {};
-        if (startDate) query.createdAt.$gte = new Date(startDate);
-        if (endDate) query.createdAt.$lte = new Date(endDate);
-      }
+      const { limit = 0 } = options;
 
-      if (minTotal || maxTotal) {
-        query['pricing.total'] = {};
-        if (minTotal) query['pricing.total'].$gte = minTotal;
-        if (maxTotal) query['pricing.total'].$lte = maxTotal;
-      }
+      return await this.findMany(
+        { status: ORDER_STATUS.PENDING, createdAt: { $lt: cutoff } },
+        { sort: { createdAt: 1 }, limit }
+      );
+    } catch (error) {
+      logger.error('Error finding expired reservations:', error);
+      throw error;
+    }
+  }
 
+  async searchOrders(filters = {}) {
+    try {
+      const { page = 1, limit = 10 } = filters;
+
+      const query = this.buildSearchQuery(filters);
       const skip = (page - 1) * limit;
 
       const [orders, total] = await Promise.all([
@@ -93,6 +86,43 @@ class OrderRepository extends BaseRepository {
     }
   }
 
+  /**
+   * Cursor over every order matching the searchOrders() filters, unpaginated
+   */
+  searchCursor(filters = {}) {
+    return this.findCursor(this.buildSearchQuery(filters), { sort: { createdAt: -1 } });
+  }
+
+  buildSearchQuery(filters = {}) {
+    const {
+      userId = null,
+      status = null,
+      startDate = null,
+      endDate = null,
+      minTotal = null,
+      maxTotal = null
+    } = filters;
+
+    const query = {};
+
+    if (userId) query.userId = this.toObjectId(userId);
+    if (status) query.status = status;
+
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    if (minTotal || maxTotal) {
+      query['pricing.total'] = {};
+      if (minTotal) query['pricing.total'].$gte = minTotal;
+      if (maxTotal) query['pricing.total'].$lte = maxTotal;
+    }
+
+    return query;
+  }
+
   async getOrderStats() {
     try {
       const pipeline = [
@@ -106,7 +136,7 @@ class OrderRepository extends BaseRepository {
               $sum: { $cond: [{ $eq: ['$status', ORDER_STATUS.PENDING] }, 1, 0] }
             },
             completedOrders: {
-              $sum: { $cond: [{ $eq: ['$status', ORDER_STATUS.DELIVERED] }, 1, 0] }
+              $sum: { $cond: [{ $in: ['$status', [ORDER_STATUS.DELIVERED, ORDER_STATUS.PARTIALLY_RETURNED]] }, 1, 0] }
             }
           }
         }
@@ -153,20 +183,25 @@ class OrderRepository extends BaseRepository {
     }
   }
 
-  async updateOrderStatus(orderId, newStatus, note = '', updatedBy = 'SYSTEM') {
+  /**
+   * With fromStatus set, the order is only updated while it still has that
+   * status; null is returned when another update got there first
+   */
+  async updateOrderStatus(orderId, newStatus, note = '', actor = null, fromStatus = null) {
     try {
       const collection = this.getCollection();
       const objectId = this.toObjectId(orderId);
+      const filter = fromStatus ? { _id: objectId, status: fromStatus } : { _id: objectId };
 
       const statusEntry = {
         status: newStatus,
         timestamp: new Date(),
         note,
-        updatedBy
+        updatedBy: toAuditEntry(actor)
       };
 
       const result = await collection.findOneAndUpdate(
-        { _id: objectId },
+        filter,
         {
           $set: {
             status: newStatus,
@@ -186,22 +221,142 @@ class OrderRepository extends BaseRepository {
     }
   }
 
-  async generateOrderNumber() {
+  /**
+   * Replace amended fields, append the amendment to the status history and
+   * any payment events to payment.events, only while the order is unchanged
+   * since it was read (same status and updatedAt); null is returned otherwise
+   */
+  async amendOrder(order, fields, historyEntry, paymentEvents = [], options = {}) {
+    try {
+      const $push = { statusHistory: historyEntry };
+      if (paymentEvents.length > 0) {
+        $push['payment.events'] = { $each: paymentEvents };
+      }
+
+      return await this.getCollection().findOneAndUpdate(
+        { _id: order._id, status: order.status, updatedAt: order.updatedAt },
+        {
+          $set: { ...fields, updatedAt: new Date() },
+          $push
+        },
+        { returnDocument: 'after', session: options.session }
+      );
+    } catch (error) {
+      logger.error('Error amending order:', error);
+      throw error;
+    }
+  }
+
+  async findByShipmentNumber(shipmentNumber) {
+    try {
+      return await this.findOne({ 'shipments.shipmentNumber': shipmentNumber.toUpperCase() });
+    } catch (error) {
+      logger.error('Error finding order by shipment number:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Append a shipment and add to the quantityShipped of its lines; shipped
+   * is [{ index, quantity }] by position in order.items. Only applies while
+   * the order is unchanged since it was read; null is returned otherwise.
+   */
+  async addShipment(order, shipment, shipped, options = {}) {
+    try {
+      const $inc = {};
+      shipped.forEach(({ index, quantity }) => {
+        $inc[`items.${index}.quantityShipped`] = quantity;
+      });
+
+      return await this.getCollection().findOneAndUpdate(
+        { _id: order._id, status: order.status, updatedAt: order.updatedAt },
+        {
+          $inc,
+          $set: { updatedAt: new Date() },
+          $push: { shipments: shipment }
+        },
+        { returnDocument: 'after', session: options.session }
+      );
+    } catch (error) {
+      logger.error('Error adding shipment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark one shipment (by position in order.shipments) delivered and add to
+   * the quantityDelivered of its lines, only while it is still SHIPPED;
+   * null is returned otherwise
+   */
+  async markShipmentDelivered(orderId, shipmentIndex, delivered, options = {}) {
+    try {
+      const now = new Date();
+      const $inc = {};
+      delivered.forEach(({ index, quantity }) => {
+        $inc[`items.${index}.quantityDelivered`] = quantity;
+      });
+
+      return await this.getCollection().findOneAndUpdate(
+        { _id: this.toObjectId(orderId), [`shipments.${shipmentIndex}.status`]: SHIPMENT_STATUS.SHIPPED },
+        {
+          $inc,
+          $set: {
+            [`shipments.${shipmentIndex}.status`]: SHIPMENT_STATUS.DELIVERED,
+            [`shipments.${shipmentIndex}.deliveredAt`]: now,
+            updatedAt: now
+          }
+        },
+        { returnDocument: 'after', session: options.session }
+      );
+    } catch (error) {
+      logger.error('Error marking shipment delivered:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add to the quantityReturned of order lines; returned is
+   * [{ index, quantity }] by position in order.items
+   */
+  async addReturnedQuantities(orderId, returned, options = {}) {
     try {
-      const date = new Date();
-      const dateStr = date.toISOString().slice(0, 10).replace(/-/g, '');
-      
-      const startOfDay = new Date(date.setHours(0, 0, 0, 0));
-      const endOfDay = new Date(date.setHours(23, 59, 59, 999));
-      
-      const count = await this.count({
-        createdAt: { $gte: startOfDay, $lte: endOfDay }
+      const $inc = {};
+      returned.forEach(({ index, quantity }) => {
+        $inc[`items.${index}.quantityReturned`] = quantity;
       });
 
-      const sequence = String(count + 1).padStart(4, '0');
-      return `ORD-${dateStr}-${sequence}`;
+      return await this.getCollection().findOneAndUpdate(
+        { _id: this.toObjectId(orderId) },
+        { $inc, $set: { updatedAt: new Date() } },
+        { returnDocument: 'after', session: options.session }
+      );
+    } catch (error) {
+      logger.error('Error recording returned quantities:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set payment fields and append a payment event, only while the payment
+   * still has fromStatus; null is returned when another update got there
+   * first
+   */
+  async updatePayment(orderId, fromStatus, fields, event) {
+    try {
+      const collection = this.getCollection();
+
+      const $set = { updatedAt: new Date() };
+      Object.entries(fields).forEach(([key, value]) => {
+        $set[`payment.${key}`] = value;
+      });
+
+      return await collection.findOneAndUpdate(
+        { _id: this.toObjectId(orderId), 'payment.status': fromStatus },
+        { $set, $push: { 'payment.events': event } },
+        { returnDocument: 'after' }
+      );
     } catch (error) {
-      logger.error('Error generating order number:', error);
+      logger.error('Error updating order payment:', error);
       throw error;
     }
   }
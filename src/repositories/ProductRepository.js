@@ -6,6 +6,7 @@ const BaseRepository = require('./BaseRepository');
 const { COLLECTIONS, PRODUCT_STATUS } = require('../config/constants');
 const { ObjectId } = require('mongodb');
 const logger = require('../utils/logger');
+const { BusinessLogicError } = require('../utils/errorHandler');
 
 class ProductRepository extends BaseRepository {
   constructor() {
@@ -16,59 +17,15 @@ class ProductRepository extends BaseRepository {
     try {
       const {
         query = '',
-        categoryId = null,
-        minPrice = null,
-        maxPrice = null,
-        status = null,
-        tags = [],
-        brand = null,
         page = 1,
-        limit = 10,
-        sort = 'createdAt',
-        order = 'desc'
+        limit = 10
       } = searchParams;
 
-      const filter = {
-        isActive: true,
-        deletedAt: null
-      };
-
-      if (query && query.trim()) {
-        filter.$text = { $search: query };
-      }
-
-      if (categoryId) {
-        filter.categoryId = this.toObjectId(categoryId);
-      }
-
-      if (minPrice !== null || maxPrice !== null) {
-        filter.price = {};
-        if (minPrice !== null) filter.price.$gte = minPrice;
-        if (maxPrice !== null) filter.price.$lte = maxPrice;
-      }
-
-      if (status) {
-        filter.status = status;
-      }
-
-      if (tags && tags.length > 0) {
-        filter.tags = { $in: tags };
-      }
-
-      if (brand) {
-        filter.brand = brand;
-      }
-
-      const sortOptions = {};
-      if (query && query.trim()) {
-        sortOptions.score = { $meta: 'textScore' };
-      }
-      sortOptions[sort] = order === 'asc' ? 1 : -1;
-
+      const filter = this.buildSearchFilter(searchParams);
       const skip = (page - 1) * limit;
 
       const options = {
-        sort: sortOptions,
+        sort: this.buildSearchSort(searchParams),
         limit,
         skip
       };
@@ -97,6 +54,77 @@ class ProductRepository extends BaseRepository {
     }
   }
 
+  /**
+   * Cursor over every product matching the search() filters, unpaginated
+   */
+  searchCursor(searchParams = {}) {
+    return this.findCursor(this.buildSearchFilter(searchParams), {
+      sort: this.buildSearchSort(searchParams)
+    });
+  }
+
+  buildSearchFilter(searchParams = {}) {
+    const {
+      query = '',
+      categoryId = null,
+      minPrice = null,
+      maxPrice = null,
+      status = null,
+      tags = [],
+      brand = null,
+      maxAvailable = null
+    } = searchParams;
+
+    const filter = {
+      isActive: true,
+      deletedAt: null
+    };
+
+    if (query && query.trim()) {
+      filter.$text = { $search: query };
+    }
+
+    if (categoryId) {
+      filter.categoryId = this.toObjectId(categoryId);
+    }
+
+    if (minPrice !== null || maxPrice !== null) {
+      filter.price = {};
+      if (minPrice !== null) filter.price.$gte = minPrice;
+      if (maxPrice !== null) filter.price.$lte = maxPrice;
+    }
+
+    if (status) {
+      filter.status = status;
+    }
+
+    if (tags && tags.length > 0) {
+      filter.tags = { $in: tags };
+    }
+
+    if (brand) {
+      filter.brand = brand;
+    }
+
+    if (maxAvailable !== null) {
+      filter['inventory.available'] = { $lte: maxAvailable, $gt: 0 };
+    }
+
+    return filter;
+  }
+
+  buildSearchSort(searchParams = {}) {
+    const { query = '', sort = 'createdAt', order = 'desc' } = searchParams;
+
+    const sortOptions = {};
+    if (query && query.trim()) {
+      sortOptions.score = { $meta: 'textScore' };
+    }
+    sortOptions[sort] = order === 'asc' ? 1 : -1;
+
+    return sortOptions;
+  }
+
   async getProductsWithCategory(filter = {}, options = {}) {
     try {
       const { limit = 10, skip = 0, sort = { createdAt: -1 } } = options;
@@ -141,10 +169,14 @@ class ProductRepository extends BaseRepository {
     }
   }
 
+  /**
+   * Products tracked per variant are left out; see getLowStockVariants
+   */
   async getLowStockProducts(threshold = 10) {
     try {
       const filter = {
         'inventory.available': { $lte: threshold, $gt: 0 },
+        'variants.0': { $exists: false },
         status: PRODUCT_STATUS.AVAILABLE,
         isActive: true,
         deletedAt: null
@@ -163,6 +195,7 @@ class ProductRepository extends BaseRepository {
     try {
       const filter = {
         'inventory.available': 0,
+        'variants.0': { $exists: false },
         status: { $ne: PRODUCT_STATUS.DISCONTINUED },
         isActive: true,
         deletedAt: null
@@ -176,118 +209,416 @@ class ProductRepository extends BaseRepository {
   }
 
   /**
-   * CRITICAL FIX: Update Product Inventory - ATOMIC OPERATION
-   * This is now a SINGLE atomic operation instead of multiple updates
+   * Stocked products that may need reordering: active and not discontinued
    */
-  async updateInventory(productId, quantityChange) {
+  async getReplenishmentCandidates() {
     try {
-      const collection = this.getCollection();
-      const objectId = this.toObjectId(productId);
+      return await this.findMany({
+        status: { $ne: PRODUCT_STATUS.DISCONTINUED },
+        isActive: true,
+        deletedAt: null
+      }, {
+        projection: { sku: 1, name: 1, cost: 1, inventory: 1, variants: 1 },
+        sort: { sku: 1 }
+      });
+    } catch (error) {
+      logger.error('Error getting replenishment candidates:', error);
+      throw error;
+    }
+  }
 
-      const result = await collection.findOneAndUpdate(
-        { _id: objectId },
-        [
-          {
-            $set: {
-              'inventory.quantity': { $add: ['$inventory.quantity', quantityChange] },
-              'inventory.available': {
-                $subtract: [
-                  { $add: ['$inventory.quantity', quantityChange] },
-                  '$inventory.reserved'
-                ]
-              },
-              status: {
-                $cond: {
-                  if: {
-                    $lte: [
-                      {
-                        $subtract: [
-                          { $add: ['$inventory.quantity', quantityChange] },
-                          '$inventory.reserved'
-                        ]
-                      },
-                      0
-                    ]
-                  },
-                  then: 'OUT_OF_STOCK',
-                  else: 'AVAILABLE'
-                }
-              },
-              updatedAt: new Date()
-            }
-          }
-        ],
-        { returnDocument: 'after' }
+  /**
+   * Products a stock-take covers: active, not deleted, optionally in one of
+   * the given categories
+   */
+  async getStockTakeCandidates(categoryIds = null) {
+    try {
+      const filter = { isActive: true, deletedAt: null };
+      if (categoryIds) {
+        filter.categoryId = { $in: categoryIds.map(id => this.toObjectId(id)) };
+      }
+
+      return await this.findMany(filter, {
+        projection: { sku: 1, name: 1, cost: 1, inventory: 1, variants: 1, stockTakes: 1 },
+        sort: { sku: 1 }
+      });
+    } catch (error) {
+      logger.error('Error getting stock-take candidates:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark products as being counted: entry is { takeNumber, location, openedAt }
+   */
+  async flagStockTake(productIds, entry) {
+    try {
+      const result = await this.getCollection().updateMany(
+        { _id: { $in: productIds.map(id => this.toObjectId(id)) } },
+        { $push: { stockTakes: entry } }
       );
+      return result.modifiedCount;
+    } catch (error) {
+      logger.error('Error flagging products for stock-take:', error);
+      throw error;
+    }
+  }
 
-      return result || null;
+  async clearStockTake(takeNumber, options = {}) {
+    try {
+      const result = await this.getCollection().updateMany(
+        { 'stockTakes.takeNumber': takeNumber },
+        { $pull: { stockTakes: { takeNumber } } },
+        { session: options.session }
+      );
+      return result.modifiedCount;
+    } catch (error) {
+      logger.error('Error clearing stock-take flags:', error);
+      throw error;
+    }
+  }
+
+  async getLowStockVariants(threshold = 10) {
+    try {
+      return await this.findVariantStock(
+        { status: PRODUCT_STATUS.AVAILABLE },
+        { available: { $lte: threshold, $gt: 0 } }
+      );
+    } catch (error) {
+      logger.error('Error getting low stock variants:', error);
+      throw error;
+    }
+  }
+
+  async getOutOfStockVariants() {
+    try {
+      return await this.findVariantStock(
+        { status: { $ne: PRODUCT_STATUS.DISCONTINUED } },
+        { available: { $lte: 0 } }
+      );
+    } catch (error) {
+      logger.error('Error getting out of stock variants:', error);
+      throw error;
+    }
+  }
 
+  /**
+   * One row per matching variant, shaped like a product (sku, name, price,
+   * inventory) so stock reports can list products and variants together
+   */
+  async findVariantStock(productMatch, variantMatch) {
+    const prefixed = {};
+    Object.entries(variantMatch).forEach(([field, condition]) => {
+      prefixed[`variants.${field}`] = condition;
+    });
+
+    return await this.aggregate([
+      {
+        $match: {
+          ...productMatch,
+          isActive: true,
+          deletedAt: null,
+          variants: { $elemMatch: variantMatch }
+        }
+      },
+      { $unwind: '$variants' },
+      { $match: prefixed },
+      {
+        $project: {
+          productSku: '$sku',
+          sku: '$variants.sku',
+          name: { $concat: ['$name', ' (', '$variants.name', ')'] },
+          price: '$variants.price',
+          status: 1,
+          variant: {
+            sku: '$variants.sku',
+            name: '$variants.name',
+            attributes: '$variants.attributes'
+          },
+          inventory: {
+            quantity: '$variants.quantity',
+            reserved: '$variants.reserved',
+            available: '$variants.available',
+            reorderPoint: '$inventory.reorderPoint',
+            reorderQuantity: '$inventory.reorderQuantity'
+          }
+        }
+      },
+      { $sort: { 'inventory.available': 1 } }
+    ]);
+  }
+
+  /**
+   * Change on-hand stock at a location; see adjustStock.
+   *
+   * options: { location, variantSku, session, minAvailable }
+   */
+  async updateInventory(productId, quantityChange, options = {}) {
+    try {
+      return await this.adjustStock(
+        productId,
+        { location: options.location, variantSku: options.variantSku, quantity: quantityChange },
+        { session: options.session, minAvailable: options.minAvailable }
+      );
     } catch (error) {
       logger.error('Error updating inventory:', error);
       throw error;
     }
   }
 
-  async reserveInventory(productId, quantity) {
+  async reserveInventory(productId, quantity, options = {}) {
     try {
-      const collection = this.getCollection();
-      const objectId = this.toObjectId(productId);
+      const result = await this.adjustStock(
+        productId,
+        { location: options.location, variantSku: options.variantSku, reserved: quantity },
+        { session: options.session, minAvailable: quantity }
+      );
 
-      const product = await this.findById(productId);
-      if (!product) {
-        throw new Error('Product not found');
+      if (!result) {
+        throw new BusinessLogicError(`Insufficient stock available at ${options.location} to reserve ${quantity}`);
       }
 
-      if (product.inventory.available < quantity) {
-        throw new Error('Insufficient stock available');
+      return result;
+    } catch (error) {
+      logger.error('Error reserving inventory:', error);
+      throw error;
+    }
+  }
+
+  async releaseInventory(productId, quantity, options = {}) {
+    try {
+      const result = await this.adjustStock(
+        productId,
+        { location: options.location, variantSku: options.variantSku, reserved: -quantity },
+        { session: options.session, minReserved: quantity }
+      );
+
+      if (!result) {
+        throw new BusinessLogicError(`Fewer than ${quantity} units are reserved at ${options.location} to release`);
       }
 
-      const result = await collection.findOneAndUpdate(
-        {
-          _id: objectId,
-          'inventory.available': { $gte: quantity }
-        },
-        {
-          $inc: {
-            'inventory.reserved': quantity,
-            'inventory.available': -quantity
-          },
-          $set: { updatedAt: new Date() }
-        },
-        { returnDocument: 'after' }
+      return result;
+    } catch (error) {
+      logger.error('Error releasing inventory:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Take reserved units off the shelf when they leave on an order: both
+   * quantity and reserved drop, available is unchanged
+   */
+  async consumeReservation(productId, quantity, options = {}) {
+    try {
+      const result = await this.adjustStock(
+        productId,
+        { location: options.location, variantSku: options.variantSku, quantity: -quantity, reserved: -quantity },
+        { session: options.session, minReserved: quantity }
       );
 
       if (!result) {
-        throw new Error('Failed to reserve inventory');
+        throw new BusinessLogicError(`Fewer than ${quantity} units are reserved at ${options.location} to ship`);
       }
 
       return result;
     } catch (error) {
-      logger.error('Error reserving inventory:', error);
+      logger.error('Error consuming reserved inventory:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply quantity/reserved deltas at one location in a single atomic $inc.
+   * Every level that stores stock moves together: the location entry, the
+   * product totals and, for variant products, the variant and its location
+   * entry. options.minAvailable and options.minReserved only match when the
+   * location (of the variant) has that much available or reserved; null is
+   * returned otherwise.
+   *
+   * When available stock changes, a second write refreshes the status from
+   * the stored totals (DISCONTINUED and COMING_SOON are left alone). The
+   * two writes are separate operations; pass a session to commit them
+   * together.
+   */
+  async adjustStock(productId, changes, options = {}) {
+    const { location, variantSku = null, quantity = 0, reserved = 0 } = changes;
+    const collection = this.getCollection();
+    const objectId = this.toObjectId(productId);
+
+    if (!location) {
+      throw new Error('A stock location is required');
+    }
+
+    const increments = {};
+    const addDeltas = (prefix) => {
+      if (quantity !== 0) increments[`${prefix}quantity`] = quantity;
+      if (reserved !== 0) increments[`${prefix}reserved`] = reserved;
+      if (quantity - reserved !== 0) increments[`${prefix}available`] = quantity - reserved;
+    };
+
+    addDeltas('inventory.');
+    addDeltas(`inventory.locations.${location}.`);
+
+    const guards = {};
+    if (options.minAvailable) {
+      guards[`locations.${location}.available`] = { $gte: options.minAvailable };
+    }
+    if (options.minReserved) {
+      guards[`locations.${location}.reserved`] = { $gte: options.minReserved };
+    }
+
+    const filter = { _id: objectId };
+
+    if (variantSku) {
+      addDeltas('variants.$.');
+      addDeltas(`variants.$.locations.${location}.`);
+
+      filter.variants = { $elemMatch: { sku: variantSku, ...guards } };
+    } else {
+      Object.entries(guards).forEach(([path, condition]) => {
+        filter[`inventory.${path}`] = condition;
+      });
+    }
+
+    const result = await collection.findOneAndUpdate(
+      filter,
+      { $inc: increments, $set: { updatedAt: new Date() } },
+      { returnDocument: 'after', session: options.session }
+    );
+
+    if (!result || quantity - reserved === 0) {
+      return result || null;
+    }
+
+    return await collection.findOneAndUpdate(
+      { _id: objectId },
+      [
+        {
+          $set: {
+            status: {
+              $cond: {
+                if: { $in: ['$status', [PRODUCT_STATUS.DISCONTINUED, PRODUCT_STATUS.COMING_SOON]] },
+                then: '$status',
+                else: {
+                  $cond: {
+                    if: { $lte: ['$inventory.available', 0] },
+                    then: PRODUCT_STATUS.OUT_OF_STOCK,
+                    else: PRODUCT_STATUS.AVAILABLE
+                  }
+                }
+              }
+            }
+          }
+        }
+      ],
+      { returnDocument: 'after', session: options.session }
+    );
+  }
+
+  /**
+   * Put stock recorded before locations existed into the given location
+   */
+  async assignUnlocatedStock(locationCode) {
+    try {
+      const collection = this.getCollection();
+
+      const locationEntry = (prefix) => ({
+        [locationCode]: {
+          quantity: { $ifNull: [`${prefix}.quantity`, 0] },
+          reserved: { $ifNull: [`${prefix}.reserved`, 0] },
+          available: {
+            $ifNull: [
+              `${prefix}.available`,
+              { $subtract: [{ $ifNull: [`${prefix}.quantity`, 0] }, { $ifNull: [`${prefix}.reserved`, 0] }] }
+            ]
+          }
+        }
+      });
+
+      const result = await collection.updateMany(
+        { 'inventory.locations': { $exists: false } },
+        [
+          {
+            $set: {
+              'inventory.locations': locationEntry('$inventory'),
+              variants: {
+                $map: {
+                  input: { $ifNull: ['$variants', []] },
+                  as: 'variant',
+                  in: { $mergeObjects: ['$$variant', { locations: locationEntry('$$variant') }] }
+                }
+              },
+              updatedAt: new Date()
+            }
+          }
+        ]
+      );
+
+      return result.modifiedCount;
+    } catch (error) {
+      logger.error('Error assigning unlocated stock:', error);
       throw error;
     }
   }
 
-  async releaseInventory(productId, quantity) {
+  /**
+   * Blend newly received units into the product's cost as a weighted
+   * average. Call after the received quantity has been added to
+   * inventory.quantity; stock already on hand is weighted at the old cost.
+   */
+  async applyReceivedCost(productId, quantity, unitCost, options = {}) {
     try {
       const collection = this.getCollection();
       const objectId = this.toObjectId(productId);
 
-      const result = await collection.findOneAndUpdate(
+      const onHandBefore = { $max: [{ $subtract: ['$inventory.quantity', quantity] }, 0] };
+
+      return await collection.findOneAndUpdate(
         { _id: objectId },
-        {
-          $inc: {
-            'inventory.reserved': -quantity,
-            'inventory.available': quantity
-          },
-          $set: { updatedAt: new Date() }
-        },
-        { returnDocument: 'after' }
+        [
+          {
+            $set: {
+              cost: {
+                $round: [
+                  {
+                    $divide: [
+                      {
+                        $add: [
+                          { $multiply: [{ $ifNull: ['$cost', unitCost] }, onHandBefore] },
+                          quantity * unitCost
+                        ]
+                      },
+                      { $add: [onHandBefore, quantity] }
+                    ]
+                  },
+                  2
+                ]
+              },
+              updatedAt: new Date()
+            }
+          }
+        ],
+        { returnDocument: 'after', session: options.session }
       );
+    } catch (error) {
+      logger.error('Error applying received cost:', error);
+      throw error;
+    }
+  }
 
-      return result;
+  /**
+   * Units on hand at a location across all products
+   */
+  async getQuantityAtLocation(locationCode) {
+    try {
+      const [result] = await this.aggregate([
+        { $match: { [`inventory.locations.${locationCode}.quantity`]: { $gt: 0 } } },
+        { $group: { _id: null, quantity: { $sum: `$inventory.locations.${locationCode}.quantity` } } }
+      ]);
+
+      return result?.quantity || 0;
     } catch (error) {
-      logger.error('Error releasing inventory:', error);
+      logger.error('Error getting quantity at location:', error);
       throw error;
     }
   }
@@ -332,6 +663,126 @@ class ProductRepository extends BaseRepository {
     }
   }
 
+  /**
+   * The product owning a SKU, whether it is the product SKU or one of its
+   * variant SKUs
+   */
+  async findBySkuOrVariantSku(sku) {
+    try {
+      const normalized = sku.toUpperCase();
+      return await this.findOne({ $or: [{ sku: normalized }, { 'variants.sku': normalized }] });
+    } catch (error) {
+      logger.error('Error finding product by SKU or variant SKU:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Products already using any of the given SKUs as product or variant SKU
+   */
+  async findSkuOwners(skus) {
+    try {
+      const normalized = skus.map(sku => sku.toUpperCase());
+      return await this.findMany(
+        { $or: [{ sku: { $in: normalized } }, { 'variants.sku': { $in: normalized } }] },
+        { projection: { sku: 1, 'variants.sku': 1 } }
+      );
+    } catch (error) {
+      logger.error('Error finding SKU owners:', error);
+      throw error;
+    }
+  }
+
+  async findBySkus(skus) {
+    try {
+      return await this.findMany({ sku: { $in: skus.map(sku => sku.toUpperCase()) } });
+    } catch (error) {
+      logger.error('Error finding products by SKU:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Insert new products and overwrite existing ones (matched by SKU) in a
+   * single unordered bulkWrite. Entries are { document, exists }.
+   * Updates keep reserved stock, sales stats and ratings; available stock
+   * and status are recomputed from the new quantity.
+   * Returns { insertedCount, modifiedCount, writeErrors: [{ index, message }] }
+   */
+  async upsertManyBySku(entries, options = {}) {
+    const now = new Date();
+
+    const operations = entries.map(({ document, exists }) => {
+      if (!exists) {
+        return { insertOne: { document: { ...document, createdAt: now, updatedAt: now } } };
+      }
+
+      const { inventory, salesStats, ratings, status, ...fields } = document;
+
+      // Pipeline updates treat "$..." strings as field paths, so wrap values
+      const literals = {};
+      Object.entries(fields).forEach(([key, value]) => {
+        literals[key] = { $literal: value };
+      });
+
+      return {
+        updateOne: {
+          filter: { sku: document.sku },
+          update: [
+            {
+              $set: {
+                ...literals,
+                'inventory.quantity': { $literal: inventory.quantity },
+                'inventory.reorderPoint': { $literal: inventory.reorderPoint },
+                'inventory.reorderQuantity': { $literal: inventory.reorderQuantity },
+                'inventory.locations': { $literal: inventory.locations },
+                updatedAt: now
+              }
+            },
+            {
+              $set: {
+                'inventory.available': {
+                  $subtract: ['$inventory.quantity', { $ifNull: ['$inventory.reserved', 0] }]
+                }
+              }
+            },
+            {
+              $set: {
+                status: {
+                  $cond: {
+                    if: { $gt: ['$inventory.available', 0] },
+                    then: 'AVAILABLE',
+                    else: 'OUT_OF_STOCK'
+                  }
+                }
+              }
+            }
+          ]
+        }
+      };
+    });
+
+    try {
+      const result = await this.bulkWrite(operations, options);
+      return {
+        insertedCount: result.insertedCount,
+        modifiedCount: result.modifiedCount,
+        writeErrors: []
+      };
+    } catch (error) {
+      if (!error.writeErrors) throw error;
+
+      return {
+        insertedCount: error.result?.insertedCount || 0,
+        modifiedCount: error.result?.modifiedCount || 0,
+        writeErrors: [].concat(error.writeErrors).map(writeError => ({
+          index: writeError.index,
+          message: writeError.errmsg
+        }))
+      };
+    }
+  }
+
   async updateSalesStats(productId, quantitySold, revenue) {
     try {
       const collection = this.getCollection();
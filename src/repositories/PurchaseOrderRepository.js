@@ -0,0 +1,198 @@
+const BaseRepository = require('./BaseRepository');
+const { COLLECTIONS, PURCHASE_ORDER_STATUS } = require('../config/constants');
+const logger = require('../utils/logger');
+const { toAuditEntry } = require('../utils/actor');
+
+// Purchase orders whose outstanding quantities count as "on order"
+const OPEN_STATUSES = [PURCHASE_ORDER_STATUS.SENT, PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED];
+
+class PurchaseOrderRepository extends BaseRepository {
+  constructor() {
+    super(COLLECTIONS.PURCHASE_ORDERS);
+  }
+
+  async findByPoNumber(poNumber, options = {}) {
+    try {
+      return await this.findOne({ poNumber: poNumber.toUpperCase() }, { session: options.session });
+    } catch (error) {
+      logger.error('Error finding purchase order by number:', error);
+      throw error;
+    }
+  }
+
+  async searchPurchaseOrders(filters = {}) {
+    try {
+      const { page = 1, limit = 10 } = filters;
+
+      const query = this.buildSearchQuery(filters);
+      const skip = (page - 1) * limit;
+
+      const [purchaseOrders, total] = await Promise.all([
+        this.findMany(query, { sort: { createdAt: -1 }, limit, skip }),
+        this.count(query)
+      ]);
+
+      return {
+        purchaseOrders,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error searching purchase orders:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Filters: supplierId, status, productId, open (SENT or PARTIALLY_RECEIVED)
+   */
+  buildSearchQuery(filters = {}) {
+    const {
+      supplierId = null,
+      status = null,
+      productId = null,
+      open = false
+    } = filters;
+
+    const query = {};
+
+    if (supplierId) query.supplierId = this.toObjectId(supplierId);
+    if (productId) query['items.productId'] = this.toObjectId(productId);
+
+    if (status) {
+      query.status = status;
+    } else if (open) {
+      query.status = { $in: OPEN_STATUSES };
+    }
+
+    return query;
+  }
+
+  /**
+   * Units ordered but not yet received on open purchase orders, one row per
+   * product and variant: [{ productId, variantSku, quantity, purchaseOrders }]
+   */
+  async getOpenQuantities(productIds = null) {
+    try {
+      const match = { status: { $in: OPEN_STATUSES } };
+      if (productIds) {
+        match['items.productId'] = { $in: productIds.map(id => this.toObjectId(id)) };
+      }
+
+      const pipeline = [
+        { $match: match },
+        { $unwind: '$items' },
+        {
+          $project: {
+            poNumber: 1,
+            productId: '$items.productId',
+            variantSku: { $ifNull: ['$items.variantSku', null] },
+            outstanding: { $subtract: ['$items.quantityOrdered', '$items.quantityReceived'] }
+          }
+        },
+        { $match: { outstanding: { $gt: 0 } } }
+      ];
+
+      if (productIds) {
+        pipeline.push({ $match: { productId: match['items.productId'] } });
+      }
+
+      pipeline.push(
+        {
+          $group: {
+            _id: { productId: '$productId', variantSku: '$variantSku' },
+            quantity: { $sum: '$outstanding' },
+            purchaseOrders: { $addToSet: '$poNumber' }
+          }
+        },
+        {
+          $project: {
+            _id: 0,
+            productId: '$_id.productId',
+            variantSku: '$_id.variantSku',
+            quantity: 1,
+            purchaseOrders: 1
+          }
+        }
+      );
+
+      return await this.aggregate(pipeline);
+    } catch (error) {
+      logger.error('Error getting open purchase order quantities:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set the status and append to statusHistory; `fields` are set alongside
+   * (timestamps, received quantities, ...)
+   */
+  async updateStatus(purchaseOrderId, newStatus, note = '', actor = null, fields = {}, options = {}) {
+    try {
+      const collection = this.getCollection();
+
+      return await collection.findOneAndUpdate(
+        { _id: this.toObjectId(purchaseOrderId) },
+        {
+          $set: {
+            ...fields,
+            status: newStatus,
+            updatedAt: new Date()
+          },
+          $push: {
+            statusHistory: {
+              status: newStatus,
+              timestamp: new Date(),
+              note,
+              updatedBy: toAuditEntry(actor)
+            }
+          }
+        },
+        { returnDocument: 'after', session: options.session }
+      );
+    } catch (error) {
+      logger.error('Error updating purchase order status:', error);
+      throw error;
+    }
+  }
+
+  async addReceipt(purchaseOrderId, receipt, items, newStatus, actor = null, options = {}) {
+    try {
+      const collection = this.getCollection();
+      const now = new Date();
+
+      const update = {
+        $set: { items, updatedAt: now },
+        $push: { receipts: receipt }
+      };
+
+      if (newStatus) {
+        update.$set.status = newStatus;
+        if (newStatus === PURCHASE_ORDER_STATUS.RECEIVED) {
+          update.$set.receivedAt = now;
+        }
+        update.$push.statusHistory = {
+          status: newStatus,
+          timestamp: now,
+          note: receipt.notes || '',
+          updatedBy: toAuditEntry(actor)
+        };
+      }
+
+      return await collection.findOneAndUpdate(
+        { _id: this.toObjectId(purchaseOrderId) },
+        update,
+        { returnDocument: 'after', session: options.session }
+      );
+    } catch (error) {
+      logger.error('Error recording purchase order receipt:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new PurchaseOrderRepository();
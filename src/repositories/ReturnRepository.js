@@ -0,0 +1,110 @@
+const BaseRepository = require('./BaseRepository');
+const { COLLECTIONS, RETURN_STATUS } = require('../config/constants');
+const logger = require('../utils/logger');
+const { toAuditEntry } = require('../utils/actor');
+
+// Returns whose quantities are spoken for but not yet received
+const OPEN_STATUSES = [RETURN_STATUS.REQUESTED, RETURN_STATUS.APPROVED];
+
+class ReturnRepository extends BaseRepository {
+  constructor() {
+    super(COLLECTIONS.RETURNS);
+  }
+
+  async findByRmaNumber(rmaNumber, options = {}) {
+    try {
+      return await this.findOne({ rmaNumber: rmaNumber.toUpperCase() }, { session: options.session });
+    } catch (error) {
+      logger.error('Error finding return by RMA number:', error);
+      throw error;
+    }
+  }
+
+  async findByOrder(orderId, options = {}) {
+    try {
+      return await this.findMany(
+        { orderId: this.toObjectId(orderId) },
+        { sort: { createdAt: 1 }, session: options.session }
+      );
+    } catch (error) {
+      logger.error('Error finding returns for order:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Filters: status, orderId, userId, open (REQUESTED or APPROVED), page,
+   * limit
+   */
+  async searchReturns(filters = {}) {
+    try {
+      const { status = null, orderId = null, userId = null, open = false, page = 1, limit = 10 } = filters;
+
+      const query = {};
+      if (orderId) query.orderId = this.toObjectId(orderId);
+      if (userId) query.userId = this.toObjectId(userId);
+
+      if (status) {
+        query.status = status;
+      } else if (open) {
+        query.status = { $in: OPEN_STATUSES };
+      }
+
+      const skip = (page - 1) * limit;
+
+      const [returns, total] = await Promise.all([
+        this.findMany(query, { sort: { createdAt: -1 }, limit, skip }),
+        this.count(query)
+      ]);
+
+      return {
+        returns,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error searching returns:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set the status and append to statusHistory, only while the return
+   * still has fromStatus; `fields` are set alongside. Null is returned when
+   * another update got there first.
+   */
+  async updateStatus(returnId, fromStatus, newStatus, note = '', actor = null, fields = {}, options = {}) {
+    try {
+      const collection = this.getCollection();
+
+      return await collection.findOneAndUpdate(
+        { _id: this.toObjectId(returnId), status: fromStatus },
+        {
+          $set: {
+            ...fields,
+            status: newStatus,
+            updatedAt: new Date()
+          },
+          $push: {
+            statusHistory: {
+              status: newStatus,
+              timestamp: new Date(),
+              note,
+              updatedBy: toAuditEntry(actor)
+            }
+          }
+        },
+        { returnDocument: 'after', session: options.session }
+      );
+    } catch (error) {
+      logger.error('Error updating return status:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ReturnRepository();
@@ -0,0 +1,94 @@
+const BaseRepository = require('./BaseRepository');
+const { COLLECTIONS, STOCK_TAKE_STATUS } = require('../config/constants');
+const logger = require('../utils/logger');
+
+class StockTakeRepository extends BaseRepository {
+  constructor() {
+    super(COLLECTIONS.STOCK_TAKES);
+  }
+
+  async findByTakeNumber(takeNumber, options = {}) {
+    try {
+      return await this.findOne({ takeNumber: takeNumber.toUpperCase() }, { session: options.session });
+    } catch (error) {
+      logger.error('Error finding stock-take by number:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Filters: status, location, page, limit. Lines are left out of the list.
+   */
+  async searchStockTakes(filters = {}) {
+    try {
+      const { status = null, location = null, page = 1, limit = 10 } = filters;
+
+      const query = {};
+      if (status) query.status = status;
+      if (location) query.location = location.toUpperCase();
+
+      const skip = (page - 1) * limit;
+
+      const [stockTakes, total] = await Promise.all([
+        this.findMany(query, {
+          sort: { createdAt: -1 },
+          limit,
+          skip,
+          projection: { lines: 0 }
+        }),
+        this.count(query)
+      ]);
+
+      return {
+        stockTakes,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error searching stock-takes:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set the counted quantity of several lines of an open stock-take. Each
+   * entry is { sku, variantSku, countedQuantity, quantityAtCount,
+   * reservedAtCount }; lines are updated in place so counters working in
+   * parallel do not overwrite each other's entries.
+   */
+  async recordCounts(stockTakeId, counts, countedBy) {
+    try {
+      const collection = this.getCollection();
+      const now = new Date();
+
+      const operations = counts.map(count => ({
+        updateOne: {
+          filter: { _id: this.toObjectId(stockTakeId), status: STOCK_TAKE_STATUS.OPEN },
+          update: {
+            $set: {
+              'lines.$[line].countedQuantity': count.countedQuantity,
+              'lines.$[line].quantityAtCount': count.quantityAtCount,
+              'lines.$[line].reservedAtCount': count.reservedAtCount,
+              'lines.$[line].countedAt': now,
+              'lines.$[line].countedBy': countedBy,
+              updatedAt: now
+            }
+          },
+          arrayFilters: [{ 'line.sku': count.sku, 'line.variantSku': count.variantSku }]
+        }
+      }));
+
+      const result = await collection.bulkWrite(operations, { ordered: true });
+      return result.modifiedCount;
+    } catch (error) {
+      logger.error('Error recording stock counts:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new StockTakeRepository();
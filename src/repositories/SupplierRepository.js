@@ -0,0 +1,30 @@
+const BaseRepository = require('./BaseRepository');
+const { COLLECTIONS } = require('../config/constants');
+const logger = require('../utils/logger');
+
+class SupplierRepository extends BaseRepository {
+  constructor() {
+    super(COLLECTIONS.SUPPLIERS);
+  }
+
+  async findByCode(code) {
+    try {
+      return await this.findOne({ code: code.toUpperCase() });
+    } catch (error) {
+      logger.error('Error finding supplier by code:', error);
+      throw error;
+    }
+  }
+
+  async getSuppliers({ includeInactive = false } = {}) {
+    try {
+      const filter = includeInactive ? {} : { isActive: true };
+      return await this.findMany(filter, { sort: { name: 1 } });
+    } catch (error) {
+      logger.error('Error getting suppliers:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new SupplierRepository();
@@ -0,0 +1,64 @@
+const BaseRepository = require('./BaseRepository');
+const { COLLECTIONS } = require('../config/constants');
+const logger = require('../utils/logger');
+const { parseMongoError } = require('../utils/errorHandler');
+
+class TaxRateRepository extends BaseRepository {
+  constructor() {
+    super(COLLECTIONS.TAX_RATES);
+  }
+
+  /**
+   * Active rates that can apply to an address in country and state: the
+   * state's own and the country-wide ones (state null)
+   */
+  async findForJurisdiction(country, state = null) {
+    try {
+      return await this.findMany({
+        country,
+        state: { $in: state ? [state, null] : [null] },
+        isActive: true
+      });
+    } catch (error) {
+      logger.error('Error finding tax rates for jurisdiction:', error);
+      throw error;
+    }
+  }
+
+  async getRates({ country = null, includeInactive = false } = {}) {
+    try {
+      const filter = {};
+      if (country) filter.country = country.toUpperCase();
+      if (!includeInactive) filter.isActive = true;
+
+      return await this.findMany(filter, { sort: { country: 1, state: 1, taxClass: 1 } });
+    } catch (error) {
+      logger.error('Error getting tax rates:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create or replace the rate for rate.country, rate.state and
+   * rate.taxClass
+   */
+  async upsertRate(rate) {
+    try {
+      const { country, state, taxClass, ...fields } = rate;
+
+      return await this.getCollection().findOneAndUpdate(
+        { country, state, taxClass },
+        {
+          $set: { ...fields, updatedAt: new Date() },
+          $setOnInsert: { createdAt: new Date() }
+        },
+        { upsert: true, returnDocument: 'after' }
+      );
+    } catch (error) {
+      logger.error('Error saving tax rate:', error);
+      throw parseMongoError(error);
+    }
+  }
+}
+
+module.exports = new TaxRateRepository();
@@ -1,8 +1,14 @@
 require('dotenv').config();
 const chalk = require('chalk');
 const dbManager = require('../config/database');
-const { COLLECTIONS, PRODUCT_STATUS, ORDER_STATUS, USER_ROLES } = require('../config/constants');
+const { COLLECTIONS, PRODUCT_STATUS, ORDER_STATUS, USER_ROLES, ACTOR_SOURCES, TAX_CLASSES } = require('../config/constants');
 const logger = require('../utils/logger');
+const { hashPassword } = require('../utils/password');
+const { authorize } = require('../utils/authorization');
+const { createActor } = require('../utils/actor');
+const { AuthenticationError } = require('../utils/errorHandler');
+const { PERMISSIONS } = require('../config/permissions');
+const userService = require('../services/UserService');
 const { ObjectId } = require('mongodb');
 
 class DatabaseSeeder {
@@ -19,10 +25,14 @@ class DatabaseSeeder {
       const db = dbManager.getDb();
       logger.success('Connected!\n');
 
+      await this.authorizeSeeding(db);
       await this.cleanDatabase(db);
       
       const categoryIds = await this.seedCategories(db);
-      await this.seedProducts(db, categoryIds);
+      const locationCodes = await this.seedLocations(db);
+      await this.seedSuppliers(db);
+      await this.seedTaxRates(db);
+      await this.seedProducts(db, categoryIds, locationCodes);
       await this.seedUsers(db);
       await this.createIndexes(db);
 
@@ -42,6 +52,26 @@ class DatabaseSeeder {
     }
   }
 
+  /**
+   * Seeding wipes every collection, so once users exist only an ADMIN may
+   * run it (credentials from SHOPVAULT_EMAIL/SHOPVAULT_PASSWORD).
+   * An empty database can always be bootstrapped.
+   */
+  async authorizeSeeding(db) {
+    const userCount = await db.collection(COLLECTIONS.USERS).countDocuments({ deletedAt: null });
+    if (userCount === 0) return;
+
+    const { SHOPVAULT_EMAIL, SHOPVAULT_PASSWORD } = process.env;
+    if (!SHOPVAULT_EMAIL || !SHOPVAULT_PASSWORD) {
+      throw new AuthenticationError('Set SHOPVAULT_EMAIL and SHOPVAULT_PASSWORD to an admin account to re-seed');
+    }
+
+    const user = await userService.authenticate(SHOPVAULT_EMAIL, SHOPVAULT_PASSWORD);
+    authorize(createActor(user, ACTOR_SOURCES.SCRIPT), PERMISSIONS.DATABASE_SEED);
+
+    logger.success(`Seeding authorized for ${user.email}\n`);
+  }
+
   async cleanDatabase(db) {
     logger.info('Cleaning existing data...');
     
@@ -51,6 +81,13 @@ class DatabaseSeeder {
       await db.collection(COLLECTIONS.USERS).deleteMany({});
       await db.collection(COLLECTIONS.ORDERS).deleteMany({});
       await db.collection(COLLECTIONS.INVENTORY_TRANSACTIONS).deleteMany({});
+      await db.collection(COLLECTIONS.LOCATIONS).deleteMany({});
+      await db.collection(COLLECTIONS.SUPPLIERS).deleteMany({});
+      await db.collection(COLLECTIONS.PURCHASE_ORDERS).deleteMany({});
+      await db.collection(COLLECTIONS.STOCK_TAKES).deleteMany({});
+      await db.collection(COLLECTIONS.RETURNS).deleteMany({});
+      await db.collection(COLLECTIONS.COUNTERS).deleteMany({});
+      await db.collection(COLLECTIONS.TAX_RATES).deleteMany({});
       
       logger.success('Database cleaned\n');
     } catch (error) {
@@ -225,7 +262,128 @@ class DatabaseSeeder {
     }, {});
   }
 
-  async seedProducts(db, categoryIds) {
+  /**
+   * Three warehouses; the first is the default. Returns their codes.
+   */
+  async seedLocations(db) {
+    logger.info('Seeding stock locations...');
+
+    const now = new Date();
+    const locations = [
+      {
+        code: 'MAIN',
+        name: 'Main Warehouse',
+        address: { street: '100 Commerce Way', city: 'Columbus', state: 'OH', postalCode: '43215', country: 'USA' },
+        isDefault: true
+      },
+      {
+        code: 'WEST',
+        name: 'West Coast Fulfillment',
+        address: { street: '2500 Harbor Blvd', city: 'Oakland', state: 'CA', postalCode: '94607', country: 'USA' },
+        isDefault: false
+      },
+      {
+        code: 'EAST',
+        name: 'East Coast Fulfillment',
+        address: { street: '75 Port Ave', city: 'Newark', state: 'NJ', postalCode: '07114', country: 'USA' },
+        isDefault: false
+      }
+    ].map(location => ({ ...location, isActive: true, createdAt: now, updatedAt: now }));
+
+    await db.collection(COLLECTIONS.LOCATIONS).insertMany(locations);
+    logger.success(`Seeded ${locations.length} stock locations\n`);
+
+    return locations.map(location => location.code);
+  }
+
+  async seedSuppliers(db) {
+    logger.info('Seeding suppliers...');
+
+    const now = new Date();
+    const suppliers = [
+      {
+        code: 'ACME',
+        name: 'Acme Wholesale',
+        contact: { name: 'Dana Reyes', email: 'orders@acme-wholesale.com', phone: '555-0100' },
+        address: { street: '1 Industrial Pkwy', city: 'Dayton', state: 'OH', postalCode: '45402', country: 'USA' },
+        leadTimeDays: 5
+      },
+      {
+        code: 'PACIFIC',
+        name: 'Pacific Imports',
+        contact: { name: 'Sam Okafor', email: 'sales@pacific-imports.com', phone: '555-0142' },
+        address: { street: '880 Dock St', city: 'Long Beach', state: 'CA', postalCode: '90802', country: 'USA' },
+        leadTimeDays: 21
+      },
+      {
+        code: 'NORTHSTAR',
+        name: 'Northstar Supply Co.',
+        contact: { name: 'Jordan Lee', email: 'purchasing@northstar.example', phone: '555-0177' },
+        address: { street: '42 Lakeview Rd', city: 'Minneapolis', state: 'MN', postalCode: '55401', country: 'USA' },
+        leadTimeDays: 10
+      }
+    ].map(supplier => ({ ...supplier, notes: '', isActive: true, createdAt: now, updatedAt: now }));
+
+    await db.collection(COLLECTIONS.SUPPLIERS).insertMany(suppliers);
+    logger.success(`Seeded ${suppliers.length} suppliers\n`);
+  }
+
+  /**
+   * State sales tax where the sample addresses are; clothing is zero-rated
+   * in New Jersey and Minnesota
+   */
+  async seedTaxRates(db) {
+    logger.info('Seeding tax rates...');
+
+    const now = new Date();
+    const rates = [
+      { state: 'CA', name: 'California sales tax', rate: 0.0725 },
+      { state: 'OH', name: 'Ohio sales tax', rate: 0.0575 },
+      { state: 'NJ', name: 'New Jersey sales tax', rate: 0.06625 },
+      { state: 'MN', name: 'Minnesota sales tax', rate: 0.06875 },
+      { state: 'NJ', name: 'New Jersey clothing', rate: 0, taxClass: TAX_CLASSES.ZERO },
+      { state: 'MN', name: 'Minnesota clothing', rate: 0, taxClass: TAX_CLASSES.ZERO }
+    ].map(({ state, name, rate, taxClass = TAX_CLASSES.STANDARD }) => ({
+      country: 'USA',
+      state,
+      taxClass,
+      name,
+      components: [{ name: 'State', rate }],
+      inclusive: false,
+      isActive: true,
+      createdAt: now,
+      updatedAt: now
+    }));
+
+    await db.collection(COLLECTIONS.TAX_RATES).insertMany(rates);
+    logger.success(`Seeded ${rates.length} tax rates\n`);
+  }
+
+  /**
+   * Spread a quantity over the locations at random; reservations sit at the
+   * first (default) location
+   */
+  splitStock(quantity, reserved, locationCodes) {
+    const locations = {};
+    let remaining = quantity - reserved;
+
+    locationCodes.forEach((code, index) => {
+      const isLast = index === locationCodes.length - 1;
+      const share = isLast ? remaining : Math.floor(remaining * Math.random() * 0.6);
+      remaining -= share;
+
+      const locationReserved = index === 0 ? reserved : 0;
+      locations[code] = {
+        quantity: share + locationReserved,
+        reserved: locationReserved,
+        available: share
+      };
+    });
+
+    return locations;
+  }
+
+  async seedProducts(db, categoryIds, locationCodes) {
     logger.info('Seeding 1000 products...');
 
     // Product templates for different categories
@@ -336,6 +494,7 @@ class DatabaseSeeder {
           price,
           cost,
           compareAtPrice: Math.random() > 0.7 ? parseFloat((price * 1.2).toFixed(2)) : null,
+          taxClass: categorySlug.includes('clothing') ? TAX_CLASSES.ZERO : TAX_CLASSES.STANDARD,
           categoryId,
           brand: template.brand,
           tags: [categorySlug, template.brand.toLowerCase(), variation.toLowerCase()],
@@ -344,7 +503,8 @@ class DatabaseSeeder {
             reserved,
             available,
             reorderPoint: 10,
-            reorderQuantity: 50
+            reorderQuantity: 50,
+            locations: this.splitStock(quantity, reserved, locationCodes)
           },
           status: available > 0 ? PRODUCT_STATUS.AVAILABLE : PRODUCT_STATUS.OUT_OF_STOCK,
           images: [{
@@ -398,11 +558,18 @@ class DatabaseSeeder {
 
     console.log(''); // New line after progress
 
-    // Update category product counts
-    for (const [slug, categoryId] of Object.entries(categoryIds)) {
-      const count = await db.collection(COLLECTIONS.PRODUCTS).countDocuments({ categoryId });
+    // Update category product counts (rolled up to include subcategories)
+    const categories = await db.collection(COLLECTIONS.CATEGORIES).find({}).toArray();
+    for (const category of categories) {
+      const subtreeIds = categories
+        .filter(c => c._id.equals(category._id) || c.path.startsWith(`${category.path} > `))
+        .map(c => c._id);
+
+      const count = await db.collection(COLLECTIONS.PRODUCTS).countDocuments({
+        categoryId: { $in: subtreeIds }
+      });
       await db.collection(COLLECTIONS.CATEGORIES).updateOne(
-        { _id: categoryId },
+        { _id: category._id },
         { $set: { productCount: count } }
       );
     }
@@ -416,7 +583,7 @@ class DatabaseSeeder {
     const users = [
       {
         email: 'admin@shopvault.com',
-        password: 'admin123',
+        password: await hashPassword('admin123'),
         firstName: 'Admin',
         lastName: 'User',
         phone: '+1234567890',
@@ -440,7 +607,7 @@ class DatabaseSeeder {
       },
       {
         email: 'customer@example.com',
-        password: 'customer123',
+        password: await hashPassword('customer123'),
         firstName: 'John',
         lastName: 'Doe',
         phone: '+1987654321',
@@ -476,12 +643,40 @@ class DatabaseSeeder {
       await db.collection(COLLECTIONS.PRODUCTS).createIndex({ sku: 1 }, { unique: true });
       await db.collection(COLLECTIONS.PRODUCTS).createIndex({ categoryId: 1, price: 1 });
       await db.collection(COLLECTIONS.PRODUCTS).createIndex({ status: 1, isActive: 1 });
+      await db.collection(COLLECTIONS.PRODUCTS).createIndex(
+        { 'variants.sku': 1 },
+        { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+      );
 
       await db.collection(COLLECTIONS.CATEGORIES).createIndex({ slug: 1 }, { unique: true });
       await db.collection(COLLECTIONS.CATEGORIES).createIndex({ parentId: 1, order: 1 });
 
       await db.collection(COLLECTIONS.USERS).createIndex({ email: 1 }, { unique: true });
 
+      await db.collection(COLLECTIONS.LOCATIONS).createIndex({ code: 1 }, { unique: true });
+      await db.collection(COLLECTIONS.LOCATIONS).createIndex({ isActive: 1, isDefault: -1 });
+
+      await db.collection(COLLECTIONS.INVENTORY_TRANSACTIONS).createIndex({ location: 1, createdAt: -1 });
+
+      await db.collection(COLLECTIONS.ORDERS).createIndex(
+        { 'shipments.shipmentNumber': 1 },
+        { unique: true, partialFilterExpression: { 'shipments.shipmentNumber': { $exists: true } } }
+      );
+
+      await db.collection(COLLECTIONS.SUPPLIERS).createIndex({ code: 1 }, { unique: true });
+      await db.collection(COLLECTIONS.PURCHASE_ORDERS).createIndex({ poNumber: 1 }, { unique: true });
+      await db.collection(COLLECTIONS.PURCHASE_ORDERS).createIndex({ status: 1, createdAt: -1 });
+      await db.collection(COLLECTIONS.PURCHASE_ORDERS).createIndex({ 'items.productId': 1, status: 1 });
+      await db.collection(COLLECTIONS.STOCK_TAKES).createIndex({ takeNumber: 1 }, { unique: true });
+      await db.collection(COLLECTIONS.STOCK_TAKES).createIndex({ status: 1, location: 1, createdAt: -1 });
+      await db.collection(COLLECTIONS.RETURNS).createIndex({ rmaNumber: 1 }, { unique: true });
+      await db.collection(COLLECTIONS.RETURNS).createIndex({ orderId: 1, status: 1 });
+      await db.collection(COLLECTIONS.RETURNS).createIndex({ status: 1, createdAt: -1 });
+      await db.collection(COLLECTIONS.TAX_RATES).createIndex(
+        { country: 1, state: 1, taxClass: 1 },
+        { unique: true, name: 'jurisdiction_class_unique' }
+      );
+
       logger.success('Indexes created\n');
     } catch (error) {
       logger.warn('Some indexes may already exist\n');
@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+/**
+ * ShopVault REST API entry point
+ */
+
+require('dotenv').config();
+
+const logger = require('./utils/logger');
+
+require('./api').start().catch(error => {
+  logger.error('Failed to start API server:', error);
+  process.exit(1);
+});
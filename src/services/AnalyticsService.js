@@ -1,8 +1,63 @@
 const dbManager = require('../config/database');
-const { COLLECTIONS, ORDER_STATUS } = require('../config/constants');
+const inventoryTransactionRepo = require('../repositories/InventoryTransactionRepository');
+const {
+  COLLECTIONS,
+  ORDER_STATUS,
+  PRODUCT_STATUS,
+  TRANSACTION_TYPES,
+  PAYMENT_OPERATIONS
+} = require('../config/constants');
 const logger = require('../utils/logger');
+const { roundMoney } = require('../utils/money');
+const { ValidationError } = require('../utils/errorHandler');
 const dayjs = require('dayjs');
 
+const MOVEMENT_PERIODS = ['day', 'week', 'month'];
+const MOVEMENT_GROUPS = ['category', 'location'];
+const TAX_PERIODS = ['month', 'quarter', 'year'];
+
+// The last cancellation in an order's status history: when it happened and
+// the status it came from. A claim that was undone leaves a later entry, so
+// only cancelled orders are read this way.
+const CANCELLATION = {
+  $reduce: {
+    input: '$statusHistory',
+    initialValue: { at: null, from: null, previous: null },
+    in: {
+      $cond: [
+        { $eq: ['$$this.status', ORDER_STATUS.CANCELLED] },
+        { at: '$$this.timestamp', from: '$$value.previous', previous: '$$this.status' },
+        { at: '$$value.at', from: '$$value.from', previous: '$$this.status' }
+      ]
+    }
+  }
+};
+
+// Orders that owed tax: confirmed at some point, including those cancelled
+// after it. Orders cancelled while PENDING never did.
+const TAXED_ORDER = {
+  $or: [
+    { status: { $nin: [ORDER_STATUS.PENDING, ORDER_STATUS.CANCELLED] } },
+    { status: ORDER_STATUS.CANCELLED, 'cancellation.from': { $nin: [null, ORDER_STATUS.PENDING] } }
+  ]
+};
+
+// Tax already given back by the order's refunds, which the report counts
+// when they are made
+const REFUNDED_TAX = {
+  $sum: {
+    $map: {
+      input: {
+        $filter: {
+          input: { $ifNull: ['$payment.events', []] },
+          cond: { $and: [{ $eq: ['$$this.operation', PAYMENT_OPERATIONS.REFUND] }, { $eq: ['$$this.success', true] }] }
+        }
+      },
+      in: { $ifNull: ['$$this.taxAmount', 0] }
+    }
+  }
+};
+
 class AnalyticsService {
   async getDashboardSummary() {
     try {
@@ -44,7 +99,7 @@ class AnalyticsService {
                 $sum: { $cond: [{ $eq: ['$status', ORDER_STATUS.PENDING] }, 1, 0] }
               },
               completedOrders: {
-                $sum: { $cond: [{ $eq: ['$status', ORDER_STATUS.DELIVERED] }, 1, 0] }
+                $sum: { $cond: [{ $in: ['$status', [ORDER_STATUS.DELIVERED, ORDER_STATUS.PARTIALLY_RETURNED]] }, 1, 0] }
               }
             }
           }
@@ -225,6 +280,9 @@ class AnalyticsService {
     }
   }
 
+  /**
+   * Totals plus a byLocation breakdown: [{ location, totalValue, totalRetailValue, totalItems }]
+   */
   async getInventoryValue() {
     try {
       const db = dbManager.getDb();
@@ -232,17 +290,53 @@ class AnalyticsService {
       const pipeline = [
         { $match: { isActive: true, deletedAt: null } },
         {
-          $group: {
-            _id: null,
-            totalValue: { $sum: { $multiply: ['$cost', '$inventory.quantity'] } },
-            totalRetailValue: { $sum: { $multiply: ['$price', '$inventory.quantity'] } },
-            totalItems: { $sum: '$inventory.quantity' }
+          $facet: {
+            totals: [
+              {
+                $group: {
+                  _id: null,
+                  totalValue: { $sum: { $multiply: ['$cost', '$inventory.quantity'] } },
+                  totalRetailValue: { $sum: { $multiply: ['$price', '$inventory.quantity'] } },
+                  totalItems: { $sum: '$inventory.quantity' }
+                }
+              }
+            ],
+            byLocation: [
+              {
+                $project: {
+                  cost: 1,
+                  price: 1,
+                  locations: { $objectToArray: { $ifNull: ['$inventory.locations', {}] } }
+                }
+              },
+              { $unwind: '$locations' },
+              {
+                $group: {
+                  _id: '$locations.k',
+                  totalValue: { $sum: { $multiply: ['$cost', '$locations.v.quantity'] } },
+                  totalRetailValue: { $sum: { $multiply: ['$price', '$locations.v.quantity'] } },
+                  totalItems: { $sum: '$locations.v.quantity' }
+                }
+              },
+              {
+                $project: {
+                  _id: 0,
+                  location: '$_id',
+                  totalValue: 1,
+                  totalRetailValue: 1,
+                  totalItems: 1
+                }
+              },
+              { $sort: { location: 1 } }
+            ]
           }
         }
       ];
 
-      const result = await db.collection(COLLECTIONS.PRODUCTS).aggregate(pipeline).toArray();
-      return result[0] || {};
+      const [result] = await db.collection(COLLECTIONS.PRODUCTS).aggregate(pipeline).toArray();
+      const { _id, ...totals } = result.totals[0] || {};
+
+      return { ...totals, byLocation: result.byLocation };
 
     } catch (error) {
       logger.error('Error getting inventory value:', error);
@@ -250,6 +344,78 @@ class AnalyticsService {
     }
   }
 
+  /**
+   * One row per location where a product (or, for products with variants,
+   * a variant) has at most `threshold` units available, grouped by location
+   * and lowest stock first
+   */
+  async getLowStockByLocation(threshold = 10) {
+    try {
+      const db = dbManager.getDb();
+
+      const pipeline = [
+        {
+          $match: {
+            isActive: true,
+            deletedAt: null,
+            status: { $ne: PRODUCT_STATUS.DISCONTINUED }
+          }
+        },
+        {
+          $project: {
+            sku: 1,
+            reorderPoint: '$inventory.reorderPoint',
+            stock: {
+              $cond: {
+                if: { $gt: [{ $size: { $ifNull: ['$variants', []] } }, 0] },
+                then: {
+                  $map: {
+                    input: '$variants',
+                    as: 'variant',
+                    in: {
+                      sku: '$$variant.sku',
+                      name: { $concat: ['$name', ' (', '$$variant.name', ')'] },
+                      locations: { $objectToArray: { $ifNull: ['$$variant.locations', {}] } }
+                    }
+                  }
+                },
+                else: [{
+                  sku: '$sku',
+                  name: '$name',
+                  locations: { $objectToArray: { $ifNull: ['$inventory.locations', {}] } }
+                }]
+              }
+            }
+          }
+        },
+        { $unwind: '$stock' },
+        { $unwind: '$stock.locations' },
+        { $match: { 'stock.locations.v.available': { $lte: threshold } } },
+        {
+          $project: {
+            _id: 0,
+            productId: '$_id',
+            productSku: '$sku',
+            location: '$stock.locations.k',
+            sku: '$stock.sku',
+            name: '$stock.name',
+            quantity: '$stock.locations.v.quantity',
+            reserved: '$stock.locations.v.reserved',
+            available: '$stock.locations.v.available',
+            reorderPoint: 1
+          }
+        },
+        { $sort: { location: 1, available: 1, sku: 1 } }
+      ];
+
+      return await db.collection(COLLECTIONS.PRODUCTS).aggregate(pipeline).toArray();
+
+    } catch (error) {
+      logger.error('Error getting low stock by location:', error);
+      throw error;
+    }
+  }
+
   async getOrderStatusDistribution() {
     try {
       const db = dbManager.getDb();
@@ -314,6 +480,191 @@ class AnalyticsService {
     }
   }
 
+  /**
+   * Stock movements per period and transaction type, e.g. units DAMAGED
+   * this month by category. Defaults to the current month.
+   *
+   * Options: startDate, endDate, period (day, week, month), type, location,
+   * groupBy (category or location)
+   */
+  async getStockMovements(options = {}) {
+    try {
+      const { period = 'month', type = null, location = null, groupBy = null } = options;
+
+      if (!MOVEMENT_PERIODS.includes(period)) {
+        throw new ValidationError(`Period must be one of ${MOVEMENT_PERIODS.join(', ')}`);
+      }
+      if (groupBy && !MOVEMENT_GROUPS.includes(groupBy)) {
+        throw new ValidationError(`Group by must be one of ${MOVEMENT_GROUPS.join(', ')}`);
+      }
+      if (type && !Object.values(TRANSACTION_TYPES).includes(type)) {
+        throw new ValidationError(`Unknown transaction type: ${type}`);
+      }
+
+      const startDate = options.startDate ? new Date(options.startDate) : dayjs().startOf('month').toDate();
+      const endDate = options.endDate ? new Date(options.endDate) : new Date();
+
+      if (isNaN(startDate) || isNaN(endDate)) {
+        throw new ValidationError('Dates must be valid (YYYY-MM-DD)');
+      }
+
+      const rows = await inventoryTransactionRepo.getMovementSummary({
+        startDate, endDate, period, type, location, groupBy
+      });
+
+      return { startDate, endDate, period, type, location, groupBy, rows };
+
+    } catch (error) {
+      logger.error('Error getting stock movements:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Tax owed per jurisdiction and period (month, quarter or year, UTC):
+   * tax charged on orders placed in the period, less tax given back by
+   * refunds and cancellations made in it. A cancellation gives back the
+   * tax its refunds did not, so a period already reported never changes.
+   * Orders still PENDING, or cancelled while PENDING, owe nothing.
+   * Defaults to the current year.
+   *
+   * Options: startDate, endDate, period, jurisdiction (e.g. USA-CA)
+   */
+  async getTaxLiability(options = {}) {
+    try {
+      const { period = 'month', jurisdiction = null } = options;
+
+      if (!TAX_PERIODS.includes(period)) {
+        throw new ValidationError(`Period must be one of ${TAX_PERIODS.join(', ')}`);
+      }
+
+      const startDate = options.startDate ? new Date(options.startDate) : dayjs().startOf('year').toDate();
+      const endDate = options.endDate ? new Date(options.endDate) : new Date();
+
+      if (isNaN(startDate) || isNaN(endDate)) {
+        throw new ValidationError('Dates must be valid (YYYY-MM-DD)');
+      }
+
+      const db = dbManager.getDb();
+      const orders = db.collection(COLLECTIONS.ORDERS);
+      const range = { $gte: startDate, $lte: endDate };
+
+      const match = jurisdiction ? { taxJurisdiction: jurisdiction.toUpperCase() } : {};
+
+      const jurisdictionKey = { $ifNull: ['$taxJurisdiction', 'UNASSIGNED'] };
+
+      const [charged, refunded, cancelled] = await Promise.all([
+        orders.aggregate([
+          { $match: { ...match, createdAt: range } },
+          { $addFields: { cancellation: CANCELLATION } },
+          { $match: TAXED_ORDER },
+          {
+            $group: {
+              _id: { period: taxPeriod('$createdAt', period), jurisdiction: jurisdictionKey },
+              orders: { $sum: 1 },
+              taxable: { $sum: { $sum: '$items.tax.taxable' } },
+              tax: { $sum: '$pricing.tax' }
+            }
+          }
+        ]).toArray(),
+
+        orders.aggregate([
+          {
+            $match: {
+              ...match,
+              'payment.events': { $elemMatch: { operation: PAYMENT_OPERATIONS.REFUND, success: true, at: range } }
+            }
+          },
+          { $unwind: '$payment.events' },
+          {
+            $match: {
+              'payment.events.operation': PAYMENT_OPERATIONS.REFUND,
+              'payment.events.success': true,
+              'payment.events.at': range
+            }
+          },
+          {
+            $group: {
+              _id: { period: taxPeriod('$payment.events.at', period), jurisdiction: jurisdictionKey },
+              refunds: { $sum: 1 },
+              refundedTax: { $sum: { $ifNull: ['$payment.events.taxAmount', 0] } }
+            }
+          }
+        ]).toArray(),
+
+        orders.aggregate([
+          {
+            $match: {
+              ...match,
+              status: ORDER_STATUS.CANCELLED,
+              statusHistory: { $elemMatch: { status: ORDER_STATUS.CANCELLED, timestamp: range } }
+            }
+          },
+          { $addFields: { cancellation: CANCELLATION } },
+          { $match: { ...TAXED_ORDER, 'cancellation.at': range } },
+          {
+            $group: {
+              _id: { period: taxPeriod('$cancellation.at', period), jurisdiction: jurisdictionKey },
+              cancellations: { $sum: 1 },
+              cancelledTax: { $sum: { $subtract: [{ $ifNull: ['$pricing.tax', 0] }, REFUNDED_TAX] } }
+            }
+          }
+        ]).toArray()
+      ]);
+
+      const rows = new Map();
+      const rowFor = ({ period: rowPeriod, jurisdiction: rowJurisdiction }) => {
+        const key = `${rowPeriod}|${rowJurisdiction}`;
+        if (!rows.has(key)) {
+          rows.set(key, {
+            period: rowPeriod,
+            jurisdiction: rowJurisdiction,
+            orders: 0,
+            taxable: 0,
+            tax: 0,
+            refunds: 0,
+            refundedTax: 0,
+            cancellations: 0,
+            cancelledTax: 0
+          });
+        }
+        return rows.get(key);
+      };
+
+      charged.forEach(({ _id, orders: count, taxable, tax }) => {
+        Object.assign(rowFor(_id), { orders: count, taxable: roundMoney(taxable), tax: roundMoney(tax) });
+      });
+      refunded.forEach(({ _id, refunds, refundedTax }) => {
+        Object.assign(rowFor(_id), { refunds, refundedTax: roundMoney(refundedTax) });
+      });
+      cancelled.forEach(({ _id, cancellations, cancelledTax }) => {
+        Object.assign(rowFor(_id), { cancellations, cancelledTax: roundMoney(cancelledTax) });
+      });
+
+      const sorted = [...rows.values()]
+        .map(row => ({ ...row, netTax: roundMoney(row.tax - row.refundedTax - row.cancelledTax) }))
+        .sort((a, b) => a.period.localeCompare(b.period) || a.jurisdiction.localeCompare(b.jurisdiction));
+
+      return {
+        startDate,
+        endDate,
+        period,
+        jurisdiction,
+        rows: sorted,
+        totals: {
+          tax: roundMoney(sorted.reduce((sum, row) => sum + row.tax, 0)),
+          refundedTax: roundMoney(sorted.reduce((sum, row) => sum + row.refundedTax, 0)),
+          cancelledTax: roundMoney(sorted.reduce((sum, row) => sum + row.cancelledTax, 0)),
+          netTax: roundMoney(sorted.reduce((sum, row) => sum + row.netTax, 0))
+        }
+      };
+
+    } catch (error) {
+      logger.error('Error getting tax liability:', error);
+      throw error;
+    }
+  }
+
   async getInventoryTurnover() {
     try {
       const db = dbManager.getDb();
@@ -353,4 +704,25 @@ class AnalyticsService {
   }
 }
 
+/**
+ * Aggregation expression naming the period a date falls in: 2026-10,
+ * 2026-Q4 or 2026
+ */
+function taxPeriod(date, period) {
+  switch (period) {
+    case 'year':
+      return { $dateToString: { format: '%Y', date } };
+    case 'quarter':
+      return {
+        $concat: [
+          { $dateToString: { format: '%Y', date } },
+          '-Q',
+          { $toString: { $toInt: { $ceil: { $divide: [{ $month: date }, 3] } } } }
+        ]
+      };
+    default:
+      return { $dateToString: { format: '%Y-%m', date } };
+  }
+}
+
 module.exports = new AnalyticsService();
\ No newline at end of file
@@ -2,10 +2,14 @@ const categoryRepository = require('../repositories/CategoryRepository');
 const { CategoryValidationSchema } = require('../models/Category');
 const logger = require('../utils/logger');
 const { ValidationError, NotFoundError, BusinessLogicError } = require('../utils/errorHandler');
+const { authorize } = require('../utils/authorization');
+const { PERMISSIONS } = require('../config/permissions');
 
 class CategoryService {
-  async createCategory(categoryData) {
+  async createCategory(categoryData, actor) {
     try {
+      authorize(actor, PERMISSIONS.CATEGORY_MANAGE);
+
       const { error, value } = CategoryValidationSchema.validate(categoryData, {
         abortEarly: false,
         stripUnknown: true
@@ -30,10 +34,10 @@ class CategoryService {
         }
 
         processedData.level = parent.level + 1;
-        processedData.path = parent.path ? `${parent.path} > ${value.name}` : value.name;
+        processedData.path = categoryRepository.buildPath(parent, value.name);
       } else {
         processedData.level = 0;
-        processedData.path = value.name;
+        processedData.path = categoryRepository.buildPath(null, value.name);
       }
 
       const category = await categoryRepository.create(processedData);
@@ -62,6 +66,18 @@ class CategoryService {
     }
   }
 
+  async getAllCategories() {
+    try {
+      return await categoryRepository.findMany(
+        { isActive: true },
+        { sort: { path: 1 } }
+      );
+    } catch (error) {
+      logger.error('Error getting categories:', error);
+      throw error;
+    }
+  }
+
   async getRootCategories() {
     try {
       return await categoryRepository.getRootCategories();
@@ -99,8 +115,10 @@ class CategoryService {
     }
   }
 
-  async updateCategory(categoryId, updateData) {
+  async updateCategory(categoryId, updateData, actor) {
     try {
+      authorize(actor, PERMISSIONS.CATEGORY_MANAGE);
+
       const existingCategory = await categoryRepository.findById(categoryId);
       if (!existingCategory) {
         throw new NotFoundError('Category', categoryId);
@@ -113,8 +131,13 @@ class CategoryService {
         }
       }
 
+      if (updateData.parentId !== undefined) {
+        await this.moveCategory(categoryId, updateData.parentId, actor);
+        delete updateData.parentId;
+      }
+
       if (updateData.name && updateData.name !== existingCategory.name) {
-        await this.updateChildrenPaths(categoryId, updateData.name);
+        updateData.path = await this.updateChildrenPaths(categoryId, updateData.name);
       }
 
       const updatedCategory = await categoryRepository.updateById(categoryId, updateData);
@@ -128,8 +151,10 @@ class CategoryService {
     }
   }
 
-  async deleteCategory(categoryId) {
+  async deleteCategory(categoryId, actor) {
     try {
+      authorize(actor, PERMISSIONS.CATEGORY_MANAGE);
+
       const category = await categoryRepository.findById(categoryId);
       if (!category) {
         throw new NotFoundError('Category', categoryId);
@@ -148,7 +173,10 @@ class CategoryService {
         );
       }
 
-      await categoryRepository.softDelete(categoryId);
+      await categoryRepository.updateById(categoryId, {
+        isActive: false,
+        deletedAt: new Date()
+      });
 
       logger.success(`Category deleted: ${category.name}`);
       return true;
@@ -159,6 +187,80 @@ class CategoryService {
     }
   }
 
+  /**
+   * Re-parent a category (null = make it a root category).
+   * Rewrites parentId, path and level on the category and its whole subtree,
+   * then refreshes the rolled-up productCount of old and new ancestors.
+   */
+  async moveCategory(categoryId, newParentId = null, actor) {
+    try {
+      authorize(actor, PERMISSIONS.CATEGORY_MANAGE);
+
+      const category = await categoryRepository.findById(categoryId);
+      if (!category) {
+        throw new NotFoundError('Category', categoryId);
+      }
+
+      let parent = null;
+      if (newParentId) {
+        if (newParentId.toString() === category._id.toString()) {
+          throw new BusinessLogicError('A category cannot be its own parent');
+        }
+
+        parent = await categoryRepository.findById(newParentId);
+        if (!parent) {
+          throw new ValidationError('Parent category does not exist');
+        }
+
+        const descendants = await categoryRepository.getDescendants(categoryId, { includeInactive: true });
+        if (descendants.some(d => d._id.toString() === parent._id.toString())) {
+          throw new BusinessLogicError(
+            `Cannot move '${category.name}' under its own descendant '${parent.name}'`
+          );
+        }
+      }
+
+      const currentParentId = category.parentId ? category.parentId.toString() : null;
+      const targetParentId = parent ? parent._id.toString() : null;
+      if (currentParentId === targetParentId) {
+        return category;
+      }
+
+      const oldAncestors = await categoryRepository.getAncestors(categoryId);
+
+      const newPath = categoryRepository.buildPath(parent, category.name);
+      const newLevel = parent ? parent.level + 1 : 0;
+
+      const descendantsUpdated = await categoryRepository.updateSubtreePaths(category, newPath, newLevel);
+
+      const movedCategory = await categoryRepository.updateById(categoryId, {
+        parentId: parent ? parent._id : null,
+        level: newLevel,
+        path: newPath
+      });
+
+      const newAncestors = parent
+        ? [parent, ...(await categoryRepository.getAncestors(parent._id))]
+        : [];
+
+      const affectedIds = new Set(
+        [...oldAncestors, ...newAncestors].map(ancestor => ancestor._id.toString())
+      );
+      for (const ancestorId of affectedIds) {
+        await categoryRepository.updateProductCount(ancestorId);
+      }
+
+      logger.success(
+        `Category moved: ${category.path} → ${newPath} (${descendantsUpdated} descendants updated)`
+      );
+      return movedCategory;
+
+    } catch (error) {
+      logger.error('Error moving category:', error);
+      throw error;
+    }
+  }
+
   async searchCategories(searchTerm) {
     try {
       const regex = new RegExp(searchTerm, 'i');
@@ -175,8 +277,10 @@ class CategoryService {
     }
   }
 
-  async updateProductCount(categoryId) {
+  async updateProductCount(categoryId, actor) {
     try {
+      authorize(actor, PERMISSIONS.CATEGORY_MANAGE);
+
       return await categoryRepository.updateProductCount(categoryId);
     } catch (error) {
       logger.error('Error updating product count:', error);
@@ -184,18 +288,23 @@ class CategoryService {
     }
   }
 
+  /**
+   * Rewrite descendant paths for a rename and return the category's new path
+   */
   async updateChildrenPaths(categoryId, newName) {
     try {
       const category = await categoryRepository.findById(categoryId);
-      const children = await categoryRepository.getDescendants(categoryId);
+      const parent = category.parentId
+        ? await categoryRepository.findById(category.parentId)
+        : null;
 
-      for (const child of children) {
-        const oldPath = child.path;
-        const newPath = oldPath.replace(category.name, newName);
-        await categoryRepository.updateById(child._id, { path: newPath });
-      }
+      const newPath = categoryRepository.buildPath(parent, newName);
+      await categoryRepository.updateSubtreePaths(category, newPath, category.level);
+
+      return newPath;
     } catch (error) {
-      logger.warn('Error updating children paths:', error.message);
+      logger.error('Error updating children paths:', error);
+      throw error;
     }
   }
 }
@@ -0,0 +1,237 @@
+/**
+ * Streaming Export
+ *
+ * Streams products, orders and inventory transactions to CSV, JSON or NDJSON
+ * straight from a MongoDB cursor, so memory use stays flat however large the
+ * collection is. Reorder suggestions are computed in memory and written the
+ * same way. Filters are the same ones ProductRepository.search and
+ * OrderRepository.searchOrders accept.
+ *
+ * JSON and NDJSON contain whole documents. CSV uses a fixed column list per
+ * entity so every file has the same header:
+ * - nested fields become dot-notation columns (inventory.quantity, pricing.total)
+ * - arrays of plain values are joined with "|" (tags)
+ * - arrays of objects and free-form objects are JSON-encoded into a single
+ *   cell (variants, images, specifications, items)
+ * - dates are ISO 8601, ObjectIds are hex strings, missing values are empty
+ *
+ * Product CSV uses the same column names ImportService reads, so an export
+ * can be edited and imported again.
+ */
+
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { stringify } = require('csv-stringify');
+const { get } = require('lodash');
+const { ObjectId } = require('mongodb');
+const productRepository = require('../repositories/ProductRepository');
+const orderRepository = require('../repositories/OrderRepository');
+const inventoryTransactionRepo = require('../repositories/InventoryTransactionRepository');
+const replenishmentService = require('./ReplenishmentService');
+const { PERMISSIONS } = require('../config/permissions');
+const { authorize, hasPermission } = require('../utils/authorization');
+const { ValidationError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+const FORMATS = ['csv', 'json', 'ndjson'];
+
+const PRODUCT_COLUMNS = [
+  '_id', 'sku', 'name', 'description', 'brand', 'categoryId', 'status',
+  'price', 'compareAtPrice', 'cost', 'taxClass', 'tags',
+  'inventory.quantity', 'inventory.reserved', 'inventory.available',
+  'inventory.reorderPoint', 'inventory.reorderQuantity', 'inventory.locations',
+  'salesStats.totalSold', 'salesStats.revenue', 'salesStats.lastSoldAt',
+  'ratings.average', 'ratings.count',
+  'seo.slug', 'seo.metaTitle', 'seo.metaDescription',
+  'isFeatured', 'images', 'variants', 'specifications',
+  'createdAt', 'updatedAt'
+];
+
+const ORDER_COLUMNS = [
+  '_id', 'orderNumber', 'userId', 'status',
+  'customer.firstName', 'customer.lastName', 'customer.email', 'customer.phone',
+  { header: 'itemCount', value: order => order.items?.length ?? 0 },
+  'items',
+  'pricing.subtotal', 'pricing.discount', 'pricing.tax', 'pricing.taxIncluded', 'pricing.shipping', 'pricing.total',
+  'taxJurisdiction',
+  'payment.method', 'payment.provider', 'payment.status', 'payment.transactionId',
+  'payment.capturedAmount', 'payment.refundedAmount',
+  'shipping.method', 'shipping.carrier', 'shipping.trackingNumber', 'shipping.shippedAt',
+  'shippingAddress.street', 'shippingAddress.city', 'shippingAddress.state',
+  'shippingAddress.postalCode', 'shippingAddress.country',
+  'createdAt', 'updatedAt', 'completedAt', 'cancelledAt'
+];
+
+const TRANSACTION_COLUMNS = [
+  '_id', 'productId', 'variantSku', 'location', 'transferId', 'orderId', 'purchaseOrderId', 'type', 'reason',
+  'quantity', 'quantityBefore', 'quantityAfter', 'notes',
+  'performedBy.userId', 'performedBy.role', 'performedBy.source',
+  'createdAt'
+];
+
+const REORDER_COLUMNS = [
+  'productId', 'sku', 'productSku', 'variantSku', 'name',
+  'available', 'onOrder', 'reorderPoint', 'reorderQuantity',
+  'unitsSold', 'dailyVelocity', 'daysOfCover',
+  'suggestedQuantity', 'unitCost', 'estimatedCost', 'reason'
+];
+
+class ExportService {
+  /**
+   * Format defaults to the output file extension
+   */
+  resolveFormat(filePath, format = null) {
+    const resolvedFormat = (format || path.extname(filePath || '').slice(1)).toLowerCase();
+    if (!FORMATS.includes(resolvedFormat)) {
+      throw new ValidationError(`Unsupported export format '${resolvedFormat}'. Use ${FORMATS.join(', ')}`);
+    }
+    return resolvedFormat;
+  }
+
+  /**
+   * Stream products matching the search filters to options.output
+   * (a writable stream, ended when the export finishes)
+   */
+  async exportProducts(filters = {}, options = {}, actor) {
+    // Exports carry cost and stock levels, not just the public catalog
+    authorize(actor, PERMISSIONS.INVENTORY_VIEW);
+
+    return this.runExport('products', productRepository.searchCursor(filters), PRODUCT_COLUMNS, options);
+  }
+
+  /**
+   * Customers without ORDER_VIEW_ANY only export their own orders, as in
+   * OrderService.searchOrders
+   */
+  async exportOrders(filters = {}, options = {}, actor) {
+    if (!hasPermission(actor, PERMISSIONS.ORDER_VIEW_ANY)) {
+      authorize(actor, PERMISSIONS.ORDER_VIEW_OWN);
+      filters = { ...filters, userId: actor.userId };
+    }
+
+    return this.runExport('orders', orderRepository.searchCursor(filters), ORDER_COLUMNS, options);
+  }
+
+  async exportTransactions(filters = {}, options = {}, actor) {
+    authorize(actor, PERMISSIONS.INVENTORY_VIEW);
+
+    return this.runExport(
+      'inventory transactions',
+      inventoryTransactionRepo.searchCursor(filters),
+      TRANSACTION_COLUMNS,
+      options
+    );
+  }
+
+  /**
+   * Options are those of ReplenishmentService.getReorderSuggestions
+   */
+  async exportReorderSuggestions(suggestionOptions = {}, options = {}, actor) {
+    authorize(actor, PERMISSIONS.INVENTORY_VIEW);
+
+    const { suggestions } = await replenishmentService.getReorderSuggestions(suggestionOptions);
+    return this.runExport('reorder suggestions', arrayCursor(suggestions), REORDER_COLUMNS, options);
+  }
+
+  async runExport(label, cursor, columns, { format = 'csv', output } = {}) {
+    const counter = { count: 0 };
+
+    try {
+      if (!FORMATS.includes(format)) {
+        throw new ValidationError(`Unsupported export format '${format}'. Use ${FORMATS.join(', ')}`);
+      }
+
+      if (format === 'csv') {
+        await pipeline(
+          Readable.from(this.csvRows(cursor, columns, counter)),
+          stringify({ header: true, columns: columns.map(columnHeader) }),
+          output
+        );
+      } else {
+        const chunks = format === 'json'
+          ? this.jsonChunks(cursor, counter)
+          : this.ndjsonChunks(cursor, counter);
+        await pipeline(Readable.from(chunks), output);
+      }
+
+      logger.success(`Exported ${counter.count} ${label} as ${format.toUpperCase()}`);
+      return { format, count: counter.count };
+
+    } catch (error) {
+      logger.error(`Error exporting ${label}:`, error);
+      throw error;
+
+    } finally {
+      await cursor.close();
+    }
+  }
+
+  async *csvRows(cursor, columns, counter) {
+    for await (const doc of cursor) {
+      counter.count++;
+      yield columns.map(column => formatCell(columnValue(column, doc)));
+    }
+  }
+
+  async *jsonChunks(cursor, counter) {
+    yield '[';
+    for await (const doc of cursor) {
+      yield `${counter.count === 0 ? '' : ','}\n${JSON.stringify(doc)}`;
+      counter.count++;
+    }
+    yield counter.count === 0 ? ']\n' : '\n]\n';
+  }
+
+  async *ndjsonChunks(cursor, counter) {
+    for await (const doc of cursor) {
+      counter.count++;
+      yield `${JSON.stringify(doc)}\n`;
+    }
+  }
+}
+
+/**
+ * Present an array like a cursor for runExport
+ */
+function arrayCursor(rows) {
+  return {
+    async *[Symbol.asyncIterator]() {
+      yield* rows;
+    },
+    async close() {}
+  };
+}
+
+function columnHeader(column) {
+  return typeof column === 'string' ? column : column.header;
+}
+
+function columnValue(column, doc) {
+  return typeof column === 'string' ? get(doc, column) : column.value(doc);
+}
+
+function isPlainValue(value) {
+  return value === null || ['string', 'number', 'boolean'].includes(typeof value) ||
+    value instanceof Date || value instanceof ObjectId;
+}
+
+function formatCell(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof ObjectId) return value.toString();
+  if (typeof value === 'boolean') return String(value);
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '';
+    return value.every(isPlainValue) ? value.map(formatCell).join('|') : JSON.stringify(value);
+  }
+
+  if (typeof value === 'object') {
+    return Object.keys(value).length === 0 ? '' : JSON.stringify(value);
+  }
+
+  return value;
+}
+
+module.exports = new ExportService();
@@ -0,0 +1,373 @@
+/**
+ * Bulk Product Import
+ *
+ * Reads products from CSV or JSON, validates every row against
+ * ProductValidationSchema, resolves categories by slug or path and upserts
+ * by SKU in batches. Returns a per-row report; dryRun validates without
+ * writing anything.
+ *
+ * CSV columns use dot notation for nested fields (inventory.quantity,
+ * seo.slug, specifications.color, ...). Tags are separated by "|" or ",".
+ * The images, variants and specifications columns may also hold JSON, as
+ * written by ExportService.
+ * The category column accepts a slug, a full path ("Electronics > Laptops")
+ * or a category ID.
+ * Quantity changes are booked at the default stock location.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const { set } = require('lodash');
+const { ObjectId } = require('mongodb');
+const productRepository = require('../repositories/ProductRepository');
+const categoryRepository = require('../repositories/CategoryRepository');
+const inventoryTransactionRepo = require('../repositories/InventoryTransactionRepository');
+const productService = require('./ProductService');
+const locationService = require('./LocationService');
+const { ProductValidationSchema } = require('../models/Product');
+const { TRANSACTION_TYPES, ACTOR_SOURCES } = require('../config/constants');
+const { PERMISSIONS } = require('../config/permissions');
+const { authorize } = require('../utils/authorization');
+const { ValidationError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+const FORMATS = ['csv', 'json'];
+const JSON_COLUMNS = ['images', 'variants', 'specifications'];
+const DEFAULT_BATCH_SIZE = 500;
+
+class ImportService {
+  /**
+   * Read a CSV or JSON file into plain row objects.
+   * Format defaults to the file extension.
+   */
+  readFile(filePath, format = null) {
+    const resolvedFormat = (format || path.extname(filePath).slice(1)).toLowerCase();
+    if (!FORMATS.includes(resolvedFormat)) {
+      throw new ValidationError(`Unsupported import format '${resolvedFormat}'. Use ${FORMATS.join(' or ')}`);
+    }
+
+    let content;
+    try {
+      content = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      throw new ValidationError(`Cannot read import file: ${error.message}`);
+    }
+
+    return resolvedFormat === 'csv' ? this.parseCsv(content) : this.parseJson(content);
+  }
+
+  parseCsv(content) {
+    let records;
+    try {
+      records = parse(content, {
+        columns: true,
+        bom: true,
+        trim: true,
+        skip_empty_lines: true
+      });
+    } catch (error) {
+      throw new ValidationError(`Invalid CSV: ${error.message}`);
+    }
+
+    return records.map(record => this.unflattenRecord(record));
+  }
+
+  /**
+   * Accepts an array of products or { products: [...] }
+   */
+  parseJson(content) {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new ValidationError(`Invalid JSON: ${error.message}`);
+    }
+
+    const rows = Array.isArray(data) ? data : data?.products;
+    if (!Array.isArray(rows)) {
+      throw new ValidationError('JSON import must be an array of products or { "products": [...] }');
+    }
+
+    return rows;
+  }
+
+  /**
+   * Turn flat CSV columns into nested objects; empty cells are left out so
+   * schema defaults apply
+   */
+  unflattenRecord(record) {
+    const row = {};
+
+    Object.entries(record).forEach(([column, value]) => {
+      if (value === '' || value === undefined) return;
+
+      if (column === 'tags') {
+        set(row, column, value.split(/[|,]/).map(tag => tag.trim()).filter(Boolean));
+        return;
+      }
+
+      if (JSON_COLUMNS.includes(column)) {
+        set(row, column, parseJsonCell(value));
+        return;
+      }
+
+      set(row, column, value);
+    });
+
+    return row;
+  }
+
+  /**
+   * Validate and upsert rows. Options: { dryRun, batchSize }.
+   * Row numbers in the report are 1-based data rows (CSV header excluded).
+   */
+  async importProducts(rows, options = {}, actor) {
+    const { dryRun = false, batchSize = DEFAULT_BATCH_SIZE } = options;
+
+    authorize(actor, PERMISSIONS.PRODUCT_CREATE);
+    authorize(actor, PERMISSIONS.PRODUCT_UPDATE);
+
+    const importActor = { ...actor, source: ACTOR_SOURCES.IMPORT };
+    const report = {
+      dryRun,
+      total: rows.length,
+      valid: 0,
+      created: 0,
+      updated: 0,
+      failed: 0,
+      errors: []
+    };
+
+    const fail = (row, sku, messages) => {
+      report.failed++;
+      report.errors.push({ row, sku: sku || null, messages: [].concat(messages) });
+    };
+
+    try {
+      const categories = await this.loadCategoryLookup();
+      const location = await locationService.getDefaultLocation({ create: !dryRun });
+      const seenSkus = new Set();
+      const validRows = [];
+
+      rows.forEach((raw, index) => {
+        const rowNumber = index + 1;
+        const result = this.validateRow(raw, categories);
+
+        if (result.errors.length > 0) {
+          fail(rowNumber, raw?.sku, result.errors);
+          return;
+        }
+
+        if (seenSkus.has(result.value.sku)) {
+          fail(rowNumber, result.value.sku, `Duplicate SKU '${result.value.sku}' earlier in the file`);
+          return;
+        }
+
+        seenSkus.add(result.value.sku);
+        validRows.push({ rowNumber, value: result.value });
+      });
+
+      report.valid = validRows.length;
+      const affectedCategoryIds = new Set();
+
+      for (let start = 0; start < validRows.length; start += batchSize) {
+        const batch = validRows.slice(start, start + batchSize);
+        const existing = await productRepository.findBySkus(batch.map(({ value }) => value.sku));
+        const existingBySku = new Map(existing.map(product => [product.sku, product]));
+        const owners = await productRepository.findSkuOwners(batch.flatMap(({ value }) => rowSkus(value)));
+
+        const entries = [];
+        batch.forEach(({ rowNumber, value }) => {
+          const existingProduct = existingBySku.get(value.sku) || null;
+
+          const conflicts = productService.findSkuConflicts(rowSkus(value), owners, existingProduct?._id);
+          if (conflicts.length > 0) {
+            fail(rowNumber, value.sku, conflicts.map(sku => `SKU '${sku}' is already in use`));
+            return;
+          }
+
+          try {
+            entries.push({
+              rowNumber,
+              document: productService.buildProductDocument(value, existingProduct, location.code),
+              existing: existingProduct
+            });
+          } catch (error) {
+            fail(rowNumber, value.sku, error.message);
+          }
+        });
+
+        if (dryRun) {
+          entries.forEach(entry => (entry.existing ? report.updated++ : report.created++));
+          continue;
+        }
+
+        const result = await productRepository.upsertManyBySku(
+          entries.map(({ document, existing }) => ({ document, exists: Boolean(existing) }))
+        );
+
+        const failedIndexes = new Set(result.writeErrors.map(writeError => writeError.index));
+        result.writeErrors.forEach(writeError => {
+          const entry = entries[writeError.index];
+          fail(entry.rowNumber, entry.document.sku, writeError.message);
+        });
+
+        const succeeded = entries.filter((entry, index) => !failedIndexes.has(index));
+        succeeded.forEach(entry => {
+          if (entry.existing) {
+            report.updated++;
+            affectedCategoryIds.add(entry.existing.categoryId.toString());
+          } else {
+            report.created++;
+          }
+          affectedCategoryIds.add(entry.document.categoryId.toString());
+        });
+
+        await this.logStockChanges(succeeded, location.code, importActor);
+      }
+
+      if (!dryRun) {
+        await this.refreshCategoryCounts(affectedCategoryIds);
+      }
+
+      report.errors.sort((a, b) => a.row - b.row);
+
+      logger.success(
+        `Import ${dryRun ? 'dry run ' : ''}finished: ${report.created} created, ` +
+        `${report.updated} updated, ${report.failed} failed`
+      );
+      return report;
+
+    } catch (error) {
+      logger.error('Error importing products:', error);
+      throw error;
+    }
+  }
+
+  validateRow(raw, categories) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      return { errors: ['Row is not an object'] };
+    }
+
+    const { category, ...data } = raw;
+    let categoryError = null;
+
+    const categoryRef = category ?? data.categoryId;
+    if (categoryRef) {
+      const match = this.resolveCategory(categoryRef, categories);
+      if (match) {
+        data.categoryId = match._id.toString();
+      } else {
+        categoryError = `Unknown category '${categoryRef}'`;
+      }
+    } else {
+      categoryError = '"category" is required';
+    }
+
+    const { error, value } = ProductValidationSchema.validate(data, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    // The category message already covers a missing/unknown categoryId
+    const schemaErrors = (error?.details || [])
+      .filter(detail => !(categoryError && detail.path[0] === 'categoryId'))
+      .map(detail => detail.message);
+
+    return {
+      errors: categoryError ? [categoryError, ...schemaErrors] : schemaErrors,
+      value
+    };
+  }
+
+  async loadCategoryLookup() {
+    const categories = await categoryRepository.findMany({ isActive: true });
+
+    return {
+      byId: new Map(categories.map(cat => [cat._id.toString(), cat])),
+      bySlug: new Map(categories.map(cat => [cat.slug, cat])),
+      byPath: new Map(categories.map(cat => [cat.path.toLowerCase(), cat]))
+    };
+  }
+
+  resolveCategory(ref, categories) {
+    const key = String(ref).trim();
+
+    if (ObjectId.isValid(key) && key.length === 24 && categories.byId.has(key)) {
+      return categories.byId.get(key);
+    }
+
+    return categories.bySlug.get(key.toLowerCase()) || categories.byPath.get(key.toLowerCase()) || null;
+  }
+
+  /**
+   * Record opening stock for new products and quantity changes on updates:
+   * one ADJUSTMENT per location, and per variant for products with variants,
+   * whose quantity changed
+   */
+  async logStockChanges(entries, locationCode, actor) {
+    const transactions = entries.flatMap(({ document, existing }) =>
+      productService.stockChanges(existing, document, locationCode).map(change => ({
+        productId: existing ? existing._id : null,
+        sku: document.sku,
+        ...change,
+        type: TRANSACTION_TYPES.ADJUSTMENT,
+        notes: existing ? 'Quantity set by import' : 'Opening stock from import'
+      }))
+    );
+
+    if (transactions.length === 0) return;
+
+    // New products only have an _id once inserted
+    const missingIds = [...new Set(transactions.filter(t => !t.productId).map(t => t.sku))];
+    if (missingIds.length > 0) {
+      const inserted = await productRepository.findBySkus(missingIds);
+      const idsBySku = new Map(inserted.map(product => [product.sku, product._id]));
+      transactions.forEach(t => {
+        if (!t.productId) t.productId = idsBySku.get(t.sku);
+      });
+    }
+
+    await inventoryTransactionRepo.logTransactions(
+      transactions.map(({ sku, ...transaction }) => transaction),
+      { actor }
+    );
+  }
+
+  /**
+   * Category productCount is a subtree rollup, so ancestors change too
+   */
+  async refreshCategoryCounts(categoryIds) {
+    const toRefresh = new Set(categoryIds);
+
+    for (const categoryId of categoryIds) {
+      const ancestors = await categoryRepository.getAncestors(categoryId);
+      ancestors.forEach(ancestor => toRefresh.add(ancestor._id.toString()));
+    }
+
+    for (const categoryId of toRefresh) {
+      await categoryRepository.updateProductCount(categoryId);
+    }
+  }
+}
+
+/**
+ * Product SKU followed by its variant SKUs
+ */
+function rowSkus(value) {
+  return [value.sku, ...(value.variants || []).map(variant => variant.sku)];
+}
+
+/**
+ * Invalid JSON is kept as text so schema validation reports it against the row
+ */
+function parseJsonCell(value) {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+module.exports = new ImportService();
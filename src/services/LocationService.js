@@ -0,0 +1,251 @@
+const locationRepository = require('../repositories/LocationRepository');
+const productRepository = require('../repositories/ProductRepository');
+const { LocationValidationSchema, LocationUpdateSchema } = require('../models/Location');
+const { STOCK_LOCATIONS } = require('../config/constants');
+const logger = require('../utils/logger');
+const { ValidationError, NotFoundError, BusinessLogicError, DuplicateError } = require('../utils/errorHandler');
+const { authorize } = require('../utils/authorization');
+const { PERMISSIONS } = require('../config/permissions');
+
+class LocationService {
+  async createLocation(locationData, actor) {
+    try {
+      authorize(actor, PERMISSIONS.LOCATION_MANAGE);
+
+      const { error, value } = LocationValidationSchema.validate(locationData, {
+        abortEarly: false,
+        stripUnknown: true
+      });
+
+      if (error) {
+        const errors = error.details.map(d => d.message).join(', ');
+        throw new ValidationError(`Validation failed: ${errors}`);
+      }
+
+      const existingLocation = await locationRepository.findByCode(value.code);
+      if (existingLocation) {
+        throw new BusinessLogicError(`Location with code '${value.code}' already exists`);
+      }
+
+      const isFirst = (await locationRepository.count()) === 0;
+      const makeDefault = isFirst || (value.isDefault && value.isActive);
+
+      const location = await locationRepository.create({ ...value, isDefault: false });
+
+      if (makeDefault) {
+        await locationRepository.setDefault(location.code);
+        location.isDefault = true;
+      }
+
+      // Stock recorded before any location existed now lives here
+      if (isFirst) {
+        await this.assignUnlocatedStock(location.code);
+      }
+
+      logger.success(`Location created: ${location.name} (${location.code})`);
+      return location;
+
+    } catch (error) {
+      logger.error('Error creating location:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * The default location cannot be deactivated, and neither can a location
+   * that still holds stock
+   */
+  async updateLocation(code, updateData, actor) {
+    try {
+      authorize(actor, PERMISSIONS.LOCATION_MANAGE);
+
+      const location = await this.getLocation(code);
+
+      const { error, value } = LocationUpdateSchema.validate(updateData, {
+        abortEarly: false,
+        stripUnknown: true
+      });
+
+      if (error) {
+        const errors = error.details.map(d => d.message).join(', ');
+        throw new ValidationError(`Validation failed: ${errors}`);
+      }
+
+      const { isDefault, ...fields } = value;
+      const willBeActive = fields.isActive ?? location.isActive;
+
+      if (isDefault && !willBeActive) {
+        throw new BusinessLogicError('An inactive location cannot be the default');
+      }
+
+      if (fields.isActive === false && location.isActive) {
+        if (location.isDefault) {
+          throw new BusinessLogicError(
+            `${location.code} is the default location; make another location the default first`
+          );
+        }
+
+        const quantity = await productRepository.getQuantityAtLocation(location.code);
+        if (quantity > 0) {
+          throw new BusinessLogicError(
+            `${location.code} still holds ${quantity} units; transfer them out before deactivating it`
+          );
+        }
+      }
+
+      let updatedLocation = Object.keys(fields).length > 0
+        ? await locationRepository.updateById(location._id, fields)
+        : location;
+
+      if (isDefault && !location.isDefault) {
+        await locationRepository.setDefault(location.code);
+        updatedLocation = { ...updatedLocation, isDefault: true };
+      }
+
+      logger.success(`Location updated: ${updatedLocation.name} (${updatedLocation.code})`);
+      return updatedLocation;
+
+    } catch (error) {
+      logger.error('Error updating location:', error);
+      throw error;
+    }
+  }
+
+  async getLocation(code) {
+    try {
+      const location = await locationRepository.findByCode(String(code));
+
+      if (!location) {
+        throw new NotFoundError('Location', code);
+      }
+
+      return location;
+    } catch (error) {
+      logger.error('Error getting location:', error);
+      throw error;
+    }
+  }
+
+  async listLocations({ includeInactive = false } = {}) {
+    try {
+      if (includeInactive) {
+        return await locationRepository.findMany({}, { sort: { isDefault: -1, code: 1 } });
+      }
+      return await locationRepository.getActiveLocations();
+    } catch (error) {
+      logger.error('Error listing locations:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Until a location is created, the first stock operation sets up the
+   * MAIN warehouse and moves all existing stock into it. With
+   * { create: false } nothing is written and the MAIN code is returned as a
+   * placeholder (for dry runs).
+   */
+  async getDefaultLocation({ create = true } = {}) {
+    try {
+      const location = await locationRepository.getDefault();
+      if (location) return location;
+
+      const [firstActive] = await locationRepository.getActiveLocations();
+      if (firstActive) return firstActive;
+
+      if (!create) {
+        return { code: STOCK_LOCATIONS.DEFAULT_CODE, name: STOCK_LOCATIONS.DEFAULT_NAME, isDefault: true };
+      }
+
+      return await this.createDefaultLocation();
+    } catch (error) {
+      logger.error('Error getting default location:', error);
+      throw error;
+    }
+  }
+
+  async createDefaultLocation() {
+    let location;
+
+    try {
+      location = await locationRepository.create({
+        code: STOCK_LOCATIONS.DEFAULT_CODE,
+        name: STOCK_LOCATIONS.DEFAULT_NAME,
+        address: { street: '', city: '', state: '', postalCode: '', country: '' },
+        isDefault: true,
+        isActive: true
+      });
+    } catch (error) {
+      // Another process created it first
+      if (!(error instanceof DuplicateError)) throw error;
+      return await locationRepository.findByCode(STOCK_LOCATIONS.DEFAULT_CODE);
+    }
+
+    await this.assignUnlocatedStock(location.code);
+    logger.info(`Created default stock location ${location.code}`);
+    return location;
+  }
+
+  async assignUnlocatedStock(code) {
+    const count = await productRepository.assignUnlocatedStock(code);
+    if (count > 0) {
+      logger.info(`Assigned existing stock of ${count} products to ${code}`);
+    }
+    return count;
+  }
+
+  /**
+   * An active location by code, or the default location when no code is given
+   */
+  async resolveLocation(code = null) {
+    if (!code) {
+      return this.getDefaultLocation();
+    }
+
+    const location = await this.getLocation(code);
+    if (!location.isActive) {
+      throw new BusinessLogicError(`Location ${location.code} is inactive`);
+    }
+
+    return location;
+  }
+
+  /**
+   * Active locations nearest to the address first. Ties keep the default
+   * location ahead of the rest, then code order.
+   */
+  async rankLocations(address = {}) {
+    try {
+      const locations = await locationRepository.getActiveLocations();
+      if (locations.length === 0) {
+        return [await this.getDefaultLocation()];
+      }
+
+      return locations
+        .map((location, index) => ({ location, index, distance: this.addressDistance(location.address, address) }))
+        .sort((a, b) => a.distance - b.distance || a.index - b.index)
+        .map(({ location }) => location);
+    } catch (error) {
+      logger.error('Error ranking locations:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Coarse proximity without geocoding: 0 same postal code, 1 same state,
+   * 2 same country, 3 anywhere else
+   */
+  addressDistance(from = {}, to = {}) {
+    const same = field => {
+      const a = String(from?.[field] || '').trim().toLowerCase();
+      const b = String(to?.[field] || '').trim().toLowerCase();
+      return a !== '' && a === b;
+    };
+
+    if (!same('country')) return 3;
+    if (same('postalCode')) return 0;
+    if (same('state')) return 1;
+    return 2;
+  }
+}
+
+module.exports = new LocationService();
@@ -3,14 +3,32 @@ const productRepository = require('../repositories/ProductRepository');
 const userRepository = require('../repositories/UserRepository');
 const inventoryTransactionRepo = require('../repositories/InventoryTransactionRepository');
 const userService = require('./UserService');
-const { OrderValidationSchema } = require('../models/Order');
-const { ORDER_STATUS, TRANSACTION_TYPES } = require('../config/constants');
+const productService = require('./ProductService');
+const locationService = require('./LocationService');
+const paymentService = require('./PaymentService');
+const sequenceService = require('./SequenceService');
+const taxService = require('./TaxService');
+const { OrderValidationSchema, OrderAmendmentSchema, ReservationSweepSchema } = require('../models/Order');
+const { ORDER_STATUS, TAX_CLASSES, TRANSACTION_TYPES } = require('../config/constants');
 const logger = require('../utils/logger');
+const { roundMoney } = require('../utils/money');
 const { ValidationError, NotFoundError, BusinessLogicError } = require('../utils/errorHandler');
+const dbManager = require('../config/database');
+const { authorize, authorizeOwnership, hasPermission } = require('../utils/authorization');
+const { PERMISSIONS } = require('../config/permissions');
+const { toAuditEntry } = require('../utils/actor');
 const { ObjectId } = require('mongodb');
 
+const PARTIAL_FULFILMENT_STATUSES = [ORDER_STATUS.PARTIALLY_SHIPPED, ORDER_STATUS.PARTIALLY_DELIVERED];
+const FULFILMENT_STATUSES = [...PARTIAL_FULFILMENT_STATUSES, ORDER_STATUS.SHIPPED, ORDER_STATUS.DELIVERED];
+// Statuses whose change releases or ships stock (see applyStatusStock)
+const STOCK_STATUSES = [ORDER_STATUS.CANCELLED, ORDER_STATUS.SHIPPED];
+
+// Order numbers take any prefix and format (NUMBER_SEQUENCES), IDs only this
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
 class OrderService {
-  async createOrder(orderData) {
+  async createOrder(orderData, actor) {
     try {
       const { error, value } = OrderValidationSchema.validate(orderData, {
         abortEarly: false,
@@ -22,103 +40,148 @@ class OrderService {
         throw new ValidationError(`Validation failed: ${errors}`);
       }
 
+      authorizeOwnership(actor, value.userId, PERMISSIONS.ORDER_CREATE_OWN, PERMISSIONS.ORDER_CREATE_ANY);
+
+      // Customers order at catalogue prices; setting prices, discounts or
+      // shipping is for staff who may order for anyone. Checked on the
+      // request as sent, before the schema fills in defaults.
+      const overridesPrices = Boolean(orderData.pricing) ||
+        orderData.items.some(item => item.price !== undefined || item.discount !== undefined);
+      if (overridesPrices) {
+        authorize(actor, PERMISSIONS.ORDER_CREATE_ANY);
+      }
+
       const user = await userRepository.findById(value.userId);
       if (!user) {
         throw new NotFoundError('User', value.userId);
       }
 
-      const processedItems = [];
-      let subtotal = 0;
+      // Each item is reserved at the requested location, or else at the
+      // location nearest the shipping address that can fill it
+      const locations = value.fulfillmentLocation
+        ? [await locationService.resolveLocation(value.fulfillmentLocation)]
+        : await locationService.rankLocations(value.shippingAddress);
 
-      for (const item of value.items) {
-        const product = await productRepository.findById(item.productId);
-        if (!product) {
-          throw new NotFoundError('Product', item.productId);
-        }
+      // Reservation, ledger entries, the order and the customer's stats
+      // commit together or not at all
+      // The ID is assigned up front so reservation entries can reference the order
+      const orderId = new ObjectId();
 
-        if (product.inventory.available < item.quantity) {
-          throw new BusinessLogicError(
-            `Insufficient stock for ${product.name}. Available: ${product.inventory.available}, Requested: ${item.quantity}`
-          );
-        }
+      const order = await dbManager.withTransaction(async (session) => {
+        const processedItems = [];
 
-        await productRepository.reserveInventory(item.productId, item.quantity);
-
-        const itemPrice = item.price || product.price;
-        const itemDiscount = item.discount || 0;
-        const itemSubtotal = (itemPrice - itemDiscount) * item.quantity;
-
-        processedItems.push({
-          productId: new ObjectId(item.productId),
-          name: product.name,
-          sku: product.sku,
-          quantity: item.quantity,
-          price: itemPrice,
-          discount: itemDiscount,
-          subtotal: itemSubtotal,
-          variant: item.variant || null
-        });
+        for (const item of value.items) {
+          const product = await productRepository.findById(item.productId, { session });
+          if (!product) {
+            throw new NotFoundError('Product', item.productId);
+          }
 
-        subtotal += itemSubtotal;
+          // Products with variants reserve and price from the chosen variant
+          const variant = productService.resolveVariant(product, item.variant?.sku);
+          const stock = variant || product.inventory;
+          const itemName = variant ? `${product.name} (${variant.name})` : product.name;
 
-        await inventoryTransactionRepo.logTransaction({
-          productId: new ObjectId(item.productId),
-          type: TRANSACTION_TYPES.SALE,
-          quantity: -item.quantity,
-          quantityBefore: product.inventory.quantity,
-          quantityAfter: product.inventory.quantity - item.quantity,
-          notes: 'Reserved for order',
-          performedBy: 'SYSTEM'
-        });
-      }
+          const location = locations.find(loc => productService.availableAt(stock, loc.code) >= item.quantity);
 
-      const discount = value.pricing?.discount || 0;
-      const tax = value.pricing?.tax || subtotal * 0.1;
-      const shipping = value.pricing?.shipping || 0;
-      const total = subtotal - discount + tax + shipping;
-
-      const orderNumber = await orderRepository.generateOrderNumber();
-
-      const orderDoc = {
-        orderNumber,
-        userId: new ObjectId(value.userId),
-        customer: {
-          firstName: value.customer.firstName,
-          lastName: value.customer.lastName,
-          email: value.customer.email,
-          phone: value.customer.phone || ''
-        },
-        items: processedItems,
-        pricing: {
-          subtotal,
-          discount,
-          tax,
-          shipping,
-          total
-        },
-        shippingAddress: value.shippingAddress,
-        billingAddress: value.billingAddress,
-        status: ORDER_STATUS.PENDING,
-        statusHistory: [{
-          status: ORDER_STATUS.PENDING,
-          timestamp: new Date(),
-          note: 'Order created',
-          updatedBy: 'SYSTEM'
-        }],
-        payment: {
-          method: value.payment.method,
-          status: 'PENDING'
-        },
-        shipping: value.shipping || {},
-        customerNotes: value.customerNotes || '',
-        internalNotes: value.internalNotes || '',
-        createdAt: new Date(),
-        updatedAt: new Date()
-      };
+          if (!location) {
+            const available = Math.max(...locations.map(loc => productService.availableAt(stock, loc.code)));
+            throw new BusinessLogicError(
+              `Insufficient stock for ${itemName} at ${locations.length === 1 ? locations[0].code : 'any single location'}. ` +
+              `Available: ${available}, Requested: ${item.quantity}`
+            );
+          }
+
+          await productRepository.reserveInventory(item.productId, item.quantity, {
+            location: location.code,
+            variantSku: variant?.sku,
+            session
+          });
 
-      const order = await orderRepository.create(orderDoc);
+          const itemPrice = item.price ?? variant?.price ?? product.price;
+          const itemDiscount = item.discount || 0;
+          const itemSubtotal = (itemPrice - itemDiscount) * item.quantity;
+
+          processedItems.push({
+            productId: new ObjectId(item.productId),
+            name: product.name,
+            sku: product.sku,
+            quantity: item.quantity,
+            price: itemPrice,
+            discount: itemDiscount,
+            subtotal: itemSubtotal,
+            variant: variant
+              ? { sku: variant.sku, name: variant.name, attributes: variant.attributes || {} }
+              : null,
+            location: location.code,
+            taxClass: product.taxClass || TAX_CLASSES.STANDARD
+          });
+
+          await inventoryTransactionRepo.logTransaction({
+            productId: new ObjectId(item.productId),
+            variantSku: variant?.sku || null,
+            location: location.code,
+            orderId,
+            type: TRANSACTION_TYPES.SALE,
+            reservation: true,
+            quantity: -item.quantity,
+            quantityBefore: stock.quantity,
+            quantityAfter: stock.quantity - item.quantity,
+            notes: 'Reserved for order'
+          }, { session, actor });
+        }
 
-      await userService.updateOrderStats(value.userId, total);
+        const { pricing, taxJurisdiction } = await this.priceOrder(
+          processedItems,
+          value.shippingAddress,
+          value.pricing?.discount || 0,
+          value.pricing?.shipping || 0
+        );
+
+        // Not part of the transaction, so concurrent orders never conflict
+        // on the counter; an order that rolls back leaves a gap
+        const orderNumber = await sequenceService.nextNumber('ORDER', {
+          channel: value.channel,
+          existing: { repository: orderRepository, field: 'orderNumber' }
+        });
+
+        const orderDoc = {
+          _id: orderId,
+          orderNumber,
+          channel: value.channel,
+          userId: new ObjectId(value.userId),
+          customer: {
+            firstName: value.customer.firstName,
+            lastName: value.customer.lastName,
+            email: value.customer.email,
+            phone: value.customer.phone || ''
+          },
+          items: processedItems,
+          pricing,
+          taxJurisdiction,
+          shippingAddress: value.shippingAddress,
+          billingAddress: value.billingAddress,
+          status: ORDER_STATUS.PENDING,
+          statusHistory: [{
+            status: ORDER_STATUS.PENDING,
+            timestamp: new Date(),
+            note: 'Order created',
+            updatedBy: toAuditEntry(actor)
+          }],
+          payment: paymentService.createPayment(value.payment.method, pricing.total),
+          shipments: [],
+          shipping: value.shipping || {},
+          customerNotes: value.customerNotes || '',
+          internalNotes: value.internalNotes || '',
+          createdAt: new Date(),
+          updatedAt: new Date()
+        };
+
+        const createdOrder = await orderRepository.create(orderDoc, { session });
+
+        await userService.updateOrderStats(value.userId, pricing.total, { session });
+
+        return createdOrder;
+      });
 
       logger.success(`Order created: ${order.orderNumber}`);
       return order;
@@ -129,7 +192,7 @@ class OrderService {
     }
   }
 
-  async getOrderById(orderId) {
+  async getOrderById(orderId, actor) {
     try {
       const order = await orderRepository.findById(orderId);
       
@@ -137,6 +200,8 @@ class OrderService {
         throw new NotFoundError('Order', orderId);
       }
 
+      authorizeOwnership(actor, order.userId, PERMISSIONS.ORDER_VIEW_OWN, PERMISSIONS.ORDER_VIEW_ANY);
+
       return order;
 
     } catch (error) {
@@ -145,7 +210,16 @@ class OrderService {
     }
   }
 
-  async getOrderByNumber(orderNumber) {
+  /**
+   * Look an order up by its ID or, failing that shape, its order number
+   */
+  async getOrderByReference(orderRef, actor) {
+    return OBJECT_ID_PATTERN.test(orderRef)
+      ? this.getOrderById(orderRef, actor)
+      : this.getOrderByNumber(orderRef, actor);
+  }
+
+  async getOrderByNumber(orderNumber, actor) {
     try {
       const order = await orderRepository.findByOrderNumber(orderNumber);
       
@@ -153,6 +227,8 @@ class OrderService {
         throw new NotFoundError('Order', orderNumber);
       }
 
+      authorizeOwnership(actor, order.userId, PERMISSIONS.ORDER_VIEW_OWN, PERMISSIONS.ORDER_VIEW_ANY);
+
       return order;
 
     } catch (error) {
@@ -161,40 +237,110 @@ class OrderService {
     }
   }
 
-  async updateOrderStatus(orderId, newStatus, note = '', updatedBy = 'ADMIN') {
+  async updateOrderStatus(orderId, newStatus, note = '', actor) {
     try {
+      authorize(actor, PERMISSIONS.ORDER_UPDATE_STATUS);
+
       const order = await orderRepository.findById(orderId);
       if (!order) {
         throw new NotFoundError('Order', orderId);
       }
 
-      this.validateStatusTransition(order.status, newStatus);
+      // Partial states, and every shipping state once an order has
+      // shipments, follow the shipments
+      const followsShipments = FULFILMENT_STATUSES.includes(newStatus) && (order.shipments || []).length > 0;
+      if (PARTIAL_FULFILMENT_STATUSES.includes(newStatus) || followsShipments) {
+        throw new BusinessLogicError(
+          `Order ${order.orderNumber} moves to ${newStatus} through its shipments; record a shipment or delivery instead`
+        );
+      }
 
-      const updatedOrder = await orderRepository.updateOrderStatus(
-        orderId,
-        newStatus,
-        note,
-        updatedBy
-      );
+      return await this.transitionOrder(order, newStatus, note, actor);
 
-      await this.handleStatusChange(order, newStatus);
+    } catch (error) {
+      logger.error('Error updating order status:', error);
+      throw error;
+    }
+  }
 
-      logger.success(`Order ${order.orderNumber} status updated to ${newStatus}`);
-      return updatedOrder;
+  /**
+   * Apply a status change to an already-authorized order. The status is
+   * claimed first so that only one of two concurrent changes reaches the
+   * payment provider. The payment step follows, then the stock the change
+   * releases or ships, in one transaction; if either fails the claim is
+   * undone and the error rethrown. A payment change already made stands,
+   * and a repeated attempt finds nothing left to do for it.
+   */
+  async transitionOrder(order, newStatus, note, actor) {
+    this.validateStatusTransition(order.status, newStatus);
+
+    const orderId = order._id.toString();
+    const claimed = await orderRepository.updateOrderStatus(orderId, newStatus, note, actor, order.status);
+
+    // Another update moved the order on since it was read; applying this
+    // one's side effects as well would charge, release or count stock twice
+    if (!claimed) {
+      throw new BusinessLogicError(`Order ${order.orderNumber} was updated by someone else; try again`);
+    }
 
+    try {
+      // Authorizes, voids or refunds as the new status requires, and refuses
+      // changes the payment does not allow
+      await paymentService.prepareTransition(order, newStatus, actor);
     } catch (error) {
-      logger.error('Error updating order status:', error);
+      await this.restoreStatus(order, newStatus, `${newStatus} not applied: ${error.message}`, actor);
       throw error;
     }
+
+    if (STOCK_STATUSES.includes(newStatus)) {
+      try {
+        await dbManager.withTransaction(session => this.applyStatusStock(order, newStatus, { session, actor }));
+      } catch (error) {
+        await this.restoreStatus(order, newStatus, `${newStatus} not applied, stock unchanged: ${error.message}`, actor);
+        throw error;
+      }
+    }
+
+    await this.handleStatusChange(order, newStatus, actor);
+
+    logger.success(`Order ${order.orderNumber} status updated to ${newStatus}`);
+    // Re-read so the payment changes made above are included
+    return await orderRepository.findById(orderId);
+  }
+
+  /**
+   * Undo a status claim made by transitionOrder; a claim that cannot be
+   * undone is logged, leaving the original error to be reported
+   */
+  async restoreStatus(order, claimedStatus, note, actor) {
+    const reverted = await orderRepository.updateOrderStatus(
+      order._id.toString(),
+      order.status,
+      note,
+      actor,
+      claimedStatus
+    ).catch(revertError => {
+      logger.error(`Error restoring status of ${order.orderNumber}:`, revertError);
+      return null;
+    });
+
+    if (!reverted) {
+      logger.error(`Order ${order.orderNumber} was left ${claimedStatus} after a failed status change`);
+    }
   }
 
   validateStatusTransition(currentStatus, newStatus) {
     const allowedTransitions = {
       [ORDER_STATUS.PENDING]: [ORDER_STATUS.CONFIRMED, ORDER_STATUS.CANCELLED],
       [ORDER_STATUS.CONFIRMED]: [ORDER_STATUS.PROCESSING, ORDER_STATUS.CANCELLED],
-      [ORDER_STATUS.PROCESSING]: [ORDER_STATUS.SHIPPED, ORDER_STATUS.CANCELLED],
-      [ORDER_STATUS.SHIPPED]: [ORDER_STATUS.DELIVERED, ORDER_STATUS.CANCELLED],
-      [ORDER_STATUS.DELIVERED]: [ORDER_STATUS.REFUNDED],
+      // The PARTIALLY_ states are set by ShipmentService as shipments go out and arrive
+      [ORDER_STATUS.PROCESSING]: [ORDER_STATUS.PARTIALLY_SHIPPED, ORDER_STATUS.SHIPPED, ORDER_STATUS.CANCELLED],
+      [ORDER_STATUS.PARTIALLY_SHIPPED]: [ORDER_STATUS.SHIPPED, ORDER_STATUS.PARTIALLY_DELIVERED],
+      [ORDER_STATUS.SHIPPED]: [ORDER_STATUS.PARTIALLY_DELIVERED, ORDER_STATUS.DELIVERED],
+      [ORDER_STATUS.PARTIALLY_DELIVERED]: [ORDER_STATUS.DELIVERED],
+      // PARTIALLY_RETURNED is set by ReturnService when returned goods arrive
+      [ORDER_STATUS.DELIVERED]: [ORDER_STATUS.PARTIALLY_RETURNED, ORDER_STATUS.REFUNDED],
+      [ORDER_STATUS.PARTIALLY_RETURNED]: [ORDER_STATUS.REFUNDED],
       [ORDER_STATUS.CANCELLED]: [],
       [ORDER_STATUS.REFUNDED]: []
     };
@@ -206,37 +352,73 @@ class OrderService {
     }
   }
 
-  async handleStatusChange(order, newStatus) {
-    try {
-      switch (newStatus) {
-        case ORDER_STATUS.CANCELLED:
-          for (const item of order.items) {
-            await productRepository.releaseInventory(
-              item.productId.toString(),
-              item.quantity
-            );
+  /**
+   * Stock a status change moves: a cancelled order's reservations are
+   * released and a shipped order's unshipped lines leave the shelf.
+   * options: { session, actor }
+   */
+  async applyStatusStock(order, newStatus, options = {}) {
+    switch (newStatus) {
+      case ORDER_STATUS.CANCELLED: {
+        // Orders placed before locations existed reserved at what is now the default
+        const fallbackLocation = order.items.some(item => !item.location)
+          ? (await locationService.getDefaultLocation()).code
+          : null;
+
+        for (const item of order.items) {
+          const location = item.location || fallbackLocation;
+
+          await productRepository.releaseInventory(item.productId.toString(), item.quantity, {
+            location,
+            variantSku: item.variant?.sku,
+            session: options.session
+          });
 
-            await inventoryTransactionRepo.logTransaction({
-              productId: item.productId,
-              type: TRANSACTION_TYPES.RETURN,
-              quantity: item.quantity,
-              orderId: order._id,
-              notes: 'Order cancelled - inventory released',
-              performedBy: 'SYSTEM'
-            });
-          }
-          break;
+          await inventoryTransactionRepo.logTransaction({
+            productId: item.productId,
+            variantSku: item.variant?.sku || null,
+            location,
+            type: TRANSACTION_TYPES.RETURN,
+            reservation: true,
+            quantity: item.quantity,
+            orderId: order._id,
+            notes: 'Order cancelled - inventory released'
+          }, { session: options.session, actor: options.actor });
+        }
+        break;
+      }
 
+      case ORDER_STATUS.SHIPPED: {
+        // Lines sent on shipments left the shelf with their shipment
+        const unshipped = order.items
+          .map(item => ({ item, quantity: item.quantity - (item.quantityShipped || 0) }))
+          .filter(line => line.quantity > 0);
+        await this.shipStock(order, unshipped, 'Order shipped', options);
+        break;
+      }
+    }
+  }
+
+  /**
+   * Bookkeeping after a status change; failures are only logged
+   */
+  async handleStatusChange(order, newStatus, actor) {
+    try {
+      switch (newStatus) {
         case ORDER_STATUS.DELIVERED:
           await orderRepository.updateById(order._id, {
             completedAt: new Date()
           });
 
+          // Lines delivered on shipments were counted as each one arrived
           for (const item of order.items) {
+            const undelivered = item.quantity - (item.quantityDelivered || 0);
+            if (undelivered <= 0) continue;
+
             await productRepository.updateSalesStats(
               item.productId.toString(),
-              item.quantity,
-              item.subtotal
+              undelivered,
+              item.subtotal * undelivered / item.quantity
             );
           }
           break;
@@ -252,23 +434,59 @@ class OrderService {
     }
   }
 
-  async cancelOrder(orderId, reason = '', cancelledBy = 'CUSTOMER') {
+  /**
+   * Take shipped units off the shelf; lines is [{ item, quantity }]. The
+   * units were reserved when the order was placed, so the reservation is
+   * consumed with them and a SHIPMENT entry logged per line.
+   * options: { session, actor }
+   */
+  async shipStock(order, lines, notes, options = {}) {
+    // Orders placed before locations existed reserved at what is now the default
+    const fallbackLocation = lines.some(({ item }) => !item.location)
+      ? (await locationService.getDefaultLocation()).code
+      : null;
+
+    for (const { item, quantity } of lines) {
+      const location = item.location || fallbackLocation;
+      const variantSku = item.variant?.sku || null;
+
+      await productRepository.consumeReservation(item.productId.toString(), quantity, {
+        location,
+        variantSku,
+        session: options.session
+      });
+
+      await inventoryTransactionRepo.logTransaction({
+        productId: item.productId,
+        variantSku,
+        location,
+        orderId: order._id,
+        type: TRANSACTION_TYPES.SHIPMENT,
+        quantity,
+        notes
+      }, { session: options.session, actor: options.actor });
+    }
+  }
+
+  async cancelOrder(orderId, reason = '', actor) {
     try {
       const order = await orderRepository.findById(orderId);
       if (!order) {
         throw new NotFoundError('Order', orderId);
       }
 
-      if ([ORDER_STATUS.SHIPPED, ORDER_STATUS.DELIVERED].includes(order.status)) {
+      authorizeOwnership(actor, order.userId, PERMISSIONS.ORDER_CANCEL_OWN, PERMISSIONS.ORDER_CANCEL_ANY);
+
+      if ([
+        ORDER_STATUS.PARTIALLY_SHIPPED,
+        ORDER_STATUS.SHIPPED,
+        ORDER_STATUS.PARTIALLY_DELIVERED,
+        ORDER_STATUS.DELIVERED
+      ].includes(order.status)) {
         throw new BusinessLogicError('Cannot cancel shipped or delivered orders');
       }
 
-      await this.updateOrderStatus(
-        orderId,
-        ORDER_STATUS.CANCELLED,
-        reason,
-        cancelledBy
-      );
+      await this.transitionOrder(order, ORDER_STATUS.CANCELLED, reason, actor);
 
       await orderRepository.updateById(orderId, {
         cancelledAt: new Date()
@@ -283,8 +501,392 @@ class OrderService {
     }
   }
 
-  async getUserOrders(userId, options = {}) {
+  /**
+   * Change the lines, addresses or pricing of a PENDING or CONFIRMED order
+   * (see OrderAmendmentSchema). Each line's reservation moves by the change
+   * in its quantity, pricing is recomputed and the payment follows the new
+   * total. The amendment is recorded in the status history.
+   */
+  async amendOrder(orderId, amendment, actor) {
     try {
+      const { error, value } = OrderAmendmentSchema.validate(amendment, {
+        abortEarly: false,
+        stripUnknown: true
+      });
+
+      if (error) {
+        const errors = error.details.map(d => d.message).join(', ');
+        throw new ValidationError(`Validation failed: ${errors}`);
+      }
+
+      const order = await orderRepository.findById(orderId);
+      if (!order) {
+        throw new NotFoundError('Order', orderId);
+      }
+
+      authorizeOwnership(actor, order.userId, PERMISSIONS.ORDER_AMEND_OWN, PERMISSIONS.ORDER_AMEND_ANY);
+
+      // Customers amend at catalogue prices; setting prices, discounts or
+      // shipping is for staff who may amend any order
+      const overridesPrices = Boolean(value.pricing) ||
+        (value.items || []).some(line => line.price !== undefined || line.discount !== undefined);
+      if (overridesPrices) {
+        authorize(actor, PERMISSIONS.ORDER_AMEND_ANY);
+      }
+
+      if (![ORDER_STATUS.PENDING, ORDER_STATUS.CONFIRMED].includes(order.status)) {
+        throw new BusinessLogicError(
+          `Order ${order.orderNumber} is ${order.status}; only PENDING or CONFIRMED orders can be amended`
+        );
+      }
+
+      const plan = await this.planAmendment(order, value);
+      const previousTotal = order.pricing.total;
+
+      // Re-authorizes when the new total is more than the payment holds; the
+      // payment fields are written with the amendment below
+      const payment = await paymentService.prepareAmendment(order, plan.pricing.total, actor);
+
+      const addresses = ['shippingAddress', 'billingAddress'].filter(field => value[field]);
+      const parts = [
+        ...plan.changes.map(c => (c.to === 0 ? `${c.sku} removed` : c.from === 0 ? `${c.sku} x${c.to} added` : `${c.sku} ${c.from} -> ${c.to}`)),
+        ...addresses.map(field => (field === 'shippingAddress' ? 'shipping address' : 'billing address')),
+        ...(value.pricing ? ['pricing'] : [])
+      ];
+
+      const fields = {
+        items: plan.items,
+        pricing: plan.pricing,
+        taxJurisdiction: plan.taxJurisdiction,
+        ...Object.fromEntries(addresses.map(field => [field, value[field]])),
+        ...payment.fields
+      };
+
+      const historyEntry = {
+        status: order.status,
+        timestamp: new Date(),
+        note: `Order amended (${parts.join(', ') || 'no changes'})${value.note ? `: ${value.note}` : ''}`,
+        updatedBy: toAuditEntry(actor),
+        amendment: {
+          items: plan.changes,
+          addresses,
+          previousTotal,
+          total: plan.pricing.total
+        }
+      };
+
+      // Reservation changes, their ledger entries, the order and its payment
+      // commit together
+      let amendedOrder;
+      try {
+        amendedOrder = await dbManager.withTransaction(async (session) => {
+          for (const move of plan.moves) {
+            const options = { location: move.location, variantSku: move.variantSku, session };
+
+            if (move.quantity > 0) {
+              await productRepository.reserveInventory(move.productId.toString(), move.quantity, options);
+            } else {
+              await productRepository.releaseInventory(move.productId.toString(), -move.quantity, options);
+            }
+
+            await inventoryTransactionRepo.logTransaction({
+              productId: move.productId,
+              variantSku: move.variantSku,
+              location: move.location,
+              orderId: order._id,
+              type: move.quantity > 0 ? TRANSACTION_TYPES.SALE : TRANSACTION_TYPES.RETURN,
+              reservation: true,
+              quantity: -move.quantity,
+              notes: move.quantity > 0 ? 'Reserved for amended order' : 'Order amended - inventory released'
+            }, { session, actor });
+          }
+
+          const updated = await orderRepository.amendOrder(order, fields, historyEntry, payment.events, { session });
+          if (!updated) {
+            throw new BusinessLogicError(`Order ${order.orderNumber} was updated by someone else; try again`);
+          }
+
+          if (plan.pricing.total !== previousTotal) {
+            await userService.adjustTotalSpent(order.userId, plan.pricing.total - previousTotal, { session });
+          }
+
+          return updated;
+        });
+      } catch (error) {
+        await paymentService.abandonAmendment(order, payment, actor).catch(releaseError => {
+          logger.error(`Error releasing the amendment authorization for ${order.orderNumber}:`, releaseError);
+        });
+        throw error;
+      }
+
+      amendedOrder = await paymentService.completeAmendment(amendedOrder, payment, actor).catch(releaseError => {
+        logger.warn(`Order ${order.orderNumber} was amended but its previous authorization was not released:`, releaseError.message);
+        return amendedOrder;
+      });
+
+      logger.success(`Order ${amendedOrder.orderNumber} amended`);
+      return amendedOrder;
+
+    } catch (error) {
+      logger.error('Error amending order:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Work out an amendment without writing anything: the new items and
+   * pricing, the reservation change per line and location (moves) and the
+   * quantity change per SKU. New lines are priced and placed the way
+   * createOrder does it; lines whose quantity changes are re-priced from
+   * the catalogue, and unchanged lines keep their price. A price or
+   * discount on the amendment line overrides either.
+   */
+  async planAmendment(order, value) {
+    const items = order.items.map(item => ({ ...item }));
+    const moves = [];
+    const changes = [];
+    let locations = null;
+
+    // Orders placed before locations existed reserved at what is now the default
+    const fallbackLocation = order.items.some(item => !item.location)
+      ? (await locationService.getDefaultLocation()).code
+      : null;
+
+    for (const line of value.items || []) {
+      const index = items.findIndex(item => (item.variant?.sku || item.sku) === line.sku);
+
+      if (index >= 0) {
+        const item = items[index];
+        const location = item.location || fallbackLocation;
+        const difference = line.quantity - item.quantity;
+
+        const product = difference !== 0 ? await productRepository.findById(item.productId) : null;
+        const stock = item.variant
+          ? product?.variants?.find(v => v.sku === item.variant.sku)
+          : product?.inventory;
+
+        if (difference > 0) {
+          const available = productService.availableAt(stock, location);
+
+          if (available < difference) {
+            throw new BusinessLogicError(
+              `Insufficient stock for ${line.sku} at ${location}. Available: ${available}, Requested: ${difference} more`
+            );
+          }
+        }
+
+        // A product since removed from the catalogue keeps the order's price
+        const cataloguePrice = product ? (item.variant ? stock?.price : null) ?? product.price : item.price;
+        const price = line.price ?? (difference !== 0 ? cataloguePrice : item.price);
+        const discount = line.discount ?? item.discount;
+        if (difference === 0 && price === item.price && discount === item.discount) continue;
+
+        if (difference !== 0) {
+          moves.push({ productId: item.productId, variantSku: item.variant?.sku || null, location, quantity: difference });
+        }
+        changes.push({ sku: line.sku, from: item.quantity, to: line.quantity });
+
+        if (line.quantity === 0) {
+          items.splice(index, 1);
+        } else {
+          Object.assign(item, {
+            quantity: line.quantity,
+            price,
+            discount,
+            subtotal: (price - discount) * line.quantity
+          });
+        }
+        continue;
+      }
+
+      if (line.quantity === 0) {
+        throw new ValidationError(`${line.sku} is not on order ${order.orderNumber}`);
+      }
+
+      const product = await productRepository.findBySkuOrVariantSku(line.sku);
+      if (!product) {
+        throw new NotFoundError('Product', line.sku);
+      }
+
+      const variant = productService.resolveVariant(product, line.sku === product.sku ? null : line.sku);
+      const stock = variant || product.inventory;
+
+      locations = locations || await locationService.rankLocations(value.shippingAddress || order.shippingAddress);
+      const location = locations.find(loc => productService.availableAt(stock, loc.code) >= line.quantity);
+
+      if (!location) {
+        const available = Math.max(...locations.map(loc => productService.availableAt(stock, loc.code)));
+        throw new BusinessLogicError(
+          `Insufficient stock for ${line.sku} at any single location. Available: ${available}, Requested: ${line.quantity}`
+        );
+      }
+
+      const price = line.price ?? variant?.price ?? product.price;
+      const discount = line.discount || 0;
+
+      items.push({
+        productId: product._id,
+        name: product.name,
+        sku: product.sku,
+        quantity: line.quantity,
+        price,
+        discount,
+        subtotal: (price - discount) * line.quantity,
+        variant: variant
+          ? { sku: variant.sku, name: variant.name, attributes: variant.attributes || {} }
+          : null,
+        location: location.code,
+        taxClass: product.taxClass || TAX_CLASSES.STANDARD
+      });
+
+      moves.push({ productId: product._id, variantSku: variant?.sku || null, location: location.code, quantity: line.quantity });
+      changes.push({ sku: line.sku, from: 0, to: line.quantity });
+    }
+
+    if (items.length === 0) {
+      throw new BusinessLogicError(`Order ${order.orderNumber} would have no items left; cancel it instead`);
+    }
+
+    // Taxed afresh, at the new shipping address if it changes
+    const { pricing, taxJurisdiction } = await this.priceOrder(
+      items,
+      value.shippingAddress || order.shippingAddress,
+      value.pricing?.discount ?? order.pricing.discount,
+      value.pricing?.shipping ?? order.pricing.shipping
+    );
+
+    return { items, moves, changes, pricing, taxJurisdiction };
+  }
+
+  /**
+   * Tax the items for the shipping address (setting item.tax on each) and
+   * total the order. Returns { pricing, taxJurisdiction }; taxIncluded is
+   * the part of the tax already in the prices, so it is not added again.
+   * Discounts worth more than the line or the order are refused.
+   */
+  async priceOrder(items, shippingAddress, discount, shipping) {
+    const overDiscounted = items.find(item => item.subtotal < 0);
+    if (overDiscounted) {
+      throw new BusinessLogicError(`The discount on ${overDiscounted.sku} is more than its price`);
+    }
+
+    const subtotal = roundMoney(items.reduce((sum, item) => sum + item.subtotal, 0));
+    if (discount > subtotal) {
+      throw new BusinessLogicError(`A discount of $${discount.toFixed(2)} is more than the order is worth ($${subtotal.toFixed(2)})`);
+    }
+
+    const taxes = await taxService.calculateTax(items, shippingAddress, discount);
+    items.forEach((item, index) => {
+      item.tax = taxes.lines[index];
+    });
+
+    return {
+      taxJurisdiction: taxes.jurisdiction,
+      pricing: {
+        subtotal,
+        discount,
+        tax: taxes.tax,
+        taxIncluded: taxes.taxIncluded,
+        shipping,
+        total: roundMoney(subtotal - discount + taxes.tax - taxes.taxIncluded + shipping)
+      }
+    };
+  }
+
+  /**
+   * Cancel PENDING orders older than the reservation TTL through
+   * cancelOrder(), which releases their reserved stock and logs the
+   * RETURN transactions. Meant to run on a schedule.
+   *
+   * Options: ttlMinutes (default ORDER_RESERVATION.TTL_MINUTES), limit
+   * (most orders to cancel in one run, oldest first; default 500), dryRun
+   * (list them without cancelling)
+   *
+   * Returns { cutoff, ttlMinutes, dryRun, expired, failed, totals }; each
+   * expired order lists the stock released per SKU and location.
+   */
+  async expireReservations(options = {}, actor) {
+    try {
+      authorize(actor, PERMISSIONS.ORDER_CANCEL_ANY);
+
+      const { error, value } = ReservationSweepSchema.validate(options, {
+        abortEarly: false,
+        stripUnknown: true
+      });
+
+      if (error) {
+        const messages = error.details.map(d => d.message).join(', ');
+        throw new ValidationError(`Validation failed: ${messages}`);
+      }
+
+      const { ttlMinutes, limit, dryRun } = value;
+      const cutoff = new Date(Date.now() - ttlMinutes * 60 * 1000);
+      const stale = await orderRepository.findExpiredReservations(cutoff, { limit });
+
+      const expired = [];
+      const failed = [];
+
+      for (const order of stale) {
+        const entry = {
+          orderId: order._id,
+          orderNumber: order.orderNumber,
+          createdAt: order.createdAt,
+          released: order.items.map(item => ({
+            sku: item.variant?.sku || item.sku,
+            location: item.location || null,
+            quantity: item.quantity
+          }))
+        };
+
+        if (dryRun) {
+          expired.push(entry);
+          continue;
+        }
+
+        try {
+          await this.cancelOrder(
+            order._id.toString(),
+            `Reservation expired after ${ttlMinutes} minutes`,
+            actor
+          );
+          expired.push(entry);
+        } catch (cancelError) {
+          failed.push({ orderId: order._id, orderNumber: order.orderNumber, error: cancelError.message });
+        }
+      }
+
+      const units = expired.reduce((sum, e) => sum + e.released.reduce((n, r) => n + r.quantity, 0), 0);
+
+      if (!dryRun && expired.length > 0) {
+        logger.success(`Released ${units} reserved unit(s) from ${expired.length} expired order(s)`);
+      }
+      if (failed.length > 0) {
+        logger.warn(`${failed.length} expired order(s) could not be cancelled`);
+      }
+
+      return {
+        cutoff,
+        ttlMinutes,
+        dryRun,
+        expired,
+        failed,
+        totals: {
+          orders: expired.length,
+          units,
+          failed: failed.length
+        }
+      };
+
+    } catch (error) {
+      logger.error('Error expiring reservations:', error);
+      throw error;
+    }
+  }
+
+  async getUserOrders(userId, options = {}, actor) {
+    try {
+      authorizeOwnership(actor, userId, PERMISSIONS.ORDER_VIEW_OWN, PERMISSIONS.ORDER_VIEW_ANY);
+
       return await orderRepository.getOrdersByUser(userId, options);
     } catch (error) {
       logger.error('Error getting user orders:', error);
@@ -292,8 +894,16 @@ class OrderService {
     }
   }
 
-  async searchOrders(filters = {}) {
+  /**
+   * Customers only ever see their own orders, whatever userId they ask for
+   */
+  async searchOrders(filters = {}, actor) {
     try {
+      if (!hasPermission(actor, PERMISSIONS.ORDER_VIEW_ANY)) {
+        authorize(actor, PERMISSIONS.ORDER_VIEW_OWN);
+        filters = { ...filters, userId: actor.userId };
+      }
+
       return await orderRepository.searchOrders(filters);
     } catch (error) {
       logger.error('Error searching orders:', error);
@@ -301,8 +911,10 @@ class OrderService {
     }
   }
 
-  async getOrdersByStatus(status, options = {}) {
+  async getOrdersByStatus(status, options = {}, actor) {
     try {
+      authorize(actor, PERMISSIONS.ORDER_VIEW_ANY);
+
       return await orderRepository.getOrdersByStatus(status, options);
     } catch (error) {
       logger.error('Error getting orders by status:', error);
@@ -310,8 +922,10 @@ class OrderService {
     }
   }
 
-  async getOrderStats() {
+  async getOrderStats(actor) {
     try {
+      authorize(actor, PERMISSIONS.ANALYTICS_VIEW);
+
       return await orderRepository.getOrderStats();
     } catch (error) {
       logger.error('Error getting order stats:', error);
@@ -319,8 +933,10 @@ class OrderService {
     }
   }
 
-  async getRevenueByDateRange(startDate, endDate) {
+  async getRevenueByDateRange(startDate, endDate, actor) {
     try {
+      authorize(actor, PERMISSIONS.ANALYTICS_VIEW);
+
       return await orderRepository.getRevenueByDateRange(startDate, endDate);
     } catch (error) {
       logger.error('Error getting revenue:', error);
@@ -0,0 +1,622 @@
+/**
+ * Order Payments
+ *
+ * Payment state lives on the order as order.payment: { method, provider,
+ * status, amount, transactionId (the authorization reference),
+ * authorizedAmount, capturedAmount, refundedAmount, invoiceNumber, events }.
+ * Gateways are reached through the provider registry in ./payments; every
+ * outcome, approved or declined, is appended to payment.events. A capture
+ * issues the invoice number and each refund a credit-note number.
+ *
+ * Lifecycle: PENDING -> AUTHORIZED -> CAPTURED -> PARTIALLY_REFUNDED ->
+ * REFUNDED. An authorization can be voided (AUTHORIZED -> VOIDED); a
+ * declined one leaves the payment FAILED until it is authorized again.
+ *
+ * Order status changes go through prepareTransition(), so confirming an
+ * order authorizes its payment, cancelling releases or refunds it, an
+ * order only ships (in full or in part) once captured and is only
+ * REFUNDED once the refund has gone through. Cash-on-delivery orders
+ * confirm and ship unpaid.
+ */
+
+const orderRepository = require('../repositories/OrderRepository');
+const payments = require('./payments');
+const sequenceService = require('./SequenceService');
+const { PaymentCaptureSchema, PaymentRefundSchema } = require('../models/Order');
+const {
+  ORDER_STATUS,
+  PAYMENT_STATUS,
+  PAYMENT_METHODS,
+  PAYMENT_OPERATIONS,
+  PAYMENTS
+} = require('../config/constants');
+const logger = require('../utils/logger');
+const { roundMoney } = require('../utils/money');
+const {
+  ValidationError,
+  NotFoundError,
+  BusinessLogicError,
+  PaymentError
+} = require('../utils/errorHandler');
+const { authorize, authorizeOwnership } = require('../utils/authorization');
+const { PERMISSIONS } = require('../config/permissions');
+const { toAuditEntry } = require('../utils/actor');
+
+// Payment states that hold captured money
+const CAPTURED_STATES = [PAYMENT_STATUS.CAPTURED, PAYMENT_STATUS.PARTIALLY_REFUNDED];
+
+class PaymentService {
+  /**
+   * Payment block for a new order; nothing is asked of the provider yet
+   */
+  createPayment(method, amount) {
+    const provider = payments.getProvider(PAYMENTS.DEFAULT_PROVIDER);
+
+    return {
+      method,
+      provider: provider.name,
+      status: PAYMENT_STATUS.PENDING,
+      amount: roundMoney(amount),
+      transactionId: null,
+      authorizedAmount: 0,
+      capturedAmount: 0,
+      refundedAmount: 0,
+      invoiceNumber: null,
+      events: []
+    };
+  }
+
+  /**
+   * The order's payment with its amounts filled in, plus what can still be
+   * captured and refunded
+   */
+  async getPayment(orderId, actor) {
+    try {
+      const order = await this.loadOrder(orderId);
+      authorizeOwnership(actor, order.userId, PERMISSIONS.ORDER_VIEW_OWN, PERMISSIONS.ORDER_VIEW_ANY);
+
+      const payment = paymentOf(order);
+      return {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        orderStatus: order.status,
+        ...payment,
+        capturable: payment.status === PAYMENT_STATUS.AUTHORIZED ? payment.authorizedAmount : 0,
+        refundable: this.refundableAmount(order)
+      };
+
+    } catch (error) {
+      logger.error('Error getting payment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Captured money on the order not yet refunded
+   */
+  refundableAmount(order) {
+    const payment = paymentOf(order);
+    return CAPTURED_STATES.includes(payment.status)
+      ? roundMoney(payment.capturedAmount - payment.refundedAmount)
+      : 0;
+  }
+
+  async authorizePayment(orderId, actor) {
+    try {
+      authorize(actor, PERMISSIONS.PAYMENT_MANAGE);
+
+      const order = await this.loadOrder(orderId);
+      if ([ORDER_STATUS.CANCELLED, ORDER_STATUS.REFUNDED].includes(order.status)) {
+        throw new BusinessLogicError(`Cannot take payment for a ${order.status} order`);
+      }
+
+      return await this.doAuthorize(order, actor);
+
+    } catch (error) {
+      logger.error('Error authorizing payment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Options: amount (default: the payment amount, up to what is
+   * authorized). Capturing less than was authorized voids the rest with
+   * the provider, recorded as a VOID event.
+   */
+  async capturePayment(orderId, options = {}, actor) {
+    try {
+      authorize(actor, PERMISSIONS.PAYMENT_MANAGE);
+      const value = validate(PaymentCaptureSchema, options);
+
+      const order = await this.loadOrder(orderId);
+      if ([ORDER_STATUS.CANCELLED, ORDER_STATUS.REFUNDED].includes(order.status)) {
+        throw new BusinessLogicError(`Cannot capture payment for a ${order.status} order`);
+      }
+
+      return await this.doCapture(order, value.amount, actor);
+
+    } catch (error) {
+      logger.error('Error capturing payment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Options: amount (default: everything still refundable), reason, tax
+   * (the part of the amount that is tax; see refundTax), external (the
+   * money was returned outside the provider, e.g. in cash, and the refund
+   * is only recorded)
+   */
+  async refundPayment(orderId, options = {}, actor) {
+    try {
+      authorize(actor, PERMISSIONS.PAYMENT_MANAGE);
+      const value = validate(PaymentRefundSchema, options);
+
+      const order = await this.loadOrder(orderId);
+      return await this.doRefund(order, value.amount, value.reason, actor, {
+        tax: value.tax,
+        external: value.external
+      });
+
+    } catch (error) {
+      logger.error('Error refunding payment:', error);
+      throw error;
+    }
+  }
+
+  async voidPayment(orderId, actor) {
+    try {
+      authorize(actor, PERMISSIONS.PAYMENT_MANAGE);
+
+      const order = await this.loadOrder(orderId);
+      return await this.doVoid(order, actor);
+
+    } catch (error) {
+      logger.error('Error voiding payment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Bring the payment in line with an order status change. Throws, with the
+   * payment left as it was, when the payment does not allow the change or
+   * the provider declines; OrderService.transitionOrder then restores the
+   * status it claimed.
+   */
+  async prepareTransition(order, newStatus, actor) {
+    const payment = paymentOf(order);
+    const collectedOnDelivery = payment.method === PAYMENT_METHODS.COD;
+
+    switch (newStatus) {
+      case ORDER_STATUS.CONFIRMED:
+        if (collectedOnDelivery) return;
+        if ([PAYMENT_STATUS.PENDING, PAYMENT_STATUS.FAILED].includes(payment.status)) {
+          await this.doAuthorize(order, actor);
+        } else if (![PAYMENT_STATUS.AUTHORIZED, PAYMENT_STATUS.CAPTURED].includes(payment.status)) {
+          throw new BusinessLogicError(`Cannot confirm ${order.orderNumber}: payment is ${payment.status}`);
+        }
+        return;
+
+      case ORDER_STATUS.PARTIALLY_SHIPPED:
+      case ORDER_STATUS.SHIPPED:
+        if (collectedOnDelivery) return;
+        if (!CAPTURED_STATES.includes(payment.status)) {
+          throw new BusinessLogicError(
+            `Payment for ${order.orderNumber} must be captured before it ships (payment is ${payment.status})`
+          );
+        }
+        return;
+
+      case ORDER_STATUS.CANCELLED:
+        if (payment.status === PAYMENT_STATUS.AUTHORIZED) {
+          await this.doVoid(order, actor);
+        } else if (CAPTURED_STATES.includes(payment.status)) {
+          await this.doRefund(order, undefined, 'Order cancelled', actor);
+        } else if ([PAYMENT_STATUS.PENDING, PAYMENT_STATUS.FAILED].includes(payment.status)) {
+          // Nothing is held at the provider
+          await this.record(order, payment.status, { status: PAYMENT_STATUS.VOIDED }, {
+            operation: PAYMENT_OPERATIONS.VOID,
+            amount: 0,
+            success: true,
+            reference: null,
+            message: 'No authorization to release',
+            note: 'Order cancelled'
+          }, actor);
+        }
+        return;
+
+      case ORDER_STATUS.REFUNDED:
+        if (payment.status === PAYMENT_STATUS.REFUNDED) return;
+        if (!CAPTURED_STATES.includes(payment.status)) {
+          throw new BusinessLogicError(
+            `Cannot refund ${order.orderNumber}: nothing has been captured (payment is ${payment.status})`
+          );
+        }
+        await this.doRefund(order, undefined, 'Order refunded', actor);
+        return;
+    }
+  }
+
+  /**
+   * Work out how the payment follows an amended order total, without
+   * storing anything: OrderService.amendOrder writes the result with the
+   * amendment. Returns { fields, events, authorization, replaced }. A held
+   * authorization that no longer covers the total is replaced by one for
+   * the new total, taken from the provider here; authorization and
+   * replaced are then the new and the old one. A smaller total is captured
+   * from the authorization as it is. Throws once money has been captured
+   * or when the provider declines, which is recorded.
+   *
+   * Once the amendment is stored, completeAmendment releases the replaced
+   * authorization; if it is not, abandonAmendment releases the new one.
+   */
+  async prepareAmendment(order, newTotal, actor) {
+    const payment = paymentOf(order);
+    const amount = roundMoney(newTotal);
+    const plan = {
+      fields: order.payment ? { 'payment.amount': amount } : {},
+      events: [],
+      authorization: null,
+      replaced: null
+    };
+
+    if (amount === roundMoney(payment.amount)) return plan;
+
+    if (CAPTURED_STATES.includes(payment.status) || payment.status === PAYMENT_STATUS.REFUNDED) {
+      throw new BusinessLogicError(
+        `Payment for ${order.orderNumber} has already been captured; its total can no longer change`
+      );
+    }
+
+    if (payment.status !== PAYMENT_STATUS.AUTHORIZED || amount <= payment.authorizedAmount) return plan;
+
+    const result = await this.callProvider(payment, PAYMENT_OPERATIONS.AUTHORIZE, {
+      amount,
+      method: payment.method,
+      orderNumber: order.orderNumber
+    });
+
+    const event = { operation: PAYMENT_OPERATIONS.AUTHORIZE, amount, ...result, note: 'Order amended' };
+
+    if (!result.success) {
+      await this.record(order, payment.status, {}, event, actor);
+      throw new PaymentError(`Payment for ${order.orderNumber} was declined for the amended total: ${result.message}`);
+    }
+
+    return {
+      fields: {
+        ...plan.fields,
+        'payment.transactionId': result.reference,
+        'payment.authorizedAmount': amount
+      },
+      events: [paymentEvent(event, actor)],
+      authorization: { reference: result.reference, amount },
+      replaced: { reference: payment.transactionId, amount: payment.authorizedAmount }
+    };
+  }
+
+  /**
+   * Release the authorization an applied amendment replaced
+   */
+  async completeAmendment(order, plan, actor) {
+    if (!plan.replaced) return order;
+
+    const updated = await this.releaseAuthorization(order, plan.replaced, 'Replaced by the amended authorization', actor);
+    logger.success(`Authorized $${plan.authorization.amount.toFixed(2)} for amended ${order.orderNumber}`);
+    return updated;
+  }
+
+  /**
+   * Release the authorization taken for an amendment that was not applied;
+   * the order keeps the one it had
+   */
+  async abandonAmendment(order, plan, actor) {
+    if (!plan.authorization) return order;
+
+    return await this.releaseAuthorization(order, plan.authorization, 'Amendment not applied', actor);
+  }
+
+  async doAuthorize(order, actor) {
+    const payment = paymentOf(order);
+
+    if (![PAYMENT_STATUS.PENDING, PAYMENT_STATUS.FAILED].includes(payment.status)) {
+      throw new BusinessLogicError(
+        `Payment for ${order.orderNumber} is ${payment.status}; only PENDING or FAILED payments can be authorized`
+      );
+    }
+
+    const amount = roundMoney(order.pricing.total);
+    const result = await this.callProvider(payment, PAYMENT_OPERATIONS.AUTHORIZE, {
+      amount,
+      method: payment.method,
+      orderNumber: order.orderNumber
+    });
+
+    const event = { operation: PAYMENT_OPERATIONS.AUTHORIZE, amount, ...result };
+
+    if (!result.success) {
+      await this.record(order, payment.status, { status: PAYMENT_STATUS.FAILED }, event, actor);
+      throw new PaymentError(`Payment for ${order.orderNumber} was declined: ${result.message}`);
+    }
+
+    const updated = await this.record(order, payment.status, {
+      status: PAYMENT_STATUS.AUTHORIZED,
+      provider: payment.provider,
+      amount,
+      transactionId: result.reference,
+      authorizedAmount: amount
+    }, event, actor);
+
+    logger.success(`Authorized $${amount.toFixed(2)} for ${order.orderNumber}`);
+    return updated;
+  }
+
+  /**
+   * Void an authorization the payment no longer uses and note it in the
+   * events. A provider that does not release it is only logged.
+   */
+  async releaseAuthorization(order, authorization, note, actor) {
+    const payment = paymentOf(order);
+
+    const released = await this.callProvider(payment, PAYMENT_OPERATIONS.VOID, {
+      reference: authorization.reference,
+      amount: authorization.amount,
+      method: payment.method,
+      orderNumber: order.orderNumber
+    });
+
+    if (!released.success) {
+      logger.warn(`Authorization ${authorization.reference} for ${order.orderNumber} was not released:`, released.message);
+    }
+
+    return await this.record(order, PAYMENT_STATUS.AUTHORIZED, {}, {
+      operation: PAYMENT_OPERATIONS.VOID,
+      amount: authorization.amount,
+      ...released,
+      note
+    }, actor);
+  }
+
+  async doCapture(order, requested, actor) {
+    const payment = paymentOf(order);
+
+    if (payment.status !== PAYMENT_STATUS.AUTHORIZED) {
+      throw new BusinessLogicError(`Payment for ${order.orderNumber} is ${payment.status}; only AUTHORIZED payments can be captured`);
+    }
+
+    // An amended order can be worth less than was authorized
+    const amount = roundMoney(requested ?? Math.min(payment.amount, payment.authorizedAmount));
+    if (amount > payment.authorizedAmount) {
+      throw new ValidationError(
+        `Cannot capture $${amount.toFixed(2)}; only $${payment.authorizedAmount.toFixed(2)} is authorized`
+      );
+    }
+
+    const result = await this.callProvider(payment, PAYMENT_OPERATIONS.CAPTURE, {
+      reference: payment.transactionId,
+      amount,
+      method: payment.method,
+      orderNumber: order.orderNumber
+    });
+
+    const event = { operation: PAYMENT_OPERATIONS.CAPTURE, amount, ...result };
+
+    if (!result.success) {
+      await this.record(order, payment.status, {}, event, actor);
+      throw new PaymentError(`Capture for ${order.orderNumber} failed: ${result.message}`);
+    }
+
+    const invoiceNumber = await sequenceService.nextNumber('INVOICE', { channel: order.channel });
+
+    let updated = await this.record(order, payment.status, {
+      status: PAYMENT_STATUS.CAPTURED,
+      capturedAmount: amount,
+      invoiceNumber
+    }, { ...event, invoiceNumber }, actor);
+
+    logger.success(`Captured $${amount.toFixed(2)} for ${order.orderNumber}`);
+
+    // The capture stands either way; a remainder the provider keeps holding
+    // is recorded as a failed VOID and logged
+    const remainder = roundMoney(payment.authorizedAmount - amount);
+    if (remainder > 0) {
+      const released = await this.callProvider(payment, PAYMENT_OPERATIONS.VOID, {
+        reference: payment.transactionId,
+        amount: remainder,
+        method: payment.method,
+        orderNumber: order.orderNumber
+      });
+
+      if (!released.success) {
+        logger.warn(`Uncaptured $${remainder.toFixed(2)} for ${order.orderNumber} was not released:`, released.message);
+      }
+
+      updated = await this.record(updated, PAYMENT_STATUS.CAPTURED, {}, {
+        operation: PAYMENT_OPERATIONS.VOID,
+        amount: remainder,
+        ...released,
+        note: 'Uncaptured remainder released'
+      }, actor);
+    }
+
+    return updated;
+  }
+
+  async doRefund(order, requested, reason, actor, { tax = null, external = false } = {}) {
+    const payment = paymentOf(order);
+
+    if (!CAPTURED_STATES.includes(payment.status)) {
+      throw new BusinessLogicError(`Payment for ${order.orderNumber} is ${payment.status}; nothing has been captured to refund`);
+    }
+
+    const refundable = roundMoney(payment.capturedAmount - payment.refundedAmount);
+    const amount = roundMoney(requested ?? refundable);
+    if (amount > refundable) {
+      throw new ValidationError(`Cannot refund $${amount.toFixed(2)}; only $${refundable.toFixed(2)} is refundable`);
+    }
+
+    // Recording a refund made elsewhere keeps refundedAmount true, so a
+    // later refund of "everything left" does not pay it out again
+    const result = external
+      ? { success: true, reference: null, message: 'Refunded outside the payment provider' }
+      : await this.callProvider(payment, PAYMENT_OPERATIONS.REFUND, {
+        reference: payment.transactionId,
+        amount,
+        method: payment.method,
+        orderNumber: order.orderNumber
+      });
+
+    const event = { operation: PAYMENT_OPERATIONS.REFUND, amount, ...result, note: reason || '', external };
+
+    if (!result.success) {
+      await this.record(order, payment.status, {}, event, actor);
+      throw new PaymentError(`Refund for ${order.orderNumber} failed: ${result.message}`);
+    }
+
+    const creditNoteNumber = await sequenceService.nextNumber('CREDIT_NOTE', { channel: order.channel });
+    const taxAmount = refundTax(order, payment, amount, refundable, tax);
+
+    const refundedAmount = roundMoney(payment.refundedAmount + amount);
+    const updated = await this.record(order, payment.status, {
+      status: refundedAmount >= payment.capturedAmount ? PAYMENT_STATUS.REFUNDED : PAYMENT_STATUS.PARTIALLY_REFUNDED,
+      refundedAmount
+    }, { ...event, creditNoteNumber, taxAmount }, actor);
+
+    logger.success(`Refunded $${amount.toFixed(2)} for ${order.orderNumber}`);
+    return updated;
+  }
+
+  async doVoid(order, actor) {
+    const payment = paymentOf(order);
+
+    if (payment.status !== PAYMENT_STATUS.AUTHORIZED) {
+      throw new BusinessLogicError(`Payment for ${order.orderNumber} is ${payment.status}; only AUTHORIZED payments can be voided`);
+    }
+
+    const result = await this.callProvider(payment, PAYMENT_OPERATIONS.VOID, {
+      reference: payment.transactionId,
+      amount: payment.authorizedAmount,
+      method: payment.method,
+      orderNumber: order.orderNumber
+    });
+
+    const event = { operation: PAYMENT_OPERATIONS.VOID, amount: payment.authorizedAmount, ...result };
+
+    if (!result.success) {
+      await this.record(order, payment.status, {}, event, actor);
+      throw new PaymentError(`Void for ${order.orderNumber} failed: ${result.message}`);
+    }
+
+    const updated = await this.record(order, payment.status, { status: PAYMENT_STATUS.VOIDED }, event, actor);
+
+    logger.success(`Voided the authorization for ${order.orderNumber}`);
+    return updated;
+  }
+
+  /**
+   * A provider that throws is reported as a declined operation
+   */
+  async callProvider(payment, operation, request) {
+    const provider = payments.getProvider(payment.provider);
+    const method = operation.toLowerCase();
+
+    try {
+      const result = await provider[method](request);
+      return {
+        success: Boolean(result.success),
+        reference: result.reference || null,
+        message: result.message || ''
+      };
+    } catch (error) {
+      logger.warn(`Payment provider ${provider.name} failed to ${method}:`, error.message);
+      return { success: false, reference: null, message: error.message };
+    }
+  }
+
+  /**
+   * Store the outcome, provided the payment is still in the state it was
+   * read in
+   */
+  async record(order, fromStatus, fields, event, actor) {
+    const updated = await orderRepository.updatePayment(order._id, fromStatus, fields, paymentEvent(event, actor));
+
+    if (!updated) {
+      throw new BusinessLogicError(`Payment for ${order.orderNumber} was updated by someone else; try again`);
+    }
+
+    return updated;
+  }
+
+  async loadOrder(orderId) {
+    const order = await orderRepository.findById(orderId);
+    if (!order) {
+      throw new NotFoundError('Order', orderId);
+    }
+    return order;
+  }
+}
+
+/**
+ * A payment.events entry, stamped with when and by whom
+ */
+function paymentEvent(event, actor) {
+  return {
+    ...event,
+    note: event.note || '',
+    at: new Date(),
+    by: toAuditEntry(actor)
+  };
+}
+
+/**
+ * order.payment with defaults for orders placed before payments were tracked
+ */
+function paymentOf(order) {
+  const payment = order.payment || {};
+
+  return {
+    method: payment.method,
+    provider: payment.provider || PAYMENTS.DEFAULT_PROVIDER,
+    status: payment.status || PAYMENT_STATUS.PENDING,
+    amount: payment.amount ?? order.pricing.total,
+    transactionId: payment.transactionId || null,
+    authorizedAmount: payment.authorizedAmount || 0,
+    capturedAmount: payment.capturedAmount || 0,
+    refundedAmount: payment.refundedAmount || 0,
+    invoiceNumber: payment.invoiceNumber || null,
+    events: payment.events || []
+  };
+}
+
+/**
+ * Tax given back by a refund, for the tax liability report: what the
+ * caller states, all tax not yet given back when the refund empties the
+ * payment, otherwise the order's share of tax in its total
+ */
+function refundTax(order, payment, amount, refundable, stated) {
+  const tax = order.pricing?.tax || 0;
+  const given = payment.events
+    .filter(event => event.operation === PAYMENT_OPERATIONS.REFUND && event.success)
+    .reduce((sum, event) => sum + (event.taxAmount || 0), 0);
+  const left = roundMoney(Math.max(tax - given, 0));
+
+  if (stated !== null && stated !== undefined) return Math.min(roundMoney(stated), left);
+  if (amount >= refundable) return left;
+  return Math.min(roundMoney(order.pricing.total > 0 ? amount * tax / order.pricing.total : 0), left);
+}
+
+function validate(schema, options) {
+  const { error, value } = schema.validate(options, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    const messages = error.details.map(d => d.message).join(', ');
+    throw new ValidationError(`Validation failed: ${messages}`);
+  }
+
+  return value;
+}
+
+module.exports = new PaymentService();
@@ -1,14 +1,29 @@
 const productRepository = require('../repositories/ProductRepository');
-const { ProductValidationSchema } = require('../models/Product');
-const { PRODUCT_STATUS, COLLECTIONS } = require('../config/constants');
+const inventoryTransactionRepo = require('../repositories/InventoryTransactionRepository');
+const purchaseOrderRepository = require('../repositories/PurchaseOrderRepository');
+const locationService = require('./LocationService');
+const { ProductValidationSchema, VariantsValidationSchema } = require('../models/Product');
+const {
+  PRODUCT_STATUS,
+  COLLECTIONS,
+  TRANSACTION_TYPES,
+  ADJUSTMENT_REASONS,
+  WRITE_OFF_REASONS,
+  SALE_REASONS,
+  TAX_CLASSES
+} = require('../config/constants');
 const logger = require('../utils/logger');
 const { ValidationError, NotFoundError, BusinessLogicError } = require('../utils/errorHandler');
+const { authorize } = require('../utils/authorization');
+const { PERMISSIONS } = require('../config/permissions');
 const dbManager = require('../config/database');
 const { ObjectId } = require('mongodb');
 
 class ProductService {
-  async createProduct(productData) {
+  async createProduct(productData, actor) {
     try {
+      authorize(actor, PERMISSIONS.PRODUCT_CREATE);
+
       const { error, value } = ProductValidationSchema.validate(productData, {
         abortEarly: false,
         stripUnknown: true
@@ -19,46 +34,21 @@ class ProductService {
         throw new ValidationError(`Validation failed: ${errors}`);
       }
 
-      const existingProduct = await productRepository.findBySku(value.sku);
-      if (existingProduct) {
-        throw new BusinessLogicError(`Product with SKU '${value.sku}' already exists`);
-      }
+      await this.assertSkusAvailable(value.sku, value.variants);
 
       const categoryExists = await this.verifyCategoryExists(value.categoryId);
       if (!categoryExists) {
         throw new ValidationError(`Category with ID '${value.categoryId}' does not exist`);
       }
 
-      const processedData = {
-        ...value,
-        categoryId: new ObjectId(value.categoryId),
-        inventory: {
-          quantity: value.inventory?.quantity || 0,
-          reserved: 0,
-          available: value.inventory?.quantity || 0,
-          reorderPoint: value.inventory?.reorderPoint || 10,
-          reorderQuantity: value.inventory?.reorderQuantity || 50
-        },
-        seo: {
-          ...value.seo,
-          slug: value.seo?.slug || this.generateSlug(value.name)
-        },
-        salesStats: {
-          totalSold: 0,
-          revenue: 0,
-          lastSoldAt: null
-        },
-        ratings: {
-          average: 0,
-          count: 0
-        }
-      };
-
-      processedData.status = processedData.inventory.available > 0 
-        ? PRODUCT_STATUS.AVAILABLE 
-        : PRODUCT_STATUS.OUT_OF_STOCK;
+      const location = await locationService.getDefaultLocation();
+      const document = this.buildProductDocument(value, null, location.code);
 
-      const product = await productRepository.create(processedData);
+      const product = await dbManager.withTransaction(async (session) => {
+        const created = await productRepository.create(document, { session });
+        await this.logStockChanges(null, created, location.code, 'Opening stock', { actor, session });
+        return created;
+      });
 
       logger.success(`Product created: ${product.name} (SKU: ${product.sku})`);
       return product;
@@ -69,6 +59,57 @@ class ProductService {
     }
   }
 
+  /**
+   * Turn validated product data into a product document. With variants, the
+   * inventory totals come from the variants; pass the existing product when
+   * overwriting one so reservations and stock at other locations carry over.
+   * Quantity changes are booked at locationCode (the default location).
+   */
+  buildProductDocument(value, existing = null, locationCode) {
+    const variants = this.normalizeVariants(value.variants || [], existing, locationCode);
+    const totals = variants.length > 0
+      ? this.summarizeVariants(variants)
+      : this.summarizeLocations(this.rebalanceLocations(
+        this.locationsOf(existing?.inventory, locationCode),
+        value.inventory?.quantity || 0,
+        locationCode,
+        value.name
+      ));
+
+    const processedData = {
+      ...value,
+      categoryId: new ObjectId(value.categoryId),
+      variants,
+      inventory: {
+        quantity: totals.quantity,
+        reserved: totals.reserved,
+        available: totals.available,
+        reorderPoint: value.inventory?.reorderPoint || 10,
+        reorderQuantity: value.inventory?.reorderQuantity || 50,
+        locations: totals.locations
+      },
+      seo: {
+        ...value.seo,
+        slug: value.seo?.slug || this.generateSlug(value.name)
+      },
+      salesStats: {
+        totalSold: 0,
+        revenue: 0,
+        lastSoldAt: null
+      },
+      ratings: {
+        average: 0,
+        count: 0
+      }
+    };
+
+    processedData.status = processedData.inventory.available > 0 
+      ? PRODUCT_STATUS.AVAILABLE 
+      : PRODUCT_STATUS.OUT_OF_STOCK;
+
+    return processedData;
+  }
+
   async getProductById(productId) {
     try {
       const product = await productRepository.findById(productId);
@@ -78,9 +119,10 @@ class ProductService {
       }
 
       const category = await this.getCategoryById(product.categoryId);
-      
+      const [withOnOrder] = await this.attachOnOrder([product]);
+
       return {
-        ...product,
+        ...withOnOrder,
         category: category || null
       };
 
@@ -90,20 +132,62 @@ class ProductService {
     }
   }
 
-  async updateProduct(productId, updateData) {
+  /**
+   * Accepts a product SKU or the SKU of one of its variants
+   */
+  async getProductBySku(sku) {
+    try {
+      const product = await productRepository.findBySkuOrVariantSku(sku);
+
+      if (!product) {
+        throw new NotFoundError('Product', sku);
+      }
+
+      return product;
+
+    } catch (error) {
+      logger.error('Error getting product by SKU:', error);
+      throw error;
+    }
+  }
+
+  async updateProduct(productId, updateData, actor) {
     try {
+      authorize(actor, PERMISSIONS.PRODUCT_UPDATE);
+
       const existingProduct = await productRepository.findById(productId);
       if (!existingProduct) {
         throw new NotFoundError('Product', productId);
       }
 
-      if (updateData.sku && updateData.sku !== existingProduct.sku) {
-        const skuExists = await productRepository.findBySku(updateData.sku);
-        if (skuExists) {
-          throw new BusinessLogicError(`SKU '${updateData.sku}' is already in use`);
+      const stockChanged = updateData.variants || updateData.inventory?.quantity !== undefined;
+      const location = stockChanged ? await locationService.getDefaultLocation() : null;
+
+      if (updateData.variants) {
+        const { error, value } = VariantsValidationSchema.validate(updateData.variants, { abortEarly: false });
+        if (error) {
+          const errors = error.details.map(d => d.message).join(', ');
+          throw new ValidationError(`Validation failed: ${errors}`);
+        }
+        updateData.variants = this.normalizeVariants(value, existingProduct, location.code);
+      }
+
+      if (updateData.taxClass !== undefined) {
+        updateData.taxClass = String(updateData.taxClass).toUpperCase();
+        if (!Object.values(TAX_CLASSES).includes(updateData.taxClass)) {
+          throw new ValidationError(`Tax class must be one of ${Object.values(TAX_CLASSES).join(', ')}`);
         }
       }
 
+      const skuChanged = updateData.sku && updateData.sku !== existingProduct.sku;
+      if (skuChanged || updateData.variants) {
+        await this.assertSkusAvailable(
+          updateData.sku || existingProduct.sku,
+          updateData.variants || existingProduct.variants || [],
+          existingProduct._id
+        );
+      }
+
       if (updateData.categoryId) {
         const categoryExists = await this.verifyCategoryExists(updateData.categoryId);
         if (!categoryExists) {
@@ -112,11 +196,43 @@ class ProductService {
         updateData.categoryId = new ObjectId(updateData.categoryId);
       }
 
-      if (updateData.inventory) {
-        updateData.inventory.available = 
-          (updateData.inventory.quantity || existingProduct.inventory.quantity) - 
-          (existingProduct.inventory.reserved || 0);
-        
+      const variants = updateData.variants || existingProduct.variants || [];
+
+      if (variants.length > 0 && updateData.inventory?.quantity !== undefined) {
+        throw new BusinessLogicError(
+          `${existingProduct.name} tracks stock per variant; update the variant quantities instead`
+        );
+      }
+
+      if (updateData.variants && variants.length > 0) {
+        updateData.inventory = {
+          ...existingProduct.inventory,
+          ...updateData.inventory,
+          ...this.summarizeVariants(variants)
+        };
+
+        updateData.status = updateData.inventory.available > 0
+          ? PRODUCT_STATUS.AVAILABLE
+          : PRODUCT_STATUS.OUT_OF_STOCK;
+      } else if (updateData.inventory) {
+        // A new quantity is booked at the default location
+        const totals = updateData.inventory.quantity !== undefined
+          ? this.summarizeLocations(this.rebalanceLocations(
+            this.locationsOf(existingProduct.inventory, location.code),
+            updateData.inventory.quantity,
+            location.code,
+            existingProduct.name
+          ))
+          : {};
+
+        updateData.inventory = {
+          ...existingProduct.inventory,
+          ...updateData.inventory,
+          ...totals
+        };
+        updateData.inventory.available =
+          updateData.inventory.quantity - (updateData.inventory.reserved || 0);
+
         updateData.status = updateData.inventory.available > 0 
           ? PRODUCT_STATUS.AVAILABLE 
           : PRODUCT_STATUS.OUT_OF_STOCK;
@@ -129,7 +245,17 @@ class ProductService {
         };
       }
 
-      const updatedProduct = await productRepository.updateById(productId, updateData);
+      // A quantity set here is logged against the stock it replaces
+      const updatedProduct = await dbManager.withTransaction(async (session) => {
+        const updated = await productRepository.updateById(productId, updateData, { session });
+        if (updated && stockChanged) {
+          await this.logStockChanges(existingProduct, updated, location.code, 'Quantity set on product update', {
+            actor,
+            session
+          });
+        }
+        return updated;
+      });
 
       logger.success(`Product updated: ${updatedProduct.name}`);
       return updatedProduct;
@@ -140,8 +266,10 @@ class ProductService {
     }
   }
 
-  async deleteProduct(productId) {
+  async deleteProduct(productId, actor) {
     try {
+      authorize(actor, PERMISSIONS.PRODUCT_DELETE);
+
       const product = await productRepository.findById(productId);
       if (!product) {
         throw new NotFoundError('Product', productId);
@@ -161,7 +289,7 @@ class ProductService {
   async searchProducts(filters) {
     try {
       const result = await productRepository.search(filters);
-      return result;
+      return { ...result, products: await this.attachOnOrder(result.products) };
 
     } catch (error) {
       logger.error('Error searching products:', error);
@@ -178,21 +306,36 @@ class ProductService {
     }
   }
 
-  async addStock(productId, quantity, reason = 'RESTOCK') {
+  /**
+   * Products with variants need variantSku; the product totals follow.
+   * Stock goes to the default location unless options.location names one.
+   */
+  async addStock(productId, quantity, options = {}, actor) {
+    const { reason = 'RESTOCK', variantSku = null } = options;
+
     try {
+      authorize(actor, PERMISSIONS.INVENTORY_ADJUST);
+
       if (quantity <= 0) {
         throw new ValidationError('Quantity must be positive');
       }
 
-      const product = await productRepository.updateInventory(productId, quantity);
-      
-      if (!product) {
+      const existing = await productRepository.findById(productId);
+      if (!existing) {
         throw new NotFoundError('Product', productId);
       }
 
-      await this.logInventoryTransaction(productId, quantity, 'PURCHASE', reason);
+      const variant = this.resolveVariant(existing, variantSku);
+      const location = await locationService.resolveLocation(options.location);
+
+      const product = await this.applyStockChange(existing, variant, location.code, quantity, {
+        type: TRANSACTION_TYPES.PURCHASE,
+        notes: reason
+      }, actor);
 
-      logger.success(`Added ${quantity} units to ${product.name}`);
+      logger.success(
+        `Added ${quantity} units to ${variant ? `${product.name} (${variant.name})` : product.name} at ${location.code}`
+      );
       return product;
 
     } catch (error) {
@@ -201,28 +344,48 @@ class ProductService {
     }
   }
 
-  async removeStock(productId, quantity, reason = 'SALE') {
+  /**
+   * Units sold outside the order flow; logged as SALE with the reason
+   * (SALE_REASONS, required) so they count towards sales velocity. Use
+   * writeOffDamaged or adjustStock for stock that was not sold.
+   */
+  async removeStock(productId, quantity, options = {}, actor) {
+    const { reason, notes = '', variantSku = null } = options;
+
     try {
+      authorize(actor, PERMISSIONS.INVENTORY_ADJUST);
+
       if (quantity <= 0) {
         throw new ValidationError('Quantity must be positive');
       }
 
+      this.validateReason(reason, SALE_REASONS);
+
       const product = await productRepository.findById(productId);
       if (!product) {
         throw new NotFoundError('Product', productId);
       }
 
-      if (product.inventory.available < quantity) {
+      const variant = this.resolveVariant(product, variantSku);
+      const location = await locationService.resolveLocation(options.location);
+      const available = this.availableAt(variant || product.inventory, location.code);
+
+      if (available < quantity) {
         throw new BusinessLogicError(
-          `Insufficient stock. Available: ${product.inventory.available}, Requested: ${quantity}`
+          `Insufficient stock at ${location.code}. Available: ${available}, Requested: ${quantity}`
         );
       }
 
-      const updatedProduct = await productRepository.updateInventory(productId, -quantity);
-
-      await this.logInventoryTransaction(productId, quantity, 'SALE', reason);
+      const updatedProduct = await this.applyStockChange(product, variant, location.code, -quantity, {
+        type: TRANSACTION_TYPES.SALE,
+        loggedQuantity: quantity,
+        reason,
+        notes
+      }, actor);
 
-      logger.success(`Removed ${quantity} units from ${product.name}`);
+      logger.success(
+        `Removed ${quantity} units from ${variant ? `${product.name} (${variant.name})` : product.name} at ${location.code}`
+      );
       return updatedProduct;
 
     } catch (error) {
@@ -231,18 +394,724 @@ class ProductService {
     }
   }
 
+  /**
+   * Correct stock by a signed quantity, e.g. units found or lost. The
+   * reason is one of ADJUSTMENT_REASONS other than RECONCILIATION, which
+   * only ledger reconciliation writes; the change is logged as an
+   * ADJUSTMENT with the signed quantity.
+   */
+  async adjustStock(productId, quantityChange, options = {}, actor) {
+    const { reason, notes = '', variantSku = null } = options;
+
+    try {
+      authorize(actor, PERMISSIONS.INVENTORY_ADJUST);
+
+      if (!Number.isInteger(quantityChange) || quantityChange === 0) {
+        throw new ValidationError('Adjustment must be a non-zero whole number');
+      }
+
+      const { RECONCILIATION, ...manualReasons } = ADJUSTMENT_REASONS;
+      this.validateReason(reason, manualReasons);
+
+      const product = await productRepository.findById(productId);
+      if (!product) {
+        throw new NotFoundError('Product', productId);
+      }
+
+      const variant = this.resolveVariant(product, variantSku);
+      const location = await locationService.resolveLocation(options.location);
+
+      if (quantityChange < 0) {
+        const available = this.availableAt(variant || product.inventory, location.code);
+        if (available < -quantityChange) {
+          throw new BusinessLogicError(
+            `Cannot remove ${-quantityChange} units at ${location.code}; ${available} available (the rest is reserved)`
+          );
+        }
+      }
+
+      const updatedProduct = await this.applyStockChange(product, variant, location.code, quantityChange, {
+        type: TRANSACTION_TYPES.ADJUSTMENT,
+        reason,
+        notes
+      }, actor);
+
+      logger.success(
+        `Adjusted ${variant ? `${product.name} (${variant.name})` : product.name} by ${quantityChange} at ${location.code} (${reason})`
+      );
+      return updatedProduct;
+
+    } catch (error) {
+      logger.error('Error adjusting stock:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove damaged, defective or expired units. Logged as DAMAGED with the
+   * reason (WRITE_OFF_REASONS, default DAMAGED), so write-offs never count
+   * as sales.
+   */
+  async writeOffDamaged(productId, quantity, options = {}, actor) {
+    const { reason = WRITE_OFF_REASONS.DAMAGED, notes = '', variantSku = null } = options;
+
+    try {
+      authorize(actor, PERMISSIONS.INVENTORY_ADJUST);
+
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        throw new ValidationError('Quantity must be a positive whole number');
+      }
+
+      this.validateReason(reason, WRITE_OFF_REASONS);
+
+      const product = await productRepository.findById(productId);
+      if (!product) {
+        throw new NotFoundError('Product', productId);
+      }
+
+      const variant = this.resolveVariant(product, variantSku);
+      const location = await locationService.resolveLocation(options.location);
+      const available = this.availableAt(variant || product.inventory, location.code);
+
+      if (available < quantity) {
+        throw new BusinessLogicError(
+          `Cannot write off ${quantity} units at ${location.code}; ${available} available (the rest is reserved)`
+        );
+      }
+
+      const updatedProduct = await this.applyStockChange(product, variant, location.code, -quantity, {
+        type: TRANSACTION_TYPES.DAMAGED,
+        loggedQuantity: quantity,
+        reason,
+        notes
+      }, actor);
+
+      logger.success(
+        `Wrote off ${quantity} units of ${variant ? `${product.name} (${variant.name})` : product.name} at ${location.code} (${reason})`
+      );
+      return updatedProduct;
+
+    } catch (error) {
+      logger.error('Error writing off stock:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a physical count at one location. The difference from the
+   * quantity on record is logged as an ADJUSTMENT with reason
+   * COUNT_CORRECTION; nothing is written when the count matches. A count
+   * below the units reserved there is rejected, since those belong to open
+   * orders.
+   *
+   * Returns { product, location, previous, counted, difference }
+   */
+  async countStock(productId, countedQuantity, options = {}, actor) {
+    const { notes = '', variantSku = null } = options;
+
+    try {
+      authorize(actor, PERMISSIONS.INVENTORY_ADJUST);
+
+      if (!Number.isInteger(countedQuantity) || countedQuantity < 0) {
+        throw new ValidationError('Counted quantity must be a whole number of zero or more');
+      }
+
+      const product = await productRepository.findById(productId);
+      if (!product) {
+        throw new NotFoundError('Product', productId);
+      }
+
+      const variant = this.resolveVariant(product, variantSku);
+      const location = await locationService.resolveLocation(options.location);
+      const stock = variant || product.inventory;
+      const label = variant ? `${product.name} (${variant.name})` : product.name;
+
+      const previous = this.quantityAt(stock, location.code);
+      const reserved = stock?.locations?.[location.code]?.reserved || 0;
+      const difference = countedQuantity - previous;
+
+      if (countedQuantity < reserved) {
+        throw new BusinessLogicError(
+          `${label}: counted ${countedQuantity} at ${location.code} but ${reserved} units are reserved for open orders`
+        );
+      }
+
+      const result = { product, location: location.code, previous, counted: countedQuantity, difference };
+
+      if (difference === 0) {
+        logger.info(`Count of ${label} at ${location.code} matches the record (${previous})`);
+        return result;
+      }
+
+      result.product = await this.applyStockChange(product, variant, location.code, difference, {
+        type: TRANSACTION_TYPES.ADJUSTMENT,
+        reason: ADJUSTMENT_REASONS.COUNT_CORRECTION,
+        notes: notes || `Counted ${countedQuantity}, record was ${previous}`
+      }, actor);
+
+      logger.success(`Counted ${label} at ${location.code}: ${previous} -> ${countedQuantity}`);
+      return result;
+
+    } catch (error) {
+      logger.error('Error recording stock count:', error);
+      throw error;
+    }
+  }
+
+  validateReason(reason, reasons) {
+    if (!Object.values(reasons).includes(reason)) {
+      throw new ValidationError(`Reason must be one of ${Object.values(reasons).join(', ')}`);
+    }
+  }
+
+  /**
+   * Apply a signed quantity change at one location and log it. The
+   * quantities before and after are those of the product or variant at that
+   * location, read from the updated document. Removals only succeed while
+   * enough stock is available, so a concurrent change cannot drive it
+   * negative.
+   *
+   * details: { type, reason, notes, loggedQuantity (default: the change),
+   * returnId, session }
+   */
+  async applyStockChange(product, variant, locationCode, change, details, actor) {
+    const updatedProduct = await productRepository.updateInventory(product._id, change, {
+      location: locationCode,
+      variantSku: variant?.sku,
+      minAvailable: change < 0 ? -change : undefined,
+      session: details.session
+    });
+
+    if (!updatedProduct) {
+      if (change < 0) {
+        // Another operation took the stock between the check and the update
+        throw new BusinessLogicError(`Insufficient stock at ${locationCode}`);
+      }
+      throw new NotFoundError('Product', product._id.toString());
+    }
+
+    const stock = variant
+      ? updatedProduct.variants.find(v => v.sku === variant.sku)
+      : updatedProduct.inventory;
+    const quantityAfter = this.quantityAt(stock, locationCode);
+
+    await this.logInventoryTransaction(
+      product._id,
+      details.loggedQuantity ?? change,
+      details.type,
+      details.notes,
+      actor,
+      {
+        variantSku: variant?.sku,
+        location: locationCode,
+        reason: details.reason,
+        quantityBefore: quantityAfter - change,
+        quantityAfter,
+        returnId: details.returnId,
+        session: details.session
+      }
+    );
+
+    return updatedProduct;
+  }
+
+  /**
+   * Move available stock between two locations. Both legs are written in one
+   * transaction and logged as TRANSFER_OUT / TRANSFER_IN sharing a transferId.
+   */
+  async transferStock(productId, quantity, options = {}, actor) {
+    const { from, to, variantSku = null, notes = '' } = options;
+
+    try {
+      authorize(actor, PERMISSIONS.INVENTORY_ADJUST);
+
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        throw new ValidationError('Quantity must be a positive whole number');
+      }
+
+      if (!from || !to) {
+        throw new ValidationError('Both a source and a destination location are required');
+      }
+
+      const product = await productRepository.findById(productId);
+      if (!product) {
+        throw new NotFoundError('Product', productId);
+      }
+
+      const variant = this.resolveVariant(product, variantSku);
+      const source = await locationService.resolveLocation(from);
+      const destination = await locationService.resolveLocation(to);
+
+      if (source.code === destination.code) {
+        throw new ValidationError('Source and destination locations must differ');
+      }
+
+      const available = this.availableAt(variant || product.inventory, source.code);
+      if (available < quantity) {
+        throw new BusinessLogicError(
+          `Insufficient stock at ${source.code}. Available: ${available}, Requested: ${quantity}`
+        );
+      }
+
+      const transferId = new ObjectId();
+      const label = variant ? `${product.name} (${variant.name})` : product.name;
+
+      const updatedProduct = await dbManager.withTransaction(async (session) => {
+        const moved = await productRepository.updateInventory(productId, -quantity, {
+          location: source.code,
+          variantSku: variant?.sku,
+          minAvailable: quantity,
+          session
+        });
+
+        if (!moved) {
+          throw new BusinessLogicError(`Insufficient stock at ${source.code}`);
+        }
+
+        const received = await productRepository.updateInventory(productId, quantity, {
+          location: destination.code,
+          variantSku: variant?.sku,
+          session
+        });
+
+        const legs = [
+          { type: TRANSACTION_TYPES.TRANSFER_OUT, location: source.code },
+          { type: TRANSACTION_TYPES.TRANSFER_IN, location: destination.code }
+        ];
+
+        await inventoryTransactionRepo.logTransactions(legs.map(leg => ({
+          productId: product._id,
+          variantSku: variant?.sku || null,
+          quantity,
+          transferId,
+          notes: notes || `Transfer ${source.code} -> ${destination.code}`,
+          ...leg
+        })), { actor, session });
+
+        return received;
+      });
+
+      logger.success(`Transferred ${quantity} units of ${label} from ${source.code} to ${destination.code}`);
+      return { product: updatedProduct, transferId, from: source.code, to: destination.code, quantity };
+
+    } catch (error) {
+      logger.error('Error transferring stock:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stock movements of one product, newest first, each with the running
+   * balance after it. Balances replay the whole ledger of the product (or
+   * of one variant and/or location) so they stay right when the list is
+   * filtered; they are ledger balances, which `product reconcile` compares
+   * with the stock on record.
+   *
+   * Filters: variantSku, location, types, startDate, endDate, orderId,
+   * performedBy (user ID), page, limit
+   */
+  async getStockHistory(productId, filters = {}) {
+    const {
+      variantSku = null,
+      location = null,
+      types = null,
+      startDate = null,
+      endDate = null,
+      orderId = null,
+      performedBy = null,
+      page = 1,
+      limit = 20
+    } = filters;
+
+    try {
+      const product = await productRepository.findById(productId);
+      if (!product) {
+        throw new NotFoundError('Product', productId);
+      }
+
+      const variant = variantSku ? this.resolveVariant(product, variantSku) : null;
+
+      const invalidTypes = (types || []).filter(type => !Object.values(TRANSACTION_TYPES).includes(type));
+      if (invalidTypes.length > 0) {
+        throw new ValidationError(`Unknown transaction type: ${invalidTypes.join(', ')}`);
+      }
+
+      // Entries written before locations existed belong to the default location
+      const resolvedLocation = location ? await locationService.getLocation(location) : null;
+      const locations = resolvedLocation
+        ? [resolvedLocation.code, ...(resolvedLocation.isDefault ? [null] : [])]
+        : null;
+
+      const ledger = await inventoryTransactionRepo.getProductLedger(productId, {
+        variantSku: variant?.sku,
+        locations
+      });
+
+      const balance = { quantity: 0, reserved: 0 };
+      const rows = ledger.map(transaction => {
+        const effect = inventoryTransactionRepo.ledgerEffect(transaction);
+        balance.quantity += effect.quantity;
+        balance.reserved += effect.reserved;
+
+        return {
+          ...transaction,
+          quantityChange: effect.quantity,
+          reservedChange: effect.reserved,
+          balance: {
+            quantity: balance.quantity,
+            reserved: balance.reserved,
+            available: balance.quantity - balance.reserved
+          }
+        };
+      });
+
+      const from = startDate ? new Date(startDate) : null;
+      const to = endDate ? new Date(endDate) : null;
+      if ((from && isNaN(from)) || (to && isNaN(to))) {
+        throw new ValidationError('Dates must be valid (YYYY-MM-DD)');
+      }
+
+      const matching = rows.filter(row =>
+        (!types || types.includes(row.type)) &&
+        (!from || row.createdAt >= from) &&
+        (!to || row.createdAt <= to) &&
+        (!orderId || row.orderId?.toString() === orderId.toString()) &&
+        (!performedBy || row.performedBy?.userId?.toString() === performedBy.toString())
+      ).reverse();
+
+      const skip = (page - 1) * limit;
+
+      return {
+        product: { _id: product._id, sku: product.sku, name: product.name },
+        variantSku: variant?.sku || null,
+        location: resolvedLocation?.code || null,
+        balance: {
+          quantity: balance.quantity,
+          reserved: balance.reserved,
+          available: balance.quantity - balance.reserved
+        },
+        transactions: matching.slice(skip, skip + limit),
+        pagination: {
+          page,
+          limit,
+          total: matching.length,
+          pages: Math.ceil(matching.length / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting stock history:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Available units of a product or variant at one location
+   */
+  availableAt(stock, locationCode) {
+    return stock?.locations?.[locationCode]?.available || 0;
+  }
+
+  /**
+   * Units on hand (including reserved) of a product or variant at one location
+   */
+  quantityAt(stock, locationCode) {
+    return stock?.locations?.[locationCode]?.quantity || 0;
+  }
+
+  /**
+   * Units of a product or variant held for orders at one location
+   */
+  reservedAt(stock, locationCode) {
+    return stock?.locations?.[locationCode]?.reserved || 0;
+  }
+
+  /**
+   * The variant a stock operation applies to, or null for products without
+   * variants
+   */
+  resolveVariant(product, variantSku = null) {
+    const variants = product.variants || [];
+
+    if (variants.length === 0) {
+      if (variantSku) {
+        throw new ValidationError(`${product.name} has no variants`);
+      }
+      return null;
+    }
+
+    if (!variantSku) {
+      throw new ValidationError(
+        `${product.name} tracks stock per variant; choose one of ${variants.map(v => v.sku).join(', ')}`
+      );
+    }
+
+    const variant = variants.find(v => v.sku === variantSku.toUpperCase());
+    if (!variant) {
+      throw new NotFoundError('Variant', variantSku);
+    }
+
+    return variant;
+  }
+
+  /**
+   * The variant SKU a lookup reference points at, when the reference was a
+   * variant SKU rather than the product's ID or SKU
+   */
+  variantSkuOf(product, ref) {
+    const sku = String(ref).toUpperCase();
+    return (product.variants || []).some(v => v.sku === sku) ? sku : null;
+  }
+
+  /**
+   * Give variants their reserved/available counts and per-location stock,
+   * carrying reservations and other locations over from the existing
+   * product. Variants holding reserved stock cannot be removed, and a
+   * product with reservations cannot switch to per-variant stock.
+   */
+  normalizeVariants(variants, existing = null, locationCode) {
+    const existingVariants = existing?.variants || [];
+    const existingBySku = new Map(existingVariants.map(v => [v.sku, v]));
+
+    const removed = existingVariants.filter(v => (v.reserved || 0) > 0 && !variants.some(n => n.sku === v.sku));
+    if (removed.length > 0) {
+      throw new BusinessLogicError(
+        `Cannot remove variants with reserved stock: ${removed.map(v => v.sku).join(', ')}`
+      );
+    }
+
+    if (variants.length > 0 && existingVariants.length === 0 && (existing?.inventory?.reserved || 0) > 0) {
+      throw new BusinessLogicError(
+        `${existing.name} has stock reserved by open orders; it cannot switch to per-variant stock yet`
+      );
+    }
+
+    return variants.map(variant => {
+      const existingVariant = existingBySku.get(variant.sku);
+      const reserved = existingVariant?.reserved || 0;
+      const locations = this.rebalanceLocations(
+        this.locationsOf(existingVariant, locationCode),
+        variant.quantity,
+        locationCode,
+        `${existing?.name || 'Variant'} (${variant.sku})`
+      );
+
+      return { ...variant, reserved, available: variant.quantity - reserved, locations };
+    });
+  }
+
+  /**
+   * Product totals, including per-location totals, across all variants
+   */
+  summarizeVariants(variants) {
+    const locations = {};
+
+    variants.forEach(variant => {
+      Object.entries(variant.locations || {}).forEach(([code, stock]) => {
+        const total = locations[code] || { quantity: 0, reserved: 0, available: 0 };
+        locations[code] = {
+          quantity: total.quantity + (stock.quantity || 0),
+          reserved: total.reserved + (stock.reserved || 0),
+          available: total.available + (stock.available || 0)
+        };
+      });
+    });
+
+    return variants.reduce((totals, variant) => ({
+      ...totals,
+      quantity: totals.quantity + variant.quantity,
+      reserved: totals.reserved + (variant.reserved || 0),
+      available: totals.available + variant.available
+    }), { quantity: 0, reserved: 0, available: 0, locations });
+  }
+
+  summarizeLocations(locations) {
+    return Object.values(locations).reduce((totals, stock) => ({
+      ...totals,
+      quantity: totals.quantity + stock.quantity,
+      reserved: totals.reserved + stock.reserved,
+      available: totals.available + stock.available
+    }), { quantity: 0, reserved: 0, available: 0, locations });
+  }
+
+  /**
+   * Per-location stock of a product or variant; stock recorded before
+   * locations existed counts as being at locationCode
+   */
+  locationsOf(stock, locationCode) {
+    if (stock?.locations) return stock.locations;
+    if (!stock?.quantity) return {};
+
+    const reserved = stock.reserved || 0;
+    return { [locationCode]: { quantity: stock.quantity, reserved, available: stock.quantity - reserved } };
+  }
+
+  /**
+   * Quantity changes between two versions of a product (before is null for
+   * a new one): one entry per location, and per variant for products with
+   * variants, whose quantity changed, as
+   * [{ variantSku, location, quantity, quantityBefore, quantityAfter }]
+   */
+  stockChanges(before, after, locationCode) {
+    const levels = (product) => {
+      const byKey = new Map();
+      if (!product) return byKey;
+
+      const stocks = product.variants?.length > 0
+        ? product.variants.map(variant => ({ variantSku: variant.sku, stock: variant }))
+        : [{ variantSku: null, stock: product.inventory }];
+
+      stocks.forEach(({ variantSku, stock }) => {
+        Object.entries(this.locationsOf(stock, locationCode)).forEach(([location, { quantity = 0 }]) => {
+          byKey.set(`${variantSku}|${location}`, { variantSku, location, quantity });
+        });
+      });
+      return byKey;
+    };
+
+    const levelsBefore = levels(before);
+    const levelsAfter = levels(after);
+    const changes = [];
+
+    new Set([...levelsBefore.keys(), ...levelsAfter.keys()]).forEach(key => {
+      const quantityBefore = levelsBefore.get(key)?.quantity || 0;
+      const quantityAfter = levelsAfter.get(key)?.quantity || 0;
+      if (quantityAfter === quantityBefore) return;
+
+      const { variantSku, location } = levelsAfter.get(key) || levelsBefore.get(key);
+      changes.push({ variantSku, location, quantity: quantityAfter - quantityBefore, quantityBefore, quantityAfter });
+    });
+
+    return changes;
+  }
+
+  /**
+   * Log the stockChanges between two versions of a product as ADJUSTMENTs,
+   * so quantities set directly on the product stay in the ledger.
+   * options: { actor, session }
+   */
+  async logStockChanges(before, after, locationCode, notes, options = {}) {
+    const transactions = this.stockChanges(before, after, locationCode).map(change => ({
+      productId: after._id,
+      ...change,
+      type: TRANSACTION_TYPES.ADJUSTMENT,
+      notes
+    }));
+
+    await inventoryTransactionRepo.logTransactions(transactions, options);
+  }
+
+  /**
+   * Set a new total quantity by moving the difference in or out of one
+   * location; stock at the other locations is left alone
+   */
+  rebalanceLocations(locations = {}, quantity, locationCode, label = 'Product') {
+    const current = Object.values(locations).reduce((sum, stock) => sum + (stock.quantity || 0), 0);
+    const stock = locations[locationCode] || { quantity: 0, reserved: 0, available: 0 };
+    const newQuantity = stock.quantity + quantity - current;
+
+    if (newQuantity < (stock.reserved || 0)) {
+      throw new BusinessLogicError(
+        `${label}: a quantity of ${quantity} would leave ${locationCode} with ${newQuantity} units ` +
+        `(${stock.reserved || 0} reserved); remove or transfer stock at the other locations instead`
+      );
+    }
+
+    return {
+      ...locations,
+      [locationCode]: {
+        quantity: newQuantity,
+        reserved: stock.reserved || 0,
+        available: newQuantity - (stock.reserved || 0)
+      }
+    };
+  }
+
+  /**
+   * Product and variant SKUs share one namespace
+   */
+  async assertSkusAvailable(sku, variants = [], productId = null) {
+    const skus = [sku, ...variants.map(v => v.sku)].map(s => s.toUpperCase());
+    const owners = await productRepository.findSkuOwners(skus);
+
+    const conflicts = this.findSkuConflicts(skus, owners, productId);
+    if (conflicts.length > 0) {
+      throw new BusinessLogicError(`SKU '${conflicts[0]}' is already in use`);
+    }
+  }
+
+  /**
+   * SKUs from the list that another product already uses, or that appear
+   * more than once in the list itself
+   */
+  findSkuConflicts(skus, owners, productId = null) {
+    const taken = new Set();
+
+    owners
+      .filter(owner => !productId || owner._id.toString() !== productId.toString())
+      .forEach(owner => {
+        taken.add(owner.sku);
+        (owner.variants || []).forEach(v => taken.add(v.sku));
+      });
+
+    return skus.filter((sku, index) => taken.has(sku) || skus.indexOf(sku) !== index);
+  }
+
+  /**
+   * Products with variants are reported per variant; those rows carry a
+   * variant field and the variant's SKU, name and stock
+   */
   async getLowStockProducts(threshold = 10) {
     try {
-      return await productRepository.getLowStockProducts(threshold);
+      const [products, variants] = await Promise.all([
+        productRepository.getLowStockProducts(threshold),
+        productRepository.getLowStockVariants(threshold)
+      ]);
+
+      const rows = [...products, ...variants].sort((a, b) => a.inventory.available - b.inventory.available);
+      return await this.attachOnOrder(rows);
     } catch (error) {
       logger.error('Error getting low stock products:', error);
       throw error;
     }
   }
 
+  /**
+   * Add onOrder: units still outstanding on sent purchase orders. Products
+   * get the total and each variant its own count; low-stock rows for a
+   * single variant get that variant's count.
+   */
+  async attachOnOrder(rows) {
+    if (rows.length === 0) return rows;
+
+    const productIds = [...new Set(rows.map(row => row._id.toString()))];
+    const open = await purchaseOrderRepository.getOpenQuantities(productIds);
+
+    const quantityFor = (productId, variantSku = undefined) => open
+      .filter(entry => entry.productId.toString() === productId.toString())
+      .filter(entry => variantSku === undefined || entry.variantSku === variantSku)
+      .reduce((sum, entry) => sum + entry.quantity, 0);
+
+    return rows.map(row => {
+      if (row.variant) {
+        return { ...row, onOrder: quantityFor(row._id, row.variant.sku) };
+      }
+
+      const withOnOrder = { ...row, onOrder: quantityFor(row._id) };
+      if (row.variants?.length > 0) {
+        withOnOrder.variants = row.variants.map(v => ({ ...v, onOrder: quantityFor(row._id, v.sku) }));
+      }
+      return withOnOrder;
+    });
+  }
+
   async getOutOfStockProducts() {
     try {
-      return await productRepository.getOutOfStockProducts();
+      const [products, variants] = await Promise.all([
+        productRepository.getOutOfStockProducts(),
+        productRepository.getOutOfStockVariants()
+      ]);
+
+      return [...products, ...variants];
     } catch (error) {
       logger.error('Error getting out of stock products:', error);
       throw error;
@@ -258,8 +1127,10 @@ class ProductService {
     }
   }
 
-  async bulkPriceUpdate(categoryId, percentage) {
+  async bulkPriceUpdate(categoryId, percentage, actor) {
     try {
+      authorize(actor, PERMISSIONS.PRODUCT_BULK_PRICE);
+
       const filter = { categoryId: new ObjectId(categoryId) };
       const count = await productRepository.bulkPriceUpdate(filter, percentage);
       
@@ -272,6 +1143,26 @@ class ProductService {
     }
   }
 
+  /**
+   * Find a variant by its SKU along with the product it belongs to
+   */
+  async getVariantBySku(sku) {
+    try {
+      const product = await productRepository.findBySkuOrVariantSku(sku);
+      const variant = product?.variants?.find(v => v.sku === sku.toUpperCase());
+
+      if (!variant) {
+        throw new NotFoundError('Variant', sku);
+      }
+
+      return { product, variant };
+
+    } catch (error) {
+      logger.error('Error getting variant by SKU:', error);
+      throw error;
+    }
+  }
+
   async getProductStats() {
     try {
       const db = dbManager.getDb();
@@ -332,17 +1223,35 @@ class ProductService {
     }
   }
 
-  async logInventoryTransaction(productId, quantity, type, notes = '') {
+  async logInventoryTransaction(productId, quantity, type, notes = '', actor = null, options = {}) {
+    const {
+      variantSku = null,
+      location = null,
+      reason = null,
+      quantityBefore = 0,
+      quantityAfter = 0,
+      returnId = null,
+      session
+    } = options;
+
     try {
-      const db = dbManager.getDb();
-      await db.collection(COLLECTIONS.INVENTORY_TRANSACTIONS).insertOne({
+      const transaction = {
         productId: new ObjectId(productId),
+        variantSku,
+        location,
         quantity,
+        quantityBefore,
+        quantityAfter,
         type,
-        notes,
-        createdAt: new Date()
-      });
+        reason,
+        notes
+      };
+      if (returnId) transaction.returnId = returnId;
+
+      await inventoryTransactionRepo.logTransaction(transaction, { actor, session });
     } catch (error) {
+      // Inside a transaction a missing entry must roll the stock change back
+      if (session) throw error;
       logger.warn('Failed to log inventory transaction:', error.message);
     }
   }
@@ -0,0 +1,436 @@
+const purchaseOrderRepository = require('../repositories/PurchaseOrderRepository');
+const productRepository = require('../repositories/ProductRepository');
+const inventoryTransactionRepo = require('../repositories/InventoryTransactionRepository');
+const supplierService = require('./SupplierService');
+const productService = require('./ProductService');
+const locationService = require('./LocationService');
+const sequenceService = require('./SequenceService');
+const {
+  PurchaseOrderValidationSchema,
+  PurchaseOrderUpdateSchema,
+  ReceiptLineSchema
+} = require('../models/PurchaseOrder');
+const { PURCHASE_ORDER_STATUS, TRANSACTION_TYPES } = require('../config/constants');
+const logger = require('../utils/logger');
+const { ValidationError, NotFoundError, BusinessLogicError } = require('../utils/errorHandler');
+const dbManager = require('../config/database');
+const { authorize } = require('../utils/authorization');
+const { PERMISSIONS } = require('../config/permissions');
+const { toAuditEntry } = require('../utils/actor');
+
+const { DRAFT, SENT, PARTIALLY_RECEIVED, RECEIVED, CANCELLED } = PURCHASE_ORDER_STATUS;
+
+class PurchaseOrderService {
+  async createPurchaseOrder(purchaseOrderData, actor) {
+    try {
+      authorize(actor, PERMISSIONS.PURCHASE_ORDER_MANAGE);
+
+      const { error, value } = PurchaseOrderValidationSchema.validate(purchaseOrderData, {
+        abortEarly: false,
+        stripUnknown: true
+      });
+
+      if (error) {
+        const errors = error.details.map(d => d.message).join(', ');
+        throw new ValidationError(`Validation failed: ${errors}`);
+      }
+
+      const supplier = await supplierService.getSupplier(value.supplier);
+      if (!supplier.isActive) {
+        throw new BusinessLogicError(`Supplier ${supplier.code} is inactive`);
+      }
+
+      const location = await locationService.resolveLocation(value.location);
+      const items = await this.buildItems(value.items);
+
+      const purchaseOrder = await purchaseOrderRepository.create({
+        poNumber: await sequenceService.nextNumber('PURCHASE_ORDER', {
+          existing: { repository: purchaseOrderRepository, field: 'poNumber' }
+        }),
+        supplierId: supplier._id,
+        supplier: { code: supplier.code, name: supplier.name },
+        status: DRAFT,
+        location: location.code,
+        items,
+        totals: this.calculateTotals(items),
+        expectedAt: value.expectedAt || null,
+        notes: value.notes,
+        receipts: [],
+        statusHistory: [{
+          status: DRAFT,
+          timestamp: new Date(),
+          note: 'Purchase order created',
+          updatedBy: toAuditEntry(actor)
+        }],
+        sentAt: null,
+        receivedAt: null,
+        cancelledAt: null
+      });
+
+      logger.success(`Purchase order created: ${purchaseOrder.poNumber} (${supplier.name})`);
+      return purchaseOrder;
+
+    } catch (error) {
+      logger.error('Error creating purchase order:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve order lines to products; a line's SKU may be a variant SKU.
+   * Unit cost defaults to the product's current cost.
+   */
+  async buildItems(lines) {
+    const items = [];
+
+    for (const line of lines) {
+      const product = line.productId
+        ? await productRepository.findById(line.productId)
+        : await productRepository.findBySkuOrVariantSku(line.sku);
+
+      if (!product) {
+        throw new NotFoundError('Product', line.productId || line.sku);
+      }
+
+      const variantSku = line.variantSku || (line.sku ? productService.variantSkuOf(product, line.sku) : null);
+      const variant = productService.resolveVariant(product, variantSku);
+      const sku = variant ? variant.sku : product.sku;
+
+      if (items.some(item => (item.variantSku || item.sku) === sku)) {
+        throw new ValidationError(`${sku} is listed more than once`);
+      }
+
+      const unitCost = line.unitCost ?? product.cost;
+      if (unitCost === undefined || unitCost === null) {
+        throw new ValidationError(`${sku} has no cost on record; give the line a unitCost`);
+      }
+
+      items.push({
+        productId: product._id,
+        sku: product.sku,
+        variantSku: variant ? variant.sku : null,
+        name: variant ? `${product.name} (${variant.name})` : product.name,
+        quantityOrdered: line.quantity,
+        quantityReceived: 0,
+        unitCost
+      });
+    }
+
+    return items;
+  }
+
+  calculateTotals(items) {
+    return {
+      quantity: items.reduce((sum, item) => sum + item.quantityOrdered, 0),
+      cost: Math.round(items.reduce((sum, item) => sum + item.quantityOrdered * item.unitCost, 0) * 100) / 100
+    };
+  }
+
+  /**
+   * Lines, location, expected date and notes can change while the order is
+   * a draft
+   */
+  async updatePurchaseOrder(poNumber, updateData, actor) {
+    try {
+      authorize(actor, PERMISSIONS.PURCHASE_ORDER_MANAGE);
+
+      const purchaseOrder = await this.getPurchaseOrder(poNumber);
+      if (purchaseOrder.status !== DRAFT) {
+        throw new BusinessLogicError(`${purchaseOrder.poNumber} is ${purchaseOrder.status}; only drafts can be edited`);
+      }
+
+      const { error, value } = PurchaseOrderUpdateSchema.validate(updateData, {
+        abortEarly: false,
+        stripUnknown: true
+      });
+
+      if (error) {
+        const errors = error.details.map(d => d.message).join(', ');
+        throw new ValidationError(`Validation failed: ${errors}`);
+      }
+
+      const fields = { ...value };
+
+      if (value.location) {
+        fields.location = (await locationService.resolveLocation(value.location)).code;
+      }
+
+      if (value.items) {
+        fields.items = await this.buildItems(value.items);
+        fields.totals = this.calculateTotals(fields.items);
+      }
+
+      const updatedPurchaseOrder = await purchaseOrderRepository.updateById(purchaseOrder._id, fields);
+
+      logger.success(`Purchase order updated: ${updatedPurchaseOrder.poNumber}`);
+      return updatedPurchaseOrder;
+
+    } catch (error) {
+      logger.error('Error updating purchase order:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Place the order with the supplier. Without an expected date one is
+   * estimated from the supplier's lead time.
+   */
+  async sendPurchaseOrder(poNumber, note = '', actor) {
+    try {
+      authorize(actor, PERMISSIONS.PURCHASE_ORDER_MANAGE);
+
+      const purchaseOrder = await this.getPurchaseOrder(poNumber);
+      this.validateStatusTransition(purchaseOrder.status, SENT);
+
+      const sentAt = new Date();
+      const fields = { sentAt };
+
+      if (!purchaseOrder.expectedAt) {
+        const supplier = await supplierService.getSupplierById(purchaseOrder.supplierId);
+        fields.expectedAt = new Date(sentAt.getTime() + (supplier.leadTimeDays || 0) * 24 * 60 * 60 * 1000);
+      }
+
+      const updatedPurchaseOrder = await purchaseOrderRepository.updateStatus(
+        purchaseOrder._id,
+        SENT,
+        note || 'Sent to supplier',
+        actor,
+        fields
+      );
+
+      logger.success(`Purchase order ${purchaseOrder.poNumber} sent to ${purchaseOrder.supplier.name}`);
+      return updatedPurchaseOrder;
+
+    } catch (error) {
+      logger.error('Error sending purchase order:', error);
+      throw error;
+    }
+  }
+
+  async cancelPurchaseOrder(poNumber, reason = '', actor) {
+    try {
+      authorize(actor, PERMISSIONS.PURCHASE_ORDER_MANAGE);
+
+      const purchaseOrder = await this.getPurchaseOrder(poNumber);
+      this.validateStatusTransition(purchaseOrder.status, CANCELLED);
+
+      const updatedPurchaseOrder = await purchaseOrderRepository.updateStatus(
+        purchaseOrder._id,
+        CANCELLED,
+        reason,
+        actor,
+        { cancelledAt: new Date() }
+      );
+
+      logger.success(`Purchase order ${purchaseOrder.poNumber} cancelled`);
+      return updatedPurchaseOrder;
+
+    } catch (error) {
+      logger.error('Error cancelling purchase order:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Receive goods against a sent purchase order. `lines` are
+   * [{ sku, quantity, unitCost? }] keyed by product or variant SKU; without
+   * lines everything still outstanding is received. Stock is booked at
+   * options.location (default: the PO's location), logged as PURCHASE
+   * transactions, and each product's cost becomes the weighted average of
+   * the stock on hand and the units received.
+   */
+  async receivePurchaseOrder(poNumber, lines = null, options = {}, actor) {
+    const { notes = '' } = options;
+
+    try {
+      authorize(actor, PERMISSIONS.PURCHASE_ORDER_MANAGE);
+      authorize(actor, PERMISSIONS.INVENTORY_ADJUST);
+
+      const purchaseOrder = await this.getPurchaseOrder(poNumber);
+      const location = await locationService.resolveLocation(options.location || purchaseOrder.location);
+      const requestedLines = lines && lines.length > 0 ? this.validateReceiptLines(lines) : null;
+
+      // Reading the order inside the transaction makes concurrent receipts
+      // against the same PO conflict instead of both passing the checks
+      const updatedPurchaseOrder = await dbManager.withTransaction(async (session) => {
+        const current = await purchaseOrderRepository.findByPoNumber(purchaseOrder.poNumber, { session });
+        const plan = this.planReceipt(current, requestedLines);
+
+        for (const { item, quantity, unitCost } of plan) {
+          const product = await productRepository.updateInventory(item.productId, quantity, {
+            location: location.code,
+            variantSku: item.variantSku,
+            session
+          });
+
+          if (!product) {
+            throw new NotFoundError('Product', item.productId.toString());
+          }
+
+          await productRepository.applyReceivedCost(item.productId, quantity, unitCost, { session });
+
+          const stock = item.variantSku
+            ? product.variants.find(v => v.sku === item.variantSku)
+            : product.inventory;
+          const quantityAfter = stock.locations?.[location.code]?.quantity || 0;
+
+          await inventoryTransactionRepo.logTransaction({
+            productId: item.productId,
+            variantSku: item.variantSku || null,
+            location: location.code,
+            purchaseOrderId: current._id,
+            type: TRANSACTION_TYPES.PURCHASE,
+            quantity,
+            quantityBefore: quantityAfter - quantity,
+            quantityAfter,
+            notes: notes || `Received on ${current.poNumber}`
+          }, { session, actor });
+        }
+
+        const receivedBySku = new Map(plan.map(({ item, quantity }) => [lineSku(item), quantity]));
+        const items = current.items.map(item => ({
+          ...item,
+          quantityReceived: item.quantityReceived + (receivedBySku.get(lineSku(item)) || 0)
+        }));
+
+        const complete = items.every(item => item.quantityReceived >= item.quantityOrdered);
+        const newStatus = complete ? RECEIVED : PARTIALLY_RECEIVED;
+
+        return purchaseOrderRepository.addReceipt(
+          current._id,
+          {
+            receivedAt: new Date(),
+            location: location.code,
+            items: plan.map(({ item, quantity, unitCost }) => ({
+              sku: item.sku,
+              variantSku: item.variantSku || null,
+              quantity,
+              unitCost
+            })),
+            notes,
+            receivedBy: toAuditEntry(actor)
+          },
+          items,
+          newStatus === current.status ? null : newStatus,
+          actor,
+          { session }
+        );
+      });
+
+      logger.success(`Received stock on ${updatedPurchaseOrder.poNumber} (${updatedPurchaseOrder.status})`);
+      return updatedPurchaseOrder;
+
+    } catch (error) {
+      logger.error('Error receiving purchase order:', error);
+      throw error;
+    }
+  }
+
+  validateReceiptLines(lines) {
+    const seen = new Set();
+
+    return lines.map(line => {
+      const { error, value } = ReceiptLineSchema.validate(line, { abortEarly: false, stripUnknown: true });
+      if (error) {
+        const errors = error.details.map(d => d.message).join(', ');
+        throw new ValidationError(`Validation failed: ${errors}`);
+      }
+
+      if (seen.has(value.sku)) {
+        throw new ValidationError(`${value.sku} is listed more than once`);
+      }
+      seen.add(value.sku);
+
+      return value;
+    });
+  }
+
+  /**
+   * Match receipt lines to purchase order lines and check they fit what is
+   * still outstanding. Returns [{ item, quantity, unitCost }].
+   */
+  planReceipt(purchaseOrder, requestedLines = null) {
+    if (![SENT, PARTIALLY_RECEIVED].includes(purchaseOrder.status)) {
+      throw new BusinessLogicError(
+        `${purchaseOrder.poNumber} is ${purchaseOrder.status}; only sent purchase orders can be received`
+      );
+    }
+
+    const outstanding = item => item.quantityOrdered - item.quantityReceived;
+
+    if (!requestedLines) {
+      return purchaseOrder.items
+        .filter(item => outstanding(item) > 0)
+        .map(item => ({ item, quantity: outstanding(item), unitCost: item.unitCost }));
+    }
+
+    return requestedLines.map(line => {
+      const item = purchaseOrder.items.find(i => lineSku(i) === line.sku);
+      if (!item) {
+        throw new ValidationError(`${line.sku} is not on ${purchaseOrder.poNumber}`);
+      }
+
+      if (line.quantity > outstanding(item)) {
+        throw new BusinessLogicError(
+          `Cannot receive ${line.quantity} of ${line.sku}; ${outstanding(item)} outstanding on ${purchaseOrder.poNumber}`
+        );
+      }
+
+      return { item, quantity: line.quantity, unitCost: line.unitCost ?? item.unitCost };
+    });
+  }
+
+  validateStatusTransition(currentStatus, newStatus) {
+    const allowedTransitions = {
+      [DRAFT]: [SENT, CANCELLED],
+      [SENT]: [PARTIALLY_RECEIVED, RECEIVED, CANCELLED],
+      [PARTIALLY_RECEIVED]: [RECEIVED],
+      [RECEIVED]: [],
+      [CANCELLED]: []
+    };
+
+    if (!allowedTransitions[currentStatus]?.includes(newStatus)) {
+      throw new BusinessLogicError(`Cannot transition from ${currentStatus} to ${newStatus}`);
+    }
+  }
+
+  async getPurchaseOrder(poNumber) {
+    try {
+      const purchaseOrder = await purchaseOrderRepository.findByPoNumber(String(poNumber));
+
+      if (!purchaseOrder) {
+        throw new NotFoundError('Purchase order', poNumber);
+      }
+
+      return purchaseOrder;
+    } catch (error) {
+      logger.error('Error getting purchase order:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Filters: supplier (code), status, productId, open, page, limit
+   */
+  async searchPurchaseOrders(filters = {}) {
+    try {
+      const { supplier = null, ...rest } = filters;
+      const supplierId = supplier ? (await supplierService.getSupplier(supplier))._id : null;
+
+      return await purchaseOrderRepository.searchPurchaseOrders({ ...rest, supplierId });
+    } catch (error) {
+      logger.error('Error searching purchase orders:', error);
+      throw error;
+    }
+  }
+}
+
+/**
+ * A purchase order line is identified by its variant SKU, or the product SKU
+ * for products without variants
+ */
+function lineSku(item) {
+  return item.variantSku || item.sku;
+}
+
+module.exports = new PurchaseOrderService();
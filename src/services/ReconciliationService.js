@@ -0,0 +1,239 @@
+/**
+ * Inventory Ledger Reconciliation
+ *
+ * Replays inventory_transactions for every product and compares the result
+ * with the stock on record, per product (or variant) and location. Stock
+ * can drift from its ledger when quantities are set without a transaction
+ * (product edits, opening stock on create) or when a write fails half way.
+ *
+ * Corrections trust the stock on record: a quantity drift is written to the
+ * ledger as an ADJUSTMENT (reason RECONCILIATION) without changing stock.
+ * Reserved drift cannot be settled by an adjustment and is only reported.
+ */
+
+const productRepository = require('../repositories/ProductRepository');
+const inventoryTransactionRepo = require('../repositories/InventoryTransactionRepository');
+const locationService = require('./LocationService');
+const { TRANSACTION_TYPES, ADJUSTMENT_REASONS } = require('../config/constants');
+const logger = require('../utils/logger');
+const { authorize } = require('../utils/authorization');
+const { PERMISSIONS } = require('../config/permissions');
+
+const PRODUCT_PROJECTION = { sku: 1, name: 1, inventory: 1, variants: 1 };
+
+class ReconciliationService {
+  /**
+   * Options: productId (only that product), fix (write corrective
+   * ADJUSTMENTs for quantity drift)
+   *
+   * Returns { checkedAt, products, stockLines, mismatches, corrected, totals }.
+   * Each mismatch holds the recorded and ledger { quantity, reserved,
+   * available } and their drift (recorded - ledger). totals.unresolved
+   * counts mismatches still open after any corrections.
+   */
+  async reconcileInventory(options = {}, actor) {
+    const { productId = null, fix = false } = options;
+
+    try {
+      authorize(actor, fix ? PERMISSIONS.INVENTORY_ADJUST : PERMISSIONS.INVENTORY_VIEW);
+
+      const defaultLocation = (await locationService.getDefaultLocation()).code;
+      const filter = { deletedAt: null };
+      if (productId) filter._id = productRepository.toObjectId(productId);
+
+      const [products, balances] = await Promise.all([
+        productRepository.findMany(filter, { projection: PRODUCT_PROJECTION, sort: { sku: 1 } }),
+        inventoryTransactionRepo.getLedgerBalances(productId ? [productId] : null)
+      ]);
+
+      const ledger = this.groupBalances(balances, defaultLocation);
+      let stockLines = 0;
+      const mismatches = [];
+
+      products.forEach(product => {
+        const lines = this.compareProduct(product, ledger.get(product._id.toString()) || new Map());
+        stockLines += lines.length;
+        mismatches.push(...lines.filter(line => line.mismatch));
+      });
+
+      const corrected = fix ? await this.correctDrift(mismatches, defaultLocation, actor) : [];
+
+      const report = {
+        checkedAt: new Date(),
+        products: products.length,
+        stockLines,
+        mismatches: mismatches.map(({ mismatch, ...line }) => line),
+        corrected,
+        totals: {
+          mismatches: mismatches.length,
+          quantityDrift: mismatches.reduce((sum, m) => sum + Math.abs(m.drift.quantity), 0),
+          reservedDrift: mismatches.reduce((sum, m) => sum + Math.abs(m.drift.reserved), 0),
+          corrected: corrected.length,
+          unresolved: mismatches.filter(m => !this.isSettledBy(m, corrected)).length
+        }
+      };
+
+      if (mismatches.length === 0) {
+        logger.success(`Ledger matches stock for ${products.length} product(s)`);
+      } else {
+        logger.warn(`${mismatches.length} stock line(s) differ from the ledger`);
+      }
+
+      return report;
+
+    } catch (error) {
+      logger.error('Error reconciling inventory:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Ledger balances by product ID, then by variantSku|location. Entries
+   * written before locations existed count at the default location.
+   */
+  groupBalances(balances, defaultLocation) {
+    const byProduct = new Map();
+
+    balances.forEach(balance => {
+      const productKey = balance.productId.toString();
+      if (!byProduct.has(productKey)) byProduct.set(productKey, new Map());
+
+      const lines = byProduct.get(productKey);
+      const key = lineKey(balance.variantSku, balance.location || defaultLocation);
+      const existing = lines.get(key) || { quantity: 0, reserved: 0, transactions: 0, lastAt: null };
+
+      lines.set(key, {
+        quantity: existing.quantity + balance.quantity,
+        reserved: existing.reserved + balance.reserved,
+        transactions: existing.transactions + balance.transactions,
+        lastAt: existing.lastAt && existing.lastAt > balance.lastAt ? existing.lastAt : balance.lastAt
+      });
+    });
+
+    return byProduct;
+  }
+
+  /**
+   * One line per variant (or the product) and location that has stock on
+   * record or in the ledger
+   */
+  compareProduct(product, ledgerLines) {
+    const variants = product.variants || [];
+    const stocks = variants.length > 0
+      ? variants.map(variant => ({ variantSku: variant.sku, stock: variant }))
+      : [{ variantSku: null, stock: product.inventory }];
+
+    const lines = [];
+
+    stocks.forEach(({ variantSku, stock }) => {
+      const recordedLocations = Object.keys(stock?.locations || {});
+      const ledgerLocations = [...ledgerLines.keys()]
+        .filter(key => key.startsWith(`${variantSku || ''}|`))
+        .map(key => key.slice(key.indexOf('|') + 1));
+
+      [...new Set([...recordedLocations, ...ledgerLocations])].sort().forEach(location => {
+        const entry = stock?.locations?.[location] || {};
+        const recorded = {
+          quantity: entry.quantity || 0,
+          reserved: entry.reserved || 0,
+          available: entry.available || 0
+        };
+
+        const balance = ledgerLines.get(lineKey(variantSku, location)) || { quantity: 0, reserved: 0, transactions: 0 };
+        const expected = {
+          quantity: balance.quantity,
+          reserved: balance.reserved,
+          available: balance.quantity - balance.reserved
+        };
+
+        const drift = {
+          quantity: recorded.quantity - expected.quantity,
+          reserved: recorded.reserved - expected.reserved,
+          available: recorded.available - expected.available
+        };
+
+        lines.push({
+          productId: product._id,
+          sku: variantSku || product.sku,
+          variantSku,
+          name: product.name,
+          location,
+          recorded,
+          ledger: expected,
+          drift,
+          transactions: balance.transactions,
+          lastTransactionAt: balance.lastAt || null,
+          mismatch: drift.quantity !== 0 || drift.reserved !== 0 || drift.available !== 0
+        });
+      });
+    });
+
+    return lines;
+  }
+
+  /**
+   * A quantity-only drift is settled once its adjustment is written; reserved
+   * drift, or available out of step with quantity - reserved, never is
+   */
+  isSettledBy(mismatch, corrected) {
+    const quantityOnly = mismatch.drift.reserved === 0 && mismatch.drift.available === mismatch.drift.quantity;
+    return quantityOnly && corrected.some(c =>
+      c.productId.equals(mismatch.productId) && c.sku === mismatch.sku && c.location === mismatch.location);
+  }
+
+  /**
+   * Write an ADJUSTMENT for each quantity drift. Each product and its ledger
+   * are read again first, so stock that moved since the report was built is
+   * not booked as drift.
+   */
+  async correctDrift(mismatches, defaultLocation, actor) {
+    const corrected = [];
+    const productIds = [...new Set(mismatches
+      .filter(m => m.drift.quantity !== 0)
+      .map(m => m.productId.toString()))];
+
+    for (const productId of productIds) {
+      const [product, balances] = await Promise.all([
+        productRepository.findById(productId, { projection: PRODUCT_PROJECTION }),
+        inventoryTransactionRepo.getLedgerBalances([productId])
+      ]);
+      if (!product) continue;
+
+      const ledger = this.groupBalances(balances, defaultLocation).get(productId) || new Map();
+      const lines = this.compareProduct(product, ledger).filter(line => line.drift.quantity !== 0);
+
+      for (const line of lines) {
+        await inventoryTransactionRepo.logTransaction({
+          productId: product._id,
+          variantSku: line.variantSku,
+          location: line.location,
+          type: TRANSACTION_TYPES.ADJUSTMENT,
+          reason: ADJUSTMENT_REASONS.RECONCILIATION,
+          quantity: line.drift.quantity,
+          quantityBefore: line.ledger.quantity,
+          quantityAfter: line.recorded.quantity,
+          notes: `Ledger reconciliation: ledger ${line.ledger.quantity}, on record ${line.recorded.quantity}`
+        }, { actor });
+
+        corrected.push({
+          productId: product._id,
+          sku: line.sku,
+          location: line.location,
+          quantity: line.drift.quantity
+        });
+      }
+    }
+
+    if (corrected.length > 0) {
+      logger.success(`Wrote ${corrected.length} reconciliation adjustment(s)`);
+    }
+
+    return corrected;
+  }
+}
+
+function lineKey(variantSku, location) {
+  return `${variantSku || ''}|${location}`;
+}
+
+module.exports = new ReconciliationService();
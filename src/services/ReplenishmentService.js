@@ -0,0 +1,207 @@
+const productRepository = require('../repositories/ProductRepository');
+const inventoryTransactionRepo = require('../repositories/InventoryTransactionRepository');
+const purchaseOrderRepository = require('../repositories/PurchaseOrderRepository');
+const supplierService = require('./SupplierService');
+const purchaseOrderService = require('./PurchaseOrderService');
+const { REPLENISHMENT } = require('../config/constants');
+const logger = require('../utils/logger');
+const { ValidationError, BusinessLogicError } = require('../utils/errorHandler');
+const { authorize } = require('../utils/authorization');
+const { PERMISSIONS } = require('../config/permissions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const REASONS = {
+  BELOW_REORDER_POINT: 'Below reorder point',
+  RUNS_OUT_IN_LEAD_TIME: 'Runs out within lead time'
+};
+
+class ReplenishmentService {
+  /**
+   * Reorder suggestions for every stocked product, or every variant of
+   * products tracked per variant.
+   *
+   * Sales velocity is net units sold per day over the last `days`. A line is
+   * suggested when stock available plus on order is at or below the reorder
+   * point, or would not last the lead time at that velocity. The suggested
+   * quantity brings stock to the reorder point plus the expected demand over
+   * the lead time and `coverDays`, and is never less than the product's
+   * reorderQuantity.
+   *
+   * Options: days, coverDays, leadTimeDays, supplier (code; its lead time is
+   * used when leadTimeDays is not given)
+   */
+  async getReorderSuggestions(options = {}) {
+    try {
+      const settings = await this.resolveSettings(options);
+      const since = new Date(Date.now() - settings.days * DAY_MS);
+
+      const [products, sales, open] = await Promise.all([
+        productRepository.getReplenishmentCandidates(),
+        inventoryTransactionRepo.getUnitsSold(since),
+        purchaseOrderRepository.getOpenQuantities()
+      ]);
+
+      const key = (productId, variantSku) => `${productId.toString()}:${variantSku || ''}`;
+      const soldByKey = new Map(sales.map(s => [key(s.productId, s.variantSku), s.unitsSold]));
+      const onOrderByKey = new Map(open.map(o => [key(o.productId, o.variantSku), o.quantity]));
+
+      const suggestions = [];
+
+      products.forEach(product => {
+        const lines = product.variants?.length > 0
+          ? product.variants.map(variant => ({ variant, stock: variant }))
+          : [{ variant: null, stock: product.inventory }];
+
+        lines.forEach(({ variant, stock }) => {
+          const lineKey = key(product._id, variant?.sku);
+          const suggestion = this.buildSuggestion(product, variant, {
+            available: stock.available ?? stock.quantity ?? 0,
+            onOrder: onOrderByKey.get(lineKey) || 0,
+            unitsSold: soldByKey.get(lineKey) || 0
+          }, settings);
+
+          if (suggestion) suggestions.push(suggestion);
+        });
+      });
+
+      // Soonest to run out first; lines that are not selling go last
+      suggestions.sort((a, b) => (a.daysOfCover ?? Infinity) - (b.daysOfCover ?? Infinity) ||
+        a.sku.localeCompare(b.sku));
+
+      return {
+        ...settings,
+        generatedAt: new Date(),
+        suggestions,
+        totals: {
+          lines: suggestions.length,
+          quantity: suggestions.reduce((sum, s) => sum + s.suggestedQuantity, 0),
+          estimatedCost: round(suggestions.reduce((sum, s) => sum + (s.estimatedCost || 0), 0), 2)
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting reorder suggestions:', error);
+      throw error;
+    }
+  }
+
+  async resolveSettings(options = {}) {
+    const days = options.days ?? REPLENISHMENT.SALES_WINDOW_DAYS;
+    const coverDays = options.coverDays ?? REPLENISHMENT.COVER_DAYS;
+
+    if (!Number.isInteger(days) || days < 1) {
+      throw new ValidationError('days must be a positive whole number');
+    }
+    if (!Number.isInteger(coverDays) || coverDays < 0) {
+      throw new ValidationError('coverDays must be a whole number of days');
+    }
+
+    const supplier = options.supplier ? await supplierService.getSupplier(options.supplier) : null;
+    const leadTimeDays = options.leadTimeDays ?? supplier?.leadTimeDays ?? REPLENISHMENT.LEAD_TIME_DAYS;
+
+    if (!Number.isInteger(leadTimeDays) || leadTimeDays < 0) {
+      throw new ValidationError('leadTimeDays must be a whole number of days');
+    }
+
+    return { days, coverDays, leadTimeDays, supplier: supplier?.code || null };
+  }
+
+  /**
+   * One suggestion line, or null when the stock needs no reorder
+   */
+  buildSuggestion(product, variant, { available, onOrder, unitsSold }, settings) {
+    const reorderPoint = product.inventory?.reorderPoint ?? 0;
+    const reorderQuantity = product.inventory?.reorderQuantity ?? 1;
+
+    const dailyVelocity = unitsSold / settings.days;
+    const daysOfCover = dailyVelocity > 0 ? available / dailyVelocity : null;
+    const position = available + onOrder;
+
+    let reason = null;
+    if (position <= reorderPoint) {
+      reason = REASONS.BELOW_REORDER_POINT;
+    } else if (dailyVelocity > 0 && position / dailyVelocity < settings.leadTimeDays) {
+      reason = REASONS.RUNS_OUT_IN_LEAD_TIME;
+    }
+
+    if (!reason) return null;
+
+    const expectedDemand = Math.ceil(dailyVelocity * (settings.leadTimeDays + settings.coverDays));
+    const target = reorderPoint + expectedDemand;
+    const suggestedQuantity = Math.max(target - position, reorderQuantity);
+    const unitCost = product.cost ?? null;
+
+    return {
+      productId: product._id,
+      sku: variant ? variant.sku : product.sku,
+      productSku: product.sku,
+      variantSku: variant ? variant.sku : null,
+      name: variant ? `${product.name} (${variant.name})` : product.name,
+      available,
+      onOrder,
+      reorderPoint,
+      reorderQuantity,
+      unitsSold,
+      dailyVelocity: round(dailyVelocity, 2),
+      daysOfCover: daysOfCover === null ? null : round(daysOfCover, 1),
+      suggestedQuantity,
+      unitCost,
+      estimatedCost: unitCost === null ? null : round(unitCost * suggestedQuantity, 2),
+      reason
+    };
+  }
+
+  /**
+   * Turn suggestions into a draft purchase order with the given supplier.
+   * `skus` limits the order to those lines; the PO can be reviewed and
+   * edited before it is sent.
+   */
+  async createPurchaseOrderFromSuggestions(options = {}, actor) {
+    const { supplier, location = null, skus = null, notes = '' } = options;
+
+    try {
+      authorize(actor, PERMISSIONS.PURCHASE_ORDER_MANAGE);
+
+      if (!supplier) {
+        throw new ValidationError('A supplier is required to create a purchase order');
+      }
+
+      const report = await this.getReorderSuggestions(options);
+      const wanted = skus ? new Set(skus.map(sku => sku.toUpperCase())) : null;
+      const lines = report.suggestions.filter(s => !wanted || wanted.has(s.sku));
+
+      if (wanted) {
+        const missing = [...wanted].filter(sku => !lines.some(s => s.sku === sku));
+        if (missing.length > 0) {
+          throw new BusinessLogicError(`No reorder suggested for: ${missing.join(', ')}`);
+        }
+      }
+
+      if (lines.length === 0) {
+        throw new BusinessLogicError('Nothing needs reordering');
+      }
+
+      return await purchaseOrderService.createPurchaseOrder({
+        supplier,
+        location: location || undefined,
+        items: lines.map(line => ({
+          productId: line.productId.toString(),
+          ...(line.variantSku ? { variantSku: line.variantSku } : {}),
+          quantity: line.suggestedQuantity
+        })),
+        notes: notes || `Reorder suggestions (${report.days}-day sales, ${report.leadTimeDays}-day lead time)`
+      }, actor);
+
+    } catch (error) {
+      logger.error('Error creating purchase order from suggestions:', error);
+      throw error;
+    }
+  }
+}
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = new ReplenishmentService();
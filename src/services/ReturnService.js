@@ -0,0 +1,500 @@
+/**
+ * Returns (RMAs)
+ *
+ * A return names delivered order lines and the quantities coming back.
+ * Once approved and received, each line is restocked (a RETURN transaction
+ * into sellable stock) or written off (RETURN, then DAMAGED, so the ledger
+ * shows the goods arriving and leaving). Shipped units left quantity and
+ * reserved when they shipped, so a restock only adds them back on hand.
+ * The refund is the returned share of what each line was charged, its tax
+ * included; shipping is only refunded when the whole order ends up
+ * returned and the order moves to REFUNDED.
+ *
+ * The order shows PARTIALLY_RETURNED from the first receipt, and each
+ * line's quantityReturned counts what has come back.
+ */
+
+const returnRepository = require('../repositories/ReturnRepository');
+const orderRepository = require('../repositories/OrderRepository');
+const productRepository = require('../repositories/ProductRepository');
+const orderService = require('./OrderService');
+const productService = require('./ProductService');
+const paymentService = require('./PaymentService');
+const locationService = require('./LocationService');
+const sequenceService = require('./SequenceService');
+const { ReturnRequestSchema, ReturnReceiptLineSchema } = require('../models/Return');
+const {
+  ORDER_STATUS,
+  RETURN_STATUS,
+  RETURN_DISPOSITIONS,
+  TRANSACTION_TYPES
+} = require('../config/constants');
+const logger = require('../utils/logger');
+const { roundMoney } = require('../utils/money');
+const { ValidationError, NotFoundError, BusinessLogicError } = require('../utils/errorHandler');
+const dbManager = require('../config/database');
+const { authorize, authorizeOwnership, hasPermission } = require('../utils/authorization');
+const { PERMISSIONS } = require('../config/permissions');
+const { toAuditEntry } = require('../utils/actor');
+
+const { REQUESTED, APPROVED, REJECTED, RECEIVED, REFUNDED } = RETURN_STATUS;
+
+// Orders goods can be returned from
+const RETURNABLE_ORDER_STATUSES = [ORDER_STATUS.DELIVERED, ORDER_STATUS.PARTIALLY_RETURNED];
+
+class ReturnService {
+  /**
+   * returnData: { items: [{ sku, quantity, reason }], reason, notes }, where
+   * sku is the ordered product or variant SKU
+   */
+  async requestReturn(orderId, returnData, actor) {
+    try {
+      const { error, value } = ReturnRequestSchema.validate(returnData, {
+        abortEarly: false,
+        stripUnknown: true
+      });
+
+      if (error) {
+        const errors = error.details.map(d => d.message).join(', ');
+        throw new ValidationError(`Validation failed: ${errors}`);
+      }
+
+      const order = await orderRepository.findById(orderId);
+      if (!order) {
+        throw new NotFoundError('Order', orderId);
+      }
+
+      authorizeOwnership(actor, order.userId, PERMISSIONS.RETURN_REQUEST_OWN, PERMISSIONS.RETURN_REQUEST_ANY);
+
+      if (!RETURNABLE_ORDER_STATUSES.includes(order.status)) {
+        throw new BusinessLogicError(`Order ${order.orderNumber} is ${order.status}; only delivered orders can be returned`);
+      }
+
+      const pending = await this.pendingQuantities(order._id);
+
+      const items = value.items.map(line => {
+        const item = order.items.find(i => lineSku(i) === line.sku);
+        if (!item) {
+          throw new ValidationError(`${line.sku} is not on order ${order.orderNumber}`);
+        }
+
+        const returnable = item.quantity - (item.quantityReturned || 0) - (pending.get(line.sku) || 0);
+        if (line.quantity > returnable) {
+          throw new BusinessLogicError(
+            `Cannot return ${line.quantity} of ${line.sku}; ${returnable} of ${item.quantity} can still be returned`
+          );
+        }
+
+        // Orders taxed before per-line tax was kept refund the subtotal only
+        const charged = item.tax ? item.tax.taxable + item.tax.amount : item.subtotal;
+
+        return {
+          productId: item.productId,
+          sku: item.sku,
+          variantSku: item.variant?.sku || null,
+          name: item.variant ? `${item.name} (${item.variant.name})` : item.name,
+          quantity: line.quantity,
+          unitRefund: roundMoney(charged / item.quantity),
+          refundAmount: roundMoney(charged * line.quantity / item.quantity),
+          taxRefund: roundMoney((item.tax?.amount || 0) * line.quantity / item.quantity),
+          location: item.location || null,
+          reason: line.reason,
+          disposition: null,
+          writeOffReason: null,
+          receivedLocation: null
+        };
+      });
+
+      const rma = await returnRepository.create({
+        rmaNumber: await sequenceService.nextNumber('RMA', {
+          existing: { repository: returnRepository, field: 'rmaNumber' }
+        }),
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        userId: order.userId,
+        status: REQUESTED,
+        reason: value.reason,
+        notes: value.notes,
+        items,
+        refundAmount: roundMoney(items.reduce((sum, item) => sum + item.refundAmount, 0)),
+        taxRefund: roundMoney(items.reduce((sum, item) => sum + item.taxRefund, 0)),
+        refund: null,
+        statusHistory: [{
+          status: REQUESTED,
+          timestamp: new Date(),
+          note: value.reason || 'Return requested',
+          updatedBy: toAuditEntry(actor)
+        }],
+        receivedAt: null,
+        refundedAt: null
+      });
+
+      logger.success(`Return ${rma.rmaNumber} requested for ${order.orderNumber}`);
+      return rma;
+
+    } catch (error) {
+      logger.error('Error requesting return:', error);
+      throw error;
+    }
+  }
+
+  async approveReturn(rmaNumber, note = '', actor) {
+    try {
+      authorize(actor, PERMISSIONS.RETURN_MANAGE);
+
+      const rma = await this.getReturn(rmaNumber);
+      const updated = await this.changeStatus(rma, APPROVED, note || 'Return approved', actor);
+
+      logger.success(`Return ${rma.rmaNumber} approved`);
+      return updated;
+
+    } catch (error) {
+      logger.error('Error approving return:', error);
+      throw error;
+    }
+  }
+
+  async rejectReturn(rmaNumber, reason = '', actor) {
+    try {
+      authorize(actor, PERMISSIONS.RETURN_MANAGE);
+
+      const rma = await this.getReturn(rmaNumber);
+      const updated = await this.changeStatus(rma, REJECTED, reason || 'Return rejected', actor);
+
+      logger.success(`Return ${rma.rmaNumber} rejected`);
+      return updated;
+
+    } catch (error) {
+      logger.error('Error rejecting return:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Receive the goods on an approved return. `lines` are
+   * [{ sku, disposition, writeOffReason }]; lines not listed are restocked.
+   * Stock goes back to options.location, or else where each line shipped
+   * from.
+   */
+  async receiveReturn(rmaNumber, lines = [], options = {}, actor) {
+    const { notes = '' } = options;
+
+    try {
+      authorize(actor, PERMISSIONS.RETURN_MANAGE);
+      authorize(actor, PERMISSIONS.INVENTORY_ADJUST);
+
+      const rma = await this.getReturn(rmaNumber);
+      if (rma.status !== APPROVED) {
+        throw new BusinessLogicError(`${rma.rmaNumber} is ${rma.status}; only approved returns can be received`);
+      }
+
+      const dispositions = this.validateReceiptLines(rma, lines);
+      const overrideLocation = options.location ? await locationService.resolveLocation(options.location) : null;
+      const defaultLocation = (await locationService.getDefaultLocation()).code;
+
+      const order = await orderRepository.findById(rma.orderId);
+      if (!order) {
+        throw new NotFoundError('Order', rma.orderId.toString());
+      }
+
+      const updatedReturn = await dbManager.withTransaction(async (session) => {
+        const items = [];
+
+        for (const item of rma.items) {
+          const { disposition, writeOffReason } = dispositions.get(lineSku(item)) ||
+            { disposition: RETURN_DISPOSITIONS.RESTOCK, writeOffReason: null };
+          const location = overrideLocation?.code || item.location || defaultLocation;
+
+          const product = await productRepository.findById(item.productId, { session });
+          if (!product) {
+            throw new NotFoundError('Product', item.productId.toString());
+          }
+          const variant = productService.resolveVariant(product, item.variantSku);
+
+          await productService.applyStockChange(product, variant, location, item.quantity, {
+            type: TRANSACTION_TYPES.RETURN,
+            notes: notes || `Returned on ${rma.rmaNumber}`,
+            returnId: rma._id,
+            session
+          }, actor);
+
+          if (disposition === RETURN_DISPOSITIONS.WRITE_OFF) {
+            await productService.applyStockChange(product, variant, location, -item.quantity, {
+              type: TRANSACTION_TYPES.DAMAGED,
+              loggedQuantity: item.quantity,
+              reason: writeOffReason,
+              notes: `Written off on receipt of ${rma.rmaNumber}`,
+              returnId: rma._id,
+              session
+            }, actor);
+          }
+
+          items.push({
+            ...item,
+            disposition,
+            writeOffReason: disposition === RETURN_DISPOSITIONS.WRITE_OFF ? writeOffReason : null,
+            receivedLocation: location
+          });
+        }
+
+        await orderRepository.addReturnedQuantities(order._id, rma.items.map(item => ({
+          index: order.items.findIndex(i => lineSku(i) === lineSku(item)),
+          quantity: item.quantity
+        })), { session });
+
+        const received = await returnRepository.updateStatus(
+          rma._id,
+          APPROVED,
+          RECEIVED,
+          notes || 'Goods received',
+          actor,
+          { items, receivedAt: new Date() },
+          { session }
+        );
+
+        if (!received) {
+          throw new BusinessLogicError(`${rma.rmaNumber} was updated by someone else; try again`);
+        }
+
+        return received;
+      });
+
+      if (order.status === ORDER_STATUS.DELIVERED) {
+        await orderService.transitionOrder(
+          order,
+          ORDER_STATUS.PARTIALLY_RETURNED,
+          `Goods received on ${rma.rmaNumber}`,
+          actor
+        );
+      }
+
+      const restocked = updatedReturn.items.filter(i => i.disposition === RETURN_DISPOSITIONS.RESTOCK);
+      logger.success(
+        `Received ${updatedReturn.rmaNumber}: ${restocked.length} line(s) restocked, ` +
+        `${updatedReturn.items.length - restocked.length} written off`
+      );
+      return updatedReturn;
+
+    } catch (error) {
+      logger.error('Error receiving return:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Refund a received return's refundAmount through the order's payment.
+   * options.external records a refund made outside the payment provider
+   * (cash, store credit) against the payment without contacting it. Once
+   * every line of the order has come back and been refunded, the order
+   * moves to REFUNDED, which refunds whatever is left of the payment.
+   */
+  async refundReturn(rmaNumber, options = {}, actor) {
+    const { external = false } = options;
+
+    try {
+      authorize(actor, PERMISSIONS.RETURN_MANAGE);
+
+      const rma = await this.getReturn(rmaNumber);
+      if (rma.status !== RECEIVED) {
+        throw new BusinessLogicError(`${rma.rmaNumber} is ${rma.status}; only received returns can be refunded`);
+      }
+
+      // The return is claimed before the payment is touched, so two refunds
+      // of it cannot both reach the provider; a failed refund puts it back
+      const refundedAt = new Date();
+      const updatedReturn = await returnRepository.updateStatus(
+        rma._id,
+        RECEIVED,
+        REFUNDED,
+        `Refunded $${rma.refundAmount.toFixed(2)}${external ? ' outside the payment provider' : ''}`,
+        actor,
+        {
+          refund: { amount: rma.refundAmount, external, refundedAt, refundedBy: toAuditEntry(actor) },
+          refundedAt
+        }
+      );
+
+      if (!updatedReturn) {
+        throw new BusinessLogicError(`${rma.rmaNumber} was updated by someone else; try again`);
+      }
+
+      if (rma.refundAmount > 0) {
+        try {
+          await this.refundThroughPayment(rma, external, actor);
+        } catch (error) {
+          await returnRepository.updateStatus(
+            rma._id,
+            REFUNDED,
+            RECEIVED,
+            `Refund failed: ${error.message}`,
+            actor,
+            { refund: null, refundedAt: null }
+          ).catch(revertError => logger.error(`Error restoring ${rma.rmaNumber} to ${RECEIVED}:`, revertError));
+          throw error;
+        }
+      }
+
+      logger.success(`Refunded $${rma.refundAmount.toFixed(2)} on ${rma.rmaNumber}`);
+
+      await this.completeOrderIfReturned(rma.orderId, actor);
+      return updatedReturn;
+
+    } catch (error) {
+      logger.error('Error refunding return:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Refund the return on the order's payment. An external refund is only
+   * recorded, and only up to the money captured on the payment; a payment
+   * that was never captured (cash on delivery) has nothing to record it
+   * against.
+   */
+  async refundThroughPayment(rma, external, actor) {
+    const request = { amount: rma.refundAmount, tax: rma.taxRefund, reason: `Return ${rma.rmaNumber}`, external };
+
+    if (external) {
+      const order = await orderRepository.findById(rma.orderId);
+      const refundable = paymentService.refundableAmount(order);
+      if (refundable <= 0) return;
+      if (refundable < rma.refundAmount) {
+        request.amount = refundable;
+        delete request.tax;
+      }
+    }
+
+    await paymentService.refundPayment(rma.orderId.toString(), request, actor);
+  }
+
+  /**
+   * Move the order to REFUNDED once nothing is left to come back. Failing
+   * that (e.g. a cash-on-delivery payment that was never captured) leaves
+   * it PARTIALLY_RETURNED for someone to settle by hand.
+   */
+  async completeOrderIfReturned(orderId, actor) {
+    const [order, returns] = await Promise.all([
+      orderRepository.findById(orderId),
+      returnRepository.findByOrder(orderId)
+    ]);
+
+    const fullyReturned = order.items.every(item => (item.quantityReturned || 0) >= item.quantity);
+    const unsettled = returns.some(r => [REQUESTED, APPROVED, RECEIVED].includes(r.status));
+
+    if (!fullyReturned || unsettled || order.status !== ORDER_STATUS.PARTIALLY_RETURNED) return;
+
+    try {
+      await orderService.transitionOrder(order, ORDER_STATUS.REFUNDED, 'All items returned', actor);
+    } catch (error) {
+      logger.warn(`Order ${order.orderNumber} is fully returned but could not be marked REFUNDED:`, error.message);
+    }
+  }
+
+  validateReceiptLines(rma, lines = []) {
+    const dispositions = new Map();
+
+    lines.forEach(line => {
+      const { error, value } = ReturnReceiptLineSchema.validate(line, { abortEarly: false, stripUnknown: true });
+      if (error) {
+        const errors = error.details.map(d => d.message).join(', ');
+        throw new ValidationError(`Validation failed: ${errors}`);
+      }
+
+      if (!rma.items.some(item => lineSku(item) === value.sku)) {
+        throw new ValidationError(`${value.sku} is not on ${rma.rmaNumber}`);
+      }
+      if (dispositions.has(value.sku)) {
+        throw new ValidationError(`${value.sku} is listed more than once`);
+      }
+
+      dispositions.set(value.sku, value);
+    });
+
+    return dispositions;
+  }
+
+  /**
+   * Units per SKU on the order's returns that are not yet received
+   */
+  async pendingQuantities(orderId) {
+    const returns = await returnRepository.findByOrder(orderId);
+    const pending = new Map();
+
+    returns
+      .filter(r => [REQUESTED, APPROVED].includes(r.status))
+      .forEach(r => r.items.forEach(item => {
+        pending.set(lineSku(item), (pending.get(lineSku(item)) || 0) + item.quantity);
+      }));
+
+    return pending;
+  }
+
+  async changeStatus(rma, newStatus, note, actor) {
+    this.validateStatusTransition(rma.status, newStatus);
+
+    const updated = await returnRepository.updateStatus(rma._id, rma.status, newStatus, note, actor);
+    if (!updated) {
+      throw new BusinessLogicError(`${rma.rmaNumber} was updated by someone else; try again`);
+    }
+    return updated;
+  }
+
+  validateStatusTransition(currentStatus, newStatus) {
+    const allowedTransitions = {
+      [REQUESTED]: [APPROVED, REJECTED],
+      [APPROVED]: [RECEIVED, REJECTED],
+      [RECEIVED]: [REFUNDED],
+      [REJECTED]: [],
+      [REFUNDED]: []
+    };
+
+    if (!allowedTransitions[currentStatus]?.includes(newStatus)) {
+      throw new BusinessLogicError(`Cannot transition from ${currentStatus} to ${newStatus}`);
+    }
+  }
+
+  async getReturn(rmaNumber, actor = null) {
+    try {
+      const rma = await returnRepository.findByRmaNumber(String(rmaNumber));
+
+      if (!rma) {
+        throw new NotFoundError('Return', rmaNumber);
+      }
+
+      if (actor) {
+        authorizeOwnership(actor, rma.userId, PERMISSIONS.ORDER_VIEW_OWN, PERMISSIONS.ORDER_VIEW_ANY);
+      }
+
+      return rma;
+
+    } catch (error) {
+      logger.error('Error getting return:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Filters: status, orderId, userId, open, page, limit. Customers only see
+   * their own returns.
+   */
+  async searchReturns(filters = {}, actor) {
+    try {
+      if (!hasPermission(actor, PERMISSIONS.ORDER_VIEW_ANY)) {
+        authorize(actor, PERMISSIONS.ORDER_VIEW_OWN);
+        filters = { ...filters, userId: actor.userId };
+      }
+
+      return await returnRepository.searchReturns(filters);
+
+    } catch (error) {
+      logger.error('Error searching returns:', error);
+      throw error;
+    }
+  }
+}
+
+function lineSku(item) {
+  return item.variantSku || item.variant?.sku || item.sku;
+}
+
+module.exports = new ReturnService();
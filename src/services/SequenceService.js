@@ -0,0 +1,100 @@
+/**
+ * Document Numbers
+ *
+ * Order, invoice, credit-note, purchase-order, stock-take and RMA numbers
+ * come from atomic counters (CounterRepository), rendered through the
+ * formats in NUMBER_SEQUENCES. There is one counter per rendering of the
+ * format without its {seq}, e.g. "ORDER:ORD-20261019-{seq}", so numbering
+ * restarts whenever the prefix or the date part changes. Dates are UTC.
+ *
+ * Numbers are drawn outside any transaction: an insert that fails or rolls
+ * back leaves a gap rather than holding the counter until it commits.
+ *
+ * The first time a counter is used it is raised to the highest number
+ * already stored in that shape (options.existing), so moving from the old
+ * count-based numbers, or back to an earlier format, never reissues one.
+ */
+
+const counterRepository = require('../repositories/CounterRepository');
+const { NUMBER_SEQUENCES } = require('../config/constants');
+const logger = require('../utils/logger');
+
+const SEQ_TOKEN = '{seq}';
+
+class SequenceService {
+  /**
+   * Next number of a NUMBER_SEQUENCES type. options: channel (picks a
+   * channel prefix), date (default now), existing: { repository, field }
+   * where numbers of this type are already stored
+   */
+  async nextNumber(type, options = {}) {
+    try {
+      const { channel = null, date = new Date(), existing = null } = options;
+
+      const sequence = NUMBER_SEQUENCES[type];
+      if (!sequence) {
+        throw new Error(`Unknown number sequence: ${type}`);
+      }
+
+      const parts = this.render(sequence, channel, date).split(SEQ_TOKEN);
+      if (parts.length !== 2) {
+        throw new Error(`${type} number format must contain ${SEQ_TOKEN} exactly once`);
+      }
+
+      const [head, tail] = parts;
+      const key = `${type}:${head}${SEQ_TOKEN}${tail}`;
+
+      if (existing && !(await counterRepository.findByKey(key))) {
+        const highest = await this.findHighestIssued(existing, head, tail);
+        if (highest > 0) {
+          await counterRepository.raiseTo(key, highest);
+        }
+      }
+
+      const seq = await counterRepository.increment(key);
+      return `${head}${String(seq).padStart(sequence.padding, '0')}${tail}`;
+
+    } catch (error) {
+      logger.error(`Error generating ${type} number:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * The format with every token but {seq} filled in
+   */
+  render(sequence, channel, date) {
+    const prefix = (channel && sequence.channelPrefixes?.[channel]) || sequence.prefix;
+    const year = String(date.getUTCFullYear());
+    const pad = value => String(value).padStart(2, '0');
+
+    return sequence.format
+      .replace(/\{prefix\}/g, prefix)
+      .replace(/\{YYYY\}/g, year)
+      .replace(/\{YY\}/g, year.slice(-2))
+      .replace(/\{MM\}/g, pad(date.getUTCMonth() + 1))
+      .replace(/\{DD\}/g, pad(date.getUTCDate()));
+  }
+
+  /**
+   * Highest sequence among stored numbers shaped head + digits + tail, or 0
+   */
+  async findHighestIssued({ repository, field }, head, tail) {
+    const pattern = new RegExp(`^${escapeRegExp(head)}(\\d+)${escapeRegExp(tail)}$`);
+    const documents = await repository.findMany(
+      { [field]: { $regex: pattern } },
+      { projection: { [field]: 1 } }
+    );
+
+    return documents.reduce(
+      (highest, document) => Math.max(highest, parseInt(document[field].match(pattern)[1], 10)),
+      0
+    );
+  }
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = new SequenceService();
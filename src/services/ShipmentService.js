@@ -0,0 +1,250 @@
+/**
+ * Order Shipments
+ *
+ * An order can leave the warehouse in several parcels. Each shipment is
+ * kept on the order (order.shipments) with its own lines, carrier and
+ * tracking number, and adds to the quantityShipped of the lines it
+ * carries. Sending it takes its units off the shelf, consuming the
+ * reservation the order made; marking it delivered adds to the lines'
+ * quantityDelivered and counts the units towards each product's sales
+ * stats.
+ *
+ * The order's status follows its lines: PARTIALLY_SHIPPED until every
+ * unit has shipped, then SHIPPED; PARTIALLY_DELIVERED once something has
+ * arrived, then DELIVERED when every unit has.
+ */
+
+const orderRepository = require('../repositories/OrderRepository');
+const productRepository = require('../repositories/ProductRepository');
+const orderService = require('./OrderService');
+const dbManager = require('../config/database');
+const paymentService = require('./PaymentService');
+const { ShipmentSchema } = require('../models/Order');
+const { ORDER_STATUS, SHIPMENT_STATUS } = require('../config/constants');
+const logger = require('../utils/logger');
+const { ValidationError, NotFoundError, BusinessLogicError } = require('../utils/errorHandler');
+const { authorize } = require('../utils/authorization');
+const { PERMISSIONS } = require('../config/permissions');
+const { toAuditEntry } = require('../utils/actor');
+
+// Orders with items still to ship
+const SHIPPABLE_ORDER_STATUSES = [
+  ORDER_STATUS.PROCESSING,
+  ORDER_STATUS.PARTIALLY_SHIPPED,
+  ORDER_STATUS.PARTIALLY_DELIVERED
+];
+
+class ShipmentService {
+  /**
+   * shipmentData: { items: [{ sku, quantity }], carrier, trackingNumber,
+   * method, notes }; without items everything still unshipped goes
+   */
+  async createShipment(orderId, shipmentData, actor) {
+    try {
+      authorize(actor, PERMISSIONS.ORDER_UPDATE_STATUS);
+
+      const { error, value } = ShipmentSchema.validate(shipmentData, {
+        abortEarly: false,
+        stripUnknown: true
+      });
+
+      if (error) {
+        const errors = error.details.map(d => d.message).join(', ');
+        throw new ValidationError(`Validation failed: ${errors}`);
+      }
+
+      const order = await orderRepository.findById(orderId);
+      if (!order) {
+        throw new NotFoundError('Order', orderId);
+      }
+
+      if (!SHIPPABLE_ORDER_STATUSES.includes(order.status)) {
+        throw new BusinessLogicError(
+          `Order ${order.orderNumber} is ${order.status}; only PROCESSING or partially shipped orders can ship`
+        );
+      }
+
+      const plan = this.planShipment(order, value.items);
+
+      const newStatus = fulfilmentStatus(order.items.map((item, index) => ({
+        ...item,
+        quantityShipped: (item.quantityShipped || 0) + (plan.find(p => p.index === index)?.quantity || 0)
+      })));
+
+      // Refuse before anything is recorded, e.g. when the payment is not captured
+      if (newStatus !== order.status) {
+        orderService.validateStatusTransition(order.status, newStatus);
+        await paymentService.prepareTransition(order, newStatus, actor);
+      }
+
+      const shipments = order.shipments || [];
+      const shipment = {
+        shipmentNumber: `${order.orderNumber}-S${shipments.length + 1}`,
+        status: SHIPMENT_STATUS.SHIPPED,
+        items: plan.map(({ item, quantity }) => ({
+          productId: item.productId,
+          sku: item.sku,
+          variantSku: item.variant?.sku || null,
+          name: item.variant ? `${item.name} (${item.variant.name})` : item.name,
+          location: item.location || null,
+          quantity
+        })),
+        carrier: value.carrier,
+        trackingNumber: value.trackingNumber,
+        method: value.method || order.shipping?.method || null,
+        notes: value.notes,
+        shippedAt: new Date(),
+        shippedBy: toAuditEntry(actor),
+        deliveredAt: null
+      };
+
+      let updatedOrder = await dbManager.withTransaction(async (session) => {
+        const shippedOrder = await orderRepository.addShipment(
+          order,
+          shipment,
+          plan.map(({ index, quantity }) => ({ index, quantity })),
+          { session }
+        );
+
+        if (!shippedOrder) {
+          throw new BusinessLogicError(`Order ${order.orderNumber} was updated by someone else; try again`);
+        }
+
+        await orderService.shipStock(order, plan, `Shipment ${shipment.shipmentNumber}`, { session, actor });
+        return shippedOrder;
+      });
+
+      if (newStatus !== order.status) {
+        updatedOrder = await orderService.transitionOrder(
+          updatedOrder,
+          newStatus,
+          `Shipment ${shipment.shipmentNumber} sent${value.carrier ? ` with ${value.carrier}` : ''}`,
+          actor
+        );
+      }
+
+      logger.success(`Shipment ${shipment.shipmentNumber} sent (${updatedOrder.status})`);
+      return updatedOrder;
+
+    } catch (error) {
+      logger.error('Error creating shipment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a shipped parcel delivered and count its lines as sold
+   */
+  async markDelivered(shipmentNumber, actor) {
+    try {
+      authorize(actor, PERMISSIONS.ORDER_UPDATE_STATUS);
+
+      const order = await orderRepository.findByShipmentNumber(String(shipmentNumber));
+      if (!order) {
+        throw new NotFoundError('Shipment', shipmentNumber);
+      }
+
+      const shipmentIndex = order.shipments.findIndex(s => s.shipmentNumber === String(shipmentNumber).toUpperCase());
+      const shipment = order.shipments[shipmentIndex];
+
+      if (shipment.status !== SHIPMENT_STATUS.SHIPPED) {
+        throw new BusinessLogicError(`Shipment ${shipment.shipmentNumber} is already ${shipment.status}`);
+      }
+
+      const delivered = shipment.items.map(line => ({
+        index: order.items.findIndex(item => lineSku(item) === (line.variantSku || line.sku)),
+        quantity: line.quantity
+      }));
+
+      let updatedOrder = await orderRepository.markShipmentDelivered(order._id, shipmentIndex, delivered);
+      if (!updatedOrder) {
+        throw new BusinessLogicError(`Shipment ${shipment.shipmentNumber} was updated by someone else; try again`);
+      }
+
+      for (const { index, quantity } of delivered) {
+        const item = order.items[index];
+
+        try {
+          await productRepository.updateSalesStats(
+            item.productId.toString(),
+            quantity,
+            item.subtotal * quantity / item.quantity
+          );
+        } catch (statsError) {
+          logger.warn(`Sales stats not updated for ${lineSku(item)}:`, statsError.message);
+        }
+      }
+
+      const newStatus = fulfilmentStatus(updatedOrder.items);
+      if (newStatus !== updatedOrder.status) {
+        updatedOrder = await orderService.transitionOrder(
+          updatedOrder,
+          newStatus,
+          `Shipment ${shipment.shipmentNumber} delivered`,
+          actor
+        );
+      }
+
+      logger.success(`Shipment ${shipment.shipmentNumber} delivered (${updatedOrder.status})`);
+      return updatedOrder;
+
+    } catch (error) {
+      logger.error('Error marking shipment delivered:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Match shipment lines to order lines and check they fit what is still
+   * unshipped. Returns [{ index, item, quantity }].
+   */
+  planShipment(order, requestedLines = null) {
+    const unshipped = item => item.quantity - (item.quantityShipped || 0);
+
+    if (!requestedLines) {
+      const plan = order.items
+        .map((item, index) => ({ index, item, quantity: unshipped(item) }))
+        .filter(line => line.quantity > 0);
+
+      if (plan.length === 0) {
+        throw new BusinessLogicError(`Every item on order ${order.orderNumber} has already shipped`);
+      }
+      return plan;
+    }
+
+    return requestedLines.map(line => {
+      const index = order.items.findIndex(item => lineSku(item) === line.sku);
+      if (index < 0) {
+        throw new ValidationError(`${line.sku} is not on order ${order.orderNumber}`);
+      }
+
+      const item = order.items[index];
+      if (line.quantity > unshipped(item)) {
+        throw new BusinessLogicError(
+          `Cannot ship ${line.quantity} of ${line.sku}; ${unshipped(item)} of ${item.quantity} still to ship`
+        );
+      }
+
+      return { index, item, quantity: line.quantity };
+    });
+  }
+}
+
+/**
+ * The order status its lines' shipped and delivered quantities call for
+ */
+function fulfilmentStatus(items) {
+  const total = field => items.reduce((sum, item) => sum + (item[field] || 0), 0);
+  const ordered = total('quantity');
+  const delivered = total('quantityDelivered');
+
+  if (delivered >= ordered) return ORDER_STATUS.DELIVERED;
+  if (delivered > 0) return ORDER_STATUS.PARTIALLY_DELIVERED;
+  return total('quantityShipped') >= ordered ? ORDER_STATUS.SHIPPED : ORDER_STATUS.PARTIALLY_SHIPPED;
+}
+
+function lineSku(item) {
+  return item.variant?.sku || item.sku;
+}
+
+module.exports = new ShipmentService();
@@ -0,0 +1,472 @@
+const stockTakeRepository = require('../repositories/StockTakeRepository');
+const productRepository = require('../repositories/ProductRepository');
+const categoryRepository = require('../repositories/CategoryRepository');
+const productService = require('./ProductService');
+const locationService = require('./LocationService');
+const sequenceService = require('./SequenceService');
+const { StockTakeValidationSchema, StockCountSchema } = require('../models/StockTake');
+const {
+  STOCK_TAKE_STATUS,
+  STOCK_TAKE,
+  TRANSACTION_TYPES,
+  ADJUSTMENT_REASONS
+} = require('../config/constants');
+const logger = require('../utils/logger');
+const { ValidationError, NotFoundError, BusinessLogicError } = require('../utils/errorHandler');
+const dbManager = require('../config/database');
+const { authorize } = require('../utils/authorization');
+const { PERMISSIONS } = require('../config/permissions');
+const { toAuditEntry } = require('../utils/actor');
+
+const { OPEN, POSTED, CANCELLED } = STOCK_TAKE_STATUS;
+
+class StockTakeService {
+  /**
+   * Open a stock-take for one location (default: the default location),
+   * optionally limited to a category and its subcategories. Every product in
+   * scope gets a line per variant (or one line without variants) holding the
+   * quantity on record, and is flagged as being counted until the stock-take
+   * is posted or cancelled.
+   */
+  async openStockTake(stockTakeData, actor) {
+    try {
+      authorize(actor, PERMISSIONS.INVENTORY_ADJUST);
+
+      const { error, value } = StockTakeValidationSchema.validate(stockTakeData, {
+        abortEarly: false,
+        stripUnknown: true
+      });
+
+      if (error) {
+        const errors = error.details.map(d => d.message).join(', ');
+        throw new ValidationError(`Validation failed: ${errors}`);
+      }
+
+      const location = await locationService.resolveLocation(value.location);
+
+      let category = null;
+      let categoryIds = null;
+      if (value.categoryId) {
+        category = await categoryRepository.findById(value.categoryId);
+        if (!category) {
+          throw new NotFoundError('Category', value.categoryId);
+        }
+
+        const descendants = await categoryRepository.getDescendants(category._id, { includeInactive: true });
+        categoryIds = [category._id, ...descendants.map(d => d._id)];
+      }
+
+      const products = await productRepository.getStockTakeCandidates(categoryIds);
+      if (products.length === 0) {
+        throw new BusinessLogicError('No active products to count');
+      }
+
+      const busy = products.filter(p => (p.stockTakes || []).some(t => t.location === location.code));
+      if (busy.length > 0) {
+        const takeNumbers = [...new Set(busy.flatMap(p => p.stockTakes.map(t => t.takeNumber)))];
+        throw new BusinessLogicError(
+          `${busy.length} product(s) are already being counted at ${location.code} (${takeNumbers.join(', ')})`
+        );
+      }
+
+      const lines = products.flatMap(product => {
+        const stocks = product.variants?.length > 0
+          ? product.variants.map(variant => ({ variant, stock: variant }))
+          : [{ variant: null, stock: product.inventory }];
+
+        return stocks.map(({ variant, stock }) => ({
+          productId: product._id,
+          sku: product.sku,
+          variantSku: variant ? variant.sku : null,
+          name: variant ? `${product.name} (${variant.name})` : product.name,
+          expectedQuantity: productService.quantityAt(stock, location.code),
+          expectedReserved: productService.reservedAt(stock, location.code),
+          countedQuantity: null,
+          quantityAtCount: null,
+          reservedAtCount: null,
+          countedAt: null,
+          countedBy: null,
+          adjustment: null
+        }));
+      });
+
+      const stockTake = await stockTakeRepository.create({
+        takeNumber: await sequenceService.nextNumber('STOCK_TAKE', {
+          existing: { repository: stockTakeRepository, field: 'takeNumber' }
+        }),
+        status: OPEN,
+        location: location.code,
+        category: category ? { _id: category._id, name: category.name } : null,
+        lines,
+        notes: value.notes,
+        summary: null,
+        openedBy: toAuditEntry(actor),
+        postedBy: null,
+        postedAt: null,
+        cancelledAt: null
+      });
+
+      await productRepository.flagStockTake(products.map(p => p._id), {
+        takeNumber: stockTake.takeNumber,
+        location: location.code,
+        openedAt: stockTake.createdAt
+      });
+
+      logger.success(`Stock-take opened: ${stockTake.takeNumber} (${lines.length} lines at ${location.code})`);
+      return stockTake;
+
+    } catch (error) {
+      logger.error('Error opening stock-take:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Enter counted quantities: [{ sku, counted }] keyed by product or variant
+   * SKU. Counting a line again replaces the earlier count. The quantity on
+   * record at that moment is kept with the count, so sales or receipts after
+   * the count are not mistaken for a variance.
+   */
+  async recordCounts(takeNumber, counts, actor) {
+    try {
+      authorize(actor, PERMISSIONS.INVENTORY_ADJUST);
+
+      if (!Array.isArray(counts) || counts.length === 0) {
+        throw new ValidationError('At least one count is required');
+      }
+
+      const stockTake = await this.getStockTake(takeNumber);
+      if (stockTake.status !== OPEN) {
+        throw new BusinessLogicError(`${stockTake.takeNumber} is ${stockTake.status}; counts can only be entered while it is open`);
+      }
+
+      const entries = this.validateCounts(counts).map(count => {
+        const line = stockTake.lines.find(l => lineSku(l) === count.sku);
+        if (!line) {
+          throw new ValidationError(`${count.sku} is not part of ${stockTake.takeNumber}`);
+        }
+        return { line, counted: count.counted };
+      });
+
+      const products = await this.loadProducts(entries.map(e => e.line.productId));
+
+      const modified = await stockTakeRepository.recordCounts(
+        stockTake._id,
+        entries.map(({ line, counted }) => {
+          const current = this.currentStock(products, line, stockTake.location);
+          return {
+            sku: line.sku,
+            variantSku: line.variantSku,
+            countedQuantity: counted,
+            quantityAtCount: current.quantity,
+            reservedAtCount: current.reserved
+          };
+        }),
+        toAuditEntry(actor)
+      );
+
+      if (modified === 0) {
+        throw new BusinessLogicError(`${stockTake.takeNumber} is no longer open`);
+      }
+
+      logger.success(`Recorded ${entries.length} count(s) on ${stockTake.takeNumber}`);
+      return await this.getStockTake(stockTake.takeNumber);
+
+    } catch (error) {
+      logger.error('Error recording stock-take counts:', error);
+      throw error;
+    }
+  }
+
+  validateCounts(counts) {
+    const seen = new Set();
+
+    return counts.map(count => {
+      const { error, value } = StockCountSchema.validate(count, { abortEarly: false, stripUnknown: true });
+      if (error) {
+        const errors = error.details.map(d => d.message).join(', ');
+        throw new ValidationError(`Validation failed: ${errors}`);
+      }
+
+      if (seen.has(value.sku)) {
+        throw new ValidationError(`${value.sku} is listed more than once`);
+      }
+      seen.add(value.sku);
+
+      return value;
+    });
+  }
+
+  /**
+   * Compare counts with the quantity on record. Per line:
+   *   variance      counted - quantity on record when counted
+   *   movedDuring     change between opening and the count (receipts,
+   *                   shipments, adjustments)
+   *   reservedDuring  change in reserved units over the same period; orders
+   *                   placed or cancelled move only this, not the quantity
+   *   movedSince      change after the count; posting keeps it
+   * Lines where either moved by STOCK_TAKE.MOVEMENT_ALERT units or more before
+   * the count was entered are flagged: the shelf may have changed while it was
+   * being counted, so the line should be checked or recounted before posting.
+   * reservedDuring is null for stock-takes opened before it was recorded.
+   */
+  async getVarianceReport(takeNumber) {
+    try {
+      const stockTake = await this.getStockTake(takeNumber);
+      const products = await this.loadProducts(stockTake.lines.map(l => l.productId));
+
+      const lines = stockTake.lines.map(line => {
+        const stock = this.currentStock(products, line, stockTake.location);
+        const current = stock.quantity;
+        const product = products.get(line.productId.toString());
+        const unitCost = product?.cost ?? null;
+        const counted = line.countedQuantity !== null && line.countedQuantity !== undefined;
+
+        const variance = counted ? line.countedQuantity - line.quantityAtCount : null;
+        const movedDuring = counted ? line.quantityAtCount - line.expectedQuantity : current - line.expectedQuantity;
+        const movedSince = counted ? current - line.quantityAtCount : 0;
+        const reservedDuring = line.expectedReserved === null || line.expectedReserved === undefined
+          ? null
+          : (counted ? line.reservedAtCount ?? stock.reserved : stock.reserved) - line.expectedReserved;
+
+        return {
+          productId: line.productId,
+          sku: lineSku(line),
+          name: line.name,
+          expected: line.expectedQuantity,
+          atCount: counted ? line.quantityAtCount : null,
+          current,
+          counted: counted ? line.countedQuantity : null,
+          variance,
+          varianceValue: variance === null || unitCost === null ? null : round(variance * unitCost),
+          movedDuring,
+          reservedDuring,
+          movedSince,
+          flagged: Math.abs(movedDuring) >= STOCK_TAKE.MOVEMENT_ALERT ||
+            Math.abs(reservedDuring ?? 0) >= STOCK_TAKE.MOVEMENT_ALERT,
+          adjustment: line.adjustment ?? null
+        };
+      });
+
+      const countedLines = lines.filter(l => l.counted !== null);
+
+      return {
+        takeNumber: stockTake.takeNumber,
+        status: stockTake.status,
+        location: stockTake.location,
+        category: stockTake.category,
+        lines,
+        uncounted: lines.filter(l => l.counted === null).map(l => l.sku),
+        flagged: lines.filter(l => l.flagged).map(l => l.sku),
+        totals: {
+          lines: lines.length,
+          counted: countedLines.length,
+          withVariance: countedLines.filter(l => l.variance !== 0).length,
+          unitsOver: countedLines.reduce((sum, l) => sum + Math.max(l.variance, 0), 0),
+          unitsShort: countedLines.reduce((sum, l) => sum + Math.max(-l.variance, 0), 0),
+          value: round(countedLines.reduce((sum, l) => sum + (l.varianceValue || 0), 0))
+        }
+      };
+    } catch (error) {
+      logger.error('Error building stock-take variance report:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Write the variances of counted lines as ADJUSTMENT transactions
+   * (reason COUNT_CORRECTION) and close the stock-take. Uncounted lines are
+   * left alone. Flagged lines stop the posting unless options.force is set.
+   * All adjustments are written in one transaction.
+   */
+  async postStockTake(takeNumber, options = {}, actor) {
+    const { force = false } = options;
+
+    try {
+      authorize(actor, PERMISSIONS.INVENTORY_ADJUST);
+
+      const report = await this.getVarianceReport(takeNumber);
+      if (report.status !== OPEN) {
+        throw new BusinessLogicError(`${report.takeNumber} is ${report.status}; only open stock-takes can be posted`);
+      }
+
+      if (report.totals.counted === 0) {
+        throw new BusinessLogicError(`Nothing has been counted on ${report.takeNumber}`);
+      }
+
+      if (report.flagged.length > 0 && !force) {
+        throw new BusinessLogicError(
+          `Stock moved while these lines were being counted: ${report.flagged.join(', ')}. ` +
+          'Recount them, or post with force'
+        );
+      }
+
+      const adjustments = new Map(report.lines
+        .filter(l => l.variance !== null)
+        .map(l => [l.sku, l.variance]));
+
+      const posted = await dbManager.withTransaction(async (session) => {
+        const current = await stockTakeRepository.findByTakeNumber(report.takeNumber, { session });
+        if (current.status !== OPEN) {
+          throw new BusinessLogicError(`${current.takeNumber} is ${current.status}; only open stock-takes can be posted`);
+        }
+
+        for (const line of current.lines) {
+          const change = adjustments.get(lineSku(line));
+          if (!change) continue;
+
+          const product = await productRepository.findById(line.productId, { session });
+          if (!product) {
+            throw new NotFoundError('Product', line.productId.toString());
+          }
+
+          const variant = line.variantSku ? productService.resolveVariant(product, line.variantSku) : null;
+          const stock = variant || product.inventory;
+          if (change < 0 && productService.availableAt(stock, current.location) < -change) {
+            throw new BusinessLogicError(
+              `${lineSku(line)}: cannot remove ${-change} at ${current.location}; units are reserved for open orders`
+            );
+          }
+
+          await productService.applyStockChange(product, variant, current.location, change, {
+            type: TRANSACTION_TYPES.ADJUSTMENT,
+            reason: ADJUSTMENT_REASONS.COUNT_CORRECTION,
+            notes: `Stock take ${current.takeNumber}`,
+            session
+          }, actor);
+        }
+
+        const lines = current.lines.map(line => ({
+          ...line,
+          adjustment: adjustments.has(lineSku(line)) ? adjustments.get(lineSku(line)) : null
+        }));
+
+        const summary = {
+          linesCounted: report.totals.counted,
+          linesAdjusted: report.totals.withVariance,
+          unitsAdded: report.totals.unitsOver,
+          unitsRemoved: report.totals.unitsShort,
+          valueChange: report.totals.value
+        };
+
+        await productRepository.clearStockTake(current.takeNumber, { session });
+
+        return stockTakeRepository.updateById(current._id, {
+          status: POSTED,
+          lines,
+          summary,
+          postedAt: new Date(),
+          postedBy: toAuditEntry(actor)
+        }, { session });
+      });
+
+      logger.success(
+        `Stock-take ${posted.takeNumber} posted: ${posted.summary.linesAdjusted} line(s) adjusted`
+      );
+      return posted;
+
+    } catch (error) {
+      logger.error('Error posting stock-take:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Abandon an open stock-take without changing any stock
+   */
+  async cancelStockTake(takeNumber, actor) {
+    try {
+      authorize(actor, PERMISSIONS.INVENTORY_ADJUST);
+
+      const stockTake = await this.getStockTake(takeNumber);
+      if (stockTake.status !== OPEN) {
+        throw new BusinessLogicError(`${stockTake.takeNumber} is ${stockTake.status}; only open stock-takes can be cancelled`);
+      }
+
+      const cancelled = await stockTakeRepository.updateById(stockTake._id, {
+        status: CANCELLED,
+        cancelledAt: new Date()
+      });
+
+      await productRepository.clearStockTake(stockTake.takeNumber);
+
+      logger.success(`Stock-take cancelled: ${stockTake.takeNumber}`);
+      return cancelled;
+
+    } catch (error) {
+      logger.error('Error cancelling stock-take:', error);
+      throw error;
+    }
+  }
+
+  async getStockTake(takeNumber) {
+    try {
+      const stockTake = await stockTakeRepository.findByTakeNumber(String(takeNumber));
+
+      if (!stockTake) {
+        throw new NotFoundError('Stock-take', takeNumber);
+      }
+
+      return stockTake;
+    } catch (error) {
+      logger.error('Error getting stock-take:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Filters: status, location, page, limit
+   */
+  async searchStockTakes(filters = {}) {
+    try {
+      return await stockTakeRepository.searchStockTakes(filters);
+    } catch (error) {
+      logger.error('Error searching stock-takes:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Products by ID string, with their current stock
+   */
+  async loadProducts(productIds) {
+    const ids = [...new Set(productIds.map(id => id.toString()))];
+    const products = await productRepository.findMany(
+      { _id: { $in: ids.map(id => productRepository.toObjectId(id)) } },
+      { projection: { sku: 1, name: 1, cost: 1, inventory: 1, variants: 1 } }
+    );
+
+    return new Map(products.map(p => [p._id.toString(), p]));
+  }
+
+  /**
+   * Units on record and units reserved for a stock-take line right now
+   */
+  currentStock(products, line, locationCode) {
+    const product = products.get(line.productId.toString());
+    if (!product) return { quantity: 0, reserved: 0 };
+
+    const stock = line.variantSku
+      ? (product.variants || []).find(v => v.sku === line.variantSku)
+      : product.inventory;
+
+    return {
+      quantity: productService.quantityAt(stock, locationCode),
+      reserved: productService.reservedAt(stock, locationCode)
+    };
+  }
+}
+
+/**
+ * A stock-take line is identified by its variant SKU, or the product SKU for
+ * products without variants
+ */
+function lineSku(line) {
+  return line.variantSku || line.sku;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = new StockTakeService();
@@ -0,0 +1,106 @@
+const supplierRepository = require('../repositories/SupplierRepository');
+const { SupplierValidationSchema, SupplierUpdateSchema } = require('../models/Supplier');
+const logger = require('../utils/logger');
+const { ValidationError, NotFoundError, BusinessLogicError } = require('../utils/errorHandler');
+const { authorize } = require('../utils/authorization');
+const { PERMISSIONS } = require('../config/permissions');
+
+class SupplierService {
+  async createSupplier(supplierData, actor) {
+    try {
+      authorize(actor, PERMISSIONS.SUPPLIER_MANAGE);
+
+      const { error, value } = SupplierValidationSchema.validate(supplierData, {
+        abortEarly: false,
+        stripUnknown: true
+      });
+
+      if (error) {
+        const errors = error.details.map(d => d.message).join(', ');
+        throw new ValidationError(`Validation failed: ${errors}`);
+      }
+
+      const existingSupplier = await supplierRepository.findByCode(value.code);
+      if (existingSupplier) {
+        throw new BusinessLogicError(`Supplier with code '${value.code}' already exists`);
+      }
+
+      const supplier = await supplierRepository.create(value);
+
+      logger.success(`Supplier created: ${supplier.name} (${supplier.code})`);
+      return supplier;
+
+    } catch (error) {
+      logger.error('Error creating supplier:', error);
+      throw error;
+    }
+  }
+
+  async updateSupplier(code, updateData, actor) {
+    try {
+      authorize(actor, PERMISSIONS.SUPPLIER_MANAGE);
+
+      const supplier = await this.getSupplier(code);
+
+      const { error, value } = SupplierUpdateSchema.validate(updateData, {
+        abortEarly: false,
+        stripUnknown: true
+      });
+
+      if (error) {
+        const errors = error.details.map(d => d.message).join(', ');
+        throw new ValidationError(`Validation failed: ${errors}`);
+      }
+
+      const updatedSupplier = await supplierRepository.updateById(supplier._id, value);
+
+      logger.success(`Supplier updated: ${updatedSupplier.name} (${updatedSupplier.code})`);
+      return updatedSupplier;
+
+    } catch (error) {
+      logger.error('Error updating supplier:', error);
+      throw error;
+    }
+  }
+
+  async getSupplier(code) {
+    try {
+      const supplier = await supplierRepository.findByCode(String(code));
+
+      if (!supplier) {
+        throw new NotFoundError('Supplier', code);
+      }
+
+      return supplier;
+    } catch (error) {
+      logger.error('Error getting supplier:', error);
+      throw error;
+    }
+  }
+
+  async getSupplierById(supplierId) {
+    try {
+      const supplier = await supplierRepository.findById(supplierId);
+
+      if (!supplier) {
+        throw new NotFoundError('Supplier', supplierId);
+      }
+
+      return supplier;
+    } catch (error) {
+      logger.error('Error getting supplier:', error);
+      throw error;
+    }
+  }
+
+  async listSuppliers(options = {}) {
+    try {
+      return await supplierRepository.getSuppliers(options);
+    } catch (error) {
+      logger.error('Error listing suppliers:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new SupplierService();
@@ -0,0 +1,174 @@
+/**
+ * Sales Tax
+ *
+ * Rates are kept per jurisdiction (a country, or a state within it) and
+ * product tax class (TAX_CLASSES; products without one are STANDARD). An
+ * order is taxed where it ships: each line takes the rate for its class in
+ * the shipping address's state, failing that the country-wide rate, and
+ * failing that it is not taxed. EXEMPT lines are never taxed.
+ *
+ * An exclusive rate is added on top of the price; an inclusive one is
+ * already in the price and is worked back out of it. Order discounts are
+ * spread over the lines by value before tax. Shipping is not taxed.
+ *
+ * Each order line keeps what it was charged in item.tax: { jurisdiction,
+ * taxClass, inclusive, rate, taxable, amount, components: [{ name, rate,
+ * amount }] }, so refunds and the liability report (AnalyticsService) work
+ * from what was charged rather than today's rates.
+ */
+
+const taxRateRepository = require('../repositories/TaxRateRepository');
+const { TaxRateValidationSchema } = require('../models/TaxRate');
+const { TAX_CLASSES } = require('../config/constants');
+const logger = require('../utils/logger');
+const { roundMoney } = require('../utils/money');
+const { ValidationError } = require('../utils/errorHandler');
+const { authorize } = require('../utils/authorization');
+const { PERMISSIONS } = require('../config/permissions');
+
+class TaxService {
+  /**
+   * Create the rate for a jurisdiction and tax class, or replace it
+   */
+  async setRate(rateData, actor) {
+    try {
+      authorize(actor, PERMISSIONS.TAX_MANAGE);
+
+      const { error, value } = TaxRateValidationSchema.validate(rateData, {
+        abortEarly: false,
+        stripUnknown: true
+      });
+
+      if (error) {
+        const errors = error.details.map(d => d.message).join(', ');
+        throw new ValidationError(`Validation failed: ${errors}`);
+      }
+
+      const rate = await taxRateRepository.upsertRate(value);
+
+      logger.success(
+        `Tax rate saved: ${jurisdictionCode(rate.country, rate.state)} ${rate.taxClass} ` +
+        `${(combinedRate(rate.components) * 100).toFixed(3)}%${rate.inclusive ? ' (inclusive)' : ''}`
+      );
+      return rate;
+
+    } catch (error) {
+      logger.error('Error saving tax rate:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Options: country, includeInactive
+   */
+  async listRates(options = {}, actor) {
+    try {
+      authorize(actor, PERMISSIONS.ANALYTICS_VIEW);
+
+      return await taxRateRepository.getRates(options);
+    } catch (error) {
+      logger.error('Error listing tax rates:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Tax the lines of an order shipping to address. lines: [{ subtotal,
+   * taxClass }], discount: the order-level discount. Returns { jurisdiction,
+   * lines, tax, taxIncluded }: one breakdown per line in the same order,
+   * the total tax, and how much of it the prices already include.
+   */
+  async calculateTax(lines, address, discount = 0) {
+    try {
+      const country = normalize(address?.country);
+      const state = normalize(address?.state) || null;
+      const jurisdiction = jurisdictionCode(country, state);
+
+      const rates = country ? await taxRateRepository.findForJurisdiction(country, state) : [];
+      const rateFor = taxClass => rates.find(r => r.taxClass === taxClass && r.state === state)
+        || rates.find(r => r.taxClass === taxClass && r.state === null)
+        || null;
+
+      const bases = allocateDiscount(lines.map(line => line.subtotal), discount);
+
+      const breakdowns = lines.map((line, index) => {
+        const taxClass = line.taxClass || TAX_CLASSES.STANDARD;
+        const rate = taxClass === TAX_CLASSES.EXEMPT ? null : rateFor(taxClass);
+        return { jurisdiction, taxClass, ...taxLine(bases[index], rate) };
+      });
+
+      const total = filter => roundMoney(breakdowns.filter(filter).reduce((sum, line) => sum + line.amount, 0));
+
+      return {
+        jurisdiction,
+        lines: breakdowns,
+        tax: total(() => true),
+        taxIncluded: total(line => line.inclusive)
+      };
+
+    } catch (error) {
+      logger.error('Error calculating tax:', error);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Tax on one line charging base (after its share of the order discount)
+ */
+function taxLine(base, rate) {
+  const components = rate ? rate.components : [];
+  const inclusive = Boolean(rate?.inclusive);
+  const combined = combinedRate(components);
+
+  const taxable = roundMoney(inclusive ? base / (1 + combined) : base);
+  const amounts = components.map(component => roundMoney(taxable * component.rate));
+
+  // Inclusive components must add up to exactly what the price holds
+  if (inclusive && amounts.length > 0) {
+    const others = amounts.slice(0, -1).reduce((sum, amount) => sum + amount, 0);
+    amounts[amounts.length - 1] = roundMoney(base - taxable - others);
+  }
+
+  return {
+    inclusive,
+    rate: combined,
+    taxable,
+    amount: roundMoney(amounts.reduce((sum, amount) => sum + amount, 0)),
+    components: components.map((component, index) => ({
+      name: component.name,
+      rate: component.rate,
+      amount: amounts[index]
+    }))
+  };
+}
+
+/**
+ * Spread an order discount over line subtotals in proportion to their
+ * value; the largest line absorbs the rounding. Returns what each line
+ * charges after its share.
+ */
+function allocateDiscount(subtotals, discount) {
+  const total = subtotals.reduce((sum, subtotal) => sum + subtotal, 0);
+  if (!discount || total <= 0) return subtotals.map(roundMoney);
+
+  const shares = subtotals.map(subtotal => roundMoney(discount * subtotal / total));
+  const largest = subtotals.indexOf(Math.max(...subtotals));
+  shares[largest] = roundMoney(shares[largest] + discount - shares.reduce((sum, share) => sum + share, 0));
+
+  return subtotals.map((subtotal, index) => roundMoney(subtotal - shares[index]));
+}
+
+function combinedRate(components) {
+  return Math.round(components.reduce((sum, component) => sum + component.rate, 0) * 1e6) / 1e6;
+}
+
+function jurisdictionCode(country, state) {
+  return state ? `${country}-${state}` : country;
+}
+
+function normalize(value) {
+  return String(value || '').trim().toUpperCase();
+}
+
+module.exports = new TaxService();
@@ -1,12 +1,29 @@
+const { escapeRegExp } = require('lodash');
 const userRepository = require('../repositories/UserRepository');
 const productRepository = require('../repositories/ProductRepository');
-const { UserValidationSchema } = require('../models/User');
+const {
+  UserValidationSchema,
+  UserProfileUpdateSchema,
+  UserUpdateSchema,
+  USER_MANAGER_FIELDS
+} = require('../models/User');
 const logger = require('../utils/logger');
-const { ValidationError, NotFoundError, BusinessLogicError } = require('../utils/errorHandler');
+const { hashPassword, verifyPassword, rejectPassword, verifyLegacyPassword } = require('../utils/password');
+const {
+  ValidationError,
+  NotFoundError,
+  BusinessLogicError,
+  AuthenticationError,
+  AuthorizationError
+} = require('../utils/errorHandler');
+const { authorize, authorizeOwnership, hasPermission } = require('../utils/authorization');
+const { PERMISSIONS } = require('../config/permissions');
 
 class UserService {
-  async createUser(userData) {
+  async createUser(userData, actor) {
     try {
+      authorize(actor, PERMISSIONS.USER_MANAGE);
+
       const { error, value } = UserValidationSchema.validate(userData, {
         abortEarly: false,
         stripUnknown: true
@@ -22,7 +39,10 @@ class UserService {
         throw new BusinessLogicError(`User with email '${value.email}' already exists`);
       }
 
-      const user = await userRepository.create(value);
+      const user = await userRepository.create({
+        ...value,
+        password: await hashPassword(value.password)
+      });
 
       logger.success(`User created: ${user.email}`);
       
@@ -69,23 +89,48 @@ class UserService {
     }
   }
 
-  async updateUser(userId, updateData) {
+  /**
+   * Users may change their own profile fields (UserProfileUpdateSchema);
+   * user managers may also change email, role and account status
+   */
+  async updateUser(userId, updateData, actor) {
     try {
+      authorizeOwnership(actor, userId, PERMISSIONS.PROFILE_UPDATE_OWN, PERMISSIONS.USER_MANAGE);
+
+      const isManager = hasPermission(actor, PERMISSIONS.USER_MANAGE);
+      if (!isManager) {
+        const privileged = USER_MANAGER_FIELDS.filter(field => updateData[field] !== undefined);
+        if (privileged.length > 0) {
+          throw new AuthorizationError(`Not allowed to change: ${privileged.join(', ')}`);
+        }
+      }
+
+      const { error, value } = (isManager ? UserUpdateSchema : UserProfileUpdateSchema).validate(updateData, {
+        abortEarly: false
+      });
+
+      if (error) {
+        const errors = error.details.map(d => d.message).join(', ');
+        throw new ValidationError(`Validation failed: ${errors}`);
+      }
+
       const existingUser = await userRepository.findById(userId);
       if (!existingUser) {
         throw new NotFoundError('User', userId);
       }
 
-      if (updateData.email && updateData.email !== existingUser.email) {
-        const emailExists = await userRepository.findByEmail(updateData.email);
+      if (value.email && value.email !== existingUser.email) {
+        const emailExists = await userRepository.findByEmail(value.email);
         if (emailExists) {
-          throw new BusinessLogicError(`Email '${updateData.email}' is already in use`);
+          throw new BusinessLogicError(`Email '${value.email}' is already in use`);
         }
       }
 
-      delete updateData.wishlist;
+      if (value.password !== undefined) {
+        value.password = await hashPassword(value.password);
+      }
 
-      const updatedUser = await userRepository.updateById(userId, updateData);
+      const updatedUser = await userRepository.updateById(userId, value);
 
       logger.success(`User updated: ${updatedUser.email}`);
       
@@ -98,8 +143,52 @@ class UserService {
     }
   }
 
-  async deleteUser(userId) {
+  /**
+   * Verify credentials and return the user (without password).
+   * The same error is raised for unknown email and wrong password.
+   */
+  async authenticate(email, password) {
+    try {
+      if (!email || !password) {
+        throw new AuthenticationError();
+      }
+
+      const user = await userRepository.findByEmail(email);
+      if (!user || user.deletedAt || user.isActive === false) {
+        await rejectPassword(password);
+        throw new AuthenticationError();
+      }
+
+      let valid = await verifyPassword(password, user.password);
+      const updates = { lastLoginAt: new Date() };
+
+      if (!valid && verifyLegacyPassword(password, user.password)) {
+        valid = true;
+        updates.password = await hashPassword(password);
+        logger.info(`Upgraded legacy password hash for ${user.email}`);
+      }
+
+      if (!valid) {
+        throw new AuthenticationError();
+      }
+
+      await userRepository.updateById(user._id, updates);
+
+      logger.success(`User authenticated: ${user.email}`);
+
+      delete user.password;
+      return { ...user, lastLoginAt: updates.lastLoginAt };
+
+    } catch (error) {
+      logger.error('Error authenticating user:', error);
+      throw error;
+    }
+  }
+
+  async deleteUser(userId, actor) {
     try {
+      authorize(actor, PERMISSIONS.USER_MANAGE);
+
       const user = await userRepository.findById(userId);
       if (!user) {
         throw new NotFoundError('User', userId);
@@ -116,8 +205,10 @@ class UserService {
     }
   }
 
-  async addToWishlist(userId, productId, notes = '') {
+  async addToWishlist(userId, productId, notes = '', actor) {
     try {
+      authorizeOwnership(actor, userId, PERMISSIONS.WISHLIST_MANAGE_OWN, PERMISSIONS.WISHLIST_MANAGE_ANY);
+
       const user = await userRepository.findById(userId);
       if (!user) {
         throw new NotFoundError('User', userId);
@@ -139,6 +230,8 @@ class UserService {
       const updatedUser = await userRepository.addToWishlist(userId, productId);
 
       logger.success(`Added ${product.name} to wishlist`);
+
+      delete updatedUser.password;
       return updatedUser;
 
     } catch (error) {
@@ -147,8 +240,10 @@ class UserService {
     }
   }
 
-  async removeFromWishlist(userId, productId) {
+  async removeFromWishlist(userId, productId, actor) {
     try {
+      authorizeOwnership(actor, userId, PERMISSIONS.WISHLIST_MANAGE_OWN, PERMISSIONS.WISHLIST_MANAGE_ANY);
+
       const user = await userRepository.findById(userId);
       if (!user) {
         throw new NotFoundError('User', userId);
@@ -157,6 +252,8 @@ class UserService {
       const updatedUser = await userRepository.removeFromWishlist(userId, productId);
 
       logger.success('Removed from wishlist');
+
+      delete updatedUser.password;
       return updatedUser;
 
     } catch (error) {
@@ -186,8 +283,9 @@ class UserService {
 
       const query = { deletedAt: null };
 
+      // Matched as text anywhere in the address, never as a pattern
       if (email) {
-        query.email = new RegExp(email, 'i');
+        query.email = new RegExp(escapeRegExp(email), 'i');
       }
 
       if (role) {
@@ -222,9 +320,15 @@ class UserService {
     }
   }
 
-  async updateOrderStats(userId, orderAmount) {
+  /**
+   * Internal bookkeeping for OrderService.createOrder, which has already
+   * authorized the caller.
+   * Pass options.session to run inside a transaction; errors are then
+   * rethrown so the surrounding transaction aborts.
+   */
+  async updateOrderStats(userId, orderAmount, options = {}) {
     try {
-      const user = await userRepository.findById(userId);
+      const user = await userRepository.findById(userId, { session: options.session });
       if (!user) return;
 
       const newStats = {
@@ -233,13 +337,32 @@ class UserService {
         'orderStats.lastOrderDate': new Date()
       };
 
-      await userRepository.updateById(userId, newStats);
+      await userRepository.updateById(userId, newStats, { session: options.session });
 
     } catch (error) {
+      if (options.session) throw error;
       logger.warn('Error updating user order stats:', error.message);
     }
   }
 
+  /**
+   * Move a customer's totalSpent by the change in an amended order's total
+   */
+  async adjustTotalSpent(userId, difference, options = {}) {
+    try {
+      const user = await userRepository.findById(userId, { session: options.session });
+      if (!user) return;
+
+      await userRepository.updateById(userId, {
+        'orderStats.totalSpent': (user.orderStats?.totalSpent || 0) + difference
+      }, { session: options.session });
+
+    } catch (error) {
+      if (options.session) throw error;
+      logger.warn('Error adjusting user spend:', error.message);
+    }
+  }
+
   async getUserStats() {
     try {
       const allUsers = await userRepository.findMany({ deletedAt: null });
@@ -0,0 +1,47 @@
+/**
+ * Fake payment provider for local testing
+ *
+ * Approves everything except authorizations whose amount ends in .13
+ * cents, which are declined so the failure path can be tried. Keeps no
+ * state: references are generated, never looked up.
+ */
+
+const crypto = require('crypto');
+const PaymentProvider = require('./PaymentProvider');
+
+const DECLINED_CENTS = 13;
+
+class FakePaymentProvider extends PaymentProvider {
+  constructor() {
+    super('fake');
+  }
+
+  async authorize({ amount }) {
+    if (Math.round(amount * 100) % 100 === DECLINED_CENTS) {
+      return { success: false, reference: null, message: 'Card declined (fake provider)' };
+    }
+    return approved('auth');
+  }
+
+  async capture() {
+    return approved('cap');
+  }
+
+  async refund() {
+    return approved('ref');
+  }
+
+  async void() {
+    return approved('void');
+  }
+}
+
+function approved(prefix) {
+  return {
+    success: true,
+    reference: `fake_${prefix}_${crypto.randomBytes(6).toString('hex')}`,
+    message: 'Approved'
+  };
+}
+
+module.exports = FakePaymentProvider;
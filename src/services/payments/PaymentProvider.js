@@ -0,0 +1,41 @@
+/**
+ * Payment Provider interface
+ *
+ * A provider talks to one payment gateway. PaymentService decides what may
+ * happen to a payment and records the outcome on the order; the provider
+ * only carries out the request and reports back.
+ *
+ * Every operation resolves to { success, reference, message }:
+ *   success   - false when the gateway declined the operation
+ *   reference - the gateway's ID for the authorization (authorize) or for
+ *               the capture/refund/void itself
+ *   message   - the gateway's reason, shown when success is false
+ *
+ * Requests carry { amount, method, orderNumber } and, for everything but
+ * authorize, the authorization reference. A provider that throws is
+ * treated as a failed operation.
+ */
+
+class PaymentProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async authorize(request) {
+    throw new Error(`${this.name} does not implement authorize`);
+  }
+
+  async capture(request) {
+    throw new Error(`${this.name} does not implement capture`);
+  }
+
+  async refund(request) {
+    throw new Error(`${this.name} does not implement refund`);
+  }
+
+  async void(request) {
+    throw new Error(`${this.name} does not implement void`);
+  }
+}
+
+module.exports = PaymentProvider;
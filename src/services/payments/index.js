@@ -0,0 +1,44 @@
+/**
+ * Payment provider registry
+ *
+ * Orders record the provider they were charged through by name, so a
+ * provider must stay registered for as long as it has open payments.
+ * Register gateways at startup:
+ *
+ *   const payments = require('./services/payments');
+ *   payments.registerProvider(new MyGatewayProvider());
+ */
+
+const PaymentProvider = require('./PaymentProvider');
+const FakePaymentProvider = require('./FakePaymentProvider');
+const { ValidationError } = require('../../utils/errorHandler');
+
+const providers = new Map();
+
+function registerProvider(provider) {
+  if (!(provider instanceof PaymentProvider)) {
+    throw new ValidationError('Payment providers must extend PaymentProvider');
+  }
+  providers.set(provider.name, provider);
+}
+
+function getProvider(name) {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new ValidationError(`Unknown payment provider '${name}'`);
+  }
+  return provider;
+}
+
+function listProviders() {
+  return [...providers.keys()];
+}
+
+registerProvider(new FakePaymentProvider());
+
+module.exports = {
+  PaymentProvider,
+  registerProvider,
+  getProvider,
+  listProviders
+};
@@ -0,0 +1,48 @@
+/**
+ * Actor Context
+ *
+ * An actor describes who is performing an operation and where it came from:
+ *   { userId, role, source }
+ * Services authorize against it and repositories record it on audit
+ * entries (inventory transactions, order status history).
+ */
+
+const { ObjectId } = require('mongodb');
+const { ACTOR_SOURCES } = require('../config/constants');
+const { SYSTEM_ROLE } = require('../config/permissions');
+
+function createActor(user, source) {
+  return {
+    userId: user._id,
+    role: user.role,
+    source
+  };
+}
+
+/**
+ * Actor for jobs that run without a logged-in user
+ */
+function systemActor(source = ACTOR_SOURCES.SCRIPT) {
+  return { userId: null, role: SYSTEM_ROLE, source };
+}
+
+/**
+ * The attribution stored on audit entries
+ */
+function toAuditEntry(actor) {
+  if (!actor) {
+    return { userId: null, role: SYSTEM_ROLE, source: ACTOR_SOURCES.SCRIPT };
+  }
+
+  return {
+    userId: actor.userId ? new ObjectId(actor.userId) : null,
+    role: actor.role,
+    source: actor.source || ACTOR_SOURCES.SCRIPT
+  };
+}
+
+module.exports = {
+  createActor,
+  systemActor,
+  toAuditEntry
+};
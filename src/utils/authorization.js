@@ -0,0 +1,45 @@
+/**
+ * Authorization Helpers
+ *
+ * An actor is the user performing an operation (see utils/actor.js).
+ */
+
+const { ROLE_PERMISSIONS } = require('../config/permissions');
+const { AuthorizationError } = require('./errorHandler');
+
+function hasPermission(actor, permission) {
+  if (!actor || !actor.role) return false;
+  return (ROLE_PERMISSIONS[actor.role] || []).includes(permission);
+}
+
+function authorize(actor, permission) {
+  if (!actor || !actor.role) {
+    throw new AuthorizationError('No acting user - log in first');
+  }
+
+  if (!hasPermission(actor, permission)) {
+    throw new AuthorizationError(`Role ${actor.role} is not allowed to perform '${permission}'`);
+  }
+}
+
+function isOwner(actor, ownerId) {
+  return Boolean(actor && actor.userId && ownerId && actor.userId.toString() === ownerId.toString());
+}
+
+/**
+ * Allow when the actor holds anyPermission, or holds ownPermission and owns the record
+ */
+function authorizeOwnership(actor, ownerId, ownPermission, anyPermission) {
+  if (hasPermission(actor, anyPermission)) return;
+
+  if (hasPermission(actor, ownPermission) && isOwner(actor, ownerId)) return;
+
+  authorize(actor, anyPermission);
+}
+
+module.exports = {
+  hasPermission,
+  authorize,
+  isOwner,
+  authorizeOwnership
+};
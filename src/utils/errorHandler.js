@@ -43,13 +43,47 @@ class DuplicateError extends AppError {
   }
 }
 
+class AuthenticationError extends AppError {
+  constructor(message = 'Invalid email or password') {
+    super(message, 401);
+  }
+}
+
+// Too many failed logins; retryAfter is in seconds
+class TooManyRequestsError extends AppError {
+  constructor(message = 'Too many failed logins, try again later', retryAfter = null) {
+    super(message, 429);
+    this.retryAfter = retryAfter;
+  }
+}
+
+class AuthorizationError extends AppError {
+  constructor(message = 'You are not allowed to perform this action') {
+    super(message, 403);
+  }
+}
+
 class BusinessLogicError extends AppError {
   constructor(message) {
     super(message, 422);
   }
 }
 
+// A payment provider declined or failed an operation
+class PaymentError extends AppError {
+  constructor(message) {
+    super(message, 402);
+  }
+}
+
 function parseMongoError(error) {
+  // Leave transaction-retry errors untouched so session.withTransaction can retry them
+  if (typeof error.hasErrorLabel === 'function' &&
+      (error.hasErrorLabel('TransientTransactionError') ||
+       error.hasErrorLabel('UnknownTransactionCommitResult'))) {
+    return error;
+  }
+
   if (error.code === 11000) {
     const field = Object.keys(error.keyPattern || {})[0];
     return new DuplicateError('Entry', field);
@@ -72,6 +106,10 @@ module.exports = {
   NotFoundError,
   DatabaseError,
   DuplicateError,
+  AuthenticationError,
+  TooManyRequestsError,
+  AuthorizationError,
   BusinessLogicError,
+  PaymentError,
   parseMongoError
 };
\ No newline at end of file
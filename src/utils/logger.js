@@ -11,6 +11,7 @@ class Logger {
   constructor() {
     this.logLevel = process.env.LOG_LEVEL || 'info';
     this.logLevels = {
+      silent: -1,
       error: 0,
       warn: 1,
       info: 2,
@@ -26,6 +27,12 @@ class Logger {
     this.logFile = path.join(this.logsDir, `shopvault-${dayjs().format('YYYY-MM-DD')}.log`);
   }
 
+  setLevel(level) {
+    if (this.logLevels[level] !== undefined) {
+      this.logLevel = level;
+    }
+  }
+
   shouldLog(level) {
     return this.logLevels[level] <= this.logLevels[this.logLevel];
   }
@@ -0,0 +1,14 @@
+/**
+ * Money Utilities
+ *
+ * Amounts are plain numbers in the currency's major unit; every stored or
+ * compared amount is rounded to cents first.
+ */
+
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+module.exports = {
+  roundMoney
+};
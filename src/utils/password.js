@@ -0,0 +1,79 @@
+/**
+ * Password Hashing Utilities
+ *
+ * Uses Node's built-in scrypt (a salted, memory-hard KDF) so no native
+ * dependency is needed. Stored format:
+ *   scrypt$<N>$<r>$<p>$<salt hex>$<hash hex>
+ * Parameters are stored with the hash so they can be raised later without
+ * invalidating existing passwords.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SCHEME = 'scrypt';
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+const DEFAULT_PARAMS = { N: 16384, r: 8, p: 1 };
+
+async function hashPassword(plainPassword) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const { N, r, p } = DEFAULT_PARAMS;
+  const derivedKey = await scrypt(plainPassword, salt, KEY_LENGTH, { N, r, p });
+
+  return [SCHEME, N, r, p, salt.toString('hex'), derivedKey.toString('hex')].join('$');
+}
+
+function isHashed(storedPassword) {
+  return typeof storedPassword === 'string' && storedPassword.startsWith(`${SCHEME}$`);
+}
+
+async function verifyPassword(plainPassword, storedPassword) {
+  if (!isHashed(storedPassword)) {
+    return false;
+  }
+
+  const [, N, r, p, saltHex, hashHex] = storedPassword.split('$');
+  const expected = Buffer.from(hashHex, 'hex');
+  const derivedKey = await scrypt(plainPassword, Buffer.from(saltHex, 'hex'), expected.length, {
+    N: parseInt(N, 10),
+    r: parseInt(r, 10),
+    p: parseInt(p, 10)
+  });
+
+  return crypto.timingSafeEqual(derivedKey, expected);
+}
+
+/**
+ * Spend as long as verifyPassword would, for logins to unknown accounts,
+ * so response times do not reveal which emails are registered
+ */
+async function rejectPassword(plainPassword) {
+  const { N, r, p } = DEFAULT_PARAMS;
+  await scrypt(plainPassword, crypto.randomBytes(SALT_BYTES), KEY_LENGTH, { N, r, p });
+  return false;
+}
+
+/**
+ * Accounts created before hashing was introduced hold plaintext passwords.
+ * Compare those in constant time so they can be re-hashed on first login.
+ */
+function verifyLegacyPassword(plainPassword, storedPassword) {
+  if (typeof storedPassword !== 'string' || isHashed(storedPassword)) {
+    return false;
+  }
+
+  const a = crypto.createHash('sha256').update(plainPassword).digest();
+  const b = crypto.createHash('sha256').update(storedPassword).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  rejectPassword,
+  verifyLegacyPassword,
+  isHashed
+};
@@ -0,0 +1,43 @@
+const { createThrottle } = require('../../../src/api/helpers/throttle');
+const { TooManyRequestsError } = require('../../../src/utils/errorHandler');
+
+describe('createThrottle', () => {
+  let time;
+  let throttle;
+
+  beforeEach(() => {
+    time = 0;
+    throttle = createThrottle({ maxFailures: 2, windowMs: 1000, now: () => time });
+  });
+
+  test('refuses a key once it reaches the limit, until its window ends', () => {
+    throttle.fail('ip:1');
+    expect(() => throttle.check('ip:1')).not.toThrow();
+
+    throttle.fail('ip:1');
+    expect(() => throttle.check('email:a', 'ip:1')).toThrow(TooManyRequestsError);
+
+    time = 400;
+    expect(() => throttle.check('ip:1')).toThrow(expect.objectContaining({ statusCode: 429, retryAfter: 1 }));
+
+    time = 1000;
+    expect(() => throttle.check('ip:1')).not.toThrow();
+  });
+
+  test('a failure after the window starts a new count', () => {
+    throttle.fail('ip:1');
+    time = 1500;
+    throttle.fail('ip:1');
+
+    expect(() => throttle.check('ip:1')).not.toThrow();
+  });
+
+  test('reset clears only the keys given', () => {
+    throttle.fail('ip:1', 'email:a');
+    throttle.fail('ip:1', 'email:a');
+    throttle.reset('email:a');
+
+    expect(() => throttle.check('email:a')).not.toThrow();
+    expect(() => throttle.check('ip:1')).toThrow(TooManyRequestsError);
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Shared fixtures for the unit tests. Nothing here touches MongoDB: tests
+ * replace repository methods with in-memory fakes.
+ */
+
+const { ObjectId } = require('mongodb');
+const payments = require('../src/services/payments');
+const { PAYMENT_STATUS, PAYMENT_METHODS } = require('../src/config/constants');
+
+/**
+ * A provider whose operations are jest mocks that approve by default
+ */
+class TestPaymentProvider extends payments.PaymentProvider {
+  constructor() {
+    super('test');
+    let next = 0;
+    const approve = () => jest.fn(async () => ({ success: true, reference: `test-${++next}`, message: '' }));
+    this.authorize = approve();
+    this.capture = approve();
+    this.refund = approve();
+    this.void = approve();
+  }
+}
+
+function registerTestProvider() {
+  const provider = new TestPaymentProvider();
+  payments.registerProvider(provider);
+  return provider;
+}
+
+/**
+ * An order with a card payment in the given state. Totals: 100 of goods,
+ * 10 of tax, 110 in all.
+ */
+function buildOrder(paymentStatus = PAYMENT_STATUS.CAPTURED, overrides = {}) {
+  const captured = [PAYMENT_STATUS.CAPTURED, PAYMENT_STATUS.PARTIALLY_REFUNDED].includes(paymentStatus);
+
+  return {
+    _id: new ObjectId(),
+    orderNumber: 'ORD-TEST-0001',
+    userId: new ObjectId(),
+    status: captured ? 'DELIVERED' : 'CONFIRMED',
+    updatedAt: new Date(0),
+    items: [],
+    pricing: { subtotal: 100, discount: 0, tax: 10, taxIncluded: 0, shipping: 0, total: 110 },
+    payment: {
+      method: PAYMENT_METHODS.CARD,
+      provider: 'test',
+      status: paymentStatus,
+      amount: 110,
+      transactionId: 'auth-0',
+      authorizedAmount: 110,
+      capturedAmount: captured ? 110 : 0,
+      refundedAmount: 0,
+      invoiceNumber: null,
+      events: []
+    },
+    ...overrides
+  };
+}
+
+/**
+ * Keep order.payment in memory the way OrderRepository.updatePayment
+ * stores it: only while the status is still fromStatus
+ */
+function fakePaymentStore(orderRepository, order) {
+  jest.spyOn(orderRepository, 'findById').mockImplementation(async () => order);
+  jest.spyOn(orderRepository, 'updatePayment').mockImplementation(async (orderId, fromStatus, fields, event) => {
+    if (order.payment.status !== fromStatus) return null;
+    Object.assign(order.payment, fields);
+    order.payment.events.push(event);
+    order.updatedAt = new Date();
+    return order;
+  });
+}
+
+module.exports = {
+  TestPaymentProvider,
+  registerTestProvider,
+  buildOrder,
+  fakePaymentStore
+};
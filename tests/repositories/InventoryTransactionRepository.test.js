@@ -0,0 +1,108 @@
+const { ObjectId } = require('mongodb');
+const inventoryTransactionRepo = require('../../src/repositories/InventoryTransactionRepository');
+const { TRANSACTION_TYPES } = require('../../src/config/constants');
+
+/**
+ * Just enough of the aggregation expression language to evaluate the
+ * ledger's $sum expressions against one document
+ */
+function evaluate(expression, doc) {
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return doc[expression.slice(1)];
+  }
+  if (expression === null || typeof expression !== 'object' || expression instanceof ObjectId) {
+    return expression;
+  }
+  if (Array.isArray(expression)) {
+    return expression.map(item => evaluate(item, doc));
+  }
+
+  const [operator] = Object.keys(expression);
+  const args = expression[operator];
+  const value = arg => evaluate(arg, doc);
+
+  switch (operator) {
+    case '$cond': return value(args[0]) ? value(args[1]) : value(args[2]);
+    case '$switch': {
+      const branch = args.branches.find(b => value(b.case));
+      return branch ? value(branch.then) : value(args.default);
+    }
+    case '$and': return args.every(arg => value(arg));
+    case '$or': return args.some(arg => value(arg));
+    case '$eq': return value(args[0]) === value(args[1]);
+    case '$ne': return value(args[0]) !== value(args[1]);
+    case '$lt': return value(args[0]) < value(args[1]);
+    case '$in': return value(args[1]).includes(value(args[0]));
+    case '$ifNull': return value(args[0]) ?? value(args[1]);
+    case '$abs': return Math.abs(value(args));
+    case '$multiply': return args.reduce((product, arg) => product * value(arg), 1);
+    default: throw new Error(`Unsupported operator ${operator}`);
+  }
+}
+
+async function ledgerExpressions() {
+  const aggregate = jest.spyOn(inventoryTransactionRepo, 'aggregate').mockResolvedValue([]);
+  await inventoryTransactionRepo.getLedgerBalances();
+
+  const group = aggregate.mock.calls[0][0].find(stage => stage.$group).$group;
+  return { quantity: group.quantity.$sum, reserved: group.reserved.$sum };
+}
+
+// Every type, both signs, with and without an order, flagged either way
+// and from before the flag
+const entries = Object.values(TRANSACTION_TYPES).flatMap(type => [5, -5].flatMap(quantity => [
+  { type, quantity },
+  { type, quantity, orderId: new ObjectId() },
+  { type, quantity, orderId: null }
+].flatMap(entry => [entry, { ...entry, reservation: true }, { ...entry, reservation: false }])));
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ledgerEffect', () => {
+  test.each(entries)('agrees with the aggregation for %o', async (entry) => {
+    const expressions = await ledgerExpressions();
+    const effect = inventoryTransactionRepo.ledgerEffect(entry);
+
+    expect(evaluate(expressions.quantity, entry) + 0).toBe(effect.quantity + 0);
+    expect(evaluate(expressions.reserved, entry) + 0).toBe(effect.reserved + 0);
+  });
+
+  test('an order reservation and its release only move reserved', () => {
+    const orderId = new ObjectId();
+
+    expect(inventoryTransactionRepo.ledgerEffect({ type: TRANSACTION_TYPES.SALE, reservation: true, quantity: -3, orderId }))
+      .toEqual({ quantity: 0, reserved: 3 });
+    expect(inventoryTransactionRepo.ledgerEffect({ type: TRANSACTION_TYPES.RETURN, reservation: true, quantity: 3, orderId }))
+      .toEqual({ quantity: 0, reserved: -3 });
+  });
+
+  test('a SALE not flagged as a reservation is a removal whatever its sign', () => {
+    expect(inventoryTransactionRepo.ledgerEffect({ type: TRANSACTION_TYPES.SALE, reservation: false, quantity: -3 }))
+      .toEqual({ quantity: -3, reserved: 0 });
+    expect(inventoryTransactionRepo.ledgerEffect({ type: TRANSACTION_TYPES.SALE, reservation: false, quantity: 3 }))
+      .toEqual({ quantity: -3, reserved: 0 });
+  });
+
+  test('entries from before the flag are read by their shape', () => {
+    // Reservations were logged without the order; their cancellation with it
+    expect(inventoryTransactionRepo.ledgerEffect({ type: TRANSACTION_TYPES.SALE, quantity: -3 }))
+      .toEqual({ quantity: 0, reserved: 3 });
+    expect(inventoryTransactionRepo.ledgerEffect({ type: TRANSACTION_TYPES.RETURN, quantity: 3, orderId: new ObjectId() }))
+      .toEqual({ quantity: 0, reserved: -3 });
+    // Manual removals were logged positive
+    expect(inventoryTransactionRepo.ledgerEffect({ type: TRANSACTION_TYPES.SALE, quantity: 3 }))
+      .toEqual({ quantity: -3, reserved: 0 });
+  });
+
+  test('a shipment takes units off the shelf and out of reserved', () => {
+    expect(inventoryTransactionRepo.ledgerEffect({ type: TRANSACTION_TYPES.SHIPMENT, reservation: false, quantity: 2, orderId: new ObjectId() }))
+      .toEqual({ quantity: -2, reserved: -2 });
+  });
+
+  test('a returned delivery goes back on hand', () => {
+    expect(inventoryTransactionRepo.ledgerEffect({ type: TRANSACTION_TYPES.RETURN, reservation: false, quantity: 2, orderId: new ObjectId(), returnId: new ObjectId() }))
+      .toEqual({ quantity: 2, reserved: 0 });
+  });
+});
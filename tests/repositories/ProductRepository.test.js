@@ -0,0 +1,59 @@
+const { ObjectId } = require('mongodb');
+const productRepository = require('../../src/repositories/ProductRepository');
+const logger = require('../../src/utils/logger');
+const { BusinessLogicError } = require('../../src/utils/errorHandler');
+
+const productId = new ObjectId();
+let findOneAndUpdate;
+
+beforeAll(() => {
+  logger.setLevel('silent');
+});
+
+beforeEach(() => {
+  findOneAndUpdate = jest.fn().mockResolvedValue({ _id: productId });
+  jest.spyOn(productRepository, 'getCollection').mockReturnValue({ findOneAndUpdate });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('adjustStock', () => {
+  test('a reservation refreshes the status as well as moving the stock', async () => {
+    await productRepository.reserveInventory(productId, 3, { location: 'MAIN' });
+
+    expect(findOneAndUpdate).toHaveBeenCalledTimes(2);
+    const [filter, update] = findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ _id: productId, 'inventory.locations.MAIN.available': { $gte: 3 } });
+    expect(update.$inc).toEqual({
+      'inventory.reserved': 3,
+      'inventory.available': -3,
+      'inventory.locations.MAIN.reserved': 3,
+      'inventory.locations.MAIN.available': -3
+    });
+    expect(findOneAndUpdate.mock.calls[1][1][0].$set).toHaveProperty('status');
+  });
+
+  test('shipping reserved units leaves available, and so the status, alone', async () => {
+    await productRepository.consumeReservation(productId, 2, { location: 'MAIN', variantSku: 'TEA-L' });
+
+    expect(findOneAndUpdate).toHaveBeenCalledTimes(1);
+    expect(findOneAndUpdate.mock.calls[0][0]).toEqual({
+      _id: productId,
+      variants: { $elemMatch: { sku: 'TEA-L', 'locations.MAIN.reserved': { $gte: 2 } } }
+    });
+  });
+
+  test.each([
+    ['reserveInventory', 'Insufficient stock'],
+    ['releaseInventory', 'Fewer than 4 units are reserved'],
+    ['consumeReservation', 'Fewer than 4 units are reserved']
+  ])('%s refuses when the location cannot cover it', async (method, message) => {
+    findOneAndUpdate.mockResolvedValue(null);
+
+    const attempt = productRepository[method](productId, 4, { location: 'MAIN' });
+    await expect(attempt).rejects.toThrow(BusinessLogicError);
+    await expect(attempt).rejects.toThrow(message);
+  });
+});
@@ -0,0 +1,196 @@
+const analyticsService = require('../../src/services/AnalyticsService');
+const dbManager = require('../../src/config/database');
+const logger = require('../../src/utils/logger');
+const { ORDER_STATUS, PAYMENT_OPERATIONS } = require('../../src/config/constants');
+
+/**
+ * Just enough of the aggregation language to run the liability report's
+ * $match and $addFields stages and sum its $group accumulators into one
+ * group (periods are left to the server)
+ */
+function path(doc, field) {
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+function evaluate(expression, doc, vars = {}) {
+  if (typeof expression === 'string' && expression.startsWith('$$')) {
+    const [name, ...rest] = expression.slice(2).split('.');
+    return rest.length ? path(vars[name], rest.join('.')) : vars[name];
+  }
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return path(doc, expression.slice(1));
+  }
+  if (expression === null || typeof expression !== 'object' || expression instanceof Date) {
+    return expression;
+  }
+  if (Array.isArray(expression)) {
+    return expression.map(item => evaluate(item, doc, vars));
+  }
+
+  const [operator] = Object.keys(expression);
+  const args = expression[operator];
+  const value = (arg, extra = {}) => evaluate(arg, doc, { ...vars, ...extra });
+
+  switch (operator) {
+    case '$cond': return value(args[0]) ? value(args[1]) : value(args[2]);
+    case '$and': return args.every(arg => value(arg));
+    case '$eq': return value(args[0]) === value(args[1]);
+    case '$ifNull': return value(args[0]) ?? value(args[1]);
+    case '$subtract': return value(args[0]) - value(args[1]);
+    case '$sum': {
+      const summed = value(args);
+      return Array.isArray(summed) ? summed.reduce((sum, item) => sum + item, 0) : summed;
+    }
+    case '$map': return value(args.input).map(item => value(args.in, { this: item }));
+    case '$filter': return value(args.input).filter(item => value(args.cond, { this: item }));
+    case '$reduce':
+      return value(args.input).reduce((acc, item) => value(args.in, { this: item, value: acc }), value(args.initialValue));
+    default:
+      if (operator.startsWith('$')) throw new Error(`Unsupported operator ${operator}`);
+      return Object.fromEntries(Object.entries(expression).map(([key, item]) => [key, value(item)]));
+  }
+}
+
+function matches(doc, query) {
+  return Object.entries(query).every(([field, condition]) => {
+    if (field === '$or') return condition.some(branch => matches(doc, branch));
+
+    const actual = path(doc, field);
+    if (condition === null || typeof condition !== 'object' || condition instanceof Date) {
+      return actual === condition;
+    }
+    return Object.entries(condition).every(([operator, operand]) => {
+      switch (operator) {
+        case '$nin': return !operand.includes(actual ?? null);
+        case '$gte': return actual >= operand;
+        case '$lte': return actual <= operand;
+        case '$elemMatch': return (actual || []).some(item => matches(item, operand));
+        default: throw new Error(`Unsupported query operator ${operator}`);
+      }
+    });
+  });
+}
+
+function run(pipeline, docs) {
+  return pipeline.reduce((rows, stage) => {
+    if (stage.$match) return rows.filter(doc => matches(doc, stage.$match));
+    if (stage.$addFields) {
+      return rows.map(doc => ({ ...doc, ...evaluate(stage.$addFields, doc) }));
+    }
+    if (stage.$group) {
+      const { _id, ...accumulators } = stage.$group;
+      return [Object.fromEntries(Object.entries(accumulators).map(([field, { $sum }]) => [
+        field,
+        rows.reduce((sum, doc) => sum + evaluate($sum, doc), 0)
+      ]))];
+    }
+    throw new Error(`Unsupported stage ${Object.keys(stage)[0]}`);
+  }, docs);
+}
+
+const JAN = new Date('2026-01-15T00:00:00Z');
+const FEB = new Date('2026-02-15T00:00:00Z');
+const MAR = new Date('2026-03-15T00:00:00Z');
+
+const history = (...entries) => entries.map(([status, timestamp]) => ({ status, timestamp }));
+const refund = (taxAmount, at = FEB) => ({ operation: PAYMENT_OPERATIONS.REFUND, success: true, taxAmount, at });
+
+let pipelines;
+let results;
+
+beforeAll(() => {
+  logger.setLevel('silent');
+});
+
+beforeEach(() => {
+  pipelines = [];
+  results = [];
+  jest.spyOn(dbManager, 'getDb').mockReturnValue({
+    collection: () => ({
+      aggregate: (pipeline) => {
+        pipelines.push(pipeline);
+        return { toArray: async () => results.shift() || [] };
+      }
+    })
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getTaxLiability', () => {
+  const report = (startDate, endDate) => analyticsService.getTaxLiability({ startDate, endDate });
+
+  test('a cancellation comes off the period it happens in', async () => {
+    results = [
+      [{ _id: { period: '2026-01', jurisdiction: 'USA-CA' }, orders: 2, taxable: 200, tax: 16 }],
+      [{ _id: { period: '2026-02', jurisdiction: 'USA-CA' }, refunds: 1, refundedTax: 3 }],
+      [{ _id: { period: '2026-02', jurisdiction: 'USA-CA' }, cancellations: 1, cancelledTax: 8 }]
+    ];
+
+    const { rows, totals } = await report('2026-01-01', '2026-02-28');
+
+    expect(rows).toEqual([
+      expect.objectContaining({ period: '2026-01', tax: 16, refundedTax: 0, cancelledTax: 0, netTax: 16 }),
+      expect.objectContaining({ period: '2026-02', tax: 0, refundedTax: 3, cancellations: 1, cancelledTax: 8, netTax: -11 })
+    ]);
+    expect(totals).toEqual({ tax: 16, refundedTax: 3, cancelledTax: 8, netTax: 5 });
+  });
+
+  test('orders cancelled after they were confirmed still count where they were placed', async () => {
+    await report('2026-01-01', '2026-01-31');
+    const [charged] = pipelines;
+
+    const orders = [
+      { status: ORDER_STATUS.DELIVERED, pricing: { tax: 8 }, statusHistory: history([ORDER_STATUS.PENDING, JAN]) },
+      {
+        status: ORDER_STATUS.CANCELLED,
+        pricing: { tax: 4 },
+        statusHistory: history([ORDER_STATUS.PENDING, JAN], [ORDER_STATUS.CONFIRMED, JAN], [ORDER_STATUS.CANCELLED, FEB])
+      },
+      {
+        status: ORDER_STATUS.CANCELLED,
+        pricing: { tax: 2 },
+        statusHistory: history([ORDER_STATUS.PENDING, JAN], [ORDER_STATUS.CANCELLED, JAN])
+      },
+      { status: ORDER_STATUS.PENDING, pricing: { tax: 1 }, statusHistory: history([ORDER_STATUS.PENDING, JAN]) }
+    ].map(order => ({ ...order, createdAt: JAN }));
+
+    expect(run(charged, orders)).toEqual([expect.objectContaining({ orders: 2, tax: 12 })]);
+  });
+
+  test('a cancellation gives back the tax its refunds did not', async () => {
+    await report('2026-02-01', '2026-02-28');
+    const cancelled = pipelines[2];
+
+    const orders = [
+      // Authorized only: nothing was refunded
+      {
+        pricing: { tax: 8 },
+        statusHistory: history([ORDER_STATUS.PENDING, JAN], [ORDER_STATUS.CONFIRMED, JAN], [ORDER_STATUS.CANCELLED, FEB])
+      },
+      // Captured: the refund made on cancelling already gave the tax back
+      {
+        pricing: { tax: 5 },
+        payment: { events: [refund(2, JAN), refund(3)] },
+        statusHistory: history([ORDER_STATUS.PENDING, JAN], [ORDER_STATUS.PROCESSING, JAN], [ORDER_STATUS.CANCELLED, FEB])
+      },
+      // Never confirmed
+      {
+        pricing: { tax: 6 },
+        statusHistory: history([ORDER_STATUS.PENDING, JAN], [ORDER_STATUS.CANCELLED, FEB])
+      },
+      // A claim undone in February, cancelled for good in March
+      {
+        pricing: { tax: 7 },
+        statusHistory: history(
+          [ORDER_STATUS.CONFIRMED, JAN], [ORDER_STATUS.CANCELLED, FEB],
+          [ORDER_STATUS.CONFIRMED, FEB], [ORDER_STATUS.CANCELLED, MAR]
+        )
+      }
+    ].map(order => ({ ...order, status: ORDER_STATUS.CANCELLED, createdAt: JAN }));
+
+    expect(run(cancelled, orders)).toEqual([{ cancellations: 2, cancelledTax: 8 }]);
+  });
+});
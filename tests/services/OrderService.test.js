@@ -0,0 +1,227 @@
+const orderService = require('../../src/services/OrderService');
+const paymentService = require('../../src/services/PaymentService');
+const orderRepository = require('../../src/repositories/OrderRepository');
+const productRepository = require('../../src/repositories/ProductRepository');
+const inventoryTransactionRepo = require('../../src/repositories/InventoryTransactionRepository');
+const taxRateRepository = require('../../src/repositories/TaxRateRepository');
+const locationService = require('../../src/services/LocationService');
+const userService = require('../../src/services/UserService');
+const dbManager = require('../../src/config/database');
+const logger = require('../../src/utils/logger');
+const { PAYMENT_STATUS, PAYMENT_OPERATIONS, ORDER_STATUS } = require('../../src/config/constants');
+const { BusinessLogicError, PaymentError } = require('../../src/utils/errorHandler');
+const { systemActor } = require('../../src/utils/actor');
+const { registerTestProvider, buildOrder, fakePaymentStore } = require('../helpers');
+
+const actor = systemActor();
+let provider;
+
+beforeAll(() => {
+  logger.setLevel('silent');
+});
+
+beforeEach(() => {
+  provider = registerTestProvider();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createOrder', () => {
+  const address = { street: '1 Main St', city: 'Springfield', state: 'IL', postalCode: '62701', country: 'US' };
+  const orderData = (item, extra = {}) => ({
+    userId: '507f1f77bcf86cd799439011',
+    customer: { firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com' },
+    items: [{ productId: '507f1f77bcf86cd799439012', quantity: 1, ...item }],
+    shippingAddress: address,
+    billingAddress: address,
+    payment: { method: 'CARD' },
+    ...extra
+  });
+  const customer = { userId: '507f1f77bcf86cd799439011', role: 'customer' };
+
+  test.each([
+    ['a price', orderData({ price: 0.01 })],
+    ['a line discount', orderData({ discount: 5 })],
+    ['an order discount', orderData({}, { pricing: { discount: 5 } })]
+  ])('customers cannot set %s', async (label, data) => {
+    const withTransaction = jest.spyOn(dbManager, 'withTransaction');
+
+    await expect(orderService.createOrder(data, customer))
+      .rejects.toThrow("not allowed to perform 'order:create:any'");
+    expect(withTransaction).not.toHaveBeenCalled();
+  });
+});
+
+describe('priceOrder', () => {
+  beforeEach(() => {
+    jest.spyOn(taxRateRepository, 'findForJurisdiction').mockResolvedValue([]);
+  });
+
+  test('refuses a line discounted below nothing', async () => {
+    await expect(orderService.priceOrder([{ sku: 'TEA', subtotal: -5 }], { country: 'US' }, 0, 0))
+      .rejects.toThrow('The discount on TEA is more than its price');
+  });
+
+  test('refuses an order discount worth more than the order', async () => {
+    await expect(orderService.priceOrder([{ sku: 'TEA', subtotal: 20 }], { country: 'US' }, 25, 10))
+      .rejects.toThrow(BusinessLogicError);
+  });
+
+  test('a discount up to the subtotal leaves only shipping', async () => {
+    const { pricing } = await orderService.priceOrder([{ sku: 'TEA', subtotal: 20 }], { country: 'US' }, 20, 10);
+    expect(pricing.total).toBe(10);
+  });
+});
+
+describe('amendOrder', () => {
+  const product = { _id: null, sku: 'TEA', name: 'Tea', price: 25, variants: [], inventory: { locations: { MAIN: { available: 10 } } } };
+  let order;
+
+  beforeEach(() => {
+    order = buildOrder(PAYMENT_STATUS.AUTHORIZED, {
+      shippingAddress: { country: 'US' },
+      pricing: { subtotal: 100, discount: 0, tax: 0, taxIncluded: 0, shipping: 10, total: 110 }
+    });
+    product._id = order._id;
+    order.items = [{ productId: product._id, sku: 'TEA', name: 'Tea', quantity: 4, price: 25, discount: 0, subtotal: 100, location: 'MAIN' }];
+
+    jest.spyOn(orderRepository, 'findById').mockImplementation(async () => order);
+    jest.spyOn(productRepository, 'findById').mockResolvedValue(product);
+    jest.spyOn(productRepository, 'reserveInventory').mockResolvedValue({});
+    jest.spyOn(inventoryTransactionRepo, 'logTransaction').mockResolvedValue({});
+    jest.spyOn(taxRateRepository, 'findForJurisdiction').mockResolvedValue([]);
+    jest.spyOn(locationService, 'getDefaultLocation').mockResolvedValue({ code: 'MAIN' });
+    jest.spyOn(userService, 'adjustTotalSpent').mockResolvedValue();
+    jest.spyOn(dbManager, 'withTransaction').mockImplementation(async fn => fn('session'));
+    jest.spyOn(orderRepository, 'updatePayment').mockImplementation(async (orderId, fromStatus, fields, event) => {
+      order.payment.events.push(event);
+      return order;
+    });
+  });
+
+  test('a larger total is re-authorized and written with the amendment', async () => {
+    const amendOrder = jest.spyOn(orderRepository, 'amendOrder').mockImplementation(async () => order);
+
+    await orderService.amendOrder(order._id.toString(), { items: [{ sku: 'TEA', quantity: 6 }] }, actor);
+
+    expect(provider.authorize).toHaveBeenCalledWith(expect.objectContaining({ amount: 160 }));
+
+    const [, fields, , paymentEvents, options] = amendOrder.mock.calls[0];
+    expect(fields).toMatchObject({
+      'payment.amount': 160,
+      'payment.transactionId': 'test-1',
+      'payment.authorizedAmount': 160
+    });
+    expect(paymentEvents).toEqual([expect.objectContaining({ operation: PAYMENT_OPERATIONS.AUTHORIZE, amount: 160 })]);
+    expect(options).toEqual({ session: 'session' });
+
+    // The old authorization is only released once the amendment is stored
+    expect(provider.void).toHaveBeenCalledWith(expect.objectContaining({ reference: 'auth-0', amount: 110 }));
+  });
+
+  test('an amendment that is not stored releases the new authorization', async () => {
+    jest.spyOn(orderRepository, 'amendOrder').mockResolvedValue(null);
+
+    await expect(orderService.amendOrder(order._id.toString(), { items: [{ sku: 'TEA', quantity: 6 }] }, actor))
+      .rejects.toThrow(BusinessLogicError);
+
+    expect(provider.void).toHaveBeenCalledTimes(1);
+    expect(provider.void).toHaveBeenCalledWith(expect.objectContaining({ reference: 'test-1', amount: 160 }));
+  });
+
+  test('a declined re-authorization leaves the order unamended', async () => {
+    const amendOrder = jest.spyOn(orderRepository, 'amendOrder');
+    provider.authorize.mockResolvedValueOnce({ success: false, reference: null, message: 'Declined' });
+
+    await expect(orderService.amendOrder(order._id.toString(), { items: [{ sku: 'TEA', quantity: 6 }] }, actor))
+      .rejects.toThrow(PaymentError);
+
+    expect(amendOrder).not.toHaveBeenCalled();
+    expect(productRepository.reserveInventory).not.toHaveBeenCalled();
+  });
+
+  test('customers cannot set prices', async () => {
+    const customer = { userId: order.userId, role: 'customer' };
+
+    await expect(orderService.amendOrder(order._id.toString(), { items: [{ sku: 'TEA', quantity: 6, price: 1 }] }, customer))
+      .rejects.toThrow("not allowed to perform 'order:amend:any'");
+    expect(provider.authorize).not.toHaveBeenCalled();
+  });
+});
+
+describe('transitionOrder', () => {
+  test('the status is claimed before the payment is touched and restored when it fails', async () => {
+    const order = buildOrder(PAYMENT_STATUS.PENDING, { status: ORDER_STATUS.PENDING });
+    const calls = [];
+    jest.spyOn(orderRepository, 'updateOrderStatus').mockImplementation(async (orderId, newStatus, note, by, fromStatus) => {
+      calls.push([fromStatus, newStatus]);
+      return order;
+    });
+    jest.spyOn(paymentService, 'prepareTransition').mockImplementation(async () => {
+      calls.push(['payment']);
+      throw new PaymentError('Declined');
+    });
+
+    await expect(orderService.transitionOrder(order, ORDER_STATUS.CONFIRMED, '', actor)).rejects.toThrow('Declined');
+
+    expect(calls).toEqual([
+      [ORDER_STATUS.PENDING, ORDER_STATUS.CONFIRMED],
+      ['payment'],
+      [ORDER_STATUS.CONFIRMED, ORDER_STATUS.PENDING]
+    ]);
+  });
+
+  test('a lost claim never reaches the payment', async () => {
+    const order = buildOrder(PAYMENT_STATUS.AUTHORIZED, { status: ORDER_STATUS.CONFIRMED });
+    jest.spyOn(orderRepository, 'updateOrderStatus').mockResolvedValue(null);
+    const prepareTransition = jest.spyOn(paymentService, 'prepareTransition');
+
+    await expect(orderService.transitionOrder(order, ORDER_STATUS.CANCELLED, '', actor)).rejects.toThrow(BusinessLogicError);
+    expect(prepareTransition).not.toHaveBeenCalled();
+  });
+
+  test('a cancellation releases its stock in a transaction after the payment', async () => {
+    const order = buildOrder(PAYMENT_STATUS.AUTHORIZED, { status: ORDER_STATUS.CONFIRMED });
+    order.items = [{ productId: order._id, sku: 'TEA', quantity: 2, location: 'MAIN' }];
+    fakePaymentStore(orderRepository, order);
+    jest.spyOn(orderRepository, 'updateOrderStatus').mockResolvedValue(order);
+    jest.spyOn(dbManager, 'withTransaction').mockImplementation(async fn => fn('session'));
+    const release = jest.spyOn(productRepository, 'releaseInventory').mockResolvedValue({});
+    const log = jest.spyOn(inventoryTransactionRepo, 'logTransaction').mockResolvedValue({});
+
+    await orderService.transitionOrder(order, ORDER_STATUS.CANCELLED, '', actor);
+
+    expect(provider.void).toHaveBeenCalled();
+    expect(release).toHaveBeenCalledWith(order._id.toString(), 2, expect.objectContaining({ location: 'MAIN', session: 'session' }));
+    expect(log).toHaveBeenCalledWith(expect.objectContaining({ reservation: true, quantity: 2 }), { session: 'session', actor });
+  });
+
+  test('stock that cannot be released undoes the claim and fails the change', async () => {
+    const order = buildOrder(PAYMENT_STATUS.AUTHORIZED, { status: ORDER_STATUS.CONFIRMED });
+    order.items = [{ productId: order._id, sku: 'TEA', quantity: 2, location: 'MAIN' }];
+    fakePaymentStore(orderRepository, order);
+    const calls = [];
+    jest.spyOn(orderRepository, 'updateOrderStatus').mockImplementation(async (orderId, newStatus, note, by, fromStatus) => {
+      calls.push([fromStatus, newStatus]);
+      return order;
+    });
+    jest.spyOn(dbManager, 'withTransaction').mockImplementation(async fn => fn('session'));
+    jest.spyOn(productRepository, 'releaseInventory')
+      .mockRejectedValue(new BusinessLogicError('Fewer than 2 units are reserved at MAIN to release'));
+
+    await expect(orderService.transitionOrder(order, ORDER_STATUS.CANCELLED, '', actor))
+      .rejects.toThrow('Fewer than 2 units are reserved');
+
+    expect(calls).toEqual([
+      [ORDER_STATUS.CONFIRMED, ORDER_STATUS.CANCELLED],
+      [ORDER_STATUS.CANCELLED, ORDER_STATUS.CONFIRMED]
+    ]);
+  });
+
+  test('shipped orders can no longer be cancelled', () => {
+    expect(() => orderService.validateStatusTransition(ORDER_STATUS.SHIPPED, ORDER_STATUS.CANCELLED))
+      .toThrow(BusinessLogicError);
+  });
+});
@@ -0,0 +1,219 @@
+const paymentService = require('../../src/services/PaymentService');
+const orderRepository = require('../../src/repositories/OrderRepository');
+const sequenceService = require('../../src/services/SequenceService');
+const logger = require('../../src/utils/logger');
+const { PAYMENT_STATUS, PAYMENT_OPERATIONS } = require('../../src/config/constants');
+const { PaymentError, BusinessLogicError, ValidationError } = require('../../src/utils/errorHandler');
+const { systemActor } = require('../../src/utils/actor');
+const { registerTestProvider, buildOrder, fakePaymentStore } = require('../helpers');
+
+const actor = systemActor();
+let provider;
+
+beforeAll(() => {
+  logger.setLevel('silent');
+});
+
+beforeEach(() => {
+  provider = registerTestProvider();
+  jest.spyOn(sequenceService, 'nextNumber').mockResolvedValue('CN-0001');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('capturePayment', () => {
+  test('capturing less than was authorized voids the rest', async () => {
+    const order = buildOrder(PAYMENT_STATUS.AUTHORIZED);
+    fakePaymentStore(orderRepository, order);
+
+    await paymentService.capturePayment(order._id.toString(), { amount: 80 }, actor);
+
+    expect(provider.capture).toHaveBeenCalledWith(expect.objectContaining({ reference: 'auth-0', amount: 80 }));
+    expect(provider.void).toHaveBeenCalledWith(expect.objectContaining({ reference: 'auth-0', amount: 30 }));
+    expect(order.payment).toMatchObject({ status: PAYMENT_STATUS.CAPTURED, capturedAmount: 80 });
+    expect(order.payment.events.map(e => [e.operation, e.amount])).toEqual([
+      [PAYMENT_OPERATIONS.CAPTURE, 80],
+      [PAYMENT_OPERATIONS.VOID, 30]
+    ]);
+  });
+
+  test('a remainder the provider will not release is recorded and the capture stands', async () => {
+    const order = buildOrder(PAYMENT_STATUS.AUTHORIZED);
+    fakePaymentStore(orderRepository, order);
+    provider.void.mockResolvedValueOnce({ success: false, reference: null, message: 'Not supported' });
+
+    await paymentService.capturePayment(order._id.toString(), { amount: 80 }, actor);
+
+    expect(order.payment.status).toBe(PAYMENT_STATUS.CAPTURED);
+    expect(order.payment.events[1]).toMatchObject({ operation: PAYMENT_OPERATIONS.VOID, success: false, amount: 30 });
+  });
+
+  test('a full capture voids nothing', async () => {
+    const order = buildOrder(PAYMENT_STATUS.AUTHORIZED);
+    fakePaymentStore(orderRepository, order);
+
+    await paymentService.capturePayment(order._id.toString(), {}, actor);
+
+    expect(provider.void).not.toHaveBeenCalled();
+    expect(order.payment.capturedAmount).toBe(110);
+  });
+});
+
+describe('refundPayment', () => {
+  test('a partial refund goes through the provider and leaves the payment PARTIALLY_REFUNDED', async () => {
+    const order = buildOrder();
+    fakePaymentStore(orderRepository, order);
+
+    await paymentService.refundPayment(order._id.toString(), { amount: 55, reason: 'Damaged' }, actor);
+
+    expect(provider.refund).toHaveBeenCalledWith(expect.objectContaining({ reference: 'auth-0', amount: 55 }));
+    expect(order.payment.status).toBe(PAYMENT_STATUS.PARTIALLY_REFUNDED);
+    expect(order.payment.refundedAmount).toBe(55);
+
+    const event = order.payment.events[0];
+    expect(event).toMatchObject({
+      operation: PAYMENT_OPERATIONS.REFUND,
+      amount: 55,
+      success: true,
+      note: 'Damaged',
+      creditNoteNumber: 'CN-0001',
+      taxAmount: 5
+    });
+  });
+
+  test('without an amount everything left is refunded with the tax not yet given back', async () => {
+    const order = buildOrder();
+    fakePaymentStore(orderRepository, order);
+
+    await paymentService.refundPayment(order._id.toString(), { amount: 22, tax: 2 }, actor);
+    await paymentService.refundPayment(order._id.toString(), {}, actor);
+
+    expect(provider.refund).toHaveBeenLastCalledWith(expect.objectContaining({ amount: 88 }));
+    expect(order.payment.status).toBe(PAYMENT_STATUS.REFUNDED);
+    expect(order.payment.refundedAmount).toBe(110);
+    expect(order.payment.events.map(e => e.taxAmount)).toEqual([2, 8]);
+  });
+
+  test('refuses more than is refundable', async () => {
+    const order = buildOrder();
+    fakePaymentStore(orderRepository, order);
+
+    await expect(paymentService.refundPayment(order._id.toString(), { amount: 120 }, actor))
+      .rejects.toThrow(ValidationError);
+    expect(provider.refund).not.toHaveBeenCalled();
+  });
+
+  test('a declined refund is recorded and leaves the amounts alone', async () => {
+    const order = buildOrder();
+    fakePaymentStore(orderRepository, order);
+    provider.refund.mockResolvedValueOnce({ success: false, reference: null, message: 'Gateway down' });
+
+    await expect(paymentService.refundPayment(order._id.toString(), { amount: 10 }, actor))
+      .rejects.toThrow(PaymentError);
+
+    expect(order.payment.status).toBe(PAYMENT_STATUS.CAPTURED);
+    expect(order.payment.refundedAmount).toBe(0);
+    expect(order.payment.events).toEqual([expect.objectContaining({ success: false, message: 'Gateway down' })]);
+  });
+
+  test('an external refund is recorded without the provider and not paid out again', async () => {
+    const order = buildOrder();
+    fakePaymentStore(orderRepository, order);
+
+    await paymentService.refundPayment(order._id.toString(), { amount: 30, external: true }, actor);
+
+    expect(provider.refund).not.toHaveBeenCalled();
+    expect(order.payment.refundedAmount).toBe(30);
+    expect(order.payment.events[0]).toMatchObject({ external: true, success: true, amount: 30 });
+
+    // Refunding the order in full now only pays out what is left
+    await paymentService.prepareTransition(order, 'REFUNDED', actor);
+
+    expect(provider.refund).toHaveBeenCalledTimes(1);
+    expect(provider.refund).toHaveBeenCalledWith(expect.objectContaining({ amount: 80 }));
+    expect(order.payment.status).toBe(PAYMENT_STATUS.REFUNDED);
+  });
+
+  test('nothing captured means nothing to refund', async () => {
+    const order = buildOrder(PAYMENT_STATUS.AUTHORIZED);
+    fakePaymentStore(orderRepository, order);
+
+    await expect(paymentService.refundPayment(order._id.toString(), { amount: 10 }, actor))
+      .rejects.toThrow(BusinessLogicError);
+  });
+});
+
+describe('prepareAmendment', () => {
+  test('a total within the authorization only changes the payment amount', async () => {
+    const order = buildOrder(PAYMENT_STATUS.AUTHORIZED);
+
+    const plan = await paymentService.prepareAmendment(order, 90, actor);
+
+    expect(plan).toEqual({ fields: { 'payment.amount': 90 }, events: [], authorization: null, replaced: null });
+    expect(provider.authorize).not.toHaveBeenCalled();
+  });
+
+  test('a larger total is re-authorized without writing to the order', async () => {
+    const order = buildOrder(PAYMENT_STATUS.AUTHORIZED);
+    const updatePayment = jest.spyOn(orderRepository, 'updatePayment');
+
+    const plan = await paymentService.prepareAmendment(order, 150, actor);
+
+    expect(provider.authorize).toHaveBeenCalledWith(expect.objectContaining({ amount: 150 }));
+    expect(updatePayment).not.toHaveBeenCalled();
+    expect(plan.fields).toEqual({
+      'payment.amount': 150,
+      'payment.transactionId': 'test-1',
+      'payment.authorizedAmount': 150
+    });
+    expect(plan.events).toEqual([expect.objectContaining({
+      operation: PAYMENT_OPERATIONS.AUTHORIZE,
+      amount: 150,
+      success: true,
+      at: expect.any(Date)
+    })]);
+    expect(plan.authorization).toEqual({ reference: 'test-1', amount: 150 });
+    expect(plan.replaced).toEqual({ reference: 'auth-0', amount: 110 });
+  });
+
+  test('completing the amendment voids the replaced authorization', async () => {
+    const order = buildOrder(PAYMENT_STATUS.AUTHORIZED);
+    fakePaymentStore(orderRepository, order);
+
+    const plan = await paymentService.prepareAmendment(order, 150, actor);
+    await paymentService.completeAmendment(order, plan, actor);
+
+    expect(provider.void).toHaveBeenCalledWith(expect.objectContaining({ reference: 'auth-0', amount: 110 }));
+    expect(order.payment.events).toEqual([expect.objectContaining({ operation: PAYMENT_OPERATIONS.VOID, amount: 110 })]);
+  });
+
+  test('abandoning the amendment voids the new authorization and keeps the old one', async () => {
+    const order = buildOrder(PAYMENT_STATUS.AUTHORIZED);
+    fakePaymentStore(orderRepository, order);
+
+    const plan = await paymentService.prepareAmendment(order, 150, actor);
+    await paymentService.abandonAmendment(order, plan, actor);
+
+    expect(provider.void).toHaveBeenCalledWith(expect.objectContaining({ reference: 'test-1', amount: 150 }));
+    expect(order.payment).toMatchObject({ transactionId: 'auth-0', authorizedAmount: 110, amount: 110 });
+  });
+
+  test('a declined re-authorization is recorded and throws', async () => {
+    const order = buildOrder(PAYMENT_STATUS.AUTHORIZED);
+    fakePaymentStore(orderRepository, order);
+    provider.authorize.mockResolvedValueOnce({ success: false, reference: null, message: 'Insufficient funds' });
+
+    await expect(paymentService.prepareAmendment(order, 150, actor)).rejects.toThrow(PaymentError);
+
+    expect(order.payment).toMatchObject({ transactionId: 'auth-0', authorizedAmount: 110 });
+    expect(order.payment.events).toEqual([expect.objectContaining({ success: false, amount: 150 })]);
+  });
+
+  test('a captured payment cannot follow a new total', async () => {
+    const order = buildOrder(PAYMENT_STATUS.CAPTURED);
+
+    await expect(paymentService.prepareAmendment(order, 150, actor)).rejects.toThrow(BusinessLogicError);
+  });
+});
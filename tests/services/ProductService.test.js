@@ -0,0 +1,109 @@
+const { ObjectId } = require('mongodb');
+const productService = require('../../src/services/ProductService');
+const productRepository = require('../../src/repositories/ProductRepository');
+const inventoryTransactionRepo = require('../../src/repositories/InventoryTransactionRepository');
+const locationService = require('../../src/services/LocationService');
+const dbManager = require('../../src/config/database');
+const logger = require('../../src/utils/logger');
+const { TRANSACTION_TYPES } = require('../../src/config/constants');
+const { systemActor } = require('../../src/utils/actor');
+
+const actor = systemActor();
+let logTransactions;
+
+beforeAll(() => {
+  logger.setLevel('silent');
+});
+
+beforeEach(() => {
+  jest.spyOn(locationService, 'getDefaultLocation').mockResolvedValue({ code: 'MAIN' });
+  jest.spyOn(dbManager, 'withTransaction').mockImplementation(async fn => fn('session'));
+  logTransactions = jest.spyOn(inventoryTransactionRepo, 'logTransactions').mockResolvedValue([]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const stockAt = (locations) => ({
+  quantity: Object.values(locations).reduce((sum, quantity) => sum + quantity, 0),
+  locations: Object.fromEntries(Object.entries(locations).map(([code, quantity]) => [code, { quantity, reserved: 0, available: quantity }]))
+});
+
+describe('stockChanges', () => {
+  test('compares each variant at each location, counting stock without locations at the default', () => {
+    const before = { variants: [{ sku: 'TEA-S', quantity: 4 }, { sku: 'TEA-L', ...stockAt({ MAIN: 2, EAST: 1 }) }] };
+    const after = { variants: [{ sku: 'TEA-S', ...stockAt({ MAIN: 4 }) }, { sku: 'TEA-L', ...stockAt({ MAIN: 5 }) }] };
+
+    expect(productService.stockChanges(before, after, 'MAIN')).toEqual([
+      { variantSku: 'TEA-L', location: 'MAIN', quantity: 3, quantityBefore: 2, quantityAfter: 5 },
+      { variantSku: 'TEA-L', location: 'EAST', quantity: -1, quantityBefore: 1, quantityAfter: 0 }
+    ]);
+  });
+});
+
+describe('createProduct', () => {
+  test('logs the opening stock with the product', async () => {
+    jest.spyOn(productService, 'assertSkusAvailable').mockResolvedValue();
+    jest.spyOn(productService, 'verifyCategoryExists').mockResolvedValue(true);
+    const create = jest.spyOn(productRepository, 'create').mockImplementation(async doc => ({ _id: new ObjectId(), ...doc }));
+
+    const product = await productService.createProduct({
+      name: 'Green Tea',
+      description: 'Loose leaf green tea',
+      sku: 'TEA',
+      price: 12,
+      categoryId: new ObjectId().toString(),
+      inventory: { quantity: 8 }
+    }, actor);
+
+    expect(create).toHaveBeenCalledWith(expect.any(Object), { session: 'session' });
+    expect(logTransactions).toHaveBeenCalledWith([{
+      productId: product._id,
+      variantSku: null,
+      location: 'MAIN',
+      type: TRANSACTION_TYPES.ADJUSTMENT,
+      quantity: 8,
+      quantityBefore: 0,
+      quantityAfter: 8,
+      notes: 'Opening stock'
+    }], { actor, session: 'session' });
+  });
+});
+
+describe('updateProduct', () => {
+  const existing = () => ({
+    _id: new ObjectId(),
+    name: 'Green Tea',
+    sku: 'TEA',
+    variants: [],
+    inventory: { ...stockAt({ MAIN: 8 }), reserved: 0, available: 8 }
+  });
+
+  test('logs the difference a new quantity makes', async () => {
+    const product = existing();
+    jest.spyOn(productRepository, 'findById').mockResolvedValue(product);
+    jest.spyOn(productRepository, 'updateById').mockImplementation(async (id, update) => ({ ...product, ...update }));
+
+    await productService.updateProduct(product._id.toString(), { inventory: { quantity: 5 } }, actor);
+
+    expect(logTransactions).toHaveBeenCalledWith([expect.objectContaining({
+      productId: product._id,
+      location: 'MAIN',
+      type: TRANSACTION_TYPES.ADJUSTMENT,
+      quantity: -3,
+      quantityBefore: 8,
+      quantityAfter: 5
+    })], { actor, session: 'session' });
+  });
+
+  test('other changes log nothing', async () => {
+    const product = existing();
+    jest.spyOn(productRepository, 'findById').mockResolvedValue(product);
+    jest.spyOn(productRepository, 'updateById').mockImplementation(async (id, update) => ({ ...product, ...update }));
+
+    await productService.updateProduct(product._id.toString(), { price: 14 }, actor);
+
+    expect(logTransactions).not.toHaveBeenCalled();
+  });
+});
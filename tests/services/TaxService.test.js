@@ -0,0 +1,120 @@
+const taxService = require('../../src/services/TaxService');
+const taxRateRepository = require('../../src/repositories/TaxRateRepository');
+const logger = require('../../src/utils/logger');
+const { TAX_CLASSES } = require('../../src/config/constants');
+const { AuthorizationError } = require('../../src/utils/errorHandler');
+const { systemActor } = require('../../src/utils/actor');
+
+const rate = (taxClass, components, { state = null, inclusive = false } = {}) => ({
+  country: 'US',
+  state,
+  taxClass,
+  inclusive,
+  components: components.map(([name, value]) => ({ name, rate: value }))
+});
+
+beforeAll(() => {
+  logger.setLevel('silent');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('calculateTax', () => {
+  test('spreads the order discount over the lines by value before an exclusive rate', async () => {
+    jest.spyOn(taxRateRepository, 'findForJurisdiction').mockResolvedValue([
+      rate(TAX_CLASSES.STANDARD, [['State', 0.06], ['County', 0.02]], { state: 'CA' })
+    ]);
+
+    const result = await taxService.calculateTax(
+      [{ subtotal: 75 }, { subtotal: 25 }],
+      { country: 'us', state: 'ca' },
+      10
+    );
+
+    expect(result.jurisdiction).toBe('US-CA');
+    expect(result.lines.map(line => line.taxable)).toEqual([67.5, 22.5]);
+    expect(result.lines[0]).toMatchObject({
+      inclusive: false,
+      rate: 0.08,
+      amount: 5.4,
+      components: [{ name: 'State', rate: 0.06, amount: 4.05 }, { name: 'County', rate: 0.02, amount: 1.35 }]
+    });
+    expect(result.tax).toBe(7.2);
+    expect(result.taxIncluded).toBe(0);
+  });
+
+  test('the largest line absorbs the rounding of the discount', async () => {
+    jest.spyOn(taxRateRepository, 'findForJurisdiction').mockResolvedValue([]);
+
+    const result = await taxService.calculateTax(
+      [{ subtotal: 10 }, { subtotal: 10 }, { subtotal: 10 }],
+      { country: 'US' },
+      1
+    );
+
+    const taxable = result.lines.map(line => line.taxable);
+    expect(taxable).toEqual([9.66, 9.67, 9.67]);
+    expect(taxable.reduce((sum, value) => sum + value, 0)).toBeCloseTo(29, 10);
+  });
+
+  test('works an inclusive rate back out of the price, components adding up to it exactly', async () => {
+    jest.spyOn(taxRateRepository, 'findForJurisdiction').mockResolvedValue([
+      rate(TAX_CLASSES.STANDARD, [['GST', 0.09], ['PST', 0.09]], { inclusive: true })
+    ]);
+
+    const result = await taxService.calculateTax([{ subtotal: 99.99 }], { country: 'US', state: 'NY' });
+    const [line] = result.lines;
+
+    expect(line.inclusive).toBe(true);
+    expect(line.taxable).toBe(84.74);
+    expect(line.components.map(c => c.amount)).toEqual([7.63, 7.62]);
+    expect(line.taxable + line.amount).toBeCloseTo(99.99, 10);
+    expect(result.tax).toBe(15.25);
+    expect(result.taxIncluded).toBe(15.25);
+  });
+
+  test('falls back to the country rate and never taxes exempt lines', async () => {
+    jest.spyOn(taxRateRepository, 'findForJurisdiction').mockResolvedValue([
+      rate(TAX_CLASSES.STANDARD, [['Federal', 0.05]]),
+      rate(TAX_CLASSES.EXEMPT, [['Federal', 0.05]])
+    ]);
+
+    const result = await taxService.calculateTax(
+      [{ subtotal: 40 }, { subtotal: 60, taxClass: TAX_CLASSES.EXEMPT }],
+      { country: 'US', state: 'TX' }
+    );
+
+    expect(result.jurisdiction).toBe('US-TX');
+    expect(result.lines.map(line => line.amount)).toEqual([2, 0]);
+    expect(result.lines[1]).toMatchObject({ taxClass: TAX_CLASSES.EXEMPT, rate: 0, components: [] });
+    expect(result.tax).toBe(2);
+  });
+
+  test('an address without a country is not taxed', async () => {
+    const findForJurisdiction = jest.spyOn(taxRateRepository, 'findForJurisdiction');
+
+    const result = await taxService.calculateTax([{ subtotal: 50 }], {});
+
+    expect(findForJurisdiction).not.toHaveBeenCalled();
+    expect(result.tax).toBe(0);
+  });
+});
+
+describe('listRates', () => {
+  test('customers cannot list rates', async () => {
+    const getRates = jest.spyOn(taxRateRepository, 'getRates');
+
+    await expect(taxService.listRates({}, { userId: '507f1f77bcf86cd799439011', role: 'customer' }))
+      .rejects.toThrow(AuthorizationError);
+    expect(getRates).not.toHaveBeenCalled();
+  });
+
+  test('staff who can view analytics can', async () => {
+    jest.spyOn(taxRateRepository, 'getRates').mockResolvedValue([]);
+
+    await expect(taxService.listRates({ country: 'US' }, systemActor())).resolves.toEqual([]);
+    expect(taxRateRepository.getRates).toHaveBeenCalledWith({ country: 'US' });
+  });
+});